@@ -0,0 +1,93 @@
+// src/Jellyfin.Plugin.EndpointExposer/ApiKeyEntry.cs
+using System;
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// A named API key persisted in PluginConfiguration.ApiKeys.
+    /// Only the SHA-256 hash of the key is stored; the plain key is shown once when created or rotated.
+    /// </summary>
+    public class ApiKeyEntry
+    {
+        /// <summary>
+        /// Wildcard scope granting access to every exposed folder and the default output directory.
+        /// </summary>
+        public const string AllScope = "*";
+
+        /// <summary>
+        /// Stable identifier used by the management endpoints.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Friendly name (e.g. the mod using the key).
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Lowercase hex SHA-256 of the key.
+        /// </summary>
+        public string Hash { get; set; } = string.Empty;
+
+        /// <summary>
+        /// First characters of the key, shown in the UI so keys can be told apart.
+        /// </summary>
+        public string? Prefix { get; set; }
+
+        /// <summary>
+        /// Folder names this key may read. "*" = all folders and the output directory.
+        /// </summary>
+        public List<string> ReadFolders { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Folder names this key may write. "*" = all folders and the output directory.
+        /// </summary>
+        public List<string> WriteFolders { get; set; } = new List<string>();
+
+        /// <summary>
+        /// UTC creation (or last rotation) time.
+        /// </summary>
+        public DateTime CreatedUtc { get; set; }
+
+        /// <summary>
+        /// Optional UTC expiry. Null = never expires.
+        /// </summary>
+        public DateTime? ExpiresUtc { get; set; }
+
+        /// <summary>
+        /// True when ExpiresUtc is set and in the past.
+        /// </summary>
+        public bool IsExpired(DateTime utcNow) => ExpiresUtc.HasValue && ExpiresUtc.Value <= utcNow;
+
+        /// <summary>
+        /// True when the key may read the given folder (null = default output directory).
+        /// </summary>
+        public bool CanRead(string? folderName) => HasScope(ReadFolders, folderName);
+
+        /// <summary>
+        /// True when the key may write the given folder (null = default output directory).
+        /// </summary>
+        public bool CanWrite(string? folderName) => HasScope(WriteFolders, folderName);
+
+        private static bool HasScope(List<string>? scopes, string? folderName)
+        {
+            if (scopes == null)
+                return false;
+
+            foreach (var scope in scopes)
+            {
+                var s = scope?.Trim();
+                if (string.IsNullOrEmpty(s))
+                    continue;
+                if (s == AllScope)
+                    return true;
+                if (folderName != null && string.Equals(s, folderName, StringComparison.OrdinalIgnoreCase))
+                    return true;
+            }
+
+            return false;
+        }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/ApiKeyEntry.cs
@@ -0,0 +1,63 @@
+// src/Jellyfin.Plugin.EndpointExposer/AuditEntry.cs
+using System;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// One record in the audit log: who did what to which file, and how it ended.
+    /// </summary>
+    public class AuditEntry
+    {
+        public DateTime TimestampUtc { get; set; }
+
+        /// <summary>
+        /// Endpoint name, e.g. FolderWrite, FolderDelete, SaveConfiguration.
+        /// </summary>
+        public string Operation { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Jellyfin user Id of the caller, if a token was sent.
+        /// </summary>
+        public string? UserId { get; set; }
+
+        public string? UserName { get; set; }
+
+        /// <summary>
+        /// Name of the API key used ("legacy" for the single ApiKey), if any.
+        /// </summary>
+        public string? ApiKeyName { get; set; }
+
+        public string? ClientIp { get; set; }
+
+        public string? Folder { get; set; }
+
+        /// <summary>
+        /// File name or path relative to the folder (or the key Id for API key operations).
+        /// </summary>
+        public string? File { get; set; }
+
+        /// <summary>
+        /// Destination of renames and moves ("folder/name"), the backup name for restores, or why a retention sweep
+        /// deleted the file.
+        /// </summary>
+        public string? Target { get; set; }
+
+        /// <summary>
+        /// Payload size in bytes, when known.
+        /// </summary>
+        public long? Bytes { get; set; }
+
+        /// <summary>
+        /// HTTP status code returned to the caller.
+        /// </summary>
+        public int StatusCode { get; set; }
+
+        public bool Success => StatusCode >= 200 && StatusCode < 300;
+
+        /// <summary>
+        /// Error message for failed operations.
+        /// </summary>
+        public string? Error { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/AuditEntry.cs
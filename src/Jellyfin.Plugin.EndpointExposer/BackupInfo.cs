@@ -0,0 +1,27 @@
+// src/Jellyfin.Plugin.EndpointExposer/BackupInfo.cs
+using System;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing one timestamped backup created by FileWriteService.
+    /// </summary>
+    public class BackupInfo
+    {
+        /// <summary>
+        /// Backup file name inside the backups subfolder (e.g. data.json.20240101120000123.bak).
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Size of the backup in bytes.
+        /// </summary>
+        public long Size { get; set; }
+
+        /// <summary>
+        /// UTC time the backup was taken (parsed from the name, falls back to the file time).
+        /// </summary>
+        public DateTime CreatedUtc { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/BackupInfo.cs
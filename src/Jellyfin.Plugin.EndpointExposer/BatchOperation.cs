@@ -0,0 +1,88 @@
+// src/Jellyfin.Plugin.EndpointExposer/BatchOperation.cs
+using System.Collections.Generic;
+using Newtonsoft.Json.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// One operation in a Batch request: write or delete a file in an exposed folder.
+    /// </summary>
+    public class BatchOperation
+    {
+        public const string Write = "write";
+        public const string Delete = "delete";
+
+        /// <summary>
+        /// write or delete.
+        /// </summary>
+        public string Op { get; set; } = Write;
+
+        public string Folder { get; set; } = string.Empty;
+
+        /// <summary>
+        /// File path relative to the folder, "/"-separated.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Namespace for user-scoped folders (defaults to the caller's own).
+        /// </summary>
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Content for writes, encoded as given by Encoding. Ignored when Json is set.
+        /// </summary>
+        public string? Content { get; set; }
+
+        /// <summary>
+        /// utf8 (default) or base64.
+        /// </summary>
+        public string? Encoding { get; set; }
+
+        /// <summary>
+        /// JSON document to write (stored compact); alternative to Content.
+        /// </summary>
+        public JToken? Json { get; set; }
+
+        public string? IfMatch { get; set; }
+
+        public string? IfNoneMatch { get; set; }
+
+        /// <summary>
+        /// For deletes: keep a backup of the removed file.
+        /// </summary>
+        public bool Backup { get; set; }
+    }
+
+    /// <summary>
+    /// Per-operation outcome of a Batch request, in request order.
+    /// </summary>
+    public class BatchOperationResult
+    {
+        public int Index { get; set; }
+
+        public string Op { get; set; } = string.Empty;
+
+        public string Folder { get; set; } = string.Empty;
+
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 200 when applied; otherwise the operation's own failure, or 424 when it was rolled back or never
+        /// attempted because another operation failed.
+        /// </summary>
+        public int StatusCode { get; set; }
+
+        public bool Success => StatusCode >= 200 && StatusCode < 300;
+
+        /// <summary>
+        /// New ETag after a write, or the current ETag when a precondition failed.
+        /// </summary>
+        public string? ETag { get; set; }
+
+        public string? Error { get; set; }
+
+        public List<SchemaValidationError>? ValidationErrors { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/BatchOperation.cs
@@ -0,0 +1,499 @@
+// Configuration/client.js
+// Browser client for the Endpoint Exposer plugin, served at /Plugins/EndpointExposer/client.js.
+//
+//   <script src="/Plugins/EndpointExposer/client.js"></script>
+//   const ee = EndpointExposerClient.create();            // token and server found automatically
+//   const { data, etag } = await ee.readJson('watchplanner', 'plan.json');
+//   await ee.writeJson('watchplanner', 'plan.json', data, { ifMatch: etag });
+//   await ee.updateJson('watchplanner', 'plan.json', plan => { plan.items.push(x); return plan; });
+//
+// Every failed request rejects with an EndpointExposerError subclass carrying status, message and body.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.EndpointExposerClient = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const VERSION = '1.0.0';
+    const ROUTE = 'Plugins/EndpointExposer/';
+
+    //#region errors
+    class EndpointExposerError extends Error {
+        constructor(message, status, body) {
+            super(message);
+            this.name = 'EndpointExposerError';
+            // HTTP status, or 0 when the request never reached the server
+            this.status = status || 0;
+            this.body = body === undefined ? null : body;
+        }
+    }
+
+    class NetworkError extends EndpointExposerError {
+        constructor(message, cause) {
+            super(message, 0, null);
+            this.name = 'NetworkError';
+            this.cause = cause;
+        }
+    }
+
+    class UnauthorizedError extends EndpointExposerError {
+        constructor(message, status, body) { super(message, status, body); this.name = 'UnauthorizedError'; }
+    }
+
+    class NotFoundError extends EndpointExposerError {
+        constructor(message, status, body) { super(message, status, body); this.name = 'NotFoundError'; }
+    }
+
+    // 409: the file exists (If-None-Match: *) or a rename/move target is taken
+    class ConflictError extends EndpointExposerError {
+        constructor(message, status, body) { super(message, status, body); this.name = 'ConflictError'; }
+    }
+
+    // 412: If-Match did not match; someone else changed the file
+    class PreconditionFailedError extends EndpointExposerError {
+        constructor(message, status, body) { super(message, status, body); this.name = 'PreconditionFailedError'; }
+    }
+
+    // 413: payload, per-file limit or folder quota exceeded
+    class PayloadTooLargeError extends EndpointExposerError {
+        constructor(message, status, body) { super(message, status, body); this.name = 'PayloadTooLargeError'; }
+    }
+
+    // 422: the document failed the folder's JSON Schema; errors lists { Path, Message }
+    class ValidationError extends EndpointExposerError {
+        constructor(message, status, body) {
+            super(message, status, body);
+            this.name = 'ValidationError';
+            this.errors = (body && Array.isArray(body.errors)) ? body.errors : [];
+        }
+    }
+
+    function errorFromResponse(status, body) {
+        let message = typeof body === 'string' ? body : (body && (body.error || body.title)) || '';
+        if (!message) message = 'Request failed with status ' + status;
+        if (status === 401 || status === 403) return new UnauthorizedError(message, status, body);
+        if (status === 404) return new NotFoundError(message, status, body);
+        if (status === 409) return new ConflictError(message, status, body);
+        if (status === 412) return new PreconditionFailedError(message, status, body);
+        if (status === 413) return new PayloadTooLargeError(message, status, body);
+        if (status === 422) return new ValidationError(message, status, body);
+        return new EndpointExposerError(message, status, body);
+    }
+    //#endregion errors
+
+    //#region discovery
+    function readCredentials() {
+        try {
+            const raw = typeof localStorage !== 'undefined' ? localStorage.getItem('jellyfin_credentials') : null;
+            const servers = raw ? (JSON.parse(raw).Servers || []) : [];
+            return servers.length ? servers[0] : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function trimSlash(url) {
+        return (url || '').replace(/\/+$/, '');
+    }
+
+    // Server base: explicit option, the web client's ApiClient, stored credentials, then the page origin
+    function discoverBaseUrl() {
+        const g = typeof window !== 'undefined' ? window : {};
+        try {
+            if (g.ApiClient && typeof g.ApiClient.serverAddress === 'function' && g.ApiClient.serverAddress()) return trimSlash(g.ApiClient.serverAddress());
+        } catch (e) { /* fall through */ }
+        const server = readCredentials();
+        const stored = server && (server.ManualAddress || server.LocalAddress);
+        if (stored) return trimSlash(stored);
+        return g.location ? trimSlash(g.location.origin) : '';
+    }
+
+    function discoverToken() {
+        const g = typeof window !== 'undefined' ? window : {};
+        try {
+            if (g.ApiClient && typeof g.ApiClient.accessToken === 'function' && g.ApiClient.accessToken()) return g.ApiClient.accessToken();
+        } catch (e) { /* fall through */ }
+        const server = readCredentials();
+        return (server && server.AccessToken) || null;
+    }
+    //#endregion discovery
+
+    //#region encoding
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return btoa(binary);
+    }
+
+    async function toBytes(content) {
+        if (content instanceof Uint8Array) return content;
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        if (ArrayBuffer.isView(content)) return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+        if (typeof Blob !== 'undefined' && content instanceof Blob) return new Uint8Array(await content.arrayBuffer());
+        return new TextEncoder().encode(String(content));
+    }
+
+    async function parseBody(res) {
+        const text = await res.text();
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    //#endregion encoding
+
+    /**
+     * Create a client.
+     * options.baseUrl  server base URL (default: discovered from the Jellyfin web client or the page)
+     * options.token    Jellyfin access token, or a function returning one (default: the signed-in user's token)
+     * options.apiKey   plugin API key, sent as X-EndpointExposer-Key instead of a token
+     * options.retries  retries for network errors, 5xx and 429 on idempotent requests (default 2)
+     * options.fetch    fetch implementation (default: global fetch)
+     */
+    function create(options) {
+        const opts = options || {};
+        const baseUrl = trimSlash(opts.baseUrl || discoverBaseUrl());
+        const retries = typeof opts.retries === 'number' ? Math.max(0, opts.retries) : 2;
+        const fetchImpl = opts.fetch || (typeof fetch !== 'undefined' ? fetch.bind(typeof window !== 'undefined' ? window : undefined) : null);
+        if (!fetchImpl) throw new Error('EndpointExposerClient: no fetch implementation available');
+
+        function currentToken() {
+            if (typeof opts.token === 'function') return opts.token();
+            return opts.token || discoverToken();
+        }
+
+        // An API key wins when given; otherwise the Jellyfin token
+        function authHeaders() {
+            if (opts.apiKey) return { 'X-EndpointExposer-Key': opts.apiKey };
+            const token = currentToken();
+            return token ? { Authorization: 'MediaBrowser Token="' + token + '"' } : {};
+        }
+
+        function url(action, query) {
+            const qs = Object.keys(query || {})
+                .filter(k => query[k] !== undefined && query[k] !== null && query[k] !== '')
+                .map(k => encodeURIComponent(k) + '=' + encodeURIComponent(query[k]))
+                .join('&');
+            return baseUrl + '/' + ROUTE + action + (qs ? '?' + qs : '');
+        }
+
+        // One HTTP call with retry. Resolves with the Response; rejects with an EndpointExposerError.
+        async function send(method, action, query, init) {
+            const request = init || {};
+            const idempotent = method === 'GET' || method === 'PUT' || method === 'DELETE' || request.idempotent === true;
+            const attempts = idempotent ? retries + 1 : 1;
+            for (let attempt = 1; ; attempt++) {
+                let res;
+                try {
+                    res = await fetchImpl(url(action, query), {
+                        method: method,
+                        body: request.body,
+                        headers: Object.assign({}, authHeaders(), request.headers || {}),
+                        credentials: 'same-origin',
+                        cache: request.cache,
+                        signal: request.signal
+                    });
+                } catch (err) {
+                    if (err && err.name === 'AbortError') throw err;
+                    if (attempt >= attempts) throw new NetworkError('Could not reach the server: ' + (err && err.message ? err.message : err), err);
+                    await delay(500 * attempt);
+                    continue;
+                }
+
+                if (res.ok || res.status === 304) return res;
+
+                const retriable = res.status >= 500 || res.status === 429;
+                if (!retriable || attempt >= attempts) throw errorFromResponse(res.status, await parseBody(res));
+
+                const retryAfter = parseInt(res.headers.get('Retry-After') || '', 10);
+                await delay(retryAfter > 0 ? retryAfter * 1000 : 500 * attempt);
+            }
+        }
+
+        async function sendJson(method, action, query, init) {
+            const res = await send(method, action, query, init);
+            return parseBody(res);
+        }
+
+        function preconditionHeaders(o, headers) {
+            const h = headers || {};
+            if (o.ifMatch) h['If-Match'] = o.ifMatch;
+            if (o.ifNoneMatch) h['If-None-Match'] = o.ifNoneMatch;
+            return h;
+        }
+
+        const client = {
+            version: VERSION,
+            baseUrl: baseUrl,
+
+            /**
+             * File names in a folder; details: true returns { Name, Size, LastModifiedUtc, ETag } objects.
+             * o.depth limits subfolder levels (0 = top level only when the folder allows nesting).
+             */
+            list: function (folder, o) {
+                o = o || {};
+                return sendJson('GET', 'FolderFiles', { folder: folder, userId: o.userId, details: o.details ? 'true' : '', depth: o.depth }, { signal: o.signal })
+                    .then(res => Array.isArray(res) ? res : []);
+            },
+
+            /**
+             * Raw read: { response, etag, contentType }. o.fresh skips the browser cache (folders with a cache max-age)
+             * by revalidating with the server.
+             */
+            read: async function (folder, name, o) {
+                o = o || {};
+                const res = await send('GET', 'FolderFile', { folder: folder, name: name, userId: o.userId }, { signal: o.signal, cache: o.fresh ? 'no-cache' : undefined });
+                return { response: res, etag: res.headers.get('ETag'), contentType: res.headers.get('Content-Type') };
+            },
+
+            /** { text, etag } */
+            readText: async function (folder, name, o) {
+                const r = await client.read(folder, name, o);
+                return { text: await r.response.text(), etag: r.etag };
+            },
+
+            /** { data, etag }; o.defaultValue is returned (with etag null) instead of a NotFoundError. */
+            readJson: async function (folder, name, o) {
+                o = o || {};
+                try {
+                    const r = await client.readText(folder, name, o);
+                    return { data: r.text ? JSON.parse(r.text) : null, etag: r.etag };
+                } catch (err) {
+                    if (err instanceof NotFoundError && Object.prototype.hasOwnProperty.call(o, 'defaultValue')) return { data: o.defaultValue, etag: null };
+                    throw err;
+                }
+            },
+
+            /**
+             * Write a string, Blob, ArrayBuffer or typed array. Content always travels base64-encoded in the
+             * { "content": ... } wrapper so it is stored byte for byte. o.ifMatch / o.ifNoneMatch ('*' = create only).
+             * Resolves with { Saved, Name, Path, ETag }.
+             */
+            write: async function (folder, name, content, o) {
+                o = o || {};
+                const body = JSON.stringify({ content: toBase64(await toBytes(content)) });
+                return sendJson('PUT', 'FolderWrite', { folder: folder, name: name, userId: o.userId }, {
+                    body: body,
+                    headers: preconditionHeaders(o, { 'Content-Type': 'application/json' }),
+                    signal: o.signal
+                });
+            },
+
+            writeJson: function (folder, name, value, o) {
+                const pretty = o && o.pretty;
+                return client.write(folder, name, JSON.stringify(value, null, pretty ? 2 : 0), o);
+            },
+
+            /**
+             * Read-modify-write a JSON file with optimistic concurrency: update(current) returns the new value,
+             * and the write is retried from a fresh read when another writer got there first (412/409).
+             * A missing file starts from o.defaultValue (default null) and is created with If-None-Match: *.
+             */
+            updateJson: async function (folder, name, update, o) {
+                o = o || {};
+                const attempts = typeof o.attempts === 'number' ? o.attempts : 5;
+                for (let attempt = 1; ; attempt++) {
+                    const current = await client.readJson(folder, name, { userId: o.userId, signal: o.signal, fresh: true, defaultValue: o.defaultValue === undefined ? null : o.defaultValue });
+                    const next = await update(current.data);
+                    try {
+                        const res = await client.writeJson(folder, name, next, {
+                            userId: o.userId,
+                            pretty: o.pretty,
+                            signal: o.signal,
+                            ifMatch: current.etag || undefined,
+                            ifNoneMatch: current.etag ? undefined : '*'
+                        });
+                        return { data: next, etag: res && (res.ETag || res.etag) };
+                    } catch (err) {
+                        const lostRace = err instanceof PreconditionFailedError || err instanceof ConflictError;
+                        if (!lostRace || attempt >= attempts) throw err;
+                    }
+                }
+            },
+
+            /**
+             * Partial JSON update: an array is sent as RFC 6902 JSON Patch, an object as RFC 7386 merge patch.
+             * Resolves with the patched document.
+             */
+            patchJson: function (folder, name, patch, o) {
+                o = o || {};
+                const type = Array.isArray(patch) ? 'application/json-patch+json' : 'application/merge-patch+json';
+                return sendJson('PATCH', 'FolderPatch', { folder: folder, name: name, userId: o.userId }, {
+                    body: JSON.stringify(patch),
+                    headers: preconditionHeaders(o, { 'Content-Type': type }),
+                    signal: o.signal,
+                    idempotent: !!o.ifMatch
+                });
+            },
+
+            /** Delete a file; o.backup keeps a backup copy. */
+            remove: function (folder, name, o) {
+                o = o || {};
+                return sendJson('DELETE', 'FolderDelete', { folder: folder, name: name, userId: o.userId, backup: o.backup ? 'true' : 'false' }, { signal: o.signal });
+            },
+
+            rename: function (folder, name, newName, o) {
+                o = o || {};
+                return sendJson('POST', 'FolderRename', { folder: folder, name: name, newName: newName, overwrite: o.overwrite ? 'true' : '', userId: o.userId }, { signal: o.signal });
+            },
+
+            move: function (folder, name, targetFolder, o) {
+                o = o || {};
+                return sendJson('POST', 'FolderMove', { folder: folder, name: name, targetFolder: targetFolder, newName: o.newName, overwrite: o.overwrite ? 'true' : '', userId: o.userId }, { signal: o.signal });
+            },
+
+            /**
+             * Apply several writes and deletes atomically, across folders: all land or none do.
+             * operations: [{ op: 'write', folder, name, json }, { op: 'write', folder, name, content }, { op: 'delete', folder, name }]
+             * with optional userId, ifMatch, ifNoneMatch and (deletes) backup. content may be a string or binary
+             * (Blob, ArrayBuffer, typed array), which is sent base64-encoded.
+             * Resolves with { Committed: true, Results }; a failed batch rejects with the failing operation's error type
+             * and body.Results listing every operation.
+             */
+            batch: async function (operations, o) {
+                o = o || {};
+                const ops = await Promise.all((operations || []).map(async op => {
+                    const copy = Object.assign({}, op);
+                    if (copy.json === undefined && copy.content != null && typeof copy.content !== 'string') {
+                        copy.content = toBase64(await toBytes(copy.content));
+                        copy.encoding = 'base64';
+                    }
+                    return copy;
+                }));
+                return sendJson('POST', 'Batch', null, {
+                    body: JSON.stringify({ operations: ops }),
+                    headers: { 'Content-Type': 'application/json' },
+                    signal: o.signal
+                });
+            },
+
+            /** Key-value folders: { Key, Value, Version, CreatedUtc, UpdatedUtc, ExpiresUtc }, or null when the key is missing or expired. */
+            kvGet: async function (folder, key, o) {
+                o = o || {};
+                try {
+                    return await sendJson('GET', 'KvGet', { folder: folder, key: key, userId: o.userId }, { signal: o.signal });
+                } catch (err) {
+                    if (err instanceof NotFoundError) return null;
+                    throw err;
+                }
+            },
+
+            /**
+             * Set a key to any JSON value. o.version makes it a compare-and-swap (0 = create only) that rejects with
+             * PreconditionFailedError (body.version = current version); o.ttl expires the key after that many seconds.
+             * Resolves with the stored entry without its value.
+             */
+            kvSet: function (folder, key, value, o) {
+                o = o || {};
+                return sendJson('POST', 'KvSet', { folder: folder, key: key, version: o.version, ttl: o.ttl, userId: o.userId }, {
+                    body: JSON.stringify(value === undefined ? null : value),
+                    headers: { 'Content-Type': 'application/json' },
+                    signal: o.signal,
+                    idempotent: o.version === undefined
+                });
+            },
+
+            /** Delete a key; o.version only deletes that version. */
+            kvDelete: function (folder, key, o) {
+                o = o || {};
+                return sendJson('DELETE', 'KvDelete', { folder: folder, key: key, version: o.version, userId: o.userId }, { signal: o.signal });
+            },
+
+            /** Entries sorted by key; o.prefix filters, o.values includes the values. */
+            kvList: function (folder, o) {
+                o = o || {};
+                return sendJson('GET', 'KvList', { folder: folder, prefix: o.prefix, values: o.values ? 'true' : '', userId: o.userId }, { signal: o.signal })
+                    .then(res => Array.isArray(res) ? res : []);
+            },
+
+            /**
+             * Compare-and-swap loop over one key: update(currentValue) returns the new value (a missing key starts
+             * from o.defaultValue, default null), retried when another writer changed the key in between.
+             */
+            kvUpdate: async function (folder, key, update, o) {
+                o = o || {};
+                const attempts = typeof o.attempts === 'number' ? o.attempts : 5;
+                for (let attempt = 1; ; attempt++) {
+                    const current = await client.kvGet(folder, key, { userId: o.userId, signal: o.signal });
+                    const next = await update(current ? current.Value : (o.defaultValue === undefined ? null : o.defaultValue));
+                    try {
+                        const res = await client.kvSet(folder, key, next, { userId: o.userId, signal: o.signal, ttl: o.ttl, version: current ? current.Version : 0 });
+                        return { value: next, version: res && res.Version };
+                    } catch (err) {
+                        if (!(err instanceof PreconditionFailedError) || attempt >= attempts) throw err;
+                    }
+                }
+            },
+
+            /**
+             * Upload a large Blob through a resumable upload session. o.onProgress(sentBytes, totalBytes)
+             * is called after each chunk; a failed upload is cancelled on the server.
+             */
+            upload: async function (folder, name, blob, o) {
+                o = o || {};
+                const session = await sendJson('POST', 'UploadStart', { folder: folder, name: name, size: blob.size, userId: o.userId }, { signal: o.signal });
+                const id = session.Id || session.id;
+                const chunkBytes = session.ChunkBytes || session.chunkBytes;
+                try {
+                    for (let index = 0; index * chunkBytes < blob.size; index++) {
+                        const end = Math.min(blob.size, (index + 1) * chunkBytes);
+                        await send('PUT', 'UploadChunk', { id: id, index: index }, {
+                            body: blob.slice(index * chunkBytes, end),
+                            headers: { 'Content-Type': 'application/octet-stream' },
+                            signal: o.signal
+                        });
+                        if (o.onProgress) o.onProgress(end, blob.size);
+                    }
+                    return await sendJson('POST', 'UploadCommit', { id: id }, { headers: preconditionHeaders(o), signal: o.signal });
+                } catch (err) {
+                    send('DELETE', 'UploadCancel', { id: id }).catch(() => { });
+                    throw err;
+                }
+            },
+
+            /**
+             * Live change notifications for a folder. onEvent receives { Id, Type, Folder, Name, Size, ETag, ChangedBy, ... }.
+             * EventSource cannot send headers, so the token or key goes in the api_key query parameter.
+             * Returns a function that closes the stream.
+             */
+            subscribe: function (folder, onEvent, o) {
+                o = o || {};
+                if (typeof EventSource === 'undefined') throw new Error('EndpointExposerClient: EventSource is not available');
+                const source = new EventSource(url('Events', { folder: folder, userId: o.userId, api_key: opts.apiKey || currentToken() }));
+                const handler = e => {
+                    try {
+                        onEvent(JSON.parse(e.data));
+                    } catch (err) {
+                        if (o.onError) o.onError(err);
+                    }
+                };
+                ['created', 'updated', 'deleted'].forEach(type => source.addEventListener(type, handler));
+                if (o.onError) source.onerror = o.onError;
+                return () => source.close();
+            }
+        };
+
+        return client;
+    }
+
+    return {
+        version: VERSION,
+        create: create,
+        EndpointExposerError: EndpointExposerError,
+        NetworkError: NetworkError,
+        UnauthorizedError: UnauthorizedError,
+        NotFoundError: NotFoundError,
+        ConflictError: ConflictError,
+        PreconditionFailedError: PreconditionFailedError,
+        PayloadTooLargeError: PayloadTooLargeError,
+        ValidationError: ValidationError
+    };
+});
+// END - Configuration/client.js
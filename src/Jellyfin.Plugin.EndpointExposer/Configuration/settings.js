@@ -16,10 +16,40 @@ var EndpointExposerConfigurationPage = {
                 const get = id => view.querySelector('#' + id);
                 try {
                     if (get('ServerBaseUrl')) get('ServerBaseUrl').value = (config && config.ServerBaseUrl) || '';
+                    if (get('TokenCacheSeconds')) get('TokenCacheSeconds').value = config && typeof config.TokenCacheSeconds === 'number' ? config.TokenCacheSeconds : 60;
                     if (get('ApiKey')) get('ApiKey').value = (config && config.ApiKey) || '';
                     if (get('OutputDirectory')) get('OutputDirectory').value = (config && config.OutputDirectory) || '';
                     if (get('MaxPayloadBytes')) get('MaxPayloadBytes').value = (config && config.MaxPayloadBytes) || 0;
                     if (get('MaxBackups')) get('MaxBackups').value = (config && config.MaxBackups) || 0;
+                    if (get('UploadChunkBytes')) get('UploadChunkBytes').value = (config && config.UploadChunkBytes) || 8388608;
+                    if (get('MaxUploadBytes')) get('MaxUploadBytes').value = (config && config.MaxUploadBytes) || 4294967296;
+                    if (get('UploadSessionTimeoutMinutes')) get('UploadSessionTimeoutMinutes').value = (config && config.UploadSessionTimeoutMinutes) || 1440;
+                    if (get('MaxOpenUploads')) get('MaxOpenUploads').value = config && typeof config.MaxOpenUploads === 'number' ? config.MaxOpenUploads : 4;
+                    if (get('MaxOpenUploadsPerFolder')) get('MaxOpenUploadsPerFolder').value = config && typeof config.MaxOpenUploadsPerFolder === 'number' ? config.MaxOpenUploadsPerFolder : 16;
+                    if (get('RetentionSweepMinutes')) get('RetentionSweepMinutes').value = config && typeof config.RetentionSweepMinutes === 'number' ? config.RetentionSweepMinutes : 60;
+                    if (get('EnableFileWatcher')) get('EnableFileWatcher').checked = !!(config && config.EnableFileWatcher);
+                    if (get('AuditEnabled')) get('AuditEnabled').checked = !config || config.AuditEnabled !== false;
+                    if (get('AuditMaxFileBytes')) get('AuditMaxFileBytes').value = (config && config.AuditMaxFileBytes) || 5242880;
+                    if (get('AuditMaxFiles')) get('AuditMaxFiles').value = (config && config.AuditMaxFiles) || 5;
+                    if (get('DefaultReadPolicy')) {
+                        const policy = config ? config.DefaultReadPolicy : null;
+                        get('DefaultReadPolicy').value = typeof policy === 'number' ? (['Public', 'Authenticated', 'Admin', 'ApiKey'][policy] || 'Public') : (policy || 'Public');
+                    }
+                    if (get('CacheMaxAgeSeconds')) get('CacheMaxAgeSeconds').value = (config && config.CacheMaxAgeSeconds) || 0;
+                    if (get('PublicReads')) get('PublicReads').value = ((config && config.PublicReads) || []).join(', ');
+                    if (get('CorsAllowedOrigins')) get('CorsAllowedOrigins').value = ((config && config.CorsAllowedOrigins) || []).join(', ');
+                    if (get('CorsAllowedMethods')) get('CorsAllowedMethods').value = ((config && config.CorsAllowedMethods) || []).join(', ');
+                    if (get('CorsAllowedHeaders')) get('CorsAllowedHeaders').value = ((config && config.CorsAllowedHeaders) || []).join(', ');
+                    if (get('RateLimitEnabled')) get('RateLimitEnabled').checked = !!(config && config.RateLimitEnabled);
+                    if (get('RateLimitPerIp')) get('RateLimitPerIp').value = config && typeof config.RateLimitPerIp === 'number' ? config.RateLimitPerIp : 600;
+                    if (get('RateLimitPerApiKey')) get('RateLimitPerApiKey').value = config && typeof config.RateLimitPerApiKey === 'number' ? config.RateLimitPerApiKey : 300;
+                    if (get('RateLimitPerUser')) get('RateLimitPerUser').value = config && typeof config.RateLimitPerUser === 'number' ? config.RateLimitPerUser : 120;
+                    if (get('RateLimitBurst')) get('RateLimitBurst').value = (config && config.RateLimitBurst) || 0;
+                    if (get('AuthLockoutThreshold')) get('AuthLockoutThreshold').value = config && typeof config.AuthLockoutThreshold === 'number' ? config.AuthLockoutThreshold : 10;
+                    if (get('AuthLockoutWindowMinutes')) get('AuthLockoutWindowMinutes').value = (config && config.AuthLockoutWindowMinutes) || 5;
+                    if (get('AuthLockoutMinutes')) get('AuthLockoutMinutes').value = (config && config.AuthLockoutMinutes) || 15;
+                    if (get('WebhookMaxAttempts')) get('WebhookMaxAttempts').value = (config && config.WebhookMaxAttempts) || 5;
+                    if (get('CorsMaxAgeSeconds')) get('CorsMaxAgeSeconds').value = config && typeof config.CorsMaxAgeSeconds === 'number' ? config.CorsMaxAgeSeconds : 600;
                 } catch (e) {
                     console.warn('EE: input population failed', e);
                 }
@@ -99,6 +129,43 @@ var EndpointExposerConfigurationPage = {
                 config.MaxPayloadBytes = parseInt(maxPayloadVal, 10) || 0;
                 const maxBackupsVal = (get('MaxBackups') && get('MaxBackups').value) || '0';
                 config.MaxBackups = parseInt(maxBackupsVal, 10) || 0;
+                if (get('UploadChunkBytes')) config.UploadChunkBytes = parseInt(get('UploadChunkBytes').value, 10) || 8388608;
+                if (get('MaxUploadBytes')) config.MaxUploadBytes = parseInt(get('MaxUploadBytes').value, 10) || 4294967296;
+                if (get('UploadSessionTimeoutMinutes')) config.UploadSessionTimeoutMinutes = parseInt(get('UploadSessionTimeoutMinutes').value, 10) || 1440;
+                if (get('EnableFileWatcher')) config.EnableFileWatcher = get('EnableFileWatcher').checked;
+                if (get('AuditEnabled')) config.AuditEnabled = get('AuditEnabled').checked;
+                if (get('AuditMaxFileBytes')) config.AuditMaxFileBytes = parseInt(get('AuditMaxFileBytes').value, 10) || 5242880;
+                if (get('AuditMaxFiles')) config.AuditMaxFiles = parseInt(get('AuditMaxFiles').value, 10) || 5;
+                if (get('DefaultReadPolicy')) config.DefaultReadPolicy = get('DefaultReadPolicy').value || 'Public';
+                if (get('PublicReads')) {
+                    config.PublicReads = get('PublicReads').value.split(',').map(s => s.trim()).filter(s => s.length > 0);
+                }
+                const commaList = id => get(id).value.split(',').map(s => s.trim()).filter(s => s.length > 0);
+                if (get('CorsAllowedOrigins')) config.CorsAllowedOrigins = commaList('CorsAllowedOrigins');
+                if (get('CorsAllowedMethods')) config.CorsAllowedMethods = commaList('CorsAllowedMethods').map(m => m.toUpperCase());
+                if (get('CorsAllowedHeaders')) config.CorsAllowedHeaders = commaList('CorsAllowedHeaders');
+                if (get('RateLimitEnabled')) config.RateLimitEnabled = get('RateLimitEnabled').checked;
+                const nonNegative = (id, fallback) => {
+                    const n = parseInt(get(id).value, 10);
+                    return isNaN(n) || n < 0 ? fallback : n;
+                };
+                if (get('RateLimitPerIp')) config.RateLimitPerIp = nonNegative('RateLimitPerIp', 600);
+                if (get('RateLimitPerApiKey')) config.RateLimitPerApiKey = nonNegative('RateLimitPerApiKey', 300);
+                if (get('RateLimitPerUser')) config.RateLimitPerUser = nonNegative('RateLimitPerUser', 120);
+                if (get('RateLimitBurst')) config.RateLimitBurst = nonNegative('RateLimitBurst', 0);
+                if (get('AuthLockoutThreshold')) config.AuthLockoutThreshold = nonNegative('AuthLockoutThreshold', 10);
+                if (get('AuthLockoutWindowMinutes')) config.AuthLockoutWindowMinutes = parseInt(get('AuthLockoutWindowMinutes').value, 10) || 5;
+                if (get('AuthLockoutMinutes')) config.AuthLockoutMinutes = parseInt(get('AuthLockoutMinutes').value, 10) || 15;
+                if (get('WebhookMaxAttempts')) config.WebhookMaxAttempts = Math.min(10, parseInt(get('WebhookMaxAttempts').value, 10) || 5);
+                if (get('TokenCacheSeconds')) config.TokenCacheSeconds = Math.min(3600, nonNegative('TokenCacheSeconds', 60));
+                if (get('CacheMaxAgeSeconds')) config.CacheMaxAgeSeconds = Math.min(31536000, nonNegative('CacheMaxAgeSeconds', 0));
+                if (get('RetentionSweepMinutes')) config.RetentionSweepMinutes = nonNegative('RetentionSweepMinutes', 60);
+                if (get('MaxOpenUploads')) config.MaxOpenUploads = nonNegative('MaxOpenUploads', 4);
+                if (get('MaxOpenUploadsPerFolder')) config.MaxOpenUploadsPerFolder = nonNegative('MaxOpenUploadsPerFolder', 16);
+                if (get('CorsMaxAgeSeconds')) {
+                    const maxAge = parseInt(get('CorsMaxAgeSeconds').value, 10);
+                    config.CorsMaxAgeSeconds = isNaN(maxAge) || maxAge < 0 ? 600 : maxAge;
+                }
 
                 try {
                     if (typeof EndpointExposerConfigurationPage.gatherUiToConfiguration === 'function') {
@@ -317,6 +384,1947 @@ function getAccessToken() {
     // Attach to page object for external access
     page.fetchPluginBasePathOnce = fetchPluginBasePathOnce;
 
+    //#region file browser
+    const fileNameRegex = /^[\w\-.]+$/;
+    // Relative path inside a folder, e.g. posters/2024/a.json (the server enforces the folder's max depth)
+    const filePathRegex = /^[\w\-.]+(\/[\w\-.]+)*$/;
+    const textExtensions = ['json', 'txt', 'md', 'markdown', 'csv', 'xml', 'yaml', 'yml', 'html', 'htm', 'css', 'js', 'mjs', 'ts', 'toml', 'ini', 'log', 'svg'];
+
+    // Build a plugin route URL, skipping empty query values
+    function pluginUrl(action, query) {
+        const qs = Object.keys(query || {})
+            .filter(k => query[k] !== undefined && query[k] !== null && query[k] !== '')
+            .map(k => encodeURIComponent(k) + '=' + encodeURIComponent(query[k]))
+            .join('&');
+        return ApiClient.getUrl('Plugins/EndpointExposer/' + action) + (qs ? '?' + qs : '');
+    }
+
+    function authHeaders() {
+        const token = getAccessToken();
+        return token ? { 'X-Emby-Token': token } : {};
+    }
+
+    // ApiClient.ajax rejects with the fetch Response on HTTP errors; turn that into readable text
+    async function describeError(err) {
+        try {
+            if (err && typeof err.text === 'function') {
+                const body = await err.text();
+                let detail = body;
+                try {
+                    const parsed = JSON.parse(body);
+                    detail = (parsed && (parsed.error || parsed.title)) || body;
+                    // 422 schema rejections list the failing paths
+                    if (parsed && Array.isArray(parsed.errors) && parsed.errors.length) {
+                        detail += ': ' + parsed.errors.slice(0, 5).map(e => (e.Path || e.path || '/') + ' ' + (e.Message || e.message)).join('; ')
+                            + (parsed.errors.length > 5 ? ' (+' + (parsed.errors.length - 5) + ' more)' : '');
+                    }
+                } catch (e) { /* plain text body */ }
+                return (err.status ? err.status + ' ' : '') + (detail || err.statusText || 'request failed');
+            }
+            if (err && err.message) return err.message;
+        } catch (e) { /* ignore */ }
+        return 'request failed';
+    }
+
+    function isTextFile(name) {
+        const ext = (name.split('.').pop() || '').toLowerCase();
+        return textExtensions.indexOf(ext) >= 0;
+    }
+
+    function isJsonFile(name) {
+        return /\.json$/i.test(name);
+    }
+
+    // UTF-8 safe base64 for the { "content": base64 } FolderWrite wrapper
+    function textToBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function listFolderFiles(folder, userId, depth) {
+        return ApiClient.ajax({ url: pluginUrl('FolderFiles', { folder: folder, userId: userId, depth: depth || '' }), type: 'GET', dataType: 'json', headers: authHeaders() })
+            .then(res => Array.isArray(res) ? res : []);
+    }
+
+    function readFolderFileText(folder, name, userId) {
+        return ApiClient.ajax({ url: pluginUrl('FolderFile', { folder: folder, name: name, userId: userId }), type: 'GET', dataType: 'text', headers: authHeaders() });
+    }
+
+    // Read text plus its ETag (ApiClient.ajax does not expose response headers)
+    async function readFolderFileWithETag(folder, name, userId) {
+        const res = await fetch(pluginUrl('FolderFile', { folder: folder, name: name, userId: userId }), { headers: authHeaders(), credentials: 'same-origin', cache: 'no-store' });
+        if (!res.ok) throw res;
+        return { text: await res.text(), etag: res.headers.get('ETag') };
+    }
+
+    // preconditions: optional extra headers such as { 'If-Match': etag } or { 'If-None-Match': '*' }
+    function writeFolderFileText(folder, name, text, userId, preconditions) {
+        return ApiClient.ajax({
+            url: pluginUrl('FolderWrite', { folder: folder, name: name, userId: userId }),
+            type: 'POST',
+            data: JSON.stringify({ content: textToBase64(text) }),
+            contentType: 'application/json',
+            dataType: 'json',
+            headers: Object.assign(authHeaders(), preconditions || {})
+        });
+    }
+
+    // PUT one chunk, retrying network errors and 5xx responses (chunks are idempotent)
+    async function sendUploadChunk(id, index, blob) {
+        for (let attempt = 1; ; attempt++) {
+            let res = null;
+            try {
+                res = await fetch(pluginUrl('UploadChunk', { id: id, index: index }), {
+                    method: 'PUT',
+                    body: blob,
+                    headers: Object.assign({ 'Content-Type': 'application/octet-stream' }, authHeaders()),
+                    credentials: 'same-origin'
+                });
+                if (res.ok) return res.json();
+            } catch (err) {
+                if (attempt >= 5) throw err;
+            }
+            if (res && (res.status < 500 || attempt >= 5)) throw res;
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+    }
+
+    // Upload a File/Blob through an upload session: UploadStart, one UploadChunk per ChunkBytes, UploadCommit.
+    // onProgress(sentBytes, totalBytes) is called after every chunk; a failed upload is cancelled server-side.
+    async function uploadFolderFileChunked(folder, name, file, userId, onProgress) {
+        const session = await ApiClient.ajax({ url: pluginUrl('UploadStart', { folder: folder, name: name, size: file.size, userId: userId }), type: 'POST', dataType: 'json', headers: authHeaders() });
+        const id = session.Id ?? session.id;
+        const chunkBytes = session.ChunkBytes ?? session.chunkBytes;
+        try {
+            for (let index = 0; index * chunkBytes < file.size; index++) {
+                const end = Math.min(file.size, (index + 1) * chunkBytes);
+                await sendUploadChunk(id, index, file.slice(index * chunkBytes, end));
+                if (onProgress) onProgress(end, file.size);
+            }
+            return await ApiClient.ajax({ url: pluginUrl('UploadCommit', { id: id }), type: 'POST', dataType: 'json', headers: authHeaders() });
+        } catch (err) {
+            ApiClient.ajax({ url: pluginUrl('UploadCancel', { id: id }), type: 'POST', headers: authHeaders() }).catch(() => { });
+            throw err;
+        }
+    }
+
+    async function downloadFolderFile(folder, name, userId) {
+        const res = await fetch(pluginUrl('FolderFile', { folder: folder, name: name, userId: userId }), { headers: authHeaders(), credentials: 'same-origin' });
+        if (!res.ok) throw res;
+        const url = URL.createObjectURL(await res.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ZIP of the whole folder, user namespaces included (admin only)
+    async function downloadFolderArchive(folder, includeBackups) {
+        const res = await fetch(pluginUrl('FolderExport', { folder: folder, backups: includeBackups ? 'true' : '' }), { headers: authHeaders(), credentials: 'same-origin' });
+        if (!res.ok) throw res;
+        const match = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '');
+        const url = URL.createObjectURL(await res.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = match ? match[1] : folder + '.zip';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // mode: 'merge' keeps files missing from the ZIP, 'replace' deletes them (with a backup)
+    async function importFolderArchive(folder, file, mode) {
+        const res = await fetch(pluginUrl('FolderImport', { folder: folder, mode: mode }), {
+            method: 'POST',
+            body: file,
+            headers: Object.assign({ 'Content-Type': 'application/zip' }, authHeaders()),
+            credentials: 'same-origin'
+        });
+        if (!res.ok) throw res;
+        return res.json();
+    }
+
+    function listFolderBackups(folder, name, userId) {
+        return ApiClient.ajax({ url: pluginUrl('FolderBackups', { folder: folder, name: name, userId: userId }), type: 'GET', dataType: 'json', headers: authHeaders() })
+            .then(res => Array.isArray(res) ? res : []);
+    }
+
+    function readFolderBackupText(folder, name, backup, userId) {
+        return ApiClient.ajax({ url: pluginUrl('FolderBackup', { folder: folder, name: name, backup: backup, userId: userId }), type: 'GET', dataType: 'text', headers: authHeaders() });
+    }
+
+    function restoreFolderBackup(folder, name, backup, userId) {
+        return ApiClient.ajax({ url: pluginUrl('FolderRestore', { folder: folder, name: name, backup: backup, userId: userId }), type: 'POST', headers: authHeaders() });
+    }
+
+    function deleteFolderFile(folder, name, keepBackup, userId) {
+        return ApiClient.ajax({ url: pluginUrl('FolderDelete', { folder: folder, name: name, backup: keepBackup ? 'true' : 'false', userId: userId }), type: 'POST', headers: authHeaders() });
+    }
+
+    function renameFolderFile(folder, name, newName, userId) {
+        return ApiClient.ajax({ url: pluginUrl('FolderRename', { folder: folder, name: name, newName: newName, userId: userId }), type: 'POST', headers: authHeaders() });
+    }
+
+    function moveFolderFile(folder, name, targetFolder, userId) {
+        return ApiClient.ajax({ url: pluginUrl('FolderMove', { folder: folder, name: name, targetFolder: targetFolder, userId: userId }), type: 'POST', headers: authHeaders() });
+    }
+
+    function listFolderUsers(folder) {
+        return ApiClient.ajax({ url: pluginUrl('FolderUsers', { folder: folder }), type: 'GET', dataType: 'json', headers: authHeaders() })
+            .then(res => Array.isArray(res) ? res : []);
+    }
+
+    function getFolderUsage(folder) {
+        return ApiClient.ajax({ url: pluginUrl('FolderUsage', { folder: folder }), type: 'GET', dataType: 'json', headers: authHeaders() });
+    }
+
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = Number(bytes) || 0;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) { value /= 1024; unit++; }
+        return (unit === 0 ? value : value.toFixed(1)) + ' ' + units[unit];
+    }
+
+    // Logical names of the saved exposed folders (used as Move targets)
+    function getSavedFolderNames() {
+        const cfg = EndpointExposerConfigurationPage._currentConfig || {};
+        return (cfg.ExposedFolders || []).map(f => f.Name || f.RelativePath).filter(Boolean);
+    }
+
+    // Pretty-print JSON so diffs compare structure rather than formatting; leave other text untouched
+    function normalizeForDiff(name, text) {
+        if (!isJsonFile(name)) return text;
+        try { return JSON.stringify(JSON.parse(text), null, 2); } catch (e) { return text; }
+    }
+
+    // Line diff (LCS). Returns rows of { left, right, type } where type is 'same', 'changed', 'removed' or 'added'.
+    function diffLines(leftText, rightText) {
+        const a = leftText.split(/\r?\n/);
+        const b = rightText.split(/\r?\n/);
+        if (a.length * b.length > 4000000) return null;
+
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const rows = [];
+        let removed = [], added = [];
+        const flush = () => {
+            const n = Math.max(removed.length, added.length);
+            for (let k = 0; k < n; k++) {
+                const l = k < removed.length ? removed[k] : null;
+                const r = k < added.length ? added[k] : null;
+                rows.push({ left: l, right: r, type: l !== null && r !== null ? 'changed' : (l !== null ? 'removed' : 'added') });
+            }
+            removed = []; added = [];
+        };
+        let i = 0, j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                flush();
+                rows.push({ left: a[i], right: b[j], type: 'same' });
+                i++; j++;
+            } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                added.push(b[j++]);
+            } else {
+                removed.push(a[i++]);
+            }
+        }
+        flush();
+        return rows;
+    }
+
+    function renderSideBySideDiff(container, leftTitle, rightTitle, rows) {
+        container.innerHTML = '';
+        const table = document.createElement('table');
+        table.className = 'ee-diff';
+        const head = document.createElement('tr');
+        [leftTitle, rightTitle].forEach(t => {
+            const th = document.createElement('th');
+            th.textContent = t;
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = 'ee-diff-' + row.type;
+            [row.left, row.right].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text === null ? '' : text;
+                if (text === null) td.className = 'ee-diff-empty';
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        container.appendChild(table);
+    }
+
+    function createSmallButton(text) {
+        const b = document.createElement('button');
+        b.className = 'btn';
+        b.type = 'button';
+        b.textContent = text;
+        return b;
+    }
+
+    // Expandable file browser for a folder card. getFolder returns the logical folder name used by the API;
+    // isUserScoped reports whether the folder keeps per-user namespaces (admins get a user picker).
+    function createFileBrowser(getFolder, isUserScoped, getDepth) {
+        const panel = document.createElement('div');
+        panel.className = 'ee-files';
+        panel.style.display = 'none';
+
+        // Toolbar
+        const toolbar = document.createElement('div');
+        toolbar.className = 'ee-row';
+        toolbar.style.alignItems = 'center';
+        const refreshBtn = createSmallButton('Refresh');
+        const newBtn = createSmallButton('New file');
+        const status = document.createElement('span');
+        status.className = 'ee-files-status';
+        const keepBackupLabel = document.createElement('span');
+        keepBackupLabel.className = 'ee-files-status';
+        const keepBackupInput = document.createElement('input');
+        keepBackupInput.type = 'checkbox';
+        keepBackupInput.checked = true;
+        keepBackupLabel.appendChild(keepBackupInput);
+        keepBackupLabel.appendChild(document.createTextNode(' Keep backup on delete'));
+        const userSelect = document.createElement('select');
+        userSelect.className = 'ee-user-select';
+        userSelect.title = 'Whose files to browse';
+        userSelect.style.display = 'none';
+        toolbar.appendChild(refreshBtn);
+        toolbar.appendChild(newBtn);
+        toolbar.appendChild(userSelect);
+        toolbar.appendChild(keepBackupLabel);
+        toolbar.appendChild(status);
+        panel.appendChild(toolbar);
+
+        // Drop zone (click to choose, or drag files onto it)
+        const dropZone = document.createElement('div');
+        dropZone.className = 'ee-dropzone';
+        dropZone.textContent = 'Drop files here to upload, or click to choose';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.multiple = true;
+        fileInput.style.display = 'none';
+        const progress = document.createElement('progress');
+        progress.className = 'ee-upload-progress';
+        progress.max = 100;
+        progress.style.display = 'none';
+        panel.appendChild(dropZone);
+        panel.appendChild(progress);
+        panel.appendChild(fileInput);
+
+        const list = document.createElement('div');
+        list.className = 'ee-file-list';
+        panel.appendChild(list);
+
+        // Inline editor
+        const editor = document.createElement('div');
+        editor.className = 'ee-editor';
+        editor.style.display = 'none';
+        const editorTitle = document.createElement('div');
+        editorTitle.className = 'ee-editor-title';
+        const editorText = document.createElement('textarea');
+        editorText.className = 'ee-editor-text';
+        editorText.spellcheck = false;
+        const editorRow = document.createElement('div');
+        editorRow.className = 'ee-row';
+        editorRow.style.alignItems = 'center';
+        const saveBtn = createSmallButton('Save');
+        const formatBtn = createSmallButton('Format JSON');
+        const closeBtn = createSmallButton('Close');
+        const validation = document.createElement('span');
+        validation.className = 'ee-editor-validation';
+        editorRow.appendChild(saveBtn);
+        editorRow.appendChild(formatBtn);
+        editorRow.appendChild(closeBtn);
+        editorRow.appendChild(validation);
+        editor.appendChild(editorTitle);
+        editor.appendChild(editorText);
+        editor.appendChild(editorRow);
+        panel.appendChild(editor);
+
+        // Backup history and diff
+        const history = document.createElement('div');
+        history.className = 'ee-history';
+        history.style.display = 'none';
+        const historyTitle = document.createElement('div');
+        historyTitle.className = 'ee-editor-title';
+        const historyList = document.createElement('div');
+        historyList.className = 'ee-file-list';
+        const diffView = document.createElement('div');
+        diffView.className = 'ee-diff-view';
+        const historyClose = createSmallButton('Close history');
+        history.appendChild(historyTitle);
+        history.appendChild(historyList);
+        history.appendChild(diffView);
+        history.appendChild(historyClose);
+        panel.appendChild(history);
+        historyClose.addEventListener('click', () => { history.style.display = 'none'; diffView.innerHTML = ''; });
+
+        let editingName = null;
+        // Headers sent with the next save: If-Match for opened files, If-None-Match: * for new ones
+        let editingPreconditions = {};
+
+        function setStatus(text) { status.textContent = text || ''; }
+
+        // Empty string = the signed-in user's own namespace
+        function browseUserId() {
+            return (typeof isUserScoped === 'function' && isUserScoped()) ? userSelect.value : '';
+        }
+
+        // Fill the user picker for user-scoped folders; non-admins (FolderUsers denied) only see their own files
+        async function refreshUsers(folder) {
+            if (!(typeof isUserScoped === 'function' && isUserScoped())) {
+                userSelect.style.display = 'none';
+                return;
+            }
+            const selected = userSelect.value;
+            let users = [];
+            try { users = await listFolderUsers(folder); } catch (e) { users = null; }
+            userSelect.innerHTML = '';
+            const own = document.createElement('option');
+            own.value = '';
+            own.textContent = 'My files';
+            userSelect.appendChild(own);
+            (users || []).forEach(id => {
+                const opt = document.createElement('option');
+                opt.value = id;
+                opt.textContent = 'User ' + id;
+                userSelect.appendChild(opt);
+            });
+            userSelect.value = (users || []).indexOf(selected) >= 0 ? selected : '';
+            userSelect.style.display = users ? '' : 'none';
+        }
+
+        function requireFolder() {
+            const folder = (getFolder() || '').trim();
+            if (!folder) setStatus('Set a folder name and save the configuration first');
+            return folder;
+        }
+
+        // Returns true when the editor content can be saved
+        function validateEditor() {
+            if (!editingName || !isJsonFile(editingName)) {
+                validation.textContent = '';
+                validation.classList.remove('ee-invalid');
+                saveBtn.disabled = false;
+                return true;
+            }
+            try {
+                JSON.parse(editorText.value);
+                validation.textContent = 'Valid JSON';
+                validation.classList.remove('ee-invalid');
+                saveBtn.disabled = false;
+                return true;
+            } catch (e) {
+                validation.textContent = 'Invalid JSON: ' + e.message;
+                validation.classList.add('ee-invalid');
+                saveBtn.disabled = true;
+                return false;
+            }
+        }
+
+        function openEditor(name, text, preconditions) {
+            editingName = name;
+            editingPreconditions = preconditions || {};
+            editorTitle.textContent = name;
+            editorText.value = text;
+            formatBtn.style.display = isJsonFile(name) ? '' : 'none';
+            editor.style.display = '';
+            validateEditor();
+            editorText.focus();
+        }
+
+        function closeEditor() {
+            editingName = null;
+            editingPreconditions = {};
+            editor.style.display = 'none';
+            editorText.value = '';
+        }
+
+        async function showDiff(folder, name, backup) {
+            diffView.textContent = 'Loading diff...';
+            try {
+                const [oldText, currentText] = await Promise.all([
+                    readFolderBackupText(folder, name, backup, browseUserId()),
+                    readFolderFileText(folder, name, browseUserId()).catch(() => '')
+                ]);
+                const rows = diffLines(normalizeForDiff(name, oldText || ''), normalizeForDiff(name, currentText || ''));
+                if (!rows) { diffView.textContent = 'Files are too large to diff in the browser.'; return; }
+                renderSideBySideDiff(diffView, backup, 'Current', rows);
+            } catch (err) {
+                diffView.textContent = 'Diff failed: ' + await describeError(err);
+            }
+        }
+
+        async function openHistory(folder, name) {
+            historyTitle.textContent = 'History of ' + name;
+            historyList.innerHTML = '';
+            diffView.innerHTML = '';
+            history.style.display = '';
+            try {
+                const backups = await listFolderBackups(folder, name, browseUserId());
+                if (!backups.length) {
+                    const empty = document.createElement('div');
+                    empty.className = 'ee-file-empty';
+                    empty.textContent = 'No backups for this file (see Max Backups).';
+                    historyList.appendChild(empty);
+                    return;
+                }
+                backups.forEach(b => {
+                    const backupName = b.Name || b.name;
+                    const created = b.CreatedUtc || b.createdUtc;
+                    const size = b.Size !== undefined ? b.Size : b.size;
+                    const row = document.createElement('div');
+                    row.className = 'ee-file-row';
+                    const label = document.createElement('span');
+                    label.className = 'ee-file-name';
+                    label.textContent = (created ? new Date(created).toLocaleString() : backupName) + '  (' + size + ' bytes)';
+                    label.title = backupName;
+                    const actions = document.createElement('div');
+                    actions.className = 'ee-file-actions';
+                    if (isTextFile(name)) {
+                        const diffBtn = createSmallButton('Compare');
+                        diffBtn.addEventListener('click', () => showDiff(folder, name, backupName));
+                        actions.appendChild(diffBtn);
+                    }
+                    const restoreBtn = createSmallButton('Restore');
+                    restoreBtn.addEventListener('click', async () => {
+                        if (!window.confirm('Restore ' + name + ' from ' + backupName + '? The current version will be backed up first.')) return;
+                        restoreBtn.disabled = true;
+                        try {
+                            await restoreFolderBackup(folder, name, backupName, browseUserId());
+                            setStatus('Restored ' + name);
+                            if (editingName === name) closeEditor();
+                            await openHistory(folder, name);
+                        } catch (err) {
+                            setStatus('Restore failed: ' + await describeError(err));
+                        } finally { restoreBtn.disabled = false; }
+                    });
+                    actions.appendChild(restoreBtn);
+                    row.appendChild(label);
+                    row.appendChild(actions);
+                    historyList.appendChild(row);
+                });
+            } catch (err) {
+                setStatus('History failed: ' + await describeError(err));
+            }
+        }
+
+        function renderList(folder, names) {
+            list.innerHTML = '';
+            if (!names.length) {
+                const empty = document.createElement('div');
+                empty.className = 'ee-file-empty';
+                empty.textContent = 'No files in this folder.';
+                list.appendChild(empty);
+                return;
+            }
+            names.slice().sort((a, b) => a.localeCompare(b)).forEach(name => {
+                const row = document.createElement('div');
+                row.className = 'ee-file-row';
+                const label = document.createElement('span');
+                label.className = 'ee-file-name';
+                label.textContent = name;
+                label.title = name;
+                const actions = document.createElement('div');
+                actions.className = 'ee-file-actions';
+                if (isTextFile(name)) {
+                    const openBtn = createSmallButton('Edit');
+                    openBtn.addEventListener('click', async () => {
+                        setStatus('Opening ' + name + '...');
+                        try {
+                            const file = await readFolderFileWithETag(folder, name, browseUserId());
+                            openEditor(name, file.text, file.etag ? { 'If-Match': file.etag } : {});
+                            setStatus('');
+                        } catch (err) {
+                            setStatus('Open failed: ' + await describeError(err));
+                        }
+                    });
+                    actions.appendChild(openBtn);
+                }
+                const downloadBtn = createSmallButton('Download');
+                downloadBtn.addEventListener('click', async () => {
+                    try {
+                        await downloadFolderFile(folder, name, browseUserId());
+                    } catch (err) {
+                        setStatus('Download failed: ' + await describeError(err));
+                    }
+                });
+                actions.appendChild(downloadBtn);
+                const historyBtn = createSmallButton('History');
+                historyBtn.addEventListener('click', () => openHistory(folder, name));
+                actions.appendChild(historyBtn);
+
+                const renameBtn = createSmallButton('Rename');
+                renameBtn.addEventListener('click', async () => {
+                    const newName = (window.prompt('Rename ' + name + ' to:', name) || '').trim();
+                    if (!newName || newName === name) return;
+                    if (!filePathRegex.test(newName)) { setStatus('Invalid file name'); return; }
+                    try {
+                        await renameFolderFile(folder, name, newName, browseUserId());
+                        if (editingName === name) closeEditor();
+                        await refresh();
+                        setStatus('Renamed ' + name + ' to ' + newName);
+                    } catch (err) {
+                        setStatus('Rename failed: ' + await describeError(err));
+                    }
+                });
+                actions.appendChild(renameBtn);
+
+                const targets = getSavedFolderNames().filter(f => f.toLowerCase() !== folder.toLowerCase());
+                if (targets.length) {
+                    const moveSelect = document.createElement('select');
+                    moveSelect.className = 'ee-move-target';
+                    const placeholder = document.createElement('option');
+                    placeholder.value = '';
+                    placeholder.textContent = 'Move to...';
+                    moveSelect.appendChild(placeholder);
+                    targets.forEach(t => {
+                        const opt = document.createElement('option');
+                        opt.value = t;
+                        opt.textContent = t;
+                        moveSelect.appendChild(opt);
+                    });
+                    moveSelect.addEventListener('change', async () => {
+                        const target = moveSelect.value;
+                        if (!target) return;
+                        if (!window.confirm('Move ' + name + ' to folder "' + target + '"?')) { moveSelect.value = ''; return; }
+                        try {
+                            await moveFolderFile(folder, name, target, browseUserId());
+                            if (editingName === name) closeEditor();
+                            await refresh();
+                            setStatus('Moved ' + name + ' to ' + target);
+                        } catch (err) {
+                            moveSelect.value = '';
+                            setStatus('Move failed: ' + await describeError(err));
+                        }
+                    });
+                    actions.appendChild(moveSelect);
+                }
+
+                const deleteBtn = createSmallButton('Delete');
+                deleteBtn.addEventListener('click', async () => {
+                    const keepBackup = keepBackupInput.checked;
+                    if (!window.confirm('Delete ' + name + (keepBackup ? ' (a backup will be kept)' : ' permanently') + '?')) return;
+                    try {
+                        await deleteFolderFile(folder, name, keepBackup, browseUserId());
+                        if (editingName === name) closeEditor();
+                        await refresh();
+                        setStatus('Deleted ' + name);
+                    } catch (err) {
+                        setStatus('Delete failed: ' + await describeError(err));
+                    }
+                });
+                actions.appendChild(deleteBtn);
+                row.appendChild(label);
+                row.appendChild(actions);
+                list.appendChild(row);
+            });
+        }
+
+        async function refresh() {
+            const folder = requireFolder();
+            if (!folder) return;
+            setStatus('Loading...');
+            try {
+                await refreshUsers(folder);
+                const names = await listFolderFiles(folder, browseUserId(), getDepth());
+                renderList(folder, names);
+                setStatus(names.length + ' file(s)');
+            } catch (err) {
+                setStatus('List failed: ' + await describeError(err));
+            }
+        }
+
+        async function uploadFiles(files) {
+            const folder = requireFolder();
+            if (!folder || !files || !files.length) return;
+            let done = 0;
+            for (const file of Array.from(files)) {
+                if (!fileNameRegex.test(file.name)) {
+                    setStatus('Skipped "' + file.name + '": only letters, digits, "_", "-" and "." are allowed');
+                    continue;
+                }
+                setStatus('Uploading ' + file.name + '...');
+                progress.value = 0;
+                progress.style.display = '';
+                try {
+                    await uploadFolderFileChunked(folder, file.name, file, browseUserId(), (sent, total) => {
+                        progress.value = Math.round(sent * 100 / total);
+                        setStatus('Uploading ' + file.name + ': ' + formatBytes(sent) + ' / ' + formatBytes(total));
+                    });
+                    done++;
+                } catch (err) {
+                    setStatus('Upload of ' + file.name + ' failed: ' + await describeError(err));
+                    return;
+                } finally {
+                    progress.style.display = 'none';
+                }
+            }
+            await refresh();
+            setStatus('Uploaded ' + done + ' file(s)');
+        }
+
+        refreshBtn.addEventListener('click', refresh);
+
+        newBtn.addEventListener('click', () => {
+            if (!requireFolder()) return;
+            const name = (window.prompt('New file name (e.g. data.json or posters/data.json)') || '').trim();
+            if (!name) return;
+            if (!filePathRegex.test(name)) { setStatus('Invalid file name'); return; }
+            openEditor(name, isJsonFile(name) ? '{}' : '', { 'If-None-Match': '*' });
+        });
+
+        dropZone.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => { uploadFiles(fileInput.files).finally(() => { fileInput.value = ''; }); });
+        dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('ee-dragover'); });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('ee-dragover'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('ee-dragover');
+            uploadFiles(e.dataTransfer && e.dataTransfer.files);
+        });
+
+        userSelect.addEventListener('change', () => { closeEditor(); history.style.display = 'none'; refresh(); startLiveUpdates(); });
+
+        editorText.addEventListener('input', validateEditor);
+        formatBtn.addEventListener('click', () => {
+            try {
+                editorText.value = JSON.stringify(JSON.parse(editorText.value), null, 2);
+                validateEditor();
+            } catch (e) { validateEditor(); }
+        });
+        closeBtn.addEventListener('click', closeEditor);
+        saveBtn.addEventListener('click', async () => {
+            const folder = requireFolder();
+            if (!folder || !editingName || !validateEditor()) return;
+            if (!editorText.value.length) { setStatus('Refusing to save an empty file'); return; }
+            saveBtn.disabled = true;
+            setStatus('Saving ' + editingName + '...');
+            try {
+                const res = await writeFolderFileText(folder, editingName, editorText.value, browseUserId(), editingPreconditions);
+                const etag = res && (res.ETag || res.etag);
+                editingPreconditions = etag ? { 'If-Match': etag } : {};
+                await refresh();
+                setStatus('Saved ' + editingName);
+            } catch (err) {
+                if (err && (err.status === 412 || err.status === 409)) {
+                    // Someone else changed (or created) the file; the next Save overwrites deliberately
+                    editingPreconditions = {};
+                    setStatus(editingName + (err.status === 409 ? ' already exists' : ' was changed elsewhere since you opened it') + '. Save again to overwrite, or Close and reopen to see the latest version.');
+                    return;
+                }
+                setStatus('Save failed: ' + await describeError(err));
+            } finally { saveBtn.disabled = false; }
+        });
+
+        // Live updates: refresh the list when any client changes the folder (Events stream).
+        // EventSource cannot send headers, so the token goes in api_key.
+        let eventSource = null;
+        let liveRefreshTimer = null;
+        function stopLiveUpdates() {
+            if (eventSource) eventSource.close();
+            eventSource = null;
+        }
+        function startLiveUpdates() {
+            stopLiveUpdates();
+            const folder = getFolder();
+            if (!folder || typeof EventSource === 'undefined') return;
+            eventSource = new EventSource(pluginUrl('Events', { folder: folder, userId: browseUserId(), api_key: getAccessToken() }));
+            const onChange = () => {
+                clearTimeout(liveRefreshTimer);
+                liveRefreshTimer = setTimeout(refresh, 300);
+            };
+            ['created', 'updated', 'deleted'].forEach(type => eventSource.addEventListener(type, onChange));
+        }
+        return {
+            element: panel,
+            toggle: function () {
+                const show = panel.style.display === 'none';
+                panel.style.display = show ? '' : 'none';
+                if (show) {
+                    refresh();
+                    startLiveUpdates();
+                } else {
+                    stopLiveUpdates();
+                }
+                return show;
+            }
+        };
+    }
+    //#endregion file browser
+
+    // Matches PluginConfiguration.FolderReadPolicy; the server may send either the name or the numeric value.
+    const readPolicies = ['Public', 'Authenticated', 'Admin', 'ApiKey'];
+
+    function normalizeReadPolicy(value) {
+        if (typeof value === 'number') return readPolicies[value] || 'Public';
+        const match = readPolicies.find(p => p.toLowerCase() === String(value || '').toLowerCase());
+        return match || 'Public';
+    }
+
+    function createReadPolicySelect(value) {
+        const select = document.createElement('select');
+        select.className = 'ee-read-policy';
+        readPolicies.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p;
+            opt.textContent = p === 'ApiKey' ? 'API key' : p;
+            select.appendChild(opt);
+        });
+        select.value = normalizeReadPolicy(value);
+        return select;
+    }
+
+    //#region json schemas
+    // rules: unsaved [{ FilePattern, Schema }] to check instead of the saved ones
+    function validateFolderFiles(folder, rules) {
+        return ApiClient.ajax({
+            url: pluginUrl('FolderValidate', { folder: folder }),
+            type: 'POST',
+            data: JSON.stringify(rules || []),
+            contentType: 'application/json',
+            dataType: 'json',
+            headers: authHeaders()
+        });
+    }
+
+    // Schema rule list for a folder card. getFolder returns the logical folder name used by the API.
+    function createSchemaEditor(rules, getFolder) {
+        const wrap = document.createElement('div');
+        wrap.className = 'ee-schemas';
+
+        const list = document.createElement('div');
+        wrap.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'ee-row';
+        actions.style.alignItems = 'center';
+        const addBtn = createSmallButton('Add schema');
+        const validateBtn = createSmallButton('Validate existing files');
+        const status = document.createElement('span');
+        status.className = 'ee-files-status';
+        actions.appendChild(addBtn);
+        actions.appendChild(validateBtn);
+        actions.appendChild(status);
+        wrap.appendChild(actions);
+
+        const results = document.createElement('div');
+        results.className = 'ee-schema-results';
+        wrap.appendChild(results);
+
+        function addRule(rule) {
+            const row = document.createElement('div');
+            row.className = 'ee-schema-rule';
+
+            const top = document.createElement('div');
+            top.className = 'ee-row';
+            top.style.alignItems = 'center';
+            const patternLabel = document.createElement('label');
+            patternLabel.textContent = 'Files';
+            const patternInput = document.createElement('input');
+            patternInput.type = 'text';
+            patternInput.className = 'ee-input ee-schema-pattern';
+            patternInput.placeholder = '* (all files), *.json, settings-*.json';
+            patternInput.value = rule?.FilePattern ?? '*';
+            const formatBtn = createSmallButton('Format');
+            const removeBtn = createSmallButton('Remove');
+            top.appendChild(patternLabel);
+            top.appendChild(patternInput);
+            top.appendChild(formatBtn);
+            top.appendChild(removeBtn);
+
+            const text = document.createElement('textarea');
+            text.className = 'ee-input ee-schema-text';
+            text.rows = 8;
+            text.spellcheck = false;
+            text.placeholder = '{ "type": "object", "required": ["items"] }';
+            text.value = rule?.Schema ?? '';
+
+            const error = document.createElement('div');
+            error.className = 'ee-schema-error';
+
+            function checkJson() {
+                const value = text.value.trim();
+                if (!value) { error.textContent = ''; return true; }
+                try {
+                    JSON.parse(value);
+                    error.textContent = '';
+                    return true;
+                } catch (e) {
+                    error.textContent = 'Invalid JSON: ' + e.message;
+                    return false;
+                }
+            }
+
+            formatBtn.addEventListener('click', () => {
+                if (checkJson() && text.value.trim()) text.value = JSON.stringify(JSON.parse(text.value), null, 2);
+            });
+            removeBtn.addEventListener('click', () => row.remove());
+            text.addEventListener('blur', checkJson);
+
+            row._eeGetRule = () => ({ FilePattern: patternInput.value.trim() || '*', Schema: text.value.trim() });
+            row._eeCheckJson = checkJson;
+            row.appendChild(top);
+            row.appendChild(text);
+            row.appendChild(error);
+            list.appendChild(row);
+        }
+
+        function getRules() {
+            return Array.from(list.querySelectorAll('.ee-schema-rule'))
+                .map(r => r._eeGetRule())
+                .filter(r => r.Schema.length > 0);
+        }
+
+        function renderResults(res) {
+            results.innerHTML = '';
+            const files = (res && (res.Files || res.files)) || [];
+            const invalid = files.filter(f => !(f.Valid ?? f.valid));
+            status.textContent = 'Checked ' + files.length + ' file(s), ' + invalid.length + ' invalid';
+            invalid.forEach(f => {
+                const item = document.createElement('div');
+                item.className = 'ee-schema-invalid';
+                const title = document.createElement('strong');
+                title.textContent = f.Name || f.name;
+                item.appendChild(title);
+                const ul = document.createElement('ul');
+                (f.Errors || f.errors || []).forEach(e => {
+                    const li = document.createElement('li');
+                    li.textContent = (e.Path || e.path || '/') + ' ' + (e.Message || e.message);
+                    ul.appendChild(li);
+                });
+                item.appendChild(ul);
+                results.appendChild(item);
+            });
+        }
+
+        addBtn.addEventListener('click', () => addRule({ FilePattern: '*.json', Schema: '' }));
+
+        validateBtn.addEventListener('click', async () => {
+            const folder = getFolder();
+            if (!folder) { status.textContent = 'Folder name required'; return; }
+            const rows = Array.from(list.querySelectorAll('.ee-schema-rule'));
+            if (!rows.every(r => r._eeCheckJson())) { status.textContent = 'Fix the invalid schema first'; return; }
+            const current = getRules();
+            if (!current.length) { status.textContent = 'No schemas to validate against'; results.innerHTML = ''; return; }
+            status.textContent = 'Validating...';
+            validateBtn.disabled = true;
+            try {
+                renderResults(await validateFolderFiles(folder, current));
+            } catch (err) {
+                status.textContent = 'Error: ' + await describeError(err);
+            } finally {
+                validateBtn.disabled = false;
+            }
+        });
+
+        (rules || []).forEach(addRule);
+
+        return { element: wrap, getRules: getRules };
+    }
+    //#endregion json schemas
+
+    //#region webhooks
+    const webhookEventTypes = ['created', 'updated', 'deleted'];
+
+    function newWebhookId() {
+        const bytes = new Uint8Array(8);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function testWebhook(hook, folder) {
+        return ApiClient.ajax({
+            url: pluginUrl('WebhookTest', { folder: folder }),
+            type: 'POST',
+            data: JSON.stringify(hook),
+            contentType: 'application/json',
+            dataType: 'json',
+            headers: authHeaders()
+        });
+    }
+
+    function listWebhookDeliveries() {
+        return ApiClient.ajax({ url: pluginUrl('WebhookDeliveries', { limit: 100 }), type: 'GET', dataType: 'json', headers: authHeaders() })
+            .then(res => Array.isArray(res) ? res : []);
+    }
+
+    function describeDelivery(d) {
+        if (d.State === 'delivered') return 'Delivered (' + d.StatusCode + ')';
+        return (d.State === 'pending' ? 'Retrying' : 'Failed') + ': ' + (d.Error || 'no response') + ' after ' + d.Attempts + ' attempt(s)';
+    }
+
+    // Webhook list for a folder card or the output directory. getFolder returns the folder name ('' for the output directory).
+    function createWebhookEditor(hooks, getFolder) {
+        const wrap = document.createElement('div');
+        wrap.className = 'ee-schemas';
+
+        const list = document.createElement('div');
+        list.className = 'ee-schemas';
+        wrap.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'ee-row';
+        actions.style.alignItems = 'center';
+        const addBtn = createSmallButton('Add webhook');
+        actions.appendChild(addBtn);
+        wrap.appendChild(actions);
+
+        function addHook(hook) {
+            const id = hook?.Id || newWebhookId();
+            const row = document.createElement('div');
+            row.className = 'ee-schema-rule ee-webhook';
+
+            const top = document.createElement('div');
+            top.className = 'ee-row';
+            top.style.alignItems = 'center';
+            const urlInput = document.createElement('input');
+            urlInput.type = 'text';
+            urlInput.className = 'ee-input ee-schema-pattern';
+            urlInput.placeholder = 'https://example.com/hooks/jellyfin';
+            urlInput.value = hook?.Url ?? '';
+            const enabledLabel = document.createElement('label');
+            const enabledInput = document.createElement('input');
+            enabledInput.type = 'checkbox';
+            enabledInput.checked = hook?.Enabled !== false;
+            enabledLabel.appendChild(enabledInput);
+            enabledLabel.appendChild(document.createTextNode(' Enabled'));
+            const testBtn = createSmallButton('Test');
+            const removeBtn = createSmallButton('Remove');
+            top.appendChild(urlInput);
+            top.appendChild(enabledLabel);
+            top.appendChild(testBtn);
+            top.appendChild(removeBtn);
+
+            const filters = document.createElement('div');
+            filters.className = 'ee-row';
+            filters.style.alignItems = 'center';
+            const patternInput = document.createElement('input');
+            patternInput.type = 'text';
+            patternInput.className = 'ee-input';
+            patternInput.placeholder = 'Files: * (all), *.json';
+            patternInput.value = hook?.FilePattern ?? '*';
+            filters.appendChild(patternInput);
+            const selected = (hook?.Events || []).map(e => String(e).toLowerCase());
+            const eventInputs = webhookEventTypes.map(type => {
+                const label = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = !selected.length || selected.indexOf(type) >= 0;
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(' ' + type));
+                filters.appendChild(label);
+                return input;
+            });
+            const secretInput = document.createElement('input');
+            secretInput.type = 'password';
+            secretInput.className = 'ee-input';
+            secretInput.placeholder = 'Signing secret (optional)';
+            secretInput.autocomplete = 'new-password';
+            secretInput.value = hook?.Secret ?? '';
+            filters.appendChild(secretInput);
+
+            const status = document.createElement('div');
+            status.className = 'ee-files-status';
+
+            const getHook = () => {
+                const events = webhookEventTypes.filter((type, i) => eventInputs[i].checked);
+                return {
+                    Id: id,
+                    Url: urlInput.value.trim(),
+                    Events: events.length === webhookEventTypes.length ? [] : events,
+                    FilePattern: patternInput.value.trim() || '*',
+                    Secret: secretInput.value || null,
+                    Enabled: enabledInput.checked
+                };
+            };
+
+            testBtn.addEventListener('click', async () => {
+                const current = getHook();
+                if (!current.Url) { status.textContent = 'URL required'; return; }
+                status.textContent = 'Sending test event...';
+                testBtn.disabled = true;
+                try {
+                    status.textContent = describeDelivery(await testWebhook(current, getFolder()));
+                } catch (err) {
+                    status.textContent = 'Error: ' + await describeError(err);
+                } finally {
+                    testBtn.disabled = false;
+                }
+            });
+            removeBtn.addEventListener('click', () => row.remove());
+
+            row._eeGetHook = getHook;
+            row.appendChild(top);
+            row.appendChild(filters);
+            row.appendChild(status);
+            list.appendChild(row);
+        }
+
+        function getHooks() {
+            return Array.from(list.querySelectorAll('.ee-webhook'))
+                .map(r => r._eeGetHook())
+                .filter(h => h.Url.length > 0);
+        }
+
+        addBtn.addEventListener('click', () => addHook(null));
+        (hooks || []).forEach(addHook);
+
+        return { element: wrap, getHooks: getHooks };
+    }
+
+    function setWebhookStatus(text) {
+        const el = document.getElementById('ee-webhook-status');
+        if (el) el.textContent = text || '';
+    }
+
+    async function refreshWebhookDeliveries() {
+        const list = document.getElementById('ee-webhook-list');
+        if (!list) return;
+        let deliveries;
+        try {
+            deliveries = await listWebhookDeliveries();
+        } catch (err) {
+            list.innerHTML = '';
+            setWebhookStatus('Failed to load deliveries: ' + await describeError(err));
+            return;
+        }
+
+        list.innerHTML = '';
+        setWebhookStatus('');
+        if (!deliveries.length) {
+            const empty = document.createElement('div');
+            empty.className = 'muted';
+            empty.textContent = 'No deliveries since Jellyfin started.';
+            list.appendChild(empty);
+            return;
+        }
+
+        deliveries.forEach(d => {
+            const row = document.createElement('div');
+            row.className = 'ee-activity-row' + (d.State === 'delivered' ? '' : ' ee-activity-fail');
+
+            const time = document.createElement('span');
+            time.textContent = formatUtc(d.CreatedUtc);
+
+            const op = document.createElement('span');
+            op.className = 'ee-activity-op';
+            op.textContent = d.Event;
+
+            const code = document.createElement('span');
+            code.className = 'ee-activity-code';
+            code.textContent = d.State === 'delivered' ? String(d.StatusCode) : d.State;
+
+            const meta = document.createElement('span');
+            meta.className = 'ee-activity-meta';
+            meta.textContent = (d.Folder ?? 'output') + (d.Name ? '/' + d.Name : '') + ' · ' + d.Url + ' · ' + describeDelivery(d) +
+                (d.NextAttemptUtc ? ' · next ' + formatUtc(d.NextAttemptUtc) : '');
+
+            row.appendChild(time);
+            row.appendChild(op);
+            row.appendChild(code);
+            row.appendChild(meta);
+            list.appendChild(row);
+        });
+    }
+
+    let outputWebhookEditor = null;
+
+    function renderOutputWebhooks(hooks) {
+        const container = document.getElementById('ee-output-webhooks');
+        if (!container) return;
+        container.innerHTML = '';
+        outputWebhookEditor = createWebhookEditor(hooks, () => '');
+        container.appendChild(outputWebhookEditor.element);
+    }
+
+    function wireWebhooks() {
+        const refreshBtn = document.getElementById('ee-webhook-refresh');
+        if (!refreshBtn) return;
+        refreshBtn.addEventListener('click', () => refreshWebhookDeliveries());
+        refreshWebhookDeliveries();
+    }
+    //#endregion webhooks
+
+    //#region retention
+    // folder: limit to one folder (omit for every folder); dryRun lists what would be deleted
+    function runRetention(folder, dryRun) {
+        return ApiClient.ajax({
+            url: pluginUrl('RetentionRun', { folder: folder || undefined, dryRun: dryRun ? 'true' : undefined }),
+            type: 'POST',
+            dataType: 'json',
+            headers: authHeaders()
+        });
+    }
+
+    function listRetentionLog() {
+        return ApiClient.ajax({ url: pluginUrl('RetentionLog', { limit: 20 }), type: 'GET', dataType: 'json', headers: authHeaders() })
+            .then(res => Array.isArray(res) ? res : []);
+    }
+
+    function describeRetentionFile(f) {
+        const name = (f.UserId ? 'users/' + f.UserId + '/' : '') + f.Name;
+        const why = f.Reason === 'count' ? 'beyond the newest files' : 'older than the limit';
+        return name + ' (' + formatBytes(f.Size) + ', modified ' + formatUtc(f.LastModifiedUtc) + ', ' + why + ' for ' + f.FilePattern + (f.KeepBackup === false ? ', no backup' : '') + ')' +
+            (f.Error ? ' · ' + f.Error : '');
+    }
+
+    function renderRetentionFiles(container, result, showFolder) {
+        container.innerHTML = '';
+        (result.Files || []).forEach(f => {
+            const item = document.createElement('div');
+            item.className = 'ee-retention-file' + (f.Error ? ' ee-activity-fail' : '');
+            item.textContent = (showFolder ? f.Folder + '/' : '') + describeRetentionFile(f);
+            container.appendChild(item);
+        });
+    }
+
+    // Retention rule list for a folder card. getFolder returns the logical folder name used by the API.
+    function createRetentionEditor(rules, getFolder) {
+        const wrap = document.createElement('div');
+        wrap.className = 'ee-schemas';
+
+        const list = document.createElement('div');
+        wrap.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'ee-row';
+        actions.style.alignItems = 'center';
+        const addBtn = createSmallButton('Add rule');
+        const previewBtn = createSmallButton('Preview');
+        previewBtn.title = 'List the files the saved rules would delete now';
+        const runBtn = createSmallButton('Run now');
+        const status = document.createElement('span');
+        status.className = 'ee-files-status';
+        actions.appendChild(addBtn);
+        actions.appendChild(previewBtn);
+        actions.appendChild(runBtn);
+        actions.appendChild(status);
+        wrap.appendChild(actions);
+
+        const results = document.createElement('div');
+        results.className = 'ee-schema-results';
+        wrap.appendChild(results);
+
+        const numberInput = (value, placeholder, title) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.className = 'ee-input ee-retention-limit';
+            input.placeholder = placeholder;
+            input.title = title;
+            input.value = value > 0 ? String(value) : '';
+            return input;
+        };
+
+        function addRule(rule) {
+            const row = document.createElement('div');
+            row.className = 'ee-row ee-retention-rule';
+            row.style.alignItems = 'center';
+
+            const patternInput = document.createElement('input');
+            patternInput.type = 'text';
+            patternInput.className = 'ee-input ee-schema-pattern';
+            patternInput.placeholder = 'Files: * (all), thumbs/*.jpg, session-*.json';
+            patternInput.value = rule?.FilePattern ?? '*';
+            const ageInput = numberInput(rule?.MaxAgeHours, 'Max age (hours)', 'Delete matching files not modified for this many hours. Empty = no age limit');
+            const countInput = numberInput(rule?.MaxFiles, 'Max files', 'Keep only this many of the newest matching files (per user in user-scoped folders). Empty = no limit');
+            const backupLabel = document.createElement('span');
+            backupLabel.className = 'ee-files-status';
+            backupLabel.title = 'Keep a backup of each deleted file. Untick for scratch data nobody restores';
+            const backupInput = document.createElement('input');
+            backupInput.type = 'checkbox';
+            backupInput.checked = rule?.KeepBackup !== false;
+            backupLabel.appendChild(backupInput);
+            backupLabel.appendChild(document.createTextNode(' Keep backup'));
+            const removeBtn = createSmallButton('Remove');
+            removeBtn.addEventListener('click', () => row.remove());
+
+            row.appendChild(patternInput);
+            row.appendChild(ageInput);
+            row.appendChild(countInput);
+            row.appendChild(backupLabel);
+            row.appendChild(removeBtn);
+
+            row._eeGetRule = () => ({
+                FilePattern: patternInput.value.trim() || '*',
+                MaxAgeHours: Math.max(0, parseInt(ageInput.value, 10) || 0),
+                MaxFiles: Math.max(0, parseInt(countInput.value, 10) || 0),
+                KeepBackup: backupInput.checked
+            });
+            list.appendChild(row);
+        }
+
+        function getRules() {
+            return Array.from(list.querySelectorAll('.ee-retention-rule'))
+                .map(r => r._eeGetRule())
+                .filter(r => r.MaxAgeHours > 0 || r.MaxFiles > 0);
+        }
+
+        async function run(dryRun, button) {
+            const folder = getFolder();
+            if (!folder) { status.textContent = 'Folder name required'; return; }
+            if (!dryRun && !window.confirm('Delete the files the saved retention rules of "' + folder + '" select? Rules without Keep backup keep no backups.')) return;
+            status.textContent = dryRun ? 'Checking...' : 'Sweeping...';
+            button.disabled = true;
+            try {
+                const result = await runRetention(folder, dryRun);
+                status.textContent = dryRun
+                    ? result.FileCount + ' file(s), ' + formatBytes(result.TotalBytes) + ' would be deleted'
+                    : 'Deleted ' + result.FileCount + ' file(s), ' + formatBytes(result.TotalBytes);
+                renderRetentionFiles(results, result, false);
+                if (!dryRun) refreshRetentionLog();
+            } catch (err) {
+                status.textContent = 'Error: ' + await describeError(err);
+            } finally {
+                button.disabled = false;
+            }
+        }
+
+        addBtn.addEventListener('click', () => addRule({ FilePattern: '*', MaxAgeHours: 24 * 7, MaxFiles: 0 }));
+        previewBtn.addEventListener('click', () => run(true, previewBtn));
+        runBtn.addEventListener('click', () => run(false, runBtn));
+        (rules || []).forEach(addRule);
+
+        return { element: wrap, getRules: getRules };
+    }
+
+    function setRetentionStatus(text) {
+        const el = document.getElementById('ee-retention-status');
+        if (el) el.textContent = text || '';
+    }
+
+    async function refreshRetentionLog() {
+        const list = document.getElementById('ee-retention-list');
+        if (!list) return;
+        let sweeps;
+        try {
+            sweeps = await listRetentionLog();
+        } catch (err) {
+            list.innerHTML = '';
+            setRetentionStatus('Failed to load sweeps: ' + await describeError(err));
+            return;
+        }
+
+        list.innerHTML = '';
+        setRetentionStatus('');
+        if (!sweeps.length) {
+            const empty = document.createElement('div');
+            empty.className = 'muted';
+            empty.textContent = 'No files removed since Jellyfin started.';
+            list.appendChild(empty);
+            return;
+        }
+
+        sweeps.forEach(r => {
+            const row = document.createElement('div');
+            row.className = 'ee-activity-row';
+
+            const time = document.createElement('span');
+            time.textContent = formatUtc(r.StartedUtc);
+
+            const op = document.createElement('span');
+            op.className = 'ee-activity-op';
+            op.textContent = r.Trigger;
+
+            const code = document.createElement('span');
+            code.className = 'ee-activity-code';
+            code.textContent = String(r.FileCount);
+
+            const meta = document.createElement('span');
+            meta.className = 'ee-activity-meta';
+            meta.textContent = (r.Folder || 'all folders') + ' · ' + r.FileCount + ' file(s), ' + formatBytes(r.TotalBytes);
+
+            const files = document.createElement('div');
+            files.className = 'ee-retention-files';
+            files.style.display = 'none';
+            renderRetentionFiles(files, r, true);
+            row.style.cursor = 'pointer';
+            row.title = 'Show the files';
+            row.addEventListener('click', () => { files.style.display = files.style.display === 'none' ? '' : 'none'; });
+
+            row.appendChild(time);
+            row.appendChild(op);
+            row.appendChild(code);
+            row.appendChild(meta);
+            list.appendChild(row);
+            list.appendChild(files);
+        });
+    }
+
+    function wireRetention() {
+        const refreshBtn = document.getElementById('ee-retention-refresh');
+        if (!refreshBtn) return;
+        refreshBtn.addEventListener('click', () => refreshRetentionLog());
+
+        const runBtn = document.getElementById('ee-retention-run');
+        runBtn?.addEventListener('click', async () => {
+            if (!window.confirm('Apply the saved retention rules of every folder now? Rules without Keep backup keep no backups.')) return;
+            runBtn.disabled = true;
+            setRetentionStatus('Sweeping...');
+            try {
+                const result = await runRetention(null, false);
+                await refreshRetentionLog();
+                setRetentionStatus('Deleted ' + result.FileCount + ' file(s), ' + formatBytes(result.TotalBytes));
+            } catch (err) {
+                setRetentionStatus('Error: ' + await describeError(err));
+            } finally {
+                runBtn.disabled = false;
+            }
+        });
+        refreshRetentionLog();
+    }
+    //#endregion retention
+
+    //#region api keys
+    function listApiKeys() {
+        return ApiClient.ajax({ url: pluginUrl('ApiKeys'), type: 'GET', dataType: 'json', headers: authHeaders() })
+            .then(res => Array.isArray(res) ? res : []);
+    }
+
+    function createApiKey(data) {
+        return ApiClient.ajax({
+            url: pluginUrl('ApiKeyCreate'),
+            type: 'POST',
+            data: JSON.stringify(data),
+            contentType: 'application/json',
+            dataType: 'json',
+            headers: authHeaders()
+        });
+    }
+
+    function revokeApiKey(id) {
+        return ApiClient.ajax({ url: pluginUrl('ApiKeyRevoke', { id: id }), type: 'POST', headers: authHeaders() });
+    }
+
+    function rotateApiKey(id) {
+        return ApiClient.ajax({ url: pluginUrl('ApiKeyRotate', { id: id }), type: 'POST', dataType: 'json', headers: authHeaders() });
+    }
+
+    function splitCommaList(text) {
+        return (text || '').split(',').map(s => s.trim()).filter(s => s.length > 0);
+    }
+
+    function formatUtc(value) {
+        if (!value) return 'never';
+        const d = new Date(value);
+        return isNaN(d.getTime()) ? String(value) : d.toLocaleString();
+    }
+
+    // Show a freshly issued key once; it cannot be retrieved again
+    function showApiKeySecret(name, key) {
+        const box = document.getElementById('ee-apikey-secret');
+        if (!box) return;
+        box.innerHTML = '';
+        const label = document.createElement('div');
+        label.textContent = 'Key for "' + name + '" (copy it now, it will not be shown again):';
+        const code = document.createElement('code');
+        code.textContent = key;
+        const copyBtn = createSmallButton('Copy');
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(key);
+                copyBtn.textContent = 'Copied';
+            } catch (e) {
+                copyBtn.textContent = 'Copy failed';
+            }
+        });
+        const hideBtn = createSmallButton('Hide');
+        hideBtn.addEventListener('click', () => { box.innerHTML = ''; box.style.display = 'none'; });
+        box.appendChild(label);
+        box.appendChild(code);
+        box.appendChild(document.createElement('br'));
+        box.appendChild(copyBtn);
+        box.appendChild(hideBtn);
+        box.style.display = '';
+    }
+
+    function setApiKeyStatus(text) {
+        const el = document.getElementById('ee-apikey-status');
+        if (el) el.textContent = text || '';
+    }
+
+    async function refreshApiKeys() {
+        const list = document.getElementById('ee-apikeys-list');
+        if (!list) return;
+        let keys;
+        try {
+            keys = await listApiKeys();
+        } catch (err) {
+            list.innerHTML = '';
+            setApiKeyStatus('Failed to load API keys: ' + await describeError(err));
+            return;
+        }
+
+        list.innerHTML = '';
+        if (!keys.length) {
+            const empty = document.createElement('div');
+            empty.className = 'muted';
+            empty.textContent = 'No API keys yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        keys.forEach(k => {
+            const row = document.createElement('div');
+            row.className = 'ee-apikey-row' + (k.Expired ? ' ee-apikey-expired' : '');
+
+            const name = document.createElement('span');
+            name.className = 'ee-apikey-name';
+            name.textContent = k.Name + (k.Prefix ? ' (' + k.Prefix + '…)' : '');
+
+            const meta = document.createElement('span');
+            meta.className = 'ee-apikey-meta';
+            meta.textContent = 'read: ' + ((k.ReadFolders || []).join(', ') || '-') +
+                ' · write: ' + ((k.WriteFolders || []).join(', ') || '-') +
+                ' · created: ' + formatUtc(k.CreatedUtc) +
+                ' · expires: ' + (k.ExpiresUtc ? formatUtc(k.ExpiresUtc) : 'never') + (k.Expired ? ' (expired)' : '') +
+                ' · last used: ' + formatUtc(k.LastUsedUtc);
+
+            const rotateBtn = createSmallButton('Rotate');
+            rotateBtn.addEventListener('click', async () => {
+                if (!confirm('Rotate "' + k.Name + '"? The current key stops working immediately.')) return;
+                try {
+                    const res = await rotateApiKey(k.Id);
+                    showApiKeySecret(k.Name, res.Key);
+                    setApiKeyStatus('Rotated ' + k.Name);
+                    await refreshApiKeys();
+                } catch (err) {
+                    setApiKeyStatus('Rotate failed: ' + await describeError(err));
+                }
+            });
+
+            const revokeBtn = createSmallButton('Revoke');
+            revokeBtn.addEventListener('click', async () => {
+                if (!confirm('Revoke "' + k.Name + '"? Clients using it will lose access.')) return;
+                try {
+                    await revokeApiKey(k.Id);
+                    setApiKeyStatus('Revoked ' + k.Name);
+                    await refreshApiKeys();
+                } catch (err) {
+                    setApiKeyStatus('Revoke failed: ' + await describeError(err));
+                }
+            });
+
+            row.appendChild(name);
+            row.appendChild(meta);
+            row.appendChild(rotateBtn);
+            row.appendChild(revokeBtn);
+            list.appendChild(row);
+        });
+    }
+
+    function wireApiKeys() {
+        const createBtn = document.getElementById('ee-apikey-create');
+        if (!createBtn) return;
+        createBtn.addEventListener('click', async () => {
+            const nameEl = document.getElementById('ee-apikey-name');
+            const readEl = document.getElementById('ee-apikey-read');
+            const writeEl = document.getElementById('ee-apikey-write');
+            const expiresEl = document.getElementById('ee-apikey-expires');
+            const name = nameEl ? nameEl.value.trim() : '';
+            if (!name) { setApiKeyStatus('Name required'); return; }
+
+            const data = {
+                Name: name,
+                ReadFolders: splitCommaList(readEl && readEl.value),
+                WriteFolders: splitCommaList(writeEl && writeEl.value)
+            };
+            // Date inputs give a local date; expire at the end of that day
+            if (expiresEl && expiresEl.value) data.ExpiresUtc = new Date(expiresEl.value + 'T23:59:59').toISOString();
+
+            createBtn.disabled = true;
+            try {
+                const res = await createApiKey(data);
+                showApiKeySecret(name, res.Key);
+                setApiKeyStatus('Created ' + name);
+                [nameEl, readEl, writeEl, expiresEl].forEach(el => { if (el) el.value = ''; });
+                await refreshApiKeys();
+            } catch (err) {
+                setApiKeyStatus('Create failed: ' + await describeError(err));
+            } finally {
+                createBtn.disabled = false;
+            }
+        });
+
+        refreshApiKeys();
+    }
+    //#endregion api keys
+
+    //#region activity
+    function listAuditLog(filters) {
+        return ApiClient.ajax({ url: pluginUrl('AuditLog', filters), type: 'GET', dataType: 'json', headers: authHeaders() })
+            .then(res => Array.isArray(res) ? res : []);
+    }
+
+    function setActivityStatus(text) {
+        const el = document.getElementById('ee-activity-status');
+        if (el) el.textContent = text || '';
+    }
+
+    // Collect the filter inputs; date inputs are local days, so "to" covers the whole day
+    function getActivityFilters() {
+        const value = id => {
+            const el = document.getElementById(id);
+            return el ? el.value.trim() : '';
+        };
+        const filters = { limit: 200 };
+        if (value('ee-activity-user')) filters.user = value('ee-activity-user');
+        if (value('ee-activity-operation')) filters.operation = value('ee-activity-operation');
+        if (value('ee-activity-folder')) filters.folder = value('ee-activity-folder');
+        if (value('ee-activity-file')) filters.file = value('ee-activity-file');
+        if (value('ee-activity-from')) filters.from = new Date(value('ee-activity-from') + 'T00:00:00').toISOString();
+        if (value('ee-activity-to')) filters.to = new Date(value('ee-activity-to') + 'T23:59:59').toISOString();
+        if (document.getElementById('ee-activity-failed')?.checked) filters.failed = true;
+        return filters;
+    }
+
+    function describeAuditActor(entry) {
+        const user = entry.UserName || entry.UserId;
+        if (user && entry.ApiKeyName) return user + ' (key ' + entry.ApiKeyName + ')';
+        if (user) return user;
+        if (entry.ApiKeyName) return 'key ' + entry.ApiKeyName;
+        return 'anonymous';
+    }
+
+    async function refreshActivity() {
+        const list = document.getElementById('ee-activity-list');
+        if (!list) return;
+        let entries;
+        try {
+            entries = await listAuditLog(getActivityFilters());
+        } catch (err) {
+            list.innerHTML = '';
+            setActivityStatus('Failed to load activity: ' + await describeError(err));
+            return;
+        }
+
+        list.innerHTML = '';
+        setActivityStatus(entries.length >= 200 ? 'Showing the latest 200 entries; narrow the filters to see older ones.' : '');
+        if (!entries.length) {
+            const empty = document.createElement('div');
+            empty.className = 'muted';
+            empty.textContent = 'No matching activity.';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(e => {
+            const ok = e.StatusCode >= 200 && e.StatusCode < 300;
+            const row = document.createElement('div');
+            row.className = 'ee-activity-row' + (ok ? '' : ' ee-activity-fail');
+
+            const time = document.createElement('span');
+            time.textContent = formatUtc(e.TimestampUtc);
+
+            const op = document.createElement('span');
+            op.className = 'ee-activity-op';
+            op.textContent = e.Operation;
+
+            const code = document.createElement('span');
+            code.className = 'ee-activity-code';
+            code.textContent = String(e.StatusCode);
+
+            const target = [e.Folder, e.File].filter(Boolean).join('/');
+            const meta = document.createElement('span');
+            meta.className = 'ee-activity-meta';
+            meta.textContent = (target || '-') +
+                (e.Target ? ' → ' + e.Target : '') +
+                (e.Bytes != null ? ' · ' + formatBytes(e.Bytes) : '') +
+                ' · ' + describeAuditActor(e) +
+                (e.ClientIp ? ' · ' + e.ClientIp : '') +
+                (e.Error ? ' · ' + e.Error : '');
+
+            row.appendChild(time);
+            row.appendChild(op);
+            row.appendChild(code);
+            row.appendChild(meta);
+            list.appendChild(row);
+        });
+    }
+
+    function wireActivity() {
+        const refreshBtn = document.getElementById('ee-activity-refresh');
+        if (!refreshBtn) return;
+        refreshBtn.addEventListener('click', () => refreshActivity());
+        document.getElementById('ee-activity-failed')?.addEventListener('change', () => refreshActivity());
+        document.getElementById('ee-activity-operation')?.addEventListener('change', () => refreshActivity());
+
+        refreshActivity();
+    }
+    //#endregion activity
+
+    //#region rate limits
+    function getRateLimits() {
+        return ApiClient.ajax({ url: pluginUrl('RateLimits'), type: 'GET', dataType: 'json', headers: authHeaders() });
+    }
+
+    function unlockClientIp(ip) {
+        return ApiClient.ajax({ url: pluginUrl('RateLimitUnlock', { ip: ip }), type: 'POST', headers: authHeaders() });
+    }
+
+    function setRateLimitStatus(text) {
+        const el = document.getElementById('ee-ratelimit-status');
+        if (el) el.textContent = text || '';
+    }
+
+    function describeRateLimitScope(scope) {
+        if (scope === 'ip') return 'IP';
+        if (scope === 'key') return 'API key';
+        if (scope === 'user') return 'User';
+        return scope.indexOf('folder:') === 0 ? 'Folder ' + scope.substring(7) : scope;
+    }
+
+    async function refreshRateLimits() {
+        const list = document.getElementById('ee-ratelimit-list');
+        const lockoutList = document.getElementById('ee-ratelimit-lockouts');
+        if (!list || !lockoutList) return;
+        let data;
+        try {
+            data = await getRateLimits();
+        } catch (err) {
+            list.innerHTML = '';
+            lockoutList.innerHTML = '';
+            setRateLimitStatus('Failed to load rate limits: ' + await describeError(err));
+            return;
+        }
+
+        const counters = (data && data.Counters) || [];
+        const lockouts = (data && data.Lockouts) || [];
+        list.innerHTML = '';
+        lockoutList.innerHTML = '';
+        setRateLimitStatus(data && data.Enabled ? '' : 'Rate limiting is off; only the failed login lockout applies.');
+
+        lockouts.forEach(l => {
+            const row = document.createElement('div');
+            row.className = 'ee-activity-row' + (l.LockedUntilUtc ? ' ee-activity-fail' : '');
+
+            const ip = document.createElement('span');
+            ip.className = 'ee-activity-op';
+            ip.textContent = l.ClientIp;
+
+            const state = document.createElement('span');
+            state.className = 'ee-activity-code';
+            state.textContent = l.LockedUntilUtc ? 'locked' : 'watching';
+
+            const meta = document.createElement('span');
+            meta.className = 'ee-activity-meta';
+            meta.textContent = l.Failures + ' failed login(s)' + (l.LockedUntilUtc ? ' · until ' + formatUtc(l.LockedUntilUtc) : '');
+
+            const unlockBtn = createSmallButton('Unlock');
+            unlockBtn.addEventListener('click', async () => {
+                unlockBtn.disabled = true;
+                try {
+                    await unlockClientIp(l.ClientIp);
+                } catch (err) {
+                    setRateLimitStatus('Unlock failed: ' + await describeError(err));
+                }
+                refreshRateLimits();
+            });
+
+            row.appendChild(ip);
+            row.appendChild(state);
+            row.appendChild(meta);
+            row.appendChild(unlockBtn);
+            lockoutList.appendChild(row);
+        });
+
+        if (!counters.length) {
+            const empty = document.createElement('div');
+            empty.className = 'muted';
+            empty.textContent = 'No requests counted yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        counters.forEach(c => {
+            const row = document.createElement('div');
+            row.className = 'ee-activity-row' + (c.Limited > 0 ? ' ee-activity-fail' : '');
+
+            const scope = document.createElement('span');
+            scope.className = 'ee-activity-op';
+            scope.textContent = describeRateLimitScope(c.Scope);
+
+            const available = document.createElement('span');
+            available.className = 'ee-activity-code';
+            available.textContent = c.Available + '/' + c.Capacity;
+            available.title = 'Requests available now / burst capacity';
+
+            const meta = document.createElement('span');
+            meta.className = 'ee-activity-meta';
+            meta.textContent = c.Subject + ' · ' + c.PerMinute + '/min · ' + c.Allowed + ' allowed · ' + c.Limited + ' limited · last ' + formatUtc(c.LastSeenUtc);
+
+            row.appendChild(scope);
+            row.appendChild(available);
+            row.appendChild(meta);
+            list.appendChild(row);
+        });
+    }
+
+    function wireRateLimits() {
+        const refreshBtn = document.getElementById('ee-ratelimit-refresh');
+        if (!refreshBtn) return;
+        refreshBtn.addEventListener('click', () => refreshRateLimits());
+        refreshRateLimits();
+    }
+    //#endregion rate limits
+
+    //#region export / import
+    async function downloadConfigurationExport() {
+        const res = await fetch(pluginUrl('ConfigurationExport'), { headers: authHeaders(), credentials: 'same-origin' });
+        if (!res.ok) throw res;
+        const match = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '');
+        const url = URL.createObjectURL(await res.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = match ? match[1] : 'endpointexposer-config.json';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function importConfiguration(text, dryRun, createFolders) {
+        return ApiClient.ajax({
+            url: pluginUrl('ConfigurationImport', { dryRun: dryRun, createFolders: createFolders }),
+            type: 'POST',
+            data: text,
+            contentType: 'application/json',
+            dataType: 'json',
+            headers: authHeaders()
+        });
+    }
+
+    function setTransferStatus(text) {
+        const el = document.getElementById('ee-transfer-status');
+        if (el) el.textContent = text || '';
+    }
+
+    function describeSettingChanges(changes) {
+        return (changes || []).map(c => c.Field + ': ' + (c.From ?? 'none') + ' → ' + (c.To ?? 'none')).join(' · ');
+    }
+
+    function renderImportDiff(diff) {
+        const list = document.getElementById('ee-transfer-diff');
+        if (!list) return;
+        list.innerHTML = '';
+
+        const addRow = (label, name, meta, highlight) => {
+            const row = document.createElement('div');
+            row.className = 'ee-activity-row' + (highlight ? ' ee-activity-fail' : '');
+            const op = document.createElement('span');
+            op.className = 'ee-activity-op';
+            op.textContent = label;
+            const code = document.createElement('span');
+            code.className = 'ee-activity-code';
+            code.textContent = name;
+            const detail = document.createElement('span');
+            detail.className = 'ee-activity-meta';
+            detail.textContent = meta;
+            row.appendChild(op);
+            row.appendChild(code);
+            row.appendChild(detail);
+            list.appendChild(row);
+        };
+
+        (diff.Added || []).forEach(f => addRow('Added', f.Name, f.RelativePath + (f.ExistsOnDisk ? ' · already on disk' : ' · not on disk yet'), false));
+        (diff.Removed || []).forEach(f => addRow('Removed', f.Name, f.RelativePath + (f.ExistsOnDisk ? ' · files stay on disk' : ''), true));
+        (diff.Changed || []).forEach(f => addRow('Changed', f.Name, describeSettingChanges(f.Changes), false));
+        (diff.Settings || []).forEach(c => addRow('Setting', c.Field, (c.From ?? 'none') + ' → ' + (c.To ?? 'none'), false));
+
+        if (!list.children.length) {
+            const empty = document.createElement('div');
+            empty.className = 'muted';
+            empty.textContent = 'The import matches the current configuration.';
+            list.appendChild(empty);
+        }
+    }
+
+    function wireConfigurationTransfer() {
+        const exportBtn = document.getElementById('ee-transfer-export');
+        const fileInput = document.getElementById('ee-transfer-file');
+        const createInput = document.getElementById('ee-transfer-create');
+        const applyBtn = document.getElementById('ee-transfer-apply');
+        if (!exportBtn || !fileInput || !applyBtn) return;
+
+        // Text of the file the current diff was computed for; Apply sends exactly that
+        let pendingText = null;
+
+        exportBtn.addEventListener('click', async () => {
+            setTransferStatus('');
+            try {
+                await downloadConfigurationExport();
+            } catch (err) {
+                setTransferStatus('Export failed: ' + await describeError(err));
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            pendingText = null;
+            applyBtn.style.display = 'none';
+            const list = document.getElementById('ee-transfer-diff');
+            if (list) list.innerHTML = '';
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) {
+                setTransferStatus('');
+                return;
+            }
+
+            setTransferStatus('Checking ' + file.name + '...');
+            try {
+                const text = await file.text();
+                const res = await importConfiguration(text, true, false);
+                const diff = (res && res.Diff) || {};
+                renderImportDiff(diff);
+                if (diff.HasChanges) {
+                    pendingText = text;
+                    applyBtn.style.display = '';
+                    setTransferStatus('Dry run: nothing saved yet.' + (diff.MissingOnDisk ? ' ' + diff.MissingOnDisk + ' added folder(s) not on disk yet.' : ''));
+                } else {
+                    setTransferStatus('');
+                }
+            } catch (err) {
+                setTransferStatus('Import check failed: ' + await describeError(err));
+            }
+        });
+
+        applyBtn.addEventListener('click', async () => {
+            if (!pendingText) return;
+            applyBtn.disabled = true;
+            try {
+                const res = await importConfiguration(pendingText, false, !!(createInput && createInput.checked));
+                const diff = (res && res.Diff) || {};
+                pendingText = null;
+                fileInput.value = '';
+                applyBtn.style.display = 'none';
+                setTransferStatus('Imported: ' + (diff.Added || []).length + ' added, ' + (diff.Removed || []).length + ' removed, ' + (diff.Changed || []).length + ' changed folder(s).');
+                EndpointExposerConfigurationPage.loadConfiguration(document.getElementById('endpointExposerConfigurationPage'));
+            } catch (err) {
+                setTransferStatus('Import failed: ' + await describeError(err));
+            } finally {
+                applyBtn.disabled = false;
+            }
+        });
+    }
+    //#endregion export / import
+
     function createFolderCard(entry) {
         const card = document.createElement('div');
         card.className = 'ee-folder';
@@ -398,6 +2406,212 @@ function getAccessToken() {
         allowRow.appendChild(allowInput);
         card.appendChild(allowRow);
 
+        // Read Access
+        const readRow = document.createElement('div');
+        readRow.className = 'ee-row';
+        readRow.style.alignItems = 'center';
+        const readLabel = document.createElement('label');
+        readLabel.textContent = 'Read Access';
+        const readSelect = createReadPolicySelect(entry?.ReadPolicy);
+        readRow.appendChild(readLabel);
+        readRow.appendChild(readSelect);
+        card.appendChild(readRow);
+
+        // Per-user storage
+        const scopedRow = document.createElement('div');
+        scopedRow.className = 'ee-row';
+        scopedRow.style.alignItems = 'center';
+        const scopedLabel = document.createElement('label');
+        scopedLabel.textContent = 'Per-user storage';
+        scopedLabel.title = 'Store each Jellyfin user\'s files in a private namespace';
+        const scopedInput = document.createElement('input');
+        scopedInput.type = 'checkbox';
+        scopedInput.className = 'ee-checkbox ee-user-scoped';
+        scopedInput.checked = !!entry?.UserScoped;
+        scopedRow.appendChild(scopedLabel);
+        scopedRow.appendChild(scopedInput);
+        card.appendChild(scopedRow);
+
+        // Key-value mode
+        const kvRow = document.createElement('div');
+        kvRow.className = 'ee-row';
+        kvRow.style.alignItems = 'center';
+        const kvLabel = document.createElement('label');
+        kvLabel.textContent = 'Key-value store';
+        kvLabel.title = 'Enable the KvGet / KvSet / KvDelete / KvList routes; each key is stored as <key>.json in this folder';
+        const kvInput = document.createElement('input');
+        kvInput.type = 'checkbox';
+        kvInput.className = 'ee-checkbox ee-key-value';
+        kvInput.checked = !!entry?.KeyValue;
+        kvRow.appendChild(kvLabel);
+        kvRow.appendChild(kvInput);
+        card.appendChild(kvRow);
+
+        // Quota
+        const quotaRow = document.createElement('div');
+        quotaRow.className = 'ee-row';
+        quotaRow.style.alignItems = 'flex-start';
+        const quotaLabel = document.createElement('label');
+        quotaLabel.textContent = 'Quota';
+        quotaLabel.title = 'Limits apply per user in per-user folders. 0 = unlimited.';
+        const quotaCol = document.createElement('div');
+        quotaCol.className = 'ee-quota';
+        const quotaFields = document.createElement('div');
+        quotaFields.className = 'ee-quota-fields';
+        function createQuotaInput(labelText, value, placeholder) {
+            const wrap = document.createElement('label');
+            wrap.className = 'ee-quota-field';
+            const caption = document.createElement('span');
+            caption.textContent = labelText;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.className = 'ee-input';
+            input.value = value || 0;
+            input.placeholder = placeholder;
+            wrap.appendChild(caption);
+            wrap.appendChild(input);
+            quotaFields.appendChild(wrap);
+            return input;
+        }
+        const maxTotalInput = createQuotaInput('Max total bytes', entry?.MaxTotalBytes, '0 = unlimited');
+        const maxCountInput = createQuotaInput('Max files', entry?.MaxFileCount, '0 = unlimited');
+        const maxFileInput = createQuotaInput('Max bytes per file', entry?.MaxFileBytes, '0 = global limit');
+        const maxDepthInput = createQuotaInput('Max subfolder depth', entry?.MaxDepth, '0 = flat folder');
+        maxDepthInput.max = '16';
+        const typesInput = document.createElement('input');
+        typesInput.type = 'text';
+        typesInput.className = 'ee-input ee-quota-types';
+        typesInput.placeholder = 'Allowed types, e.g. .json, image/* (empty = any)';
+        typesInput.value = (entry?.AllowedTypes || []).join(', ');
+        const usageLine = document.createElement('div');
+        usageLine.className = 'ee-quota-usage';
+        quotaCol.appendChild(quotaFields);
+        quotaCol.appendChild(typesInput);
+        quotaCol.appendChild(usageLine);
+        quotaRow.appendChild(quotaLabel);
+        quotaRow.appendChild(quotaCol);
+        card.appendChild(quotaRow);
+
+        // CORS origins for this folder only
+        const corsRow = document.createElement('div');
+        corsRow.className = 'ee-row';
+        const corsLabel = document.createElement('label');
+        corsLabel.textContent = 'CORS origins';
+        corsLabel.title = 'Origins allowed to call this folder from a browser, in addition to the global CORS origins';
+        const corsInput = document.createElement('input');
+        corsInput.type = 'text';
+        corsInput.className = 'ee-input ee-cors-origins';
+        corsInput.placeholder = 'e.g. http://localhost:5173 (empty = global list only)';
+        corsInput.value = (entry?.CorsAllowedOrigins || []).join(', ');
+        corsRow.appendChild(corsLabel);
+        corsRow.appendChild(corsInput);
+        card.appendChild(corsRow);
+
+        // Per-folder rate limit
+        const rateRow = document.createElement('div');
+        rateRow.className = 'ee-row';
+        const rateLabel = document.createElement('label');
+        rateLabel.textContent = 'Rate limit';
+        rateLabel.title = 'Requests per minute each user, API key or IP may make against this folder (needs rate limiting enabled). 0 = none.';
+        const rateInput = document.createElement('input');
+        rateInput.type = 'number';
+        rateInput.min = '0';
+        rateInput.className = 'ee-input ee-rate-limit';
+        rateInput.placeholder = 'requests per minute, 0 = none';
+        rateInput.value = entry?.RateLimitPerMinute || 0;
+        rateRow.appendChild(rateLabel);
+        rateRow.appendChild(rateInput);
+        card.appendChild(rateRow);
+
+        // Per-folder browser cache
+        const cacheRow = document.createElement('div');
+        cacheRow.className = 'ee-row';
+        const cacheLabel = document.createElement('label');
+        cacheLabel.textContent = 'Browser cache';
+        cacheLabel.title = 'Seconds clients may reuse a file from this folder without asking again. Empty = the global setting, 0 = check every time.';
+        const cacheInput = document.createElement('input');
+        cacheInput.type = 'number';
+        cacheInput.min = '0';
+        cacheInput.className = 'ee-input ee-cache-max-age';
+        cacheInput.placeholder = 'seconds, empty = global setting';
+        cacheInput.value = typeof entry?.CacheMaxAgeSeconds === 'number' && entry.CacheMaxAgeSeconds >= 0 ? entry.CacheMaxAgeSeconds : '';
+        cacheRow.appendChild(cacheLabel);
+        cacheRow.appendChild(cacheInput);
+        card.appendChild(cacheRow);
+
+        function parseLimit(input) {
+            const n = parseInt(input.value, 10);
+            return isNaN(n) || n < 0 ? 0 : n;
+        }
+
+        // Empty = inherit the global setting (-1)
+        function parseCacheMaxAge() {
+            const n = parseInt(cacheInput.value, 10);
+            return isNaN(n) || n < 0 ? -1 : Math.min(n, 31536000);
+        }
+
+        function parseDepth() {
+            return Math.min(parseLimit(maxDepthInput), 16);
+        }
+
+        async function refreshUsage() {
+            const folder = (entry?.Name || entry?.RelativePath || '').trim();
+            if (!folder) { usageLine.textContent = ''; return; }
+            try {
+                const u = await getFolderUsage(folder);
+                const count = u.FileCount ?? u.fileCount ?? 0;
+                const total = u.TotalBytes ?? u.totalBytes ?? 0;
+                const maxCount = u.MaxFileCount ?? u.maxFileCount ?? 0;
+                const maxTotal = u.MaxTotalBytes ?? u.maxTotalBytes ?? 0;
+                usageLine.textContent = 'Usage: ' + count + (maxCount ? ' / ' + maxCount : '') + ' files, '
+                    + formatBytes(total) + (maxTotal ? ' / ' + formatBytes(maxTotal) + ' (' + Math.round(total * 100 / maxTotal) + '%)' : '');
+                usageLine.classList.toggle('ee-quota-full', (maxTotal > 0 && total >= maxTotal) || (maxCount > 0 && count >= maxCount));
+            } catch (err) {
+                usageLine.textContent = 'Usage unavailable: ' + await describeError(err);
+            }
+        }
+        refreshUsage();
+
+        // JSON Schemas
+        const schemaRow = document.createElement('div');
+        schemaRow.className = 'ee-row';
+        schemaRow.style.alignItems = 'flex-start';
+        const schemaLabel = document.createElement('label');
+        schemaLabel.textContent = 'JSON Schemas';
+        schemaLabel.title = 'Writes to matching files must be valid JSON that satisfies the schema (rejected with 422 otherwise)';
+        const schemaEditor = createSchemaEditor(entry?.Schemas, () => nameInput.value.trim() || relInput.value.trim());
+        schemaEditor.element.style.flex = '1';
+        schemaRow.appendChild(schemaLabel);
+        schemaRow.appendChild(schemaEditor.element);
+        card.appendChild(schemaRow);
+
+        // Webhooks
+        const webhookRow = document.createElement('div');
+        webhookRow.className = 'ee-row';
+        webhookRow.style.alignItems = 'flex-start';
+        const webhookLabel = document.createElement('label');
+        webhookLabel.textContent = 'Webhooks';
+        webhookLabel.title = 'POST a JSON event to each URL when a matching file in this folder is created, updated or deleted';
+        const webhookEditor = createWebhookEditor(entry?.Webhooks, () => nameInput.value.trim() || relInput.value.trim());
+        webhookEditor.element.style.flex = '1';
+        webhookRow.appendChild(webhookLabel);
+        webhookRow.appendChild(webhookEditor.element);
+        card.appendChild(webhookRow);
+
+        // Retention
+        const retentionRow = document.createElement('div');
+        retentionRow.className = 'ee-row';
+        retentionRow.style.alignItems = 'flex-start';
+        const retentionLabel = document.createElement('label');
+        retentionLabel.textContent = 'Retention';
+        retentionLabel.title = 'Delete matching files once they are too old, or keep only the newest ones. Swept in the background';
+        const retentionEditor = createRetentionEditor(entry?.RetentionRules, () => nameInput.value.trim() || relInput.value.trim());
+        retentionEditor.element.style.flex = '1';
+        retentionRow.appendChild(retentionLabel);
+        retentionRow.appendChild(retentionEditor.element);
+        card.appendChild(retentionRow);
+
         // Preview
         const previewRow = document.createElement('div');
         previewRow.className = 'ee-row';
@@ -436,12 +2650,99 @@ function getAccessToken() {
         createStatus.style.marginLeft = '8px';
         createStatus.style.color = 'var(--secondaryText)';
         createStatus.style.fontSize = '0.9em';
+        const filesBtn = document.createElement('button');
+        filesBtn.className = 'btn';
+        filesBtn.type = 'button';
+        filesBtn.textContent = 'Browse files';
         createBtnDiv.appendChild(createBtn);
+        createBtnDiv.appendChild(filesBtn);
         createBtnDiv.appendChild(createStatus);
         createRow.appendChild(createBtnDiv);
         createRow.appendChild(removeBtn);
         card.appendChild(createRow);
 
+        // Folder archive: download the whole folder as a ZIP or restore one
+        const archiveRow = document.createElement('div');
+        archiveRow.className = 'ee-row';
+        archiveRow.style.alignItems = 'center';
+        const archiveLabel = document.createElement('label');
+        archiveLabel.textContent = 'Archive';
+        archiveLabel.title = 'Back up or migrate every file of the folder as one ZIP (admin only)';
+        const archiveDownloadBtn = createSmallButton('Download ZIP');
+        const archiveBackupsInput = document.createElement('input');
+        archiveBackupsInput.type = 'checkbox';
+        archiveBackupsInput.className = 'ee-checkbox';
+        archiveBackupsInput.title = 'Include the backups subfolders';
+        const archiveBackupsLabel = document.createElement('span');
+        archiveBackupsLabel.textContent = 'with backups';
+        const archiveRestoreBtn = createSmallButton('Restore ZIP');
+        const archiveModeSelect = document.createElement('select');
+        archiveModeSelect.className = 'ee-archive-mode';
+        [['merge', 'Merge'], ['replace', 'Replace (delete files not in the ZIP)']].forEach(([value, text]) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            archiveModeSelect.appendChild(opt);
+        });
+        const archiveFileInput = document.createElement('input');
+        archiveFileInput.type = 'file';
+        archiveFileInput.accept = '.zip,application/zip';
+        archiveFileInput.style.display = 'none';
+        const archiveStatus = document.createElement('span');
+        archiveStatus.style.color = 'var(--secondaryText)';
+        archiveStatus.style.fontSize = '0.9em';
+        [archiveLabel, archiveDownloadBtn, archiveBackupsInput, archiveBackupsLabel, archiveRestoreBtn, archiveModeSelect, archiveFileInput, archiveStatus]
+            .forEach(el => archiveRow.appendChild(el));
+        card.appendChild(archiveRow);
+
+        function archiveFolder() {
+            const folder = nameInput.value.trim() || relInput.value.trim();
+            if (!folder) archiveStatus.textContent = 'Save the folder first';
+            return folder;
+        }
+
+        archiveDownloadBtn.addEventListener('click', async () => {
+            const folder = archiveFolder();
+            if (!folder) return;
+            archiveStatus.textContent = 'Preparing ZIP...';
+            try {
+                await downloadFolderArchive(folder, archiveBackupsInput.checked);
+                archiveStatus.textContent = '';
+            } catch (err) {
+                archiveStatus.textContent = 'Download failed: ' + await describeError(err);
+            }
+        });
+
+        archiveRestoreBtn.addEventListener('click', () => { if (archiveFolder()) archiveFileInput.click(); });
+        archiveFileInput.addEventListener('change', async () => {
+            const file = archiveFileInput.files && archiveFileInput.files[0];
+            const folder = archiveFolder();
+            archiveFileInput.value = '';
+            if (!file || !folder) return;
+            const replace = archiveModeSelect.value === 'replace';
+            if (!window.confirm('Restore ' + file.name + ' into "' + folder + '"? Files in the ZIP overwrite existing ones'
+                + (replace ? ' and files not in the ZIP are deleted' : '') + '; backups of the current versions are kept.')) return;
+            archiveRestoreBtn.disabled = true;
+            archiveStatus.textContent = 'Restoring ' + file.name + '...';
+            try {
+                const res = await importFolderArchive(folder, file, archiveModeSelect.value);
+                archiveStatus.textContent = 'Restored: ' + (res.Written || []).length + ' written, ' + (res.Unchanged || []).length + ' unchanged'
+                    + (replace ? ', ' + (res.Deleted || []).length + ' deleted' : '')
+                    + ((res.Skipped || []).length ? ', ' + res.Skipped.length + ' backup(s) skipped' : '');
+            } catch (err) {
+                archiveStatus.textContent = 'Restore failed: ' + await describeError(err);
+            } finally {
+                archiveRestoreBtn.disabled = false;
+            }
+        });
+
+        // File browser (collapsed until "Browse files" is clicked)
+        const fileBrowser = createFileBrowser(() => nameInput.value.trim() || relInput.value.trim(), () => scopedInput.checked, parseDepth);
+        card.appendChild(fileBrowser.element);
+        filesBtn.addEventListener('click', () => {
+            filesBtn.textContent = fileBrowser.toggle() ? 'Hide files' : 'Browse files';
+        });
+
         // #region setPreviewText
         function setPreviewText(el, labelText, pathOnly) {
             el.textContent = labelText;
@@ -535,7 +2836,7 @@ function getAccessToken() {
                     (f.Name && f.Name.toLowerCase() === logicalName.toLowerCase()) ||
                     (f.RelativePath && f.RelativePath.toLowerCase() === relVal.toLowerCase())
                 );
-                const folderObj = { Name: logicalName, RelativePath: relVal, AllowNonAdmin: !!allowInput.checked, Description: descInput.value ? descInput.value.trim() : '' };
+                const folderObj = { Name: logicalName, RelativePath: relVal, AllowNonAdmin: !!allowInput.checked, ReadPolicy: readSelect.value, UserScoped: !!scopedInput.checked, KeyValue: !!kvInput.checked, Schemas: schemaEditor.getRules(), MaxTotalBytes: parseLimit(maxTotalInput), MaxFileCount: parseLimit(maxCountInput), MaxFileBytes: parseLimit(maxFileInput), MaxDepth: parseDepth(), AllowedTypes: splitCommaList(typesInput.value), CorsAllowedOrigins: splitCommaList(corsInput.value), RateLimitPerMinute: parseLimit(rateInput), CacheMaxAgeSeconds: parseCacheMaxAge(), Webhooks: webhookEditor.getHooks(), RetentionRules: retentionEditor.getRules(), Description: descInput.value ? descInput.value.trim() : '' };
                 if (existingIndex >= 0) cfg.ExposedFolders[existingIndex] = Object.assign(cfg.ExposedFolders[existingIndex], folderObj);
                 else cfg.ExposedFolders.push(folderObj);
                 await ApiClient.updatePluginConfiguration(pluginId, cfg);
@@ -590,12 +2891,35 @@ function getAccessToken() {
             }
         });
 
+        // Keep fields the card does not edit so saving does not drop them
+        const getData = function () {
+            return Object.assign({}, entry || {}, {
+                Name: nameInput.value.trim(),
+                RelativePath: relInput.value.trim(),
+                AllowNonAdmin: allowInput.checked,
+                ReadPolicy: readSelect.value,
+                UserScoped: scopedInput.checked,
+                KeyValue: kvInput.checked,
+                Schemas: schemaEditor.getRules(),
+                MaxTotalBytes: parseLimit(maxTotalInput),
+                MaxFileCount: parseLimit(maxCountInput),
+                MaxFileBytes: parseLimit(maxFileInput),
+                MaxDepth: parseDepth(),
+                AllowedTypes: splitCommaList(typesInput.value),
+                CorsAllowedOrigins: splitCommaList(corsInput.value),
+                RateLimitPerMinute: parseLimit(rateInput),
+                CacheMaxAgeSeconds: parseCacheMaxAge(),
+                Webhooks: webhookEditor.getHooks(),
+                RetentionRules: retentionEditor.getRules(),
+                Description: descInput.value.trim()
+            });
+        };
+        card._eeGetData = getData;
+
         return {
             element: card,
             appendTo: function (container) { container.appendChild(card); },
-            getData: function () {
-                return { Name: nameInput.value.trim(), RelativePath: relInput.value.trim(), AllowNonAdmin: allowInput.checked, Description: descInput.value.trim() };
-            }
+            getData: getData
         };
     }
     //#endregion updatePreviews
@@ -617,10 +2941,11 @@ function getAccessToken() {
         if (!list) return out;
         const cards = Array.from(list.querySelectorAll('.ee-folder'));
         for (const c of cards) {
+            if (typeof c._eeGetData === 'function') { out.push(c._eeGetData()); continue; }
             const nameInput = c.querySelector('input[type="text"].ee-input');
             const relInput = c.querySelector('input[type="text"].ee-input:nth-of-type(2)') || c.querySelector('input[type="text"].ee-input');
             const descInput = c.querySelector('textarea.ee-input') || c.querySelector('input[type="text"].ee-input[placeholder="Optional description"]');
-            const allowInput = c.querySelector('input[type="checkbox"], input.ee-checkbox');
+            const allowInput = c.querySelector('input.ee-checkbox');
             out.push({
                 Name: nameInput ? nameInput.value.trim() : '',
                 RelativePath: relInput ? relInput.value.trim() : '',
@@ -633,6 +2958,7 @@ function getAccessToken() {
 
     page.loadConfigurationToUi = function (config) {
         renderFoldersList(config?.ExposedFolders || []);
+        renderOutputWebhooks(config?.OutputWebhooks || []);
         const raw = document.getElementById('ee-raw');
         if (raw) raw.textContent = JSON.stringify(config || {}, null, 2);
     };
@@ -652,6 +2978,7 @@ function getAccessToken() {
             names.add(n); rels.add(r);
         }
         cfg.ExposedFolders = folders; cfg.RegisteredFiles = cfg.RegisteredFiles || [];
+        if (outputWebhookEditor) cfg.OutputWebhooks = outputWebhookEditor.getHooks();
         return cfg;
     };
 
@@ -711,6 +3038,13 @@ function getAccessToken() {
             applyEmbyInputs();
         });
 
+        wireApiKeys();
+        wireActivity();
+        wireRateLimits();
+        wireConfigurationTransfer();
+        wireWebhooks();
+        wireRetention();
+
         document.getElementById('ee-load')?.addEventListener('click', () => {
             EndpointExposerConfigurationPage.loadConfiguration(document.getElementById('endpointExposerConfigurationPage'));
         });
@@ -0,0 +1,72 @@
+// src/Jellyfin.Plugin.EndpointExposer/ConfigurationDiff.cs
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing what importing a configuration export would change (ConfigurationImport endpoint).
+    /// </summary>
+    public class ConfigurationDiff
+    {
+        /// <summary>
+        /// Folders in the import that this server does not have.
+        /// </summary>
+        public List<FolderDiff> Added { get; set; } = new List<FolderDiff>();
+
+        /// <summary>
+        /// Folders this server has that the import does not. Their files stay on disk.
+        /// </summary>
+        public List<FolderDiff> Removed { get; set; } = new List<FolderDiff>();
+
+        /// <summary>
+        /// Folders on both sides whose definition differs.
+        /// </summary>
+        public List<FolderDiff> Changed { get; set; } = new List<FolderDiff>();
+
+        /// <summary>
+        /// Global settings that differ (server-specific settings and keys are never imported).
+        /// </summary>
+        public List<SettingChange> Settings { get; set; } = new List<SettingChange>();
+
+        public bool HasChanges => Added.Count > 0 || Removed.Count > 0 || Changed.Count > 0 || Settings.Count > 0;
+
+        /// <summary>
+        /// Added folders whose directory is not on disk yet.
+        /// </summary>
+        public int MissingOnDisk => Added.Count(f => !f.ExistsOnDisk);
+    }
+
+    /// <summary>
+    /// One exposed folder in a ConfigurationDiff.
+    /// </summary>
+    public class FolderDiff
+    {
+        public string Name { get; set; } = string.Empty;
+
+        public string RelativePath { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Whether the folder directory already exists under the plugin data directory.
+        /// </summary>
+        public bool ExistsOnDisk { get; set; }
+
+        /// <summary>
+        /// Changed properties (Changed folders only).
+        /// </summary>
+        public List<SettingChange> Changes { get; set; } = new List<SettingChange>();
+    }
+
+    /// <summary>
+    /// One changed property, with both values as compact JSON.
+    /// </summary>
+    public class SettingChange
+    {
+        public string Field { get; set; } = string.Empty;
+
+        public string? From { get; set; }
+
+        public string? To { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/ConfigurationDiff.cs
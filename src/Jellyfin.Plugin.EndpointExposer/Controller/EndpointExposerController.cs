@@ -5,7 +5,12 @@ using System.Linq;
 using System.Text;
 using System.Threading.Tasks;
 using Jellyfin.Plugin.EndpointExposer.Services;
+using MediaBrowser.Controller.Library;
+using MediaBrowser.Controller.Net;
+using MediaBrowser.Controller.Session;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Microsoft.AspNetCore.Mvc.Infrastructure;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.Extensions.Logging;
 using System.Net.Http;
@@ -17,13 +22,22 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
 {
     [ApiController]
     [Route("Plugins/EndpointExposer/[action]")]
-    public class EndpointExposerController : ControllerBase
+    public class EndpointExposerController : ControllerBase, IAsyncActionFilter
     {
         private readonly ILogger<EndpointExposerController> _logger;
         private readonly EndpointExposerService _service;
         private readonly AuthService _authService;
         private readonly FolderOperationService _folderService;
         private readonly ConfigurationHandler _configHandler;
+        private readonly ApiKeyService _apiKeyService;
+        private readonly UploadService _uploadService;
+        private readonly FolderEventService _eventService;
+        private readonly AuditService _auditService;
+        private readonly KeyValueService _kvService;
+        private readonly CorsService _corsService;
+        private readonly RateLimitService _rateLimitService;
+        private readonly WebhookService _webhookService;
+        private readonly RetentionService _retentionService;
 
         public EndpointExposerController(
             ILogger<EndpointExposerController> logger,
@@ -50,11 +64,24 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
             _service = serviceProvider.GetService<EndpointExposerService>() ?? new EndpointExposerService(serviceProvider.GetService<ILogger<EndpointExposerService>>() ?? serviceProvider.GetService<ILoggerFactory>()?.CreateLogger<EndpointExposerService>(), cfg, fileWriter);
 
             // Resolve or construct other services with safe defaults
-            _authService = serviceProvider.GetService<AuthService>() ?? new AuthService(serviceProvider.GetService<ILogger<AuthService>>(), serviceProvider.GetService<JellyfinAuth>() ?? new JellyfinAuth(cfg.ServerBaseUrl ?? string.Empty, new HttpClient(), serviceProvider.GetService<ILogger<JellyfinAuth>>()), cfg);
+            var sessionAuth = serviceProvider.GetService<JellyfinSessionAuth>() ?? new JellyfinSessionAuth(serviceProvider.GetService<ILogger<JellyfinSessionAuth>>(), serviceProvider.GetService<IAuthorizationContext>(), serviceProvider.GetService<IUserManager>(), serviceProvider.GetService<ISessionManager>());
+            _authService = serviceProvider.GetService<AuthService>() ?? new AuthService(serviceProvider.GetService<ILogger<AuthService>>(), serviceProvider.GetService<JellyfinAuth>() ?? new JellyfinAuth(cfg.ServerBaseUrl ?? string.Empty, new HttpClient(), serviceProvider.GetService<ILogger<JellyfinAuth>>()), cfg, sessionAuth);
 
             _folderService = serviceProvider.GetService<FolderOperationService>() ?? new FolderOperationService(serviceProvider.GetService<ILogger<FolderOperationService>>(), cfg, fileWriter);
 
             _configHandler = serviceProvider.GetService<ConfigurationHandler>() ?? new ConfigurationHandler(serviceProvider.GetService<ILogger<ConfigurationHandler>>(), _folderService);
+
+            _apiKeyService = serviceProvider.GetService<ApiKeyService>() ?? new ApiKeyService(serviceProvider.GetService<ILogger<ApiKeyService>>(), cfg, _configHandler);
+
+            _uploadService = serviceProvider.GetService<UploadService>() ?? new UploadService(serviceProvider.GetService<ILogger<UploadService>>(), cfg, _folderService);
+
+            _eventService = serviceProvider.GetService<FolderEventService>() ?? new FolderEventService(serviceProvider.GetService<ILogger<FolderEventService>>(), cfg, _folderService);
+            _auditService = serviceProvider.GetService<AuditService>() ?? new AuditService(serviceProvider.GetService<ILogger<AuditService>>(), cfg, _folderService);
+            _kvService = serviceProvider.GetService<KeyValueService>() ?? new KeyValueService(serviceProvider.GetService<ILogger<KeyValueService>>(), cfg, _folderService, fileWriter);
+            _corsService = serviceProvider.GetService<CorsService>() ?? new CorsService(serviceProvider.GetService<ILogger<CorsService>>(), cfg, _folderService);
+            _rateLimitService = serviceProvider.GetService<RateLimitService>() ?? new RateLimitService(serviceProvider.GetService<ILogger<RateLimitService>>(), cfg);
+            _webhookService = serviceProvider.GetService<WebhookService>() ?? new WebhookService(serviceProvider.GetService<ILogger<WebhookService>>(), cfg, _folderService, _service.OutputDirectory);
+            _retentionService = serviceProvider.GetService<RetentionService>() ?? new RetentionService(serviceProvider.GetService<ILogger<RetentionService>>(), cfg, _folderService, _auditService);
         }
 
         /// <summary>
@@ -88,15 +115,16 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
 
         /// <summary>
         /// GET: /Plugins/EndpointExposer/Configuration
-        /// Returns current plugin configuration.
+        /// Returns current plugin configuration without secrets (API key hashes, webhook signing secrets).
         /// </summary>
         [HttpGet]
-        public ActionResult<PluginConfiguration> Configuration()
+        public IActionResult Configuration()
         {
             try
             {
+                // Serialized here: the host's JSON serializer does not understand JObject
                 var cfg = _service.GetConfiguration();
-                return Ok(cfg);
+                return Content(_configHandler.BuildRedacted(cfg).ToString(Newtonsoft.Json.Formatting.None), "application/json");
             }
             catch (Exception ex)
             {
@@ -166,10 +194,94 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
             }
         }
 
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/ConfigurationExport
+        /// Download the plugin configuration as a JSON file, with API key secrets redacted. Admin only.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> ConfigurationExport()
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                var export = _configHandler.BuildExport(_service.GetConfiguration());
+                var fileName = $"endpointexposer-config-{DateTime.UtcNow:yyyyMMdd-HHmmss}.json";
+                return File(Encoding.UTF8.GetBytes(export.ToString(Newtonsoft.Json.Formatting.Indented)), "application/json", fileName);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ConfigurationExport: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/ConfigurationImport?dryRun=true&amp;createFolders=false
+        /// Import a ConfigurationExport file. Returns the diff against the current configuration (added, removed and
+        /// changed folders, changed settings); unless dryRun, also saves it, creating the folders on disk when
+        /// createFolders. Server URLs, the output directory and API keys of this server are kept. Admin only.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> ConfigurationImport([FromQuery] bool dryRun = false, [FromQuery] bool createFolders = false)
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                string raw;
+                using (var sr = new StreamReader(Request.Body, Encoding.UTF8))
+                    raw = await sr.ReadToEndAsync().ConfigureAwait(false);
+
+                if (string.IsNullOrWhiteSpace(raw))
+                    return BadRequest("Missing configuration body.");
+
+                var current = _service.GetConfiguration() ?? new PluginConfiguration();
+                PluginConfiguration incoming;
+                try
+                {
+                    incoming = _configHandler.PrepareImport(current, JObject.Parse(raw));
+                }
+                catch (ArgumentException aex)
+                {
+                    return BadRequest(new { error = aex.Message });
+                }
+                catch (Newtonsoft.Json.JsonException ex)
+                {
+                    _logger.LogDebug(ex, "ConfigurationImport: failed to parse/convert JSON");
+                    return BadRequest("Invalid configuration JSON.");
+                }
+
+                var (isValid, error) = _configHandler.ValidateConfiguration(incoming);
+                if (!isValid)
+                {
+                    _logger.LogWarning("ConfigurationImport: validation failed - {Error}", error);
+                    return BadRequest(new { error = error });
+                }
+
+                var diff = _configHandler.Diff(current, incoming);
+                if (!dryRun)
+                {
+                    await _configHandler.SaveConfigurationAsync(incoming, ensureFolders: createFolders).ConfigureAwait(false);
+                    _logger.LogInformation("ConfigurationImport: imported {Added} added, {Removed} removed, {Changed} changed folders", diff.Added.Count, diff.Removed.Count, diff.Changed.Count);
+                }
+
+                return Ok(new { DryRun = dryRun, Applied = !dryRun, Diff = diff });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ConfigurationImport: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
         /// <summary>
         /// POST/PUT: /Plugins/EndpointExposer/Write
         /// Write JSON payload to a file in the default output directory.
         /// Requires admin or valid API key (based on AllowNonAdmin setting).
+        /// Honors If-Match (412 when stale) and If-None-Match: * (409 when the file exists).
         /// </summary>
         [HttpPut]
         [HttpPost]
@@ -181,12 +293,7 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
                     return BadRequest("Query parameter 'name' is required.");
 
                 // Extract and validate token
-                var token = _authService.ExtractTokenFromRequest(Request);
-                JObject? user = null;
-                if (!string.IsNullOrWhiteSpace(token))
-                {
-                    user = await _authService.ValidateTokenAsync(token, Request).ConfigureAwait(false);
-                }
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
 
                 // Check authorization
                 var (isAuthorized, reason) = _authService.CheckWriteAuthorization(Request, user);
@@ -197,11 +304,13 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
                 }
 
                 // Perform write operation
+                using var changeActor = BeginChangeActor(user);
                 var result = await _service.HandleWriteAsync(Request, name).ConfigureAwait(false);
 
                 if (result == null)
                     return StatusCode(500, "Internal server error");
 
+                SetETagHeader(result.ETag);
                 if (!result.Success)
                 {
                     if (result.StatusCode.HasValue)
@@ -210,7 +319,7 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
                 }
 
                 _logger.LogInformation("Write: successfully wrote {Name}", name);
-                return Ok(new { Saved = true, Name = result.Name, Path = result.Path });
+                return Ok(new { Saved = true, Name = result.Name, Path = result.Path, ETag = result.ETag });
             }
             catch (Exception ex)
             {
@@ -222,12 +331,21 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
         /// <summary>
         /// GET: /Plugins/EndpointExposer/List
         /// List all files in the default output directory.
+        /// details=true returns objects with Size, LastModifiedUtc and ETag instead of names.
+        /// Subject to DefaultReadPolicy.
         /// </summary>
         [HttpGet]
-        public IActionResult List()
+        public async Task<IActionResult> List([FromQuery] bool details = false)
         {
             try
             {
+                var (isAuthorized, reason) = await AuthorizeReadAsync(_authService.GetOutputReadPolicy()).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                if (details)
+                    return Ok(_service.ListFileDetails());
+
                 var files = _service.ListFiles().ToArray();
                 return Ok(files);
             }
@@ -240,22 +358,30 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
 
         /// <summary>
         /// GET: /Plugins/EndpointExposer/File
-        /// Read a file from the default output directory.
+        /// Read a file from the default output directory, streamed from disk.
+        /// Sends ETag, Last-Modified and Cache-Control (CacheMaxAgeSeconds); If-None-Match / If-Modified-Since yield 304
+        /// and Range requests 206.
+        /// Subject to DefaultReadPolicy unless the name is listed in PublicReads.
         /// </summary>
         [HttpGet]
-        public IActionResult File([FromQuery] string name)
+        public async Task<IActionResult> File([FromQuery] string name)
         {
             try
             {
                 if (string.IsNullOrWhiteSpace(name))
                     return BadRequest("Query parameter 'name' is required.");
 
-                var (Exists, Bytes, ContentType, FileName) = _service.GetFile(name);
-                if (!Exists)
+                var policy = _authService.GetOutputReadPolicy(name);
+                var (isAuthorized, reason) = await AuthorizeReadAsync(policy).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (Exists, Stream, ContentType, FileName, ETag, LastModifiedUtc) = _service.OpenFile(name);
+                if (!Exists || Stream == null)
                     return NotFound();
 
-                var ct = string.IsNullOrWhiteSpace(ContentType) ? "application/octet-stream" : ContentType;
-                return File(Bytes, ct, FileName);
+                SetCacheControlHeader(_service.GetConfiguration()?.CacheMaxAgeSeconds ?? 0, policy == FolderReadPolicy.Public);
+                return StreamFile(Stream, ContentType, Path.GetFileName(FileName), ETag, LastModifiedUtc);
             }
             catch (Exception ex)
             {
@@ -264,21 +390,72 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
             }
         }
 
+        /// <summary>
+        /// DELETE/POST: /Plugins/EndpointExposer/Delete?name=x&amp;backup=true
+        /// Delete a file from the default output directory, optionally keeping a backup.
+        /// Requires admin or valid API key (based on AllowNonAdmin setting).
+        /// </summary>
+        [HttpDelete]
+        [HttpPost]
+        public async Task<IActionResult> Delete([FromQuery] string name, [FromQuery] bool backup = false)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                var (isAuthorized, reason) = _authService.CheckWriteAuthorization(Request, user);
+                if (!isAuthorized)
+                {
+                    _logger.LogWarning("Delete: unauthorized attempt for {Name} - {Reason}", name, reason);
+                    return Unauthorized(new { error = reason });
+                }
+
+                using var changeActor = BeginChangeActor(user);
+                if (!await _service.DeleteFileAsync(name, backup).ConfigureAwait(false))
+                    return NotFound();
+
+                _logger.LogInformation("Delete: deleted {Name} (backup={Backup})", name, backup);
+                return Ok(new { Deleted = true, Name = name });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Delete: unexpected error for name={Name}", name);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
         #region Folder Endpoints
 
         /// <summary>
         /// GET: /Plugins/EndpointExposer/FolderFiles
         /// List files in a configured folder.
+        /// details=true returns objects with Size, LastModifiedUtc and ETag instead of names.
+        /// depth=n includes n levels of subdirectories (capped at the folder's MaxDepth); nested files are named "dir/name".
+        /// Subject to the folder's ReadPolicy. In user-scoped folders only the caller's files are listed
+        /// (admins may pass userId to browse another user).
         /// </summary>
         [HttpGet]
-        public IActionResult FolderFiles([FromQuery] string folder)
+        public async Task<IActionResult> FolderFiles([FromQuery] string folder, [FromQuery] string? userId = null, [FromQuery] bool details = false, [FromQuery] int depth = 0)
         {
             try
             {
                 if (string.IsNullOrWhiteSpace(folder))
                     return BadRequest("Query parameter 'folder' is required.");
 
-                var files = _folderService.ListFolderFiles(folder).ToArray();
+                var (isAuthorized, reason) = await AuthorizeReadAsync(_authService.GetFolderReadPolicy(folder), folder).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                if (details)
+                    return Ok(_folderService.ListFolderFileDetails(folder, scopedUserId, depth));
+
+                var files = _folderService.ListFolderFiles(folder, scopedUserId, depth).ToArray();
                 return Ok(files);
             }
             catch (ArgumentException aex)
@@ -294,10 +471,13 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
 
         /// <summary>
         /// GET: /Plugins/EndpointExposer/FolderFile
-        /// Read a file from a configured folder.
+        /// Read a file from a configured folder, streamed from disk. name may be a sub-path ("posters/2024/abc.jpg") up
+        /// to the folder's MaxDepth. Sends ETag, Last-Modified and the folder's Cache-Control; If-None-Match /
+        /// If-Modified-Since yield 304 and Range requests 206 (seeking in audio and video).
+        /// Subject to the folder's ReadPolicy.
         /// </summary>
         [HttpGet]
-        public IActionResult FolderFile([FromQuery] string folder, [FromQuery] string name)
+        public async Task<IActionResult> FolderFile([FromQuery] string folder, [FromQuery] string name, [FromQuery] string? userId = null)
         {
             try
             {
@@ -306,12 +486,22 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
                 if (string.IsNullOrWhiteSpace(name))
                     return BadRequest("Query parameter 'name' is required.");
 
-                var (Exists, Bytes, ContentType, FileName) = _folderService.ReadFolderFile(folder, name);
-                if (!Exists)
+                var policy = _authService.GetFolderReadPolicy(folder);
+                var (isAuthorized, reason) = await AuthorizeReadAsync(policy, folder).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                var (Exists, Stream, ContentType, FileName, ETag, LastModifiedUtc) = _folderService.OpenFolderFile(folder, name, scopedUserId);
+                if (!Exists || Stream == null)
                     return NotFound();
 
-                var ct = string.IsNullOrWhiteSpace(ContentType) ? "application/octet-stream" : ContentType;
-                return File(Bytes, ct, FileName);
+                // Per-user files must never land in a shared cache
+                SetCacheControlHeader(_folderService.GetCacheMaxAgeSeconds(folder), policy == FolderReadPolicy.Public && !_folderService.IsUserScoped(folder));
+                return StreamFile(Stream, ContentType, FileName, ETag, LastModifiedUtc);
             }
             catch (ArgumentException aex)
             {
@@ -326,12 +516,14 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
 
         /// <summary>
         /// POST/PUT: /Plugins/EndpointExposer/FolderWrite
-        /// Write file to a configured folder.
+        /// Write file to a configured folder. name may be a sub-path up to the folder's MaxDepth; directories are created as needed.
         /// Requires admin or valid API key (with folder-specific permissions).
+        /// In user-scoped folders the file is stored in the caller's namespace.
+        /// If-Match rejects stale writes with 412; If-None-Match: * makes the write create-only (409 if it exists).
         /// </summary>
         [HttpPut]
         [HttpPost]
-        public async Task<IActionResult> FolderWrite([FromQuery] string folder, [FromQuery] string name)
+        public async Task<IActionResult> FolderWrite([FromQuery] string folder, [FromQuery] string name, [FromQuery] string? userId = null)
         {
             try
             {
@@ -379,6 +571,10 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
                     return Unauthorized(new { error = reason });
                 }
 
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
                 // After authorization checks, before writing the file:
                 // Log incoming content-length and some headers for diagnostics
                 _logger.LogDebug("FolderWrite: incoming request Content-Type={ContentType}, Content-Length={ContentLength}, Headers: Authorization={HasAuth}, X-EndpointExposer-Key={HasKey}, X-Emby-Token={HasEmby}, X-Jellyfin-Token={HasJellyfin}",
@@ -458,8 +654,8 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
                 }
                 else
                 {
-                    // Non-JSON: read raw bytes up to configured limit
-                    var maxBytes = _service.GetConfiguration()?.MaxPayloadBytes ?? 2 * 1024 * 1024;
+                    // Non-JSON: read raw bytes up to the folder's per-file limit
+                    var maxBytes = _folderService.GetMaxFileBytes(folder);
                     using var ms = new System.IO.MemoryStream();
                     var buffer = new byte[8192];
                     long total = 0;
@@ -486,8 +682,8 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
                 // Log final byte length before write
                 _logger.LogDebug("FolderWrite: read {Len} bytes for folder={Folder} name={Name}", bytes.Length, folder, name);
 
-                // Enforce MaxPayloadBytes for JSON-derived bytes as well
-                var configuredMax = _service.GetConfiguration()?.MaxPayloadBytes ?? 2 * 1024 * 1024;
+                // Enforce the per-file limit for JSON-derived bytes as well
+                var configuredMax = _folderService.GetMaxFileBytes(folder);
                 if (bytes.Length > configuredMax)
                 {
                     _logger.LogWarning("FolderWrite: payload too large ({Len} > {Max}) for folder={Folder} name={Name}", bytes.Length, configuredMax, folder, name);
@@ -496,15 +692,22 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
 
 
                 // Write file
-                var writeResult = await _folderService.WriteFolderFileAsync(folder, name, bytes).ConfigureAwait(false);
+                var ifMatch = Request.Headers["If-Match"].ToString();
+                var ifNoneMatch = Request.Headers["If-None-Match"].ToString();
+                using var changeActor = BeginChangeActor(user);
+                SetAuditDetails(folder, name, bytes.Length);
+                var writeResult = await _folderService.WriteFolderFileAsync(folder, name, bytes, scopedUserId, ifMatch, ifNoneMatch).ConfigureAwait(false);
+                SetETagHeader(writeResult.ETag);
                 if (!writeResult.Success)
                 {
                     _logger.LogWarning("FolderWrite: write failed for folder={Folder} name={Name} - {Error}", folder, name, writeResult.Error);
-                    return StatusCode(500, writeResult.Error ?? "Failed to write file");
+                    if (writeResult.ValidationErrors != null)
+                        return StatusCode(422, new { error = writeResult.Error, errors = writeResult.ValidationErrors });
+                    return StatusCode(writeResult.StatusCode ?? 500, writeResult.Error ?? "Failed to write file");
                 }
 
                 _logger.LogInformation("FolderWrite: successfully wrote {Name} to folder {Folder} (path={Path})", name, folder, writeResult.Path);
-                return Ok(new { Saved = true, Name = name, Path = writeResult.Path });
+                return Ok(new { Saved = true, Name = name, Path = writeResult.Path, ETag = writeResult.ETag });
             }
             catch (ArgumentException aex)
             {
@@ -518,107 +721,2060 @@ namespace Jellyfin.Plugin.EndpointExposer.Controller
         }
 
         /// <summary>
-        /// GET: /Plugins/EndpointExposer/ResolvePath?relative=foldername
-        /// Resolves a relative folder name to its absolute path.
-        /// Used by the settings page for client-side path preview.
+        /// PATCH/POST: /Plugins/EndpointExposer/FolderPatch?folder=x&amp;name=y
+        /// Partially update a JSON file in a configured folder and return the patched document.
+        /// Content-Type application/json-patch+json = RFC 6902 operations array,
+        /// application/merge-patch+json = RFC 7386 merge patch; plain JSON arrays are treated as JSON Patch
+        /// and objects as merge patches. Requires the same authorization as FolderWrite; honours If-Match.
         /// </summary>
-        [HttpGet]
-        [AllowAnonymous]
-        public IActionResult ResolvePath([FromQuery] string relative)
+        [HttpPatch]
+        [HttpPost]
+        public async Task<IActionResult> FolderPatch([FromQuery] string folder, [FromQuery] string name, [FromQuery] string? userId = null)
         {
             try
             {
-                if (string.IsNullOrWhiteSpace(relative))
-                    return BadRequest(new { error = "Query parameter 'relative' is required." });
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
 
-                // Resolve the folder path
-                var resolvedPath = _folderService.ResolveFolderPath(relative);
-                return Ok(new { resolvedPath = resolvedPath, relative = relative });
-            }
-            catch (ArgumentException aex)
-            {
-                return NotFound(new { error = "Folder not configured or invalid", detail = aex.Message });
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, folder, user);
+                if (!isAuthorized)
+                {
+                    _logger.LogWarning("FolderPatch: unauthorized attempt for folder={Folder} name={Name} - {Reason}", folder, name, reason);
+                    return Unauthorized(new { error = reason });
+                }
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                var body = await ReadBodyAsync(_folderService.GetMaxFileBytes(folder)).ConfigureAwait(false);
+                if (body == null)
+                {
+                    _logger.LogWarning("FolderPatch: payload exceeded max for folder={Folder} name={Name}", folder, name);
+                    return StatusCode(413, "Payload too large");
+                }
+
+                var raw = Encoding.UTF8.GetString(body);
+                if (string.IsNullOrWhiteSpace(raw))
+                    return BadRequest("Missing body");
+
+                JToken patch;
+                try
+                {
+                    patch = JToken.Parse(raw);
+                }
+                catch (Newtonsoft.Json.JsonException jex)
+                {
+                    _logger.LogWarning(jex, "FolderPatch: invalid JSON patch for folder={Folder} name={Name}", folder, name);
+                    return BadRequest("Invalid JSON");
+                }
+
+                var contentType = Request.ContentType ?? string.Empty;
+                bool mergePatch;
+                if (contentType.Contains(Utilities.JsonPatchHelper.JsonPatchMediaType, StringComparison.OrdinalIgnoreCase))
+                    mergePatch = false;
+                else if (contentType.Contains(Utilities.JsonPatchHelper.MergePatchMediaType, StringComparison.OrdinalIgnoreCase))
+                    mergePatch = true;
+                else
+                    mergePatch = patch.Type != JTokenType.Array;
+
+                var ifMatch = Request.Headers["If-Match"].ToString();
+                using var changeActor = BeginChangeActor(user);
+                var (result, document) = await _folderService.PatchFolderFileAsync(folder, name, patch, mergePatch, scopedUserId, ifMatch).ConfigureAwait(false);
+                SetETagHeader(result.ETag);
+                if (!result.Success)
+                {
+                    _logger.LogWarning("FolderPatch: patch failed for folder={Folder} name={Name} - {Error}", folder, name, result.Error);
+                    if (result.ValidationErrors != null)
+                        return StatusCode(422, new { error = result.Error, errors = result.ValidationErrors });
+                    return StatusCode(result.StatusCode ?? 500, result.Error ?? "Failed to patch file");
+                }
+
+                return Content(document?.ToString(Newtonsoft.Json.Formatting.None) ?? "null", "application/json");
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "ResolvePath: unexpected error for relative={Relative}", relative);
-                return StatusCode(500, new { error = "Internal server error" });
+                _logger.LogError(ex, "FolderPatch: unexpected error for folder={Folder} name={Name}", folder, name);
+                return StatusCode(500, "Internal server error");
             }
         }
 
         /// <summary>
-        /// POST: /Plugins/EndpointExposer/CreateFolder
-        /// Verify that a folder exists and is accessible.
-        /// Requires admin privileges or valid API key.
+        /// DELETE/POST: /Plugins/EndpointExposer/FolderDelete?folder=x&amp;name=y&amp;backup=true
+        /// Delete a file from a configured folder, optionally keeping a backup.
+        /// Requires the same authorization as FolderWrite.
         /// </summary>
+        [HttpDelete]
         [HttpPost]
-        [AllowAnonymous]
-        public async Task<IActionResult> CreateFolder()
+        public async Task<IActionResult> FolderDelete([FromQuery] string folder, [FromQuery] string name, [FromQuery] bool backup = false, [FromQuery] string? userId = null)
         {
             try
             {
-                string raw;
-                using (var sr = new StreamReader(Request.Body, Encoding.UTF8))
-                    raw = await sr.ReadToEndAsync().ConfigureAwait(false);
-
-                if (string.IsNullOrWhiteSpace(raw))
-                    return BadRequest(new { error = "Missing request body" });
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
+                if (_folderService.NormalizeFilePath(folder, name) == null)
+                    return BadRequest("Invalid file name");
 
-                JObject payload;
-                try
-                {
-                    payload = JObject.Parse(raw);
-                }
-                catch
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, folder, user);
+                if (!isAuthorized)
                 {
-                    return BadRequest(new { error = "Invalid JSON payload" });
+                    _logger.LogWarning("FolderDelete: unauthorized attempt for folder={Folder} name={Name} - {Reason}", folder, name, reason);
+                    return Unauthorized(new { error = reason });
                 }
 
-                var folderName = (string?)payload["RelativePath"] ?? (string?)payload["relative"] ?? (string?)payload["folder"];
-                if (string.IsNullOrWhiteSpace(folderName))
-                    return BadRequest(new { error = "RelativePath is required" });
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
 
-                // Extract and validate token
-                var token = _authService.ExtractTokenFromRequest(Request);
-                JObject? user = null;
-                if (!string.IsNullOrWhiteSpace(token))
-                {
-                    user = await _authService.ValidateTokenAsync(token, Request).ConfigureAwait(false);
-                }
+                using var changeActor = BeginChangeActor(user);
+                if (!await _folderService.DeleteFolderFileAsync(folder, name, backup, scopedUserId).ConfigureAwait(false))
+                    return NotFound();
 
-                // Check authorization (admin or API key required)
-                var (isAuthorized, reason) = _authService.CheckWriteAuthorization(Request, user);
+                _logger.LogInformation("FolderDelete: deleted {Name} from folder {Folder} (backup={Backup})", name, folder, backup);
+                return Ok(new { Deleted = true, Name = name });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderDelete: unexpected error for folder={Folder} name={Name}", folder, name);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/FolderRename?folder=x&amp;name=y&amp;newName=z&amp;overwrite=false
+        /// Rename a file inside a configured folder.
+        /// Requires the same authorization as FolderWrite.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> FolderRename([FromQuery] string folder, [FromQuery] string name, [FromQuery] string newName, [FromQuery] bool overwrite = false, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
+                if (string.IsNullOrWhiteSpace(newName))
+                    return BadRequest("Query parameter 'newName' is required.");
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, folder, user);
                 if (!isAuthorized)
                 {
-                    _logger.LogWarning("CreateFolder: unauthorized attempt for {Folder}", folderName);
+                    _logger.LogWarning("FolderRename: unauthorized attempt for folder={Folder} name={Name} - {Reason}", folder, name, reason);
                     return Unauthorized(new { error = reason });
                 }
 
-                // Resolve folder path
-                try
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                using var changeActor = BeginChangeActor(user);
+                var result = await _folderService.RenameFolderFileAsync(folder, name, newName, overwrite, scopedUserId).ConfigureAwait(false);
+                if (!result.Success)
+                    return StatusCode(result.StatusCode ?? 500, result.Error ?? "Error");
+
+                _logger.LogInformation("FolderRename: renamed {Name} to {NewName} in folder {Folder}", name, newName, folder);
+                return Ok(new { Renamed = true, Name = result.Name, Path = result.Path });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderRename: unexpected error for folder={Folder} name={Name}", folder, name);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/FolderMove?folder=x&amp;name=y&amp;targetFolder=z&amp;newName=optional&amp;overwrite=false
+        /// Move a file between configured folders.
+        /// Requires FolderWrite authorization on both the source and the target folder.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> FolderMove([FromQuery] string folder, [FromQuery] string name, [FromQuery] string targetFolder, [FromQuery] string? newName = null, [FromQuery] bool overwrite = false, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
+                if (string.IsNullOrWhiteSpace(targetFolder))
+                    return BadRequest("Query parameter 'targetFolder' is required.");
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                foreach (var f in new[] { folder, targetFolder })
                 {
-                    var resolvedPath = _folderService.ResolveFolderPath(folderName);
-                    return Ok(new { success = true, resolvedPath = resolvedPath, folder = folderName });
+                    var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, f, user);
+                    if (!isAuthorized)
+                    {
+                        _logger.LogWarning("FolderMove: unauthorized attempt for folder={Folder} name={Name} - {Reason}", f, name, reason);
+                        return Unauthorized(new { error = reason });
+                    }
                 }
-                catch (ArgumentException aex)
+
+                string? scopedUserId = null;
+                foreach (var f in new[] { folder, targetFolder })
                 {
-                    return NotFound(new { error = "Folder not configured or invalid", detail = aex.Message });
+                    var (folderUserId, scopeError) = await ResolveUserScopeAsync(f, userId).ConfigureAwait(false);
+                    if (scopeError != null)
+                        return scopeError;
+                    scopedUserId ??= folderUserId;
                 }
+
+                using var changeActor = BeginChangeActor(user);
+                var result = await _folderService.MoveFolderFileAsync(folder, name, targetFolder, newName, overwrite, scopedUserId).ConfigureAwait(false);
+                if (!result.Success)
+                    return StatusCode(result.StatusCode ?? 500, result.Error ?? "Error");
+
+                _logger.LogInformation("FolderMove: moved {Name} from folder {Folder} to folder {TargetFolder} as {NewName}", name, folder, targetFolder, result.Name);
+                return Ok(new { Moved = true, Folder = targetFolder, Name = result.Name, Path = result.Path });
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "CreateFolder: unexpected error");
-                return StatusCode(500, new { error = "Internal server error" });
+                _logger.LogError(ex, "FolderMove: unexpected error for folder={Folder} name={Name} targetFolder={TargetFolder}", folder, name, targetFolder);
+                return StatusCode(500, "Internal server error");
             }
         }
 
         /// <summary>
-        /// OPTIONS: /Plugins/EndpointExposer/CreateFolder
-        /// CORS preflight support.
+        /// POST: /Plugins/EndpointExposer/Batch
+        /// Body: { "operations": [ { "op": "write", "folder": "x", "name": "index.json", "json": {...}, "ifMatch": "..." },
+        ///   { "op": "write", "folder": "x", "name": "a.bin", "content": "...", "encoding": "base64" },
+        ///   { "op": "delete", "folder": "y", "name": "old.json", "backup": true } ] } (or just the array).
+        /// Applies every operation or none. Each one needs write access to its folder; all are authorized and
+        /// validated before anything is written. Returns 200 with per-operation results when committed, otherwise
+        /// the failing operation's status with the same results (424 for operations not applied).
         /// </summary>
-        [HttpOptions]
-        [AllowAnonymous]
-        public IActionResult CreateFolderOptions() => Ok();
+        [HttpPost]
+        public async Task<IActionResult> Batch()
+        {
+            try
+            {
+                string raw;
+                using (var ms = new MemoryStream())
+                {
+                    var buffer = new byte[8192];
+                    int read;
+                    while ((read = await Request.Body.ReadAsync(buffer, 0, buffer.Length).ConfigureAwait(false)) > 0)
+                    {
+                        if (ms.Length + read > MaxBatchBodyBytes)
+                            return StatusCode(413, $"Batch body exceeds {MaxBatchBodyBytes} bytes");
+                        ms.Write(buffer, 0, read);
+                    }
+                    raw = Encoding.UTF8.GetString(ms.ToArray());
+                }
+
+                if (string.IsNullOrWhiteSpace(raw))
+                    return BadRequest(new { error = "Missing request body" });
+
+                List<BatchOperation>? operations;
+                try
+                {
+                    var token = JToken.Parse(raw);
+                    var list = token is JObject obj ? obj.GetValue("operations", StringComparison.OrdinalIgnoreCase) : token;
+                    operations = list?.ToObject<List<BatchOperation>>();
+                }
+                catch (Exception ex) when (ex is Newtonsoft.Json.JsonException || ex is ArgumentException)
+                {
+                    return BadRequest(new { error = "Invalid JSON payload" });
+                }
+
+                if (operations == null || operations.Count == 0 || operations.Any(op => op == null))
+                    return BadRequest(new { error = "operations must be a non-empty array" });
+                if (operations.Count > MaxBatchOperations)
+                    return BadRequest(new { error = $"A batch may contain at most {MaxBatchOperations} operations" });
+
+                // Authorize every operation and resolve its namespace before anything is written
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                for (var i = 0; i < operations.Count; i++)
+                {
+                    var op = operations[i];
+                    IActionResult? denied = null;
+                    if (string.IsNullOrWhiteSpace(op.Folder) || string.IsNullOrWhiteSpace(op.Name))
+                    {
+                        denied = BadRequest("Each operation needs 'folder' and 'name'.");
+                    }
+                    else
+                    {
+                        var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, op.Folder, user);
+                        if (!isAuthorized)
+                        {
+                            _logger.LogWarning("Batch: unauthorized operation {Index} for folder={Folder} name={Name} - {Reason}", i, op.Folder, op.Name, reason);
+                            denied = Unauthorized(new { error = reason });
+                        }
+                        else
+                        {
+                            var (scopedUserId, scopeError) = await ResolveUserScopeAsync(op.Folder, op.UserId).ConfigureAwait(false);
+                            denied = scopeError;
+                            op.UserId = scopedUserId;
+                        }
+                    }
+
+                    if (denied != null)
+                    {
+                        var status = (denied as IStatusCodeActionResult)?.StatusCode ?? 400;
+                        var error = GetResultError(denied) ?? "Operation rejected";
+                        var results = operations.Select((o, index) => new BatchOperationResult
+                        {
+                            Index = index,
+                            Op = o.Op,
+                            Folder = o.Folder,
+                            Name = o.Name,
+                            StatusCode = index == i ? status : 424,
+                            Error = index == i ? error : "Not applied: another operation in the batch failed"
+                        }).ToList();
+                        return StatusCode(status, new { Committed = false, error = $"Operation {i}: {error}", Results = results });
+                    }
+                }
+
+                using var changeActor = BeginChangeActor(user);
+                var (committed, batchResults) = await _folderService.ExecuteBatchAsync(operations).ConfigureAwait(false);
+                if (!committed)
+                {
+                    var failed = batchResults.First(r => r.StatusCode != 424);
+                    _logger.LogWarning("Batch: rolled back, operation {Index} ({Op} {Name} in {Folder}) failed with {Status} - {Error}",
+                        failed.Index, failed.Op, failed.Name, failed.Folder, failed.StatusCode, failed.Error);
+                    return StatusCode(failed.StatusCode, new { Committed = false, error = $"Operation {failed.Index}: {failed.Error}", Results = batchResults });
+                }
+
+                _logger.LogInformation("Batch: committed {Count} operation(s)", operations.Count);
+                return Ok(new { Committed = true, Results = batchResults });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Batch: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/Events?folder=x
+        /// Server-Sent Events stream of created / updated / deleted notifications for files in a configured folder
+        /// (event data: FolderChangeEvent JSON). Reconnecting clients send Last-Event-ID to replay missed events.
+        /// Subject to the folder's ReadPolicy; EventSource cannot set headers, so pass the token as api_key.
+        /// In user-scoped folders only the caller's namespace is streamed (admins may pass userId).
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> Events([FromQuery] string folder, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (_folderService.GetFolderEntry(folder) == null)
+                    return NotFound("Folder not configured");
+
+                var (isAuthorized, reason) = await AuthorizeReadAsync(_authService.GetFolderReadPolicy(folder), folder).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                long? lastEventId = long.TryParse(Request.Headers["Last-Event-ID"].ToString(), out var parsedId) ? parsedId : null;
+                using var subscription = _eventService.Subscribe(folder, scopedUserId, lastEventId);
+
+                Response.ContentType = "text/event-stream";
+                Response.Headers["Cache-Control"] = "no-cache";
+                Response.Headers["X-Accel-Buffering"] = "no";
+
+                var aborted = HttpContext.RequestAborted;
+                await WriteEventStreamAsync("retry: 5000\n\n", aborted).ConfigureAwait(false);
+                while (!aborted.IsCancellationRequested)
+                {
+                    // Wake up periodically to send a comment line so proxies keep the connection open
+                    using var heartbeat = System.Threading.CancellationTokenSource.CreateLinkedTokenSource(aborted);
+                    heartbeat.CancelAfter(EventHeartbeatInterval);
+                    try
+                    {
+                        if (!await subscription.Reader.WaitToReadAsync(heartbeat.Token).ConfigureAwait(false))
+                            break;
+                    }
+                    catch (OperationCanceledException) when (!aborted.IsCancellationRequested)
+                    {
+                        await WriteEventStreamAsync(": ping\n\n", aborted).ConfigureAwait(false);
+                        continue;
+                    }
+
+                    while (subscription.Reader.TryRead(out var evt))
+                    {
+                        var data = Newtonsoft.Json.JsonConvert.SerializeObject(evt);
+                        await WriteEventStreamAsync($"id: {evt.Id}\nevent: {evt.Type}\ndata: {data}\n\n", aborted).ConfigureAwait(false);
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Client disconnected
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Events: unexpected error for folder={Folder}", folder);
+                if (!Response.HasStarted)
+                    return StatusCode(500, "Internal server error");
+            }
+
+            return new EmptyResult();
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/FolderUsers?folder=x
+        /// List the user Ids that have data in a user-scoped folder. Admin only.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> FolderUsers([FromQuery] string folder)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                if (!_folderService.IsUserScoped(folder))
+                    return BadRequest("Folder is not user-scoped.");
+
+                return Ok(_folderService.ListFolderUsers(folder));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderUsers: unexpected error for folder={Folder}", folder);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/FolderUsage?folder=x
+        /// Current file count and total size of a folder against its quota.
+        /// Uses the folder's read policy; in user-scoped folders the caller's namespace is measured.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> FolderUsage([FromQuery] string folder, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+
+                var (isAuthorized, reason) = await AuthorizeReadAsync(_authService.GetFolderReadPolicy(folder), folder).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                return Ok(_folderService.GetFolderUsage(folder, scopedUserId));
+            }
+            catch (ArgumentException aex)
+            {
+                return NotFound(aex.Message);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderUsage: unexpected error for folder={Folder}", folder);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET/POST: /Plugins/EndpointExposer/FolderValidate?folder=x
+        /// Validate existing files in a folder against its JSON Schemas. Admin only.
+        /// A POST body of schema rules ([{ "FilePattern": "*.json", "Schema": "{...}" }]) is used instead of
+        /// the saved ones, so schemas can be checked before saving.
+        /// </summary>
+        [HttpGet]
+        [HttpPost]
+        public async Task<IActionResult> FolderValidate([FromQuery] string folder)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                List<FolderSchemaRule>? rules = null;
+                if (HttpMethods.IsPost(Request.Method))
+                {
+                    string raw;
+                    using (var sr = new StreamReader(Request.Body, Encoding.UTF8))
+                    {
+                        raw = await sr.ReadToEndAsync().ConfigureAwait(false);
+                    }
+
+                    if (!string.IsNullOrWhiteSpace(raw))
+                    {
+                        try
+                        {
+                            rules = JArray.Parse(raw).ToObject<List<FolderSchemaRule>>();
+                        }
+                        catch (Newtonsoft.Json.JsonException)
+                        {
+                            return BadRequest("Invalid JSON");
+                        }
+                    }
+                }
+
+                var results = _folderService.ValidateFolderFiles(folder, rules);
+                return Ok(new
+                {
+                    Folder = folder,
+                    Checked = results.Count,
+                    Invalid = results.Count(r => r.Errors.Count > 0),
+                    Files = results.Select(r => new { Name = r.Name, Valid = r.Errors.Count == 0, Errors = r.Errors })
+                });
+            }
+            catch (ArgumentException aex)
+            {
+                return NotFound(aex.Message);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderValidate: unexpected error for folder={Folder}", folder);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/FolderBackups?folder=x&amp;name=y
+        /// List the backups kept for a folder file, newest first.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> FolderBackups([FromQuery] string folder, [FromQuery] string name, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
+
+                var (isAuthorized, reason) = await AuthorizeReadAsync(_authService.GetFolderReadPolicy(folder), folder).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                var backups = _folderService.ListFolderFileBackups(folder, name, scopedUserId);
+                return Ok(backups);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderBackups: unexpected error for folder={Folder} name={Name}", folder, name);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/FolderBackup?folder=x&amp;name=y&amp;backup=z
+        /// Download one backup of a folder file.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> FolderBackup([FromQuery] string folder, [FromQuery] string name, [FromQuery] string backup, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
+                if (string.IsNullOrWhiteSpace(backup))
+                    return BadRequest("Query parameter 'backup' is required.");
+
+                var (isAuthorized, reason) = await AuthorizeReadAsync(_authService.GetFolderReadPolicy(folder), folder).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                var (Exists, Bytes, ContentType, FileName) = _folderService.ReadFolderFileBackup(folder, name, backup, scopedUserId);
+                if (!Exists)
+                    return NotFound();
+
+                var ct = string.IsNullOrWhiteSpace(ContentType) ? "application/octet-stream" : ContentType;
+                return File(Bytes, ct, FileName);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderBackup: unexpected error for folder={Folder} name={Name} backup={Backup}", folder, name, backup);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/FolderRestore?folder=x&amp;name=y&amp;backup=z
+        /// Restore a backup over a folder file. The current version is backed up first.
+        /// Requires the same authorization as FolderWrite.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> FolderRestore([FromQuery] string folder, [FromQuery] string name, [FromQuery] string backup, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
+                if (string.IsNullOrWhiteSpace(backup))
+                    return BadRequest("Query parameter 'backup' is required.");
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, folder, user);
+                if (!isAuthorized)
+                {
+                    _logger.LogWarning("FolderRestore: unauthorized attempt for folder={Folder} name={Name} - {Reason}", folder, name, reason);
+                    return Unauthorized(new { error = reason });
+                }
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                using var changeActor = BeginChangeActor(user);
+                var result = await _folderService.RestoreFolderFileBackupAsync(folder, name, backup, scopedUserId).ConfigureAwait(false);
+                if (!result.Success)
+                    return StatusCode(result.StatusCode ?? 500, result.Error ?? "Error");
+
+                _logger.LogInformation("FolderRestore: restored {Name} in folder {Folder} from {Backup}", name, folder, backup);
+                return Ok(new { Restored = true, Name = name, Backup = backup });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderRestore: unexpected error for folder={Folder} name={Name} backup={Backup}", folder, name, backup);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/FolderExport?folder=x&amp;backups=false
+        /// Download a ZIP of every file in a folder, user namespaces included as users/{id}/...; with backups,
+        /// also the backups subfolders. Admin only.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> FolderExport([FromQuery] string folder, [FromQuery] bool backups = false)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                if (_folderService.GetFolderEntry(folder) == null)
+                    return NotFound("Folder not configured");
+
+                // Built in a temp file (ZipArchive writes synchronously) that is removed once the response is sent
+                var archive = new FileStream(Path.Combine(Path.GetTempPath(), $"endpointexposer-{Guid.NewGuid():N}.zip"),
+                    FileMode.CreateNew, FileAccess.ReadWrite, FileShare.None, 81920, FileOptions.DeleteOnClose);
+                try
+                {
+                    _folderService.WriteFolderArchive(folder, archive, backups);
+                    archive.Position = 0;
+                }
+                catch
+                {
+                    archive.Dispose();
+                    throw;
+                }
+
+                return File(archive, "application/zip", $"{folder}-{DateTime.UtcNow:yyyyMMdd-HHmmss}.zip");
+            }
+            catch (ArgumentException aex)
+            {
+                return NotFound(aex.Message);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderExport: unexpected error for folder={Folder}", folder);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/FolderImport?folder=x&amp;mode=merge
+        /// Restore a FolderExport ZIP (the request body) into a folder. merge writes the archive's files over the
+        /// folder; replace also deletes files the archive does not contain. Backups in the archive are skipped.
+        /// Every entry is checked against the folder's names, types, size limits and schemas before anything is
+        /// written, and the import is applied as a whole or not at all, keeping backups of replaced files. Admin only.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> FolderImport([FromQuery] string folder, [FromQuery] string? mode = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+
+                mode = string.IsNullOrWhiteSpace(mode) ? FolderOperationService.ImportModeMerge : mode.Trim().ToLowerInvariant();
+                if (mode != FolderOperationService.ImportModeMerge && mode != FolderOperationService.ImportModeReplace)
+                    return BadRequest($"Query parameter 'mode' must be '{FolderOperationService.ImportModeMerge}' or '{FolderOperationService.ImportModeReplace}'.");
+
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                // ZipArchive needs a seekable stream; spool the body to a temp file
+                using var archive = new FileStream(Path.Combine(Path.GetTempPath(), $"endpointexposer-{Guid.NewGuid():N}.zip"),
+                    FileMode.CreateNew, FileAccess.ReadWrite, FileShare.None, 81920, FileOptions.DeleteOnClose);
+                var buffer = new byte[81920];
+                int read;
+                while ((read = await Request.Body.ReadAsync(buffer, 0, buffer.Length).ConfigureAwait(false)) > 0)
+                {
+                    if (archive.Length + read > FolderOperationService.MaxArchiveImportBytes)
+                        return StatusCode(413, $"Archive exceeds {FolderOperationService.MaxArchiveImportBytes} bytes");
+                    await archive.WriteAsync(buffer.AsMemory(0, read)).ConfigureAwait(false);
+                }
+
+                if (archive.Length == 0)
+                    return BadRequest("Missing body");
+                archive.Position = 0;
+
+                SetAuditDetails(folder, bytes: archive.Length);
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                using var changeActor = BeginChangeActor(user);
+                var (outcome, result) = await _folderService.ImportFolderArchiveAsync(folder, archive, mode == FolderOperationService.ImportModeReplace).ConfigureAwait(false);
+                if (!outcome.Success)
+                {
+                    var error = outcome.Name != null ? $"{outcome.Name}: {outcome.Error}" : outcome.Error;
+                    if (outcome.ValidationErrors != null)
+                        return StatusCode(422, new { error, errors = outcome.ValidationErrors });
+                    return StatusCode(outcome.StatusCode ?? 500, new { error });
+                }
+
+                _logger.LogInformation("FolderImport: {Mode} into folder {Folder} wrote {Written}, deleted {Deleted} file(s)", mode, folder, result.Written.Count, result.Deleted.Count);
+                return Ok(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "FolderImport: unexpected error for folder={Folder}", folder);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/ResolvePath?relative=foldername
+        /// Resolves a relative folder name to its absolute path.
+        /// Used by the settings page for client-side path preview.
+        /// </summary>
+        [HttpGet]
+        [AllowAnonymous]
+        public IActionResult ResolvePath([FromQuery] string relative)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(relative))
+                    return BadRequest(new { error = "Query parameter 'relative' is required." });
+
+                // Resolve the folder path
+                var resolvedPath = _folderService.ResolveFolderPath(relative);
+                return Ok(new { resolvedPath = resolvedPath, relative = relative });
+            }
+            catch (ArgumentException aex)
+            {
+                return NotFound(new { error = "Folder not configured or invalid", detail = aex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ResolvePath: unexpected error for relative={Relative}", relative);
+                return StatusCode(500, new { error = "Internal server error" });
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/CreateFolder
+        /// Verify that a folder exists and is accessible.
+        /// Requires admin privileges or valid API key.
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        public async Task<IActionResult> CreateFolder()
+        {
+            try
+            {
+                string raw;
+                using (var sr = new StreamReader(Request.Body, Encoding.UTF8))
+                    raw = await sr.ReadToEndAsync().ConfigureAwait(false);
+
+                if (string.IsNullOrWhiteSpace(raw))
+                    return BadRequest(new { error = "Missing request body" });
+
+                JObject payload;
+                try
+                {
+                    payload = JObject.Parse(raw);
+                }
+                catch
+                {
+                    return BadRequest(new { error = "Invalid JSON payload" });
+                }
+
+                var folderName = (string?)payload["RelativePath"] ?? (string?)payload["relative"] ?? (string?)payload["folder"];
+                if (string.IsNullOrWhiteSpace(folderName))
+                    return BadRequest(new { error = "RelativePath is required" });
+
+                SetAuditDetails(folder: folderName);
+
+                // Extract and validate token
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+
+                // Check authorization (admin or API key required)
+                var (isAuthorized, reason) = _authService.CheckWriteAuthorization(Request, user);
+                if (!isAuthorized)
+                {
+                    _logger.LogWarning("CreateFolder: unauthorized attempt for {Folder}", folderName);
+                    return Unauthorized(new { error = reason });
+                }
+
+                // Resolve folder path
+                try
+                {
+                    var resolvedPath = _folderService.ResolveFolderPath(folderName);
+                    return Ok(new { success = true, resolvedPath = resolvedPath, folder = folderName });
+                }
+                catch (ArgumentException aex)
+                {
+                    return NotFound(new { error = "Folder not configured or invalid", detail = aex.Message });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "CreateFolder: unexpected error");
+                return StatusCode(500, new { error = "Internal server error" });
+            }
+        }
+
+        #endregion
+
+        #region Key-Value Endpoints
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/KvGet?folder=x&amp;key=y
+        /// Read one key of a key-value folder: { Key, Value, Version, CreatedUtc, UpdatedUtc, ExpiresUtc }.
+        /// Missing and expired keys give 404. Subject to the folder's ReadPolicy.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> KvGet([FromQuery] string folder, [FromQuery] string key, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(key))
+                    return BadRequest("Query parameter 'key' is required.");
+
+                var (isAuthorized, reason) = await AuthorizeReadAsync(_authService.GetFolderReadPolicy(folder), folder).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                var (entry, error) = await _kvService.GetAsync(folder, key, scopedUserId).ConfigureAwait(false);
+                if (error != null)
+                    return StatusCode(error.StatusCode ?? 500, error.Error ?? "Failed to read key");
+                if (entry == null)
+                    return NotFound();
+
+                return KeyValueContent(ToKeyValueResponse(entry));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "KvGet: unexpected error for folder={Folder} key={Key}", folder, key);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// PUT/POST: /Plugins/EndpointExposer/KvSet?folder=x&amp;key=y&amp;version=3&amp;ttl=3600
+        /// Set a key to the JSON request body. version makes it a compare-and-swap: the write only happens when the
+        /// stored version matches (0 = key must not exist), otherwise 412 with the current version.
+        /// ttl (seconds) makes the key expire; omitting it clears any previous expiry.
+        /// Requires the same authorization as FolderWrite. Returns the stored entry without its value.
+        /// </summary>
+        [HttpPut]
+        [HttpPost]
+        public async Task<IActionResult> KvSet([FromQuery] string folder, [FromQuery] string key, [FromQuery] long? version = null,
+            [FromQuery] int? ttl = null, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(key))
+                    return BadRequest("Query parameter 'key' is required.");
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, folder, user);
+                if (!isAuthorized)
+                {
+                    _logger.LogWarning("KvSet: unauthorized attempt for folder={Folder} key={Key} - {Reason}", folder, key, reason);
+                    return Unauthorized(new { error = reason });
+                }
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                string raw;
+                using (var sr = new StreamReader(Request.Body, Encoding.UTF8))
+                {
+                    raw = await sr.ReadToEndAsync().ConfigureAwait(false);
+                }
+
+                if (string.IsNullOrWhiteSpace(raw))
+                    return BadRequest("Missing body");
+
+                if (Encoding.UTF8.GetByteCount(raw) > _folderService.GetMaxFileBytes(folder))
+                    return StatusCode(413, "Payload too large");
+
+                JToken value;
+                try
+                {
+                    value = JToken.Parse(raw);
+                }
+                catch (Newtonsoft.Json.JsonException jex)
+                {
+                    _logger.LogWarning(jex, "KvSet: invalid JSON value for folder={Folder} key={Key}", folder, key);
+                    return BadRequest("Invalid JSON");
+                }
+
+                using var changeActor = BeginChangeActor(user);
+                var (entry, result) = await _kvService.SetAsync(folder, key, value, version, ttl, scopedUserId).ConfigureAwait(false);
+                SetAuditDetails(folder, key, Encoding.UTF8.GetByteCount(raw));
+                if (!result.Success)
+                {
+                    _logger.LogWarning("KvSet: set failed for folder={Folder} key={Key} - {Error}", folder, key, result.Error);
+                    if (result.ValidationErrors != null)
+                        return StatusCode(422, new { error = result.Error, errors = result.ValidationErrors });
+                    if (result.StatusCode == 412)
+                        return StatusCode(412, new { error = result.Error, version = entry?.Version });
+                    return StatusCode(result.StatusCode ?? 500, result.Error ?? "Failed to write key");
+                }
+
+                entry!.Value = null;
+                return KeyValueContent(ToKeyValueResponse(entry));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "KvSet: unexpected error for folder={Folder} key={Key}", folder, key);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// DELETE/POST: /Plugins/EndpointExposer/KvDelete?folder=x&amp;key=y&amp;version=3
+        /// Delete a key (a backup is kept). version makes the delete conditional (412 on mismatch).
+        /// Requires the same authorization as FolderWrite.
+        /// </summary>
+        [HttpDelete]
+        [HttpPost]
+        public async Task<IActionResult> KvDelete([FromQuery] string folder, [FromQuery] string key, [FromQuery] long? version = null, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(key))
+                    return BadRequest("Query parameter 'key' is required.");
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, folder, user);
+                if (!isAuthorized)
+                {
+                    _logger.LogWarning("KvDelete: unauthorized attempt for folder={Folder} key={Key} - {Reason}", folder, key, reason);
+                    return Unauthorized(new { error = reason });
+                }
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                using var changeActor = BeginChangeActor(user);
+                var result = await _kvService.DeleteAsync(folder, key, version, scopedUserId).ConfigureAwait(false);
+                if (!result.Success)
+                {
+                    if (result.StatusCode == 404)
+                        return NotFound();
+                    return StatusCode(result.StatusCode ?? 500, result.Error ?? "Failed to delete key");
+                }
+
+                return Ok(new { success = true, key });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "KvDelete: unexpected error for folder={Folder} key={Key}", folder, key);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/KvList?folder=x&amp;prefix=user.&amp;values=true
+        /// List the live keys of a key-value folder, sorted by key, optionally only those starting with prefix.
+        /// Values are included only with values=true. Subject to the folder's ReadPolicy.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> KvList([FromQuery] string folder, [FromQuery] string? prefix = null, [FromQuery] bool values = false, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+
+                var (isAuthorized, reason) = await AuthorizeReadAsync(_authService.GetFolderReadPolicy(folder), folder).ConfigureAwait(false);
+                if (!isAuthorized)
+                    return Unauthorized(new { error = reason });
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                var (entries, error) = _kvService.List(folder, prefix, values, scopedUserId);
+                if (error != null)
+                    return StatusCode(error.StatusCode ?? 500, error.Error ?? "Failed to list keys");
+
+                return KeyValueContent(entries!.Select(ToKeyValueResponse).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "KvList: unexpected error for folder={Folder}", folder);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        private static object ToKeyValueResponse(KeyValueEntry entry)
+        {
+            return new { entry.Key, entry.Value, entry.Version, entry.CreatedUtc, entry.UpdatedUtc, entry.ExpiresUtc };
+        }
+
+        // Values are JTokens, so responses are written with Newtonsoft rather than the MVC formatter.
+        private ContentResult KeyValueContent(object body)
+        {
+            return Content(Newtonsoft.Json.JsonConvert.SerializeObject(body, Newtonsoft.Json.Formatting.None), "application/json");
+        }
+
+        #endregion
+
+        #region Upload Endpoints
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/UploadStart?folder=x&amp;name=y&amp;size=n
+        /// Start a chunked, resumable upload of a size-byte file. Returns the session (Id, ChunkBytes, Ranges).
+        /// Name, type and quota are checked up front; 429 when the client or folder has too many open uploads.
+        /// Requires the same authorization as FolderWrite.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> UploadStart([FromQuery] string folder, [FromQuery] string name, [FromQuery] long size, [FromQuery] string? userId = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(folder))
+                    return BadRequest("Query parameter 'folder' is required.");
+                if (string.IsNullOrWhiteSpace(name))
+                    return BadRequest("Query parameter 'name' is required.");
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, folder, user);
+                if (!isAuthorized)
+                {
+                    _logger.LogWarning("UploadStart: unauthorized attempt for folder={Folder} name={Name} - {Reason}", folder, name, reason);
+                    return Unauthorized(new { error = reason });
+                }
+
+                var (scopedUserId, scopeError) = await ResolveUserScopeAsync(folder, userId).ConfigureAwait(false);
+                if (scopeError != null)
+                    return scopeError;
+
+                var (session, error) = _uploadService.CreateSession(folder, name, size, scopedUserId, GetUploadOwner(user));
+                if (session == null)
+                    return StatusCode(error?.StatusCode ?? 500, error?.Error ?? "Failed to start upload");
+
+                return Ok(session);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "UploadStart: unexpected error for folder={Folder} name={Name}", folder, name);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// PUT/POST: /Plugins/EndpointExposer/UploadChunk?id=x&amp;index=n (or &amp;offset=bytes)
+        /// Store one chunk (raw body) of an upload. Chunk n starts at n * ChunkBytes; re-sending a chunk is safe.
+        /// Returns the updated session.
+        /// </summary>
+        [HttpPut]
+        [HttpPost]
+        public async Task<IActionResult> UploadChunk([FromQuery] string id, [FromQuery] long? index = null, [FromQuery] long? offset = null)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(id))
+                    return BadRequest("Query parameter 'id' is required.");
+                if (index == null && offset == null)
+                    return BadRequest("Query parameter 'index' or 'offset' is required.");
+
+                var session = _uploadService.GetSession(id);
+                if (session == null)
+                    return NotFound("Upload session not found");
+
+                var authError = await AuthorizeUploadAsync(session).ConfigureAwait(false);
+                if (authError != null)
+                    return authError;
+
+                var start = offset ?? index!.Value * session.ChunkBytes;
+                var (updated, error) = await _uploadService.WriteChunkAsync(id, start, Request.Body, HttpContext?.RequestAborted ?? default).ConfigureAwait(false);
+                if (updated == null)
+                    return StatusCode(error?.StatusCode ?? 500, error?.Error ?? "Failed to store chunk");
+
+                return Ok(updated);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "UploadChunk: unexpected error for upload {Id}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/UploadStatus?id=x
+        /// Return an upload session with the byte ranges received so far, so a client can resume.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> UploadStatus([FromQuery] string id)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(id))
+                    return BadRequest("Query parameter 'id' is required.");
+
+                var session = _uploadService.GetSession(id);
+                if (session == null)
+                    return NotFound("Upload session not found");
+
+                var authError = await AuthorizeUploadAsync(session).ConfigureAwait(false);
+                if (authError != null)
+                    return authError;
+
+                return Ok(session);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "UploadStatus: unexpected error for upload {Id}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/UploadCommit?id=x
+        /// Atomically write a complete upload to its folder. Honours If-Match / If-None-Match and responds like FolderWrite
+        /// (409 while chunks are missing, 413/415 quota, 422 schema).
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> UploadCommit([FromQuery] string id)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(id))
+                    return BadRequest("Query parameter 'id' is required.");
+
+                var session = _uploadService.GetSession(id);
+                if (session == null)
+                    return NotFound("Upload session not found");
+
+                var authError = await AuthorizeUploadAsync(session).ConfigureAwait(false);
+                if (authError != null)
+                    return authError;
+
+                var ifMatch = Request.Headers["If-Match"].ToString();
+                var ifNoneMatch = Request.Headers["If-None-Match"].ToString();
+                SetAuditDetails(session.Folder, session.Name, session.TotalBytes);
+                using var changeActor = BeginChangeActor(await GetValidatedUserAsync().ConfigureAwait(false));
+                var (_, result) = await _uploadService.CommitAsync(id, ifMatch, ifNoneMatch).ConfigureAwait(false);
+                SetETagHeader(result.ETag);
+                if (!result.Success)
+                {
+                    _logger.LogWarning("UploadCommit: commit failed for upload {Id} ({Name} in {Folder}) - {Error}", id, session.Name, session.Folder, result.Error);
+                    if (result.ValidationErrors != null)
+                        return StatusCode(422, new { error = result.Error, errors = result.ValidationErrors });
+                    return StatusCode(result.StatusCode ?? 500, result.Error ?? "Failed to write file");
+                }
+
+                return Ok(new { Saved = true, Name = session.Name, Path = result.Path, ETag = result.ETag });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "UploadCommit: unexpected error for upload {Id}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// DELETE/POST: /Plugins/EndpointExposer/UploadCancel?id=x
+        /// Abort an upload and delete its staged data.
+        /// </summary>
+        [HttpDelete]
+        [HttpPost]
+        public async Task<IActionResult> UploadCancel([FromQuery] string id)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(id))
+                    return BadRequest("Query parameter 'id' is required.");
+
+                var session = _uploadService.GetSession(id);
+                if (session == null)
+                    return NotFound("Upload session not found");
+
+                var authError = await AuthorizeUploadAsync(session).ConfigureAwait(false);
+                if (authError != null)
+                    return authError;
+
+                if (!await _uploadService.CancelAsync(id).ConfigureAwait(false))
+                    return NotFound("Upload session not found");
+
+                return Ok(new { Cancelled = true, Id = id });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "UploadCancel: unexpected error for upload {Id}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        #endregion
+
+        #region API Key Endpoints
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/ApiKeys
+        /// List named API keys (without hashes). Admin only.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> ApiKeys()
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                var now = DateTime.UtcNow;
+                return Ok(_apiKeyService.ListKeys().Select(k => ToApiKeySummary(k, now)));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ApiKeys: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/ApiKeyCreate
+        /// Body: { "Name": "...", "ReadFolders": ["x"], "WriteFolders": ["x"], "ExpiresUtc": "2030-01-01T00:00:00Z" }
+        /// Returns the plain key once. Admin only.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> ApiKeyCreate()
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                string raw;
+                using (var sr = new StreamReader(Request.Body, Encoding.UTF8))
+                    raw = await sr.ReadToEndAsync().ConfigureAwait(false);
+
+                if (string.IsNullOrWhiteSpace(raw))
+                    return BadRequest(new { error = "Missing request body" });
+
+                JObject payload;
+                try
+                {
+                    payload = JObject.Parse(raw);
+                }
+                catch
+                {
+                    return BadRequest(new { error = "Invalid JSON payload" });
+                }
+
+                var name = (string?)payload["Name"] ?? (string?)payload["name"] ?? string.Empty;
+                var readFolders = (payload["ReadFolders"] ?? payload["readFolders"])?.ToObject<string[]>();
+                var writeFolders = (payload["WriteFolders"] ?? payload["writeFolders"])?.ToObject<string[]>();
+                var expiresUtc = (DateTime?)(payload["ExpiresUtc"] ?? payload["expiresUtc"]);
+
+                try
+                {
+                    var (entry, key) = await _apiKeyService.CreateKeyAsync(name, readFolders, writeFolders, expiresUtc).ConfigureAwait(false);
+                    SetAuditDetails(file: entry.Id);
+                    return Ok(new { Key = key, ApiKey = ToApiKeySummary(entry, DateTime.UtcNow) });
+                }
+                catch (ArgumentException aex)
+                {
+                    return BadRequest(new { error = aex.Message });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ApiKeyCreate: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// DELETE/POST: /Plugins/EndpointExposer/ApiKeyRevoke?id=x
+        /// Remove a named API key. Admin only.
+        /// </summary>
+        [HttpDelete]
+        [HttpPost]
+        public async Task<IActionResult> ApiKeyRevoke([FromQuery] string id)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(id))
+                    return BadRequest("Query parameter 'id' is required.");
+
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                if (!await _apiKeyService.RevokeKeyAsync(id).ConfigureAwait(false))
+                    return NotFound();
+
+                return Ok(new { Revoked = true, Id = id });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ApiKeyRevoke: unexpected error for id={Id}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/ApiKeyRotate?id=x
+        /// Issue a new secret for an existing key; the old secret stops working immediately.
+        /// Returns the plain key once. Admin only.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> ApiKeyRotate([FromQuery] string id)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(id))
+                    return BadRequest("Query parameter 'id' is required.");
+
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                var (entry, key) = await _apiKeyService.RotateKeyAsync(id).ConfigureAwait(false);
+                if (entry == null)
+                    return NotFound();
+
+                return Ok(new { Key = key, ApiKey = ToApiKeySummary(entry, DateTime.UtcNow) });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ApiKeyRotate: unexpected error for id={Id}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        #endregion
+
+        #region CORS
+
+        /// <summary>
+        /// OPTIONS: /Plugins/EndpointExposer/*
+        /// CORS preflight for every EndpointExposer route. Allowed origins get the configured methods and headers;
+        /// anything else gets a bare 204, which browsers treat as a refusal.
+        /// </summary>
+        [HttpOptions("/Plugins/EndpointExposer/{**path}")]
+        [AllowAnonymous]
+        public IActionResult Preflight(string? path = null)
+        {
+            _corsService.ApplyHeaders(Request, Response, preflight: true);
+            return NoContent();
+        }
+
+        #endregion
+
+        #region Client Script
+
+        private const string ClientScriptResource = "Jellyfin.Plugin.EndpointExposer.Configuration.client.js";
+
+        // The script is embedded in the assembly; load it once and key its ETag on the content
+        private static readonly Lazy<(byte[] Content, string ETag)?> ClientScriptContent = new Lazy<(byte[] Content, string ETag)?>(LoadClientScript);
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/client.js
+        /// Browser client for mods (exposes EndpointExposerClient). Anonymous; revalidated with ETag on every load
+        /// so a plugin update reaches clients immediately.
+        /// </summary>
+        [HttpGet("/Plugins/EndpointExposer/client.js")]
+        [AllowAnonymous]
+        public IActionResult ClientScript()
+        {
+            try
+            {
+                var script = ClientScriptContent.Value;
+                if (script == null)
+                    return NotFound("Client script not available");
+
+                Response.Headers["Cache-Control"] = "public, no-cache";
+                if (IsNotModified(script.Value.ETag))
+                    return StatusCode(304);
+
+                SetETagHeader(script.Value.ETag);
+                return File(script.Value.Content, "text/javascript; charset=utf-8");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ClientScript: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        private static (byte[] Content, string ETag)? LoadClientScript()
+        {
+            using var stream = typeof(EndpointExposerController).Assembly.GetManifestResourceStream(ClientScriptResource);
+            if (stream == null)
+                return null;
+
+            using var ms = new MemoryStream();
+            stream.CopyTo(ms);
+            var content = ms.ToArray();
+            var hash = System.Security.Cryptography.SHA256.HashData(content);
+            return (content, $"\"{Convert.ToHexString(hash, 0, 8).ToLowerInvariant()}\"");
+        }
+
+        #endregion
+
+        #region Webhooks
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/WebhookDeliveries?folder=x&amp;id=y&amp;limit=100
+        /// Recent webhook deliveries, newest first, optionally for one folder ("-" = the output directory) or webhook Id.
+        /// Admin only.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> WebhookDeliveries([FromQuery] string? folder = null, [FromQuery] string? id = null, [FromQuery] int limit = 100)
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                var folderFilter = folder == "-" ? string.Empty : folder;
+                return Ok(_webhookService.GetDeliveries(folderFilter, id, Math.Clamp(limit, 1, 200)));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "WebhookDeliveries: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/WebhookTest?folder=x
+        /// Send a "test" event to the webhook in the body ({ "Id", "Url", "Secret" }, saved or not) and return the
+        /// delivery. folder only labels the payload; omit it for the output directory. Admin only.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> WebhookTest([FromQuery] string? folder = null)
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                string raw;
+                using (var sr = new StreamReader(Request.Body, Encoding.UTF8))
+                    raw = await sr.ReadToEndAsync().ConfigureAwait(false);
+
+                WebhookEntry? hook;
+                try
+                {
+                    hook = string.IsNullOrWhiteSpace(raw) ? null : JObject.Parse(raw).ToObject<WebhookEntry>();
+                }
+                catch (Newtonsoft.Json.JsonException)
+                {
+                    return BadRequest(new { error = "Invalid JSON payload" });
+                }
+
+                if (hook == null || !WebhookService.IsUrlValid(hook.Url))
+                    return BadRequest(new { error = "An absolute http(s) Url is required" });
+
+                var delivery = await _webhookService.TestAsync(hook, folder).ConfigureAwait(false);
+                return Ok(delivery);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "WebhookTest: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        #endregion
+
+        #region Retention
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/RetentionRun?folder=x&amp;dryRun=true
+        /// Apply the retention rules of one folder (or of every folder) now and return what was deleted. With dryRun the
+        /// files that would be deleted are listed and nothing is removed. Admin only.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> RetentionRun([FromQuery] string? folder = null, [FromQuery] bool dryRun = false)
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                folder = string.IsNullOrWhiteSpace(folder) ? null : folder;
+                if (folder != null && _folderService.GetFolderEntry(folder) == null)
+                    return NotFound(new { error = "Folder not configured" });
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                using var changeActor = BeginChangeActor(user);
+                var result = await _retentionService.RunAsync(folder, dryRun).ConfigureAwait(false);
+
+                SetAuditDetails(folder, bytes: result.TotalBytes);
+                if (!dryRun)
+                    _logger.LogInformation("RetentionRun: deleted {Count} file(s) from {Folder}", result.FileCount, folder ?? "all folders");
+                return Ok(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "RetentionRun: unexpected error for folder={Folder}", folder);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/RetentionLog?folder=x&amp;limit=20
+        /// Recent retention sweeps, newest first, optionally only those that touched one folder. Scheduled sweeps that
+        /// deleted nothing are left out. Admin only.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> RetentionLog([FromQuery] string? folder = null, [FromQuery] int limit = 20)
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                var folderFilter = string.IsNullOrWhiteSpace(folder) ? null : folder;
+                return Ok(_retentionService.GetLog(folderFilter, Math.Clamp(limit, 1, 50)));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "RetentionLog: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        #endregion
+
+        #region Rate Limits
+
+        // Never limited: preflights and the static client script
+        private static readonly HashSet<string> RateLimitExemptActions = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            nameof(Preflight), nameof(ClientScript)
+        };
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/RateLimits
+        /// Current rate limit buckets and client IPs with recent authentication failures. Admin only.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> RateLimits()
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                var (counters, lockouts) = _rateLimitService.GetSnapshot();
+                return Ok(new { Enabled = _rateLimitService.IsEnabled, Counters = counters, Lockouts = lockouts });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "RateLimits: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// POST: /Plugins/EndpointExposer/RateLimitUnlock?ip=x
+        /// Lift the authentication lockout of a client IP. Admin only.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> RateLimitUnlock([FromQuery] string ip)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(ip))
+                    return BadRequest("Query parameter 'ip' is required.");
+
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                if (!_rateLimitService.Unlock(ip))
+                    return NotFound();
+
+                return Ok(new { success = true, ip });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "RateLimitUnlock: unexpected error for ip={Ip}", ip);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Apply the auth lockout and the IP, API key, user and folder buckets, cheapest first so a flooding client
+        /// is turned away before its token is validated remotely. Returns the 429 result, or null to proceed.
+        /// </summary>
+        private async Task<IActionResult?> CheckRateLimitsAsync(string? action, string clientIp)
+        {
+            if (action != null && RateLimitExemptActions.Contains(action))
+                return null;
+
+            var lockout = _rateLimitService.GetLockout(clientIp);
+            if (lockout.HasValue)
+                return TooManyRequests(lockout.Value, "Too many failed authentication attempts, try again later");
+
+            if (!_rateLimitService.IsEnabled)
+                return null;
+
+            var config = _service.GetConfiguration() ?? new PluginConfiguration();
+            var retryAfter = _rateLimitService.TryAcquire(RateLimitService.ScopeIp, clientIp, config.RateLimitPerIp);
+
+            var keyName = retryAfter == null ? _authService.GetApiKeyName(Request) : null;
+            if (keyName != null)
+                retryAfter = _rateLimitService.TryAcquire(RateLimitService.ScopeApiKey, keyName, config.RateLimitPerApiKey);
+
+            string? userId = null;
+            if (retryAfter == null && !string.IsNullOrWhiteSpace(_authService.ExtractTokenFromRequest(Request)))
+            {
+                userId = (await GetValidatedUserAsync().ConfigureAwait(false))?["Id"]?.ToString();
+                if (userId != null)
+                    retryAfter = _rateLimitService.TryAcquire(RateLimitService.ScopeUser, userId, config.RateLimitPerUser);
+            }
+
+            var folder = GetQueryValue("folder");
+            var folderEntry = retryAfter == null && folder != null ? _folderService.GetFolderEntry(folder) : null;
+            if (folderEntry != null && folderEntry.RateLimitPerMinute > 0)
+                retryAfter = _rateLimitService.TryAcquire(RateLimitService.FolderScopePrefix + folderEntry.Name, userId ?? keyName ?? clientIp, folderEntry.RateLimitPerMinute);
+
+            return retryAfter.HasValue ? TooManyRequests(retryAfter.Value, "Too many requests") : null;
+        }
+
+        // Only failures with credentials count toward the lockout: anonymous calls to protected routes are not guesses.
+        private void TrackAuthResult(ActionExecutedContext executed, string clientIp)
+        {
+            var status = (executed.Result as IStatusCodeActionResult)?.StatusCode;
+            var presented = !string.IsNullOrWhiteSpace(_authService.ExtractTokenFromRequest(Request))
+                || !string.IsNullOrWhiteSpace(_authService.ExtractApiKeyFromRequest(Request));
+            if (!presented || status == null)
+                return;
+
+            var userValidated = HttpContext.Items.TryGetValue(ValidatedUserItemKey, out var user) && user != null;
+            if (status == 401 && !userValidated && _authService.GetApiKeyName(Request) == null)
+                _rateLimitService.RecordAuthFailure(clientIp);
+            else if (status >= 200 && status < 300)
+                _rateLimitService.RecordAuthSuccess(clientIp);
+        }
+
+        private IActionResult TooManyRequests(TimeSpan retryAfter, string error)
+        {
+            Response.Headers["Retry-After"] = Math.Max(1, (int)Math.Ceiling(retryAfter.TotalSeconds)).ToString(System.Globalization.CultureInfo.InvariantCulture);
+            return StatusCode(429, new { error });
+        }
+
+        #endregion
+
+        #region Audit
+
+        // Actions recorded in the audit log: everything that writes, deletes or changes configuration
+        private static readonly HashSet<string> AuditedActions = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            nameof(SaveConfiguration), nameof(ConfigurationImport), nameof(Write), nameof(Delete), nameof(CreateFolder),
+            nameof(FolderWrite), nameof(FolderPatch), nameof(FolderDelete), nameof(FolderRename), nameof(FolderMove), nameof(FolderRestore), nameof(FolderImport),
+            nameof(Batch), nameof(KvSet), nameof(KvDelete), nameof(UploadCommit), nameof(ApiKeyCreate), nameof(ApiKeyRevoke), nameof(ApiKeyRotate), nameof(RetentionRun)
+        };
+
+        private const string AuditDetailsItemKey = "EndpointExposer.AuditDetails";
+
+        /// <summary>
+        /// GET: /Plugins/EndpointExposer/AuditLog?from=2026-01-01T00:00:00Z&amp;to=...&amp;user=x&amp;operation=FolderWrite&amp;folder=x&amp;file=y&amp;failed=true&amp;limit=200
+        /// Audit log entries, newest first. user matches a user Id, user name or API key name. Admin only.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> AuditLog([FromQuery] DateTime? from = null, [FromQuery] DateTime? to = null, [FromQuery] string? user = null,
+            [FromQuery] string? operation = null, [FromQuery] string? folder = null, [FromQuery] string? file = null,
+            [FromQuery] bool failed = false, [FromQuery] int limit = 200)
+        {
+            try
+            {
+                if (!await IsAdminRequestAsync().ConfigureAwait(false))
+                    return Unauthorized(new { error = "Unauthorized: requires admin" });
+
+                var entries = _auditService.Query(from?.ToUniversalTime(), to?.ToUniversalTime(), user, operation, folder, file, failed, limit);
+                return Ok(entries);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "AuditLog: unexpected error");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Runs around every action: adds CORS headers, applies rate limits and the auth lockout, and records audited
+        /// actions with their outcome once they complete.
+        /// </summary>
+        [NonAction]
+        public async Task OnActionExecutionAsync(ActionExecutingContext context, ActionExecutionDelegate next)
+        {
+            // CORS headers go on before the action runs so streamed responses (Events) and errors carry them too
+            if (!HttpMethods.IsOptions(Request.Method))
+                _corsService.ApplyHeaders(Request, Response, preflight: false);
+
+            var action = context.RouteData.Values["action"]?.ToString();
+            var clientIp = HttpContext.Connection?.RemoteIpAddress?.ToString() ?? "unknown";
+            var limited = await CheckRateLimitsAsync(action, clientIp).ConfigureAwait(false);
+            if (limited != null)
+            {
+                context.Result = limited;
+                return;
+            }
+
+            var executed = await next().ConfigureAwait(false);
+            TrackAuthResult(executed, clientIp);
+
+            // Dry runs change nothing and are not recorded
+            if (action == null || !AuditedActions.Contains(action) || string.Equals(GetQueryValue("dryRun"), "true", StringComparison.OrdinalIgnoreCase))
+                return;
+
+            try
+            {
+                var entry = HttpContext.Items.TryGetValue(AuditDetailsItemKey, out var details) && details is AuditEntry preset
+                    ? preset
+                    : new AuditEntry();
+                entry.TimestampUtc = DateTime.UtcNow;
+                entry.Operation = action;
+                entry.Folder ??= GetQueryValue("folder");
+                entry.File ??= GetQueryValue("name") ?? GetQueryValue("key") ?? GetQueryValue("id");
+                entry.Target ??= GetAuditTarget(action, entry);
+                entry.Bytes ??= Request.ContentLength;
+                entry.ClientIp = HttpContext.Connection?.RemoteIpAddress?.ToString();
+
+                var user = await GetValidatedUserAsync().ConfigureAwait(false);
+                entry.UserId = user?["Id"]?.ToString();
+                entry.UserName = user?["Name"]?.ToString();
+                entry.ApiKeyName = _authService.GetApiKeyName(Request);
+
+                if (executed.Exception != null && !executed.ExceptionHandled)
+                {
+                    entry.StatusCode = 500;
+                    entry.Error = executed.Exception.Message;
+                }
+                else
+                {
+                    entry.StatusCode = (executed.Result as IStatusCodeActionResult)?.StatusCode ?? (Response.StatusCode > 0 ? Response.StatusCode : 200);
+                    if (!entry.Success)
+                        entry.Error = GetResultError(executed.Result);
+                }
+
+                _auditService.Record(entry);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "OnActionExecutionAsync: failed to audit {Action}", action);
+            }
+        }
+
+        /// <summary>
+        /// Override audit fields the filter cannot take from the query string (bodies, upload sessions, parsed payload size).
+        /// </summary>
+        private void SetAuditDetails(string? folder = null, string? file = null, long? bytes = null)
+        {
+            if (HttpContext == null)
+                return;
+
+            HttpContext.Items[AuditDetailsItemKey] = new AuditEntry { Folder = folder, File = file, Bytes = bytes };
+        }
+
+        private string? GetQueryValue(string key)
+        {
+            var value = Request.Query[key].ToString();
+            return string.IsNullOrWhiteSpace(value) ? null : value;
+        }
+
+        private string? GetAuditTarget(string action, AuditEntry entry)
+        {
+            var newName = GetQueryValue("newName");
+            if (string.Equals(action, nameof(FolderMove), StringComparison.OrdinalIgnoreCase))
+                return $"{GetQueryValue("targetFolder")}/{newName ?? entry.File}";
+            if (string.Equals(action, nameof(FolderRename), StringComparison.OrdinalIgnoreCase))
+                return newName == null ? null : $"{entry.Folder}/{newName}";
+            if (string.Equals(action, nameof(FolderRestore), StringComparison.OrdinalIgnoreCase))
+                return GetQueryValue("backup");
+            return null;
+        }
+
+        // Error text of a failed result: a plain string body or the "error" property of an object body
+        private static string? GetResultError(IActionResult? result)
+        {
+            var value = (result as ObjectResult)?.Value;
+            if (value == null)
+                return null;
+            if (value is string text)
+                return text;
+            if (value is JObject obj)
+                return obj["error"]?.ToString();
+            return value.GetType().GetProperty("error")?.GetValue(value)?.ToString();
+        }
+
+        #endregion
+
+        #region Helpers
+
+        private const string ValidatedUserItemKey = "EndpointExposer.ValidatedUser";
+        private const int MaxBatchOperations = 100;
+        private const long MaxBatchBodyBytes = 64 * 1024 * 1024;
+        private static readonly TimeSpan EventHeartbeatInterval = TimeSpan.FromSeconds(25);
+
+        private async Task WriteEventStreamAsync(string text, System.Threading.CancellationToken ct)
+        {
+            await Response.WriteAsync(text, ct).ConfigureAwait(false);
+            await Response.Body.FlushAsync(ct).ConfigureAwait(false);
+        }
+
+        /// <summary>
+        /// Extract the Jellyfin token from the current request and validate it.
+        /// The result is cached on the HttpContext so one request validates at most once.
+        /// Returns null when no token is present or validation fails.
+        /// </summary>
+        private async Task<JObject?> GetValidatedUserAsync()
+        {
+            if (HttpContext != null && HttpContext.Items.TryGetValue(ValidatedUserItemKey, out var cached))
+                return cached as JObject;
+
+            var token = _authService.ExtractTokenFromRequest(Request);
+            JObject? user = null;
+            if (!string.IsNullOrWhiteSpace(token))
+                user = await _authService.ValidateTokenAsync(token, Request).ConfigureAwait(false);
+
+            if (HttpContext != null)
+                HttpContext.Items[ValidatedUserItemKey] = user;
+            return user;
+        }
+
+        /// <summary>
+        /// Resolve the per-user namespace for a user-scoped folder.
+        /// Returns (null, null) for shared folders. Callers get their own namespace;
+        /// only admins may pass another user's Id.
+        /// </summary>
+        private async Task<(string? UserId, IActionResult? Error)> ResolveUserScopeAsync(string folder, string? requestedUserId)
+        {
+            if (!_folderService.IsUserScoped(folder))
+                return (null, null);
+
+            var user = await GetValidatedUserAsync().ConfigureAwait(false);
+            var ownId = FolderOperationService.NormalizeUserId(user?["Id"]?.ToString());
+            if (ownId == null)
+                return (null, Unauthorized(new { error = "Unauthorized: user-scoped folder requires an authenticated Jellyfin user" }));
+
+            if (string.IsNullOrWhiteSpace(requestedUserId))
+                return (ownId, null);
+
+            var requested = FolderOperationService.NormalizeUserId(requestedUserId);
+            if (requested == null)
+                return (null, BadRequest("Invalid userId"));
+
+            if (requested != ownId && !_authService.IsUserAdmin(user))
+            {
+                _logger.LogWarning("ResolveUserScopeAsync: user {UserId} denied access to {Requested} in folder {Folder}", ownId, requested, folder);
+                return (null, Unauthorized(new { error = "Unauthorized: only admins may access other users' data" }));
+            }
+
+            return (requested, null);
+        }
+
+        /// <summary>
+        /// Upload requests carry only the session id: re-check write access to the session's folder and,
+        /// for user-scoped folders, that the caller owns the session (or is an admin).
+        /// Returns null when authorized.
+        /// </summary>
+        private async Task<IActionResult?> AuthorizeUploadAsync(UploadSession session)
+        {
+            var user = await GetValidatedUserAsync().ConfigureAwait(false);
+            var (isAuthorized, reason) = _authService.CheckFolderWriteAuthorization(Request, session.Folder, user);
+            if (!isAuthorized)
+            {
+                _logger.LogWarning("AuthorizeUploadAsync: unauthorized attempt for upload {Id} in folder {Folder} - {Reason}", session.Id, session.Folder, reason);
+                return Unauthorized(new { error = reason });
+            }
+
+            var (scopedUserId, scopeError) = await ResolveUserScopeAsync(session.Folder, session.UserId).ConfigureAwait(false);
+            if (scopeError != null)
+                return scopeError;
+            if (scopedUserId != session.UserId)
+                return Unauthorized(new { error = "Unauthorized: upload belongs to another namespace" });
+
+            return null;
+        }
+
+        /// <summary>
+        /// Attribute the file changes made by the rest of this request to the caller in Events notifications.
+        /// Must be called synchronously in the action (not from an async helper) so the scope flows into the write.
+        /// </summary>
+        private IDisposable BeginChangeActor(JObject? user)
+        {
+            var userId = user?["Id"]?.ToString();
+            if (userId == null && !string.IsNullOrWhiteSpace(_authService.ExtractApiKeyFromRequest(Request)))
+                userId = "apikey";
+            return FolderEventService.BeginActor(userId, user?["Name"]?.ToString());
+        }
+
+        /// <summary>
+        /// True when the request carries a token for a Jellyfin administrator.
+        /// </summary>
+        private async Task<bool> IsAdminRequestAsync()
+        {
+            var user = await GetValidatedUserAsync().ConfigureAwait(false);
+            return _authService.IsUserAdmin(user);
+        }
+
+        /// <summary>
+        /// Read the request body, or return null as soon as it is known to exceed maxBytes: a larger Content-Length is
+        /// refused before reading and the read stops at the limit, so an oversized body is never buffered.
+        /// </summary>
+        private async Task<byte[]?> ReadBodyAsync(long maxBytes)
+        {
+            if (Request.ContentLength > maxBytes)
+                return null;
+
+            using var ms = new MemoryStream();
+            var buffer = new byte[8192];
+            int read;
+            while ((read = await Request.Body.ReadAsync(buffer, 0, buffer.Length).ConfigureAwait(false)) > 0)
+            {
+                if (ms.Length + read > maxBytes)
+                    return null;
+                ms.Write(buffer, 0, read);
+            }
+
+            return ms.ToArray();
+        }
+
+        /// <summary>
+        /// Who an upload session belongs to for MaxOpenUploads: the validated user, else the API key, else the client IP.
+        /// </summary>
+        private string GetUploadOwner(JObject? user)
+        {
+            var userId = user?["Id"]?.ToString();
+            if (!string.IsNullOrEmpty(userId))
+                return "user:" + userId;
+
+            var keyName = _authService.GetApiKeyName(Request);
+            if (keyName != null)
+                return "key:" + keyName;
+
+            return "ip:" + (HttpContext.Connection?.RemoteIpAddress?.ToString() ?? "unknown");
+        }
+
+        private void SetETagHeader(string? etag)
+        {
+            if (!string.IsNullOrEmpty(etag))
+                Response.Headers["ETag"] = etag;
+        }
+
+        /// <summary>
+        /// Cache-Control for a file read: max-age when maxAgeSeconds > 0, otherwise no-cache so clients revalidate with
+        /// If-None-Match. private unless anyone may read the file.
+        /// </summary>
+        private void SetCacheControlHeader(int maxAgeSeconds, bool isPublic)
+        {
+            var scope = isPublic ? "public" : "private";
+            Response.Headers["Cache-Control"] = maxAgeSeconds > 0
+                ? $"{scope}, max-age={maxAgeSeconds.ToString(System.Globalization.CultureInfo.InvariantCulture)}"
+                : $"{scope}, no-cache";
+        }
+
+        /// <summary>
+        /// Stream an opened file. The framework answers If-None-Match / If-Modified-Since with 304, Range with 206
+        /// (If-Range aware) and sets ETag, Last-Modified and Accept-Ranges; the stream is disposed with the response.
+        /// </summary>
+        private IActionResult StreamFile(Stream stream, string? contentType, string fileName, string? etag, DateTime lastModifiedUtc)
+        {
+            var ct = string.IsNullOrWhiteSpace(contentType) ? "application/octet-stream" : contentType;
+            var entityTag = etag != null ? Microsoft.Net.Http.Headers.EntityTagHeaderValue.Parse(etag) : null;
+            return File(stream, ct, fileName, new DateTimeOffset(lastModifiedUtc, TimeSpan.Zero), entityTag!, enableRangeProcessing: true);
+        }
+
+        /// <summary>
+        /// True when the request's If-None-Match matches the current ETag (GET conditional requests).
+        /// </summary>
+        private bool IsNotModified(string? etag)
+        {
+            var ifNoneMatch = Request.Headers["If-None-Match"].ToString();
+            if (string.IsNullOrWhiteSpace(ifNoneMatch) || !Utilities.ETagHelper.Matches(ifNoneMatch, etag))
+                return false;
+
+            SetETagHeader(etag);
+            return true;
+        }
+
+        private object ToApiKeySummary(ApiKeyEntry entry, DateTime now)
+        {
+            return new
+            {
+                entry.Id,
+                entry.Name,
+                entry.Prefix,
+                entry.ReadFolders,
+                entry.WriteFolders,
+                entry.CreatedUtc,
+                entry.ExpiresUtc,
+                LastUsedUtc = _authService.GetApiKeyLastUsed(entry),
+                Expired = entry.IsExpired(now)
+            };
+        }
+
+        /// <summary>
+        /// Check read access for the given policy. Public reads skip token validation entirely.
+        /// folder is null for the default output directory.
+        /// </summary>
+        private async Task<(bool IsAuthorized, string? Reason)> AuthorizeReadAsync(FolderReadPolicy policy, string? folder = null)
+        {
+            if (policy == FolderReadPolicy.Public)
+                return (true, null);
+
+            var user = await GetValidatedUserAsync().ConfigureAwait(false);
+            var (isAuthorized, reason) = _authService.CheckReadAuthorization(Request, policy, user, folder);
+            if (!isAuthorized)
+                _logger.LogWarning("Read denied for {Path} (policy={Policy}) - {Reason}", Request?.Path.Value, policy, reason);
+            return (isAuthorized, reason);
+        }
 
         #endregion
     }
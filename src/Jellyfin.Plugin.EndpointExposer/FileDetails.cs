@@ -0,0 +1,46 @@
+// src/Jellyfin.Plugin.EndpointExposer/FileDetails.cs
+using System;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing one file in a listing (returned when details are requested).
+    /// </summary>
+    public class FileDetails
+    {
+        /// <summary>
+        /// File name.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Size in bytes.
+        /// </summary>
+        public long Size { get; set; }
+
+        /// <summary>
+        /// UTC last write time.
+        /// </summary>
+        public DateTime LastModifiedUtc { get; set; }
+
+        /// <summary>
+        /// Quoted ETag, usable in If-Match on the next write.
+        /// </summary>
+        public string ETag { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Build details from a FileInfo.
+        /// </summary>
+        public static FileDetails FromFileInfo(System.IO.FileInfo info)
+        {
+            return new FileDetails
+            {
+                Name = info.Name,
+                Size = info.Length,
+                LastModifiedUtc = info.LastWriteTimeUtc,
+                ETag = Utilities.ETagHelper.Compute(info.LastWriteTimeUtc, info.Length)
+            };
+        }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/FileDetails.cs
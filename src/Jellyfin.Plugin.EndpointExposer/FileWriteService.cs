@@ -1,9 +1,12 @@
 // FileWriteService.cs
 using System;
+using System.Collections.Generic;
 using System.IO;
 using System.Linq;
 using System.Text;
+using System.Threading;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
 using Microsoft.Extensions.Hosting;
 using Microsoft.Extensions.Logging;
 
@@ -19,12 +22,30 @@ namespace Jellyfin.Plugin.EndpointExposer
         private readonly PluginConfiguration _config;
         private readonly ILogger<FileWriteService> _logger;
 
+        // One lock per target path so precondition checks and the replace happen together. Entries are counted and
+        // removed once no caller holds or waits on them, so only paths in use are kept.
+        // Static because controllers construct fallback instances per request.
+        private static readonly Dictionary<string, PathLock> PathLocks = new Dictionary<string, PathLock>(StringComparer.OrdinalIgnoreCase);
+
+        /// <summary>
+        /// Raised after a file is created, replaced or deleted through this service; a move reports Deleted for the
+        /// source and Created/Changed for the destination. Static so every fallback instance reports to the same
+        /// listeners. Handlers run synchronously on the writing thread.
+        /// </summary>
+        public static event Action<string, WatcherChangeTypes>? FileChanged;
+
         public FileWriteService(PluginConfiguration config, JellyfinAuth auth, ILogger<FileWriteService> logger)
         {
             _config = config ?? throw new ArgumentNullException(nameof(config));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         }
 
+        // Saving the configuration replaces Plugin.Instance.Configuration; read it live so MaxBackups changes apply.
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
         // BackgroundService base: no background work by default (listener removed).
         protected override Task ExecuteAsync(System.Threading.CancellationToken stoppingToken)
         {
@@ -54,60 +75,345 @@ namespace Jellyfin.Plugin.EndpointExposer
         public async Task WriteAllBytesAsync(string path, byte[] bytes)
         {
             if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
-            bytes ??= Array.Empty<byte>();
 
+            var pathLock = await AcquirePathLockAsync(path).ConfigureAwait(false);
+            try
+            {
+                await WriteAllBytesCoreAsync(path, bytes).ConfigureAwait(false);
+            }
+            finally
+            {
+                ReleasePathLock(pathLock);
+            }
+        }
+
+        /// <summary>
+        /// Atomically write bytes only if the If-Match / If-None-Match preconditions hold for the current file.
+        /// Returns (Success, StatusCode, ETag): on success ETag is the new file's ETag; on failure StatusCode is
+        /// 412 (stale If-Match) or 409 (create-only write over an existing file) and ETag is the current one.
+        /// </summary>
+        public async Task<(bool Success, int? StatusCode, string? ETag)> WriteAllBytesConditionalAsync(string path, byte[] bytes, string? ifMatch, string? ifNoneMatch)
+        {
+            if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
+
+            var pathLock = await AcquirePathLockAsync(path).ConfigureAwait(false);
             try
             {
+                var current = ETagHelper.ComputeForFile(path);
+                var failure = ETagHelper.EvaluateWritePreconditions(ifMatch, ifNoneMatch, current);
+                if (failure.HasValue)
+                {
+                    _logger.LogDebug("Precondition failed ({Status}) for {Path}: If-Match={IfMatch}, If-None-Match={IfNoneMatch}, current={ETag}",
+                        failure.Value, path, ifMatch, ifNoneMatch, current);
+                    return (false, failure, current);
+                }
+
+                await WriteAllBytesCoreAsync(path, bytes).ConfigureAwait(false);
+                return (true, null, ETagHelper.ComputeForFile(path));
+            }
+            finally
+            {
+                ReleasePathLock(pathLock);
+            }
+        }
+
+        /// <summary>
+        /// Read-modify-write under the path lock: update receives the current bytes (null if the file is missing)
+        /// and returns the bytes to write. Exceptions thrown by update propagate and leave the file untouched.
+        /// Returns the same (Success, StatusCode, ETag) shape as WriteAllBytesConditionalAsync.
+        /// </summary>
+        public async Task<(bool Success, int? StatusCode, string? ETag)> UpdateAllBytesAsync(string path, Func<byte[]?, byte[]> update, string? ifMatch = null)
+        {
+            if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
+            if (update == null) throw new ArgumentNullException(nameof(update));
+
+            var pathLock = await AcquirePathLockAsync(path).ConfigureAwait(false);
+            try
+            {
+                var current = ETagHelper.ComputeForFile(path);
+                var failure = ETagHelper.EvaluateWritePreconditions(ifMatch, null, current);
+                if (failure.HasValue)
+                {
+                    _logger.LogDebug("Precondition failed ({Status}) for {Path}: If-Match={IfMatch}, current={ETag}",
+                        failure.Value, path, ifMatch, current);
+                    return (false, failure, current);
+                }
+
+                var existing = current != null ? await File.ReadAllBytesAsync(path).ConfigureAwait(false) : null;
+                var bytes = update(existing);
+
+                await WriteAllBytesCoreAsync(path, bytes).ConfigureAwait(false);
+                return (true, null, ETagHelper.ComputeForFile(path));
+            }
+            finally
+            {
+                ReleasePathLock(pathLock);
+            }
+        }
+
+        /// <summary>
+        /// Move a fully written staging file (e.g. a finished chunked upload) into place with the same preconditions,
+        /// backup and temp-file replace as WriteAllBytesConditionalAsync, without loading it into memory.
+        /// The staging file is consumed on success and left untouched on a precondition failure.
+        /// </summary>
+        public async Task<(bool Success, int? StatusCode, string? ETag)> CommitStagedFileAsync(string path, string stagedPath, string? ifMatch, string? ifNoneMatch)
+        {
+            if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
+            if (string.IsNullOrWhiteSpace(stagedPath)) throw new ArgumentNullException(nameof(stagedPath));
+
+            var pathLock = await AcquirePathLockAsync(path).ConfigureAwait(false);
+            try
+            {
+                var current = ETagHelper.ComputeForFile(path);
+                var failure = ETagHelper.EvaluateWritePreconditions(ifMatch, ifNoneMatch, current);
+                if (failure.HasValue)
+                {
+                    _logger.LogDebug("Precondition failed ({Status}) for {Path}: If-Match={IfMatch}, If-None-Match={IfNoneMatch}, current={ETag}",
+                        failure.Value, path, ifMatch, ifNoneMatch, current);
+                    return (false, failure, current);
+                }
+
                 var dir = Path.GetDirectoryName(path) ?? ".";
                 if (!Directory.Exists(dir))
                     Directory.CreateDirectory(dir);
 
-                // If target exists, create a backup copy first (in backups subfolder)
-                if (File.Exists(path) && (_config?.MaxBackups ?? 0) > 0)
+                CreateBackup(path);
+
+                // Same-volume moves are a rename; otherwise File.Move copies, still before the final replace
+                var tempFile = Path.Combine(dir, $"{Path.GetFileName(path)}.{Guid.NewGuid():N}.tmp");
+                File.Move(stagedPath, tempFile);
+                ReplaceWithTempFile(tempFile, path);
+                OnFileChanged(path, current == null ? WatcherChangeTypes.Created : WatcherChangeTypes.Changed);
+
+                _logger.LogDebug("Committed staged file {Staged} to {Path}", stagedPath, path);
+                return (true, null, ETagHelper.ComputeForFile(path));
+            }
+            finally
+            {
+                ReleasePathLock(pathLock);
+            }
+        }
+
+        /// <summary>
+        /// Apply several writes and deletes as one unit: either every change lands or none does.
+        /// All path locks are taken (in a fixed order, so concurrent batches cannot deadlock) and every
+        /// precondition is checked before anything is touched; new content is staged as temp files, then swapped in
+        /// with the previous files kept aside until the end so a failure part-way can put them back.
+        /// Paths must be distinct. Deleting a missing file fails the batch with 404.
+        /// Returns Success, the index and status of the change that stopped the batch (412/409/404/500) and,
+        /// per change, the new ETag on success (null for deletes) or the current ETag of the failed change.
+        /// </summary>
+        public async Task<(bool Success, int FailedIndex, int? StatusCode, string?[] ETags)> CommitBatchAsync(IReadOnlyList<BatchFileChange> changes)
+        {
+            if (changes == null) throw new ArgumentNullException(nameof(changes));
+
+            var etags = new string?[changes.Count];
+            var paths = changes.Select(c => Path.GetFullPath(c.Path)).ToList();
+            if (paths.Distinct(StringComparer.OrdinalIgnoreCase).Count() != paths.Count)
+                throw new ArgumentException("Batch contains the same path more than once", nameof(changes));
+
+            var acquired = new List<PathLock>();
+            var temps = new string?[changes.Count];
+            var asides = new string?[changes.Count];
+            try
+            {
+                foreach (var path in paths.OrderBy(p => p, StringComparer.OrdinalIgnoreCase))
+                    acquired.Add(await AcquirePathLockAsync(path).ConfigureAwait(false));
+
+                // 1. Preconditions for every change, before anything is written
+                for (var i = 0; i < changes.Count; i++)
                 {
-                    try
-                    {
-                        var backupDir = Path.Combine(dir, "backups");
-                        Directory.CreateDirectory(backupDir);
-                        var ts = DateTime.UtcNow.ToString("yyyyMMddHHmmss");
-                        var backupName = $"{Path.GetFileName(path)}.{ts}.bak";
-                        var backupPath = Path.Combine(backupDir, backupName);
-                        File.Copy(path, backupPath, overwrite: true);
-                        TrimBackups(backupDir, Path.GetFileName(path));
-                    }
-                    catch (Exception ex)
+                    var current = ETagHelper.ComputeForFile(paths[i]);
+                    if (changes[i].IsDelete && current == null)
+                        return (false, i, 404, etags);
+
+                    var failure = ETagHelper.EvaluateWritePreconditions(changes[i].IfMatch, changes[i].IfNoneMatch, current);
+                    if (failure.HasValue)
                     {
-                        _logger.LogWarning(ex, "Failed to create backup for {Path}", path);
+                        _logger.LogDebug("Batch precondition failed ({Status}) for {Path}: If-Match={IfMatch}, If-None-Match={IfNoneMatch}, current={ETag}",
+                            failure.Value, paths[i], changes[i].IfMatch, changes[i].IfNoneMatch, current);
+                        etags[i] = current;
+                        return (false, i, failure, etags);
                     }
                 }
 
-                // Write to a temp file in the same directory then move to final path
-                var tempFile = Path.Combine(dir, $"{Path.GetFileName(path)}.{Guid.NewGuid():N}.tmp");
-                await File.WriteAllBytesAsync(tempFile, bytes).ConfigureAwait(false);
+                // 2. Stage new content next to each target
+                for (var i = 0; i < changes.Count; i++)
+                {
+                    if (changes[i].IsDelete)
+                        continue;
 
-                // Replace existing file atomically where supported
+                    var dir = Path.GetDirectoryName(paths[i]) ?? ".";
+                    Directory.CreateDirectory(dir);
+                    temps[i] = Path.Combine(dir, $"{Path.GetFileName(paths[i])}.{Guid.NewGuid():N}.tmp");
+                    await File.WriteAllBytesAsync(temps[i]!, changes[i].Bytes!).ConfigureAwait(false);
+                }
+
+                // 3. Swap in; the previous file of each target is kept aside until every change has landed
+                var applied = 0;
                 try
                 {
-                    if (File.Exists(path))
+                    for (; applied < changes.Count; applied++)
+                    {
+                        var path = paths[applied];
+                        if (File.Exists(path))
+                        {
+                            asides[applied] = Path.Combine(Path.GetDirectoryName(path) ?? ".", $"{Path.GetFileName(path)}.{Guid.NewGuid():N}.tmp");
+                            if (changes[applied].IsDelete)
+                                File.Move(path, asides[applied]!);
+                            else
+                                File.Replace(temps[applied]!, path, asides[applied]);
+                        }
+                        else if (!changes[applied].IsDelete)
+                        {
+                            File.Move(temps[applied]!, path);
+                        }
+                        temps[applied] = null;
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "CommitBatchAsync: failed on {Path}; rolling back {Count} applied change(s)", paths[Math.Min(applied, paths.Count - 1)], applied);
+                    RollBackBatch(changes, paths, asides, applied);
+                    return (false, Math.Min(applied, changes.Count - 1), 500, etags);
+                }
+
+                // 4. Everything landed: keep backups of the replaced files and report the changes
+                for (var i = 0; i < changes.Count; i++)
+                {
+                    var aside = asides[i];
+                    if (aside != null)
                     {
-                        File.Replace(tempFile, path, null);
+                        if (!changes[i].IsDelete || changes[i].KeepBackup)
+                            CreateBackup(paths[i], aside);
+                        TryDelete(aside);
+                        asides[i] = null;
+                    }
+
+                    if (changes[i].IsDelete)
+                    {
+                        OnFileChanged(paths[i], WatcherChangeTypes.Deleted);
                     }
                     else
                     {
-                        File.Move(tempFile, path);
+                        etags[i] = ETagHelper.ComputeForFile(paths[i]);
+                        OnFileChanged(paths[i], aside != null ? WatcherChangeTypes.Changed : WatcherChangeTypes.Created);
                     }
                 }
-                catch (PlatformNotSupportedException)
+
+                _logger.LogDebug("CommitBatchAsync: committed {Count} change(s)", changes.Count);
+                return (true, -1, null, etags);
+            }
+            finally
+            {
+                foreach (var temp in temps.Where(t => t != null))
+                    TryDelete(temp!);
+                for (var i = acquired.Count - 1; i >= 0; i--)
+                    ReleasePathLock(acquired[i]);
+            }
+        }
+
+        // Undo the first count swaps of a batch, newest first: remove new files and move the previous ones back.
+        private void RollBackBatch(IReadOnlyList<BatchFileChange> changes, List<string> paths, string?[] asides, int count)
+        {
+            for (var i = Math.Min(count, changes.Count - 1); i >= 0; i--)
+            {
+                try
                 {
-                    if (File.Exists(path)) File.Delete(path);
-                    File.Move(tempFile, path);
+                    var aside = asides[i];
+                    if (aside != null && File.Exists(aside))
+                    {
+                        File.Move(aside, paths[i], overwrite: true);
+                        asides[i] = null;
+                    }
+                    else if (i < count && !changes[i].IsDelete && aside == null)
+                    {
+                        TryDelete(paths[i]);
+                    }
                 }
                 catch (Exception ex)
                 {
-                    try { if (File.Exists(tempFile)) File.Delete(tempFile); } catch { }
-                    _logger.LogError(ex, "Failed to move temp file to final path {Path}", path);
-                    throw;
+                    _logger.LogError(ex, "RollBackBatch: could not restore {Path}; its previous content is kept in {Aside}", paths[i], asides[i]);
                 }
+            }
+        }
+
+        private void TryDelete(string path)
+        {
+            try
+            {
+                if (File.Exists(path))
+                    File.Delete(path);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to delete {Path}", path);
+            }
+        }
+
+        private sealed class PathLock
+        {
+            public PathLock(string key) => Key = key;
+
+            public string Key { get; }
+
+            public SemaphoreSlim Semaphore { get; } = new SemaphoreSlim(1, 1);
+
+            // Callers holding or waiting on Semaphore; guarded by PathLocks.
+            public int Users { get; set; }
+        }
+
+        // Wait for the path's lock; every call is paired with ReleasePathLock.
+        private static async Task<PathLock> AcquirePathLockAsync(string path)
+        {
+            var key = Path.GetFullPath(path);
+            PathLock? pathLock;
+            lock (PathLocks)
+            {
+                if (!PathLocks.TryGetValue(key, out pathLock))
+                {
+                    pathLock = new PathLock(key);
+                    PathLocks[key] = pathLock;
+                }
+                pathLock.Users++;
+            }
+
+            await pathLock.Semaphore.WaitAsync().ConfigureAwait(false);
+            return pathLock;
+        }
+
+        private static void ReleasePathLock(PathLock pathLock)
+        {
+            lock (PathLocks)
+            {
+                pathLock.Semaphore.Release();
+                if (--pathLock.Users == 0)
+                {
+                    PathLocks.Remove(pathLock.Key);
+                    pathLock.Semaphore.Dispose();
+                }
+            }
+        }
+
+        private async Task WriteAllBytesCoreAsync(string path, byte[] bytes)
+        {
+            bytes ??= Array.Empty<byte>();
+
+            try
+            {
+                var dir = Path.GetDirectoryName(path) ?? ".";
+                if (!Directory.Exists(dir))
+                    Directory.CreateDirectory(dir);
+
+                // If target exists, create a backup copy first (in backups subfolder)
+                CreateBackup(path);
+
+                // Write to a temp file in the same directory then move to final path
+                var tempFile = Path.Combine(dir, $"{Path.GetFileName(path)}.{Guid.NewGuid():N}.tmp");
+                await File.WriteAllBytesAsync(tempFile, bytes).ConfigureAwait(false);
+                var existed = File.Exists(path);
+                ReplaceWithTempFile(tempFile, path);
+                OnFileChanged(path, existed ? WatcherChangeTypes.Changed : WatcherChangeTypes.Created);
 
                 _logger.LogDebug("Wrote file {Path} ({Bytes} bytes)", path, bytes.Length);
             }
@@ -118,17 +424,378 @@ namespace Jellyfin.Plugin.EndpointExposer
             }
         }
 
+        private void OnFileChanged(string path, WatcherChangeTypes change)
+        {
+            try
+            {
+                FileChanged?.Invoke(path, change);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "FileChanged handler failed for {Path}", path);
+            }
+        }
+
+        // Replace the target with a temp file from the same directory, atomically where supported.
+        private void ReplaceWithTempFile(string tempFile, string path)
+        {
+            try
+            {
+                if (File.Exists(path))
+                {
+                    File.Replace(tempFile, path, null);
+                }
+                else
+                {
+                    File.Move(tempFile, path);
+                }
+            }
+            catch (PlatformNotSupportedException)
+            {
+                if (File.Exists(path)) File.Delete(path);
+                File.Move(tempFile, path);
+            }
+            catch (Exception ex)
+            {
+                try { if (File.Exists(tempFile)) File.Delete(tempFile); } catch { }
+                _logger.LogError(ex, "Failed to move temp file to final path {Path}", path);
+                throw;
+            }
+        }
+
+        /// <summary>
+        /// Delete a file under the path lock, optionally keeping a backup copy first (same rotation as overwrites).
+        /// Returns false if the file does not exist.
+        /// </summary>
+        public async Task<bool> DeleteFileAsync(string path, bool keepBackup = false)
+        {
+            if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
+
+            var pathLock = await AcquirePathLockAsync(path).ConfigureAwait(false);
+            try
+            {
+                if (!File.Exists(path))
+                    return false;
+
+                if (keepBackup)
+                    CreateBackup(path);
+
+                File.Delete(path);
+                OnFileChanged(path, WatcherChangeTypes.Deleted);
+                _logger.LogDebug("Deleted file {Path} (backup={Backup})", path, keepBackup);
+                return true;
+            }
+            finally
+            {
+                ReleasePathLock(pathLock);
+            }
+        }
+
+        /// <summary>
+        /// Delete a file under the path lock, only if condition accepts its current bytes.
+        /// Returns (Deleted, StatusCode): 404 when the file is missing, 412 when condition rejects it.
+        /// </summary>
+        public async Task<(bool Deleted, int? StatusCode)> DeleteFileWhenAsync(string path, Func<byte[], bool> condition, bool keepBackup = false)
+        {
+            if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
+            if (condition == null) throw new ArgumentNullException(nameof(condition));
+
+            var pathLock = await AcquirePathLockAsync(path).ConfigureAwait(false);
+            try
+            {
+                if (!File.Exists(path))
+                    return (false, 404);
+
+                var existing = await File.ReadAllBytesAsync(path).ConfigureAwait(false);
+                if (!condition(existing))
+                    return (false, 412);
+
+                if (keepBackup)
+                    CreateBackup(path);
+
+                File.Delete(path);
+                OnFileChanged(path, WatcherChangeTypes.Deleted);
+                _logger.LogDebug("Deleted file {Path} (backup={Backup})", path, keepBackup);
+                return (true, null);
+            }
+            finally
+            {
+                ReleasePathLock(pathLock);
+            }
+        }
+
+        /// <summary>
+        /// Delete a file under the path lock, only if its current ETag (size and modification time) is etag.
+        /// Returns (Deleted, StatusCode): 404 when the file is missing, 412 when it changed.
+        /// </summary>
+        public async Task<(bool Deleted, int? StatusCode)> DeleteFileIfMatchAsync(string path, string etag, bool keepBackup = false)
+        {
+            if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
+
+            var pathLock = await AcquirePathLockAsync(path).ConfigureAwait(false);
+            try
+            {
+                var current = ETagHelper.ComputeForFile(path);
+                if (current == null)
+                    return (false, 404);
+                if (!string.Equals(current, etag, StringComparison.Ordinal))
+                    return (false, 412);
+
+                if (keepBackup)
+                    CreateBackup(path);
+
+                File.Delete(path);
+                OnFileChanged(path, WatcherChangeTypes.Deleted);
+                _logger.LogDebug("Deleted file {Path} (backup={Backup})", path, keepBackup);
+                return (true, null);
+            }
+            finally
+            {
+                ReleasePathLock(pathLock);
+            }
+        }
+
+        /// <summary>
+        /// Move or rename a file under the locks of both paths (taken in sorted order, as in CommitBatchAsync).
+        /// check runs under the locks before anything moves; a non-null result stops the move and is returned.
+        /// When <paramref name="overwrite"/> is true and the destination exists, the destination is backed up first
+        /// like a normal overwrite. Returns null once the file is moved.
+        /// Throws IOException if the destination exists and overwrite is false.
+        /// </summary>
+        public async Task<TFailure?> MoveFileAsync<TFailure>(string sourcePath, string destinationPath, bool overwrite, Func<TFailure?> check)
+            where TFailure : class
+        {
+            if (string.IsNullOrWhiteSpace(sourcePath)) throw new ArgumentNullException(nameof(sourcePath));
+            if (string.IsNullOrWhiteSpace(destinationPath)) throw new ArgumentNullException(nameof(destinationPath));
+            if (check == null) throw new ArgumentNullException(nameof(check));
+
+            var paths = new[] { Path.GetFullPath(sourcePath), Path.GetFullPath(destinationPath) };
+            if (string.Equals(paths[0], paths[1], StringComparison.Ordinal))
+                throw new ArgumentException("Source and destination are the same", nameof(destinationPath));
+
+            var acquired = new List<PathLock>();
+            try
+            {
+                // A rename that only changes case shares one lock (keys ignore case)
+                foreach (var path in paths.Distinct(StringComparer.OrdinalIgnoreCase).OrderBy(p => p, StringComparer.OrdinalIgnoreCase))
+                    acquired.Add(await AcquirePathLockAsync(path).ConfigureAwait(false));
+
+                var failure = check();
+                if (failure != null)
+                    return failure;
+
+                var dir = Path.GetDirectoryName(destinationPath) ?? ".";
+                if (!Directory.Exists(dir))
+                    Directory.CreateDirectory(dir);
+
+                var destinationExisted = File.Exists(destinationPath);
+                if (destinationExisted)
+                {
+                    if (!overwrite)
+                        throw new IOException($"Destination already exists: {destinationPath}");
+                    CreateBackup(destinationPath);
+                }
+
+                File.Move(sourcePath, destinationPath, overwrite);
+                OnFileChanged(sourcePath, WatcherChangeTypes.Deleted);
+                OnFileChanged(destinationPath, destinationExisted ? WatcherChangeTypes.Changed : WatcherChangeTypes.Created);
+                _logger.LogDebug("Moved file {Source} to {Destination}", sourcePath, destinationPath);
+                return null;
+            }
+            finally
+            {
+                for (var i = acquired.Count - 1; i >= 0; i--)
+                    ReleasePathLock(acquired[i]);
+            }
+        }
+
+        #endregion
+
+        #region Read helpers
+
+        /// <summary>
+        /// Open a file for streaming without blocking atomic replaces or deletes: a replace during the read leaves the
+        /// opened version intact. The ETag and last-write time describe the opened version.
+        /// Returns null if the file does not exist; the caller disposes the stream.
+        /// </summary>
+        public static (FileStream Stream, string ETag, DateTime LastWriteUtc)? OpenRead(string path)
+        {
+            if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
+
+            FileStream stream;
+            try
+            {
+                stream = new FileStream(path, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete, 81920,
+                    FileOptions.Asynchronous | FileOptions.SequentialScan);
+            }
+            catch (Exception ex) when (ex is FileNotFoundException || ex is DirectoryNotFoundException)
+            {
+                return null;
+            }
+
+            try
+            {
+                var lastWriteUtc = File.GetLastWriteTimeUtc(stream.SafeFileHandle);
+                return (stream, ETagHelper.Compute(lastWriteUtc, stream.Length), lastWriteUtc);
+            }
+            catch
+            {
+                stream.Dispose();
+                throw;
+            }
+        }
+
+        #endregion
+
+        #region Backup helpers
+
+        /// <summary>
+        /// Subdirectory next to a file that holds its timestamped backups.
+        /// </summary>
+        public const string BackupDirName = "backups";
+        private const string BackupTimestampFormat = "yyyyMMddHHmmssfff";
+
+        // Backups named before millisecond timestamps; still listed, restored and trimmed.
+        private const string LegacyBackupTimestampFormat = "yyyyMMddHHmmss";
+
+        /// <summary>
+        /// Copy the current file (or sourcePath, a copy of it kept elsewhere) into the backups subfolder and trim
+        /// old copies. Does nothing if the file does not exist or MaxBackups is 0. Failures are logged, not thrown.
+        /// </summary>
+        private void CreateBackup(string path, string? sourcePath = null)
+        {
+            sourcePath ??= path;
+            if (!File.Exists(sourcePath) || GetCurrentConfig().MaxBackups <= 0)
+                return;
+
+            try
+            {
+                var backupDir = GetBackupDir(path);
+                Directory.CreateDirectory(backupDir);
+
+                // Never overwrite a backup: one taken in the same millisecond as another gets the next free timestamp
+                var ts = DateTime.UtcNow;
+                while (true)
+                {
+                    var backupName = $"{Path.GetFileName(path)}.{ts.ToString(BackupTimestampFormat, System.Globalization.CultureInfo.InvariantCulture)}.bak";
+                    var backupPath = Path.Combine(backupDir, backupName);
+                    try
+                    {
+                        File.Copy(sourcePath, backupPath, overwrite: false);
+                        break;
+                    }
+                    catch (IOException) when (File.Exists(backupPath))
+                    {
+                        ts = ts.AddMilliseconds(1);
+                    }
+                }
+
+                TrimBackups(backupDir, Path.GetFileName(path));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to create backup for {Path}", path);
+            }
+        }
+
+        private static string GetBackupDir(string path)
+        {
+            return Path.Combine(Path.GetDirectoryName(path) ?? ".", BackupDirName);
+        }
+
+        /// <summary>
+        /// List the backups kept for a file, newest first.
+        /// </summary>
+        public List<BackupInfo> ListBackups(string path)
+        {
+            if (string.IsNullOrWhiteSpace(path)) throw new ArgumentNullException(nameof(path));
+
+            var backupDir = GetBackupDir(path);
+            if (!Directory.Exists(backupDir))
+                return new List<BackupInfo>();
+
+            var fileName = Path.GetFileName(path);
+            return Directory.EnumerateFiles(backupDir, fileName + ".*.bak", SearchOption.TopDirectoryOnly)
+                .Select(p => new FileInfo(p))
+                .Where(fi => TryParseBackupTimestamp(fileName, fi.Name, out _))
+                .Select(fi =>
+                {
+                    TryParseBackupTimestamp(fileName, fi.Name, out var ts);
+                    return new BackupInfo { Name = fi.Name, Size = fi.Length, CreatedUtc = ts ?? fi.LastWriteTimeUtc };
+                })
+                .OrderByDescending(b => b.CreatedUtc)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Resolve the full path of a named backup of <paramref name="path"/>.
+        /// Returns null if the name is not a backup of that file or the backup does not exist.
+        /// </summary>
+        public string? GetBackupPath(string path, string backupName)
+        {
+            if (string.IsNullOrWhiteSpace(path) || string.IsNullOrWhiteSpace(backupName))
+                return null;
+
+            // Reject anything that is not a plain backup file name for this exact file
+            if (!string.Equals(Path.GetFileName(backupName), backupName, StringComparison.Ordinal))
+                return null;
+            if (!TryParseBackupTimestamp(Path.GetFileName(path), backupName, out _))
+                return null;
+
+            var backupPath = Path.Combine(GetBackupDir(path), backupName);
+            return File.Exists(backupPath) ? backupPath : null;
+        }
+
+        /// <summary>
+        /// Restore a backup over the current file. The current version is backed up first
+        /// and the restore goes through the same atomic temp-file-and-replace as a normal write.
+        /// Returns false if the backup does not exist.
+        /// </summary>
+        public async Task<bool> RestoreBackupAsync(string path, string backupName)
+        {
+            var backupPath = GetBackupPath(path, backupName);
+            if (backupPath == null)
+                return false;
+
+            // Read before writing: the write trims old backups and may delete this one
+            var bytes = await File.ReadAllBytesAsync(backupPath).ConfigureAwait(false);
+            await WriteAllBytesAsync(path, bytes).ConfigureAwait(false);
+            _logger.LogInformation("Restored {Path} from backup {Backup}", path, backupName);
+            return true;
+        }
+
+        private static bool TryParseBackupTimestamp(string originalFileName, string backupName, out DateTime? timestampUtc)
+        {
+            timestampUtc = null;
+            var prefix = originalFileName + ".";
+            const string suffix = ".bak";
+            if (!backupName.StartsWith(prefix, StringComparison.Ordinal) || !backupName.EndsWith(suffix, StringComparison.Ordinal))
+                return false;
+
+            var ts = backupName.Substring(prefix.Length, backupName.Length - prefix.Length - suffix.Length);
+            if (!DateTime.TryParseExact(ts, new[] { BackupTimestampFormat, LegacyBackupTimestampFormat }, System.Globalization.CultureInfo.InvariantCulture,
+                    System.Globalization.DateTimeStyles.AssumeUniversal | System.Globalization.DateTimeStyles.AdjustToUniversal, out var parsed))
+                return false;
+
+            timestampUtc = parsed;
+            return true;
+        }
+
         private void TrimBackups(string backupDir, string originalFileName)
         {
             try
             {
-                var maxBackups = _config?.MaxBackups ?? 0;
+                var maxBackups = GetCurrentConfig().MaxBackups;
                 if (maxBackups <= 0) return;
 
                 var pattern = originalFileName + ".*.bak";
+                // "a.*.bak" also matches backups of "a.json"; only trim this file's own backups. Ordered by the name's
+                // timestamp: creation times are not reliable across copies and restores.
                 var files = Directory.EnumerateFiles(backupDir, pattern, SearchOption.TopDirectoryOnly)
-                    .Select(p => new FileInfo(p))
-                    .OrderByDescending(fi => fi.CreationTimeUtc)
+                    .Select(p => (Info: new FileInfo(p), Parsed: TryParseBackupTimestamp(originalFileName, Path.GetFileName(p), out var ts), Timestamp: ts))
+                    .Where(b => b.Parsed)
+                    .OrderByDescending(b => b.Timestamp)
+                    .Select(b => b.Info)
                     .ToList();
 
                 for (int i = maxBackups; i < files.Count; i++)
@@ -151,5 +818,29 @@ namespace Jellyfin.Plugin.EndpointExposer
 
         #endregion
     }
+
+    /// <summary>
+    /// One change in a FileWriteService.CommitBatchAsync batch: new content for Path, or a delete when Bytes is null.
+    /// </summary>
+    public class BatchFileChange
+    {
+        public string Path { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Content to write; null deletes the file.
+        /// </summary>
+        public byte[]? Bytes { get; set; }
+
+        public string? IfMatch { get; set; }
+
+        public string? IfNoneMatch { get; set; }
+
+        /// <summary>
+        /// For deletes: keep a backup of the removed file. Overwrites are always backed up.
+        /// </summary>
+        public bool KeepBackup { get; set; }
+
+        public bool IsDelete => Bytes == null;
+    }
 }
 // END - FileWriteService.cs
\ No newline at end of file
@@ -0,0 +1,63 @@
+// src/Jellyfin.Plugin.EndpointExposer/FolderChangeEvent.cs
+using System;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO pushed to Events subscribers when a file in an exposed folder is created, updated or deleted.
+    /// </summary>
+    public class FolderChangeEvent
+    {
+        public const string Created = "created";
+        public const string Updated = "updated";
+        public const string Deleted = "deleted";
+
+        /// <summary>
+        /// Sequence number, increasing for the lifetime of the server process (used as the SSE event id).
+        /// </summary>
+        public long Id { get; set; }
+
+        /// <summary>
+        /// created, updated or deleted.
+        /// </summary>
+        public string Type { get; set; } = Updated;
+
+        /// <summary>
+        /// Logical folder name.
+        /// </summary>
+        public string Folder { get; set; } = string.Empty;
+
+        /// <summary>
+        /// File path relative to the folder (or the user's namespace), "/"-separated.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Namespace owner for user-scoped folders; null for shared folders.
+        /// </summary>
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Size in bytes after the change; null for deletions.
+        /// </summary>
+        public long? Size { get; set; }
+
+        /// <summary>
+        /// Quoted ETag after the change; null for deletions.
+        /// </summary>
+        public string? ETag { get; set; }
+
+        /// <summary>
+        /// Jellyfin user Id of the writer, "apikey" for API key writes, or null for edits made outside the plugin.
+        /// </summary>
+        public string? ChangedBy { get; set; }
+
+        /// <summary>
+        /// Jellyfin user name of the writer, when known.
+        /// </summary>
+        public string? ChangedByName { get; set; }
+
+        public DateTime TimestampUtc { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/FolderChangeEvent.cs
@@ -0,0 +1,39 @@
+// src/Jellyfin.Plugin.EndpointExposer/FolderImportResult.cs
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing what a FolderImport applied. Names are archive paths ("users/{id}/..." for user namespaces).
+    /// </summary>
+    public class FolderImportResult
+    {
+        public string Folder { get; set; } = string.Empty;
+
+        /// <summary>
+        /// merge or replace.
+        /// </summary>
+        public string Mode { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Files created or replaced (the previous version is kept as a backup).
+        /// </summary>
+        public List<string> Written { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Files already identical to the archive's copy, left untouched.
+        /// </summary>
+        public List<string> Unchanged { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Files not in the archive that replace mode deleted (with a backup).
+        /// </summary>
+        public List<string> Deleted { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Archive entries that are never imported (backups).
+        /// </summary>
+        public List<string> Skipped { get; set; } = new List<string>();
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/FolderImportResult.cs
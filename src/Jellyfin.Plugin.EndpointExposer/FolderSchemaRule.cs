@@ -0,0 +1,22 @@
+// src/Jellyfin.Plugin.EndpointExposer/FolderSchemaRule.cs
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// A JSON Schema attached to an exposed folder. Writes to files matching FilePattern
+    /// must be valid JSON that satisfies Schema, otherwise they are rejected with 422.
+    /// </summary>
+    public class FolderSchemaRule
+    {
+        /// <summary>
+        /// Glob (* and ?) matched case-insensitively against the path relative to the folder
+        /// ("posters/*.json"); * also matches "/". Empty or "*" = every file in the folder.
+        /// </summary>
+        public string FilePattern { get; set; } = "*";
+
+        /// <summary>
+        /// JSON Schema document as JSON text.
+        /// </summary>
+        public string Schema { get; set; } = string.Empty;
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/FolderSchemaRule.cs
@@ -0,0 +1,41 @@
+// src/Jellyfin.Plugin.EndpointExposer/FolderUsage.cs
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing current usage of an exposed folder against its quota.
+    /// Limits of 0 mean unlimited. Files changed outside the plugin are counted within a few minutes.
+    /// </summary>
+    public class FolderUsage
+    {
+        /// <summary>
+        /// Number of files counted towards the quota.
+        /// </summary>
+        public int FileCount { get; set; }
+
+        /// <summary>
+        /// Total size in bytes of the files counted towards the quota.
+        /// </summary>
+        public long TotalBytes { get; set; }
+
+        /// <summary>
+        /// Configured FolderEntry.MaxFileCount.
+        /// </summary>
+        public int MaxFileCount { get; set; }
+
+        /// <summary>
+        /// Configured FolderEntry.MaxTotalBytes.
+        /// </summary>
+        public long MaxTotalBytes { get; set; }
+
+        /// <summary>
+        /// Effective per-file limit for writes (FolderEntry.MaxFileBytes or the global MaxPayloadBytes).
+        /// </summary>
+        public long MaxFileBytes { get; set; }
+
+        /// <summary>
+        /// Effective per-file limit for chunked uploads (FolderEntry.MaxFileBytes or the global MaxUploadBytes).
+        /// </summary>
+        public long MaxUploadBytes { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/FolderUsage.cs
@@ -0,0 +1,42 @@
+// src/Jellyfin.Plugin.EndpointExposer/KeyValueEntry.cs
+using System;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// One key of a key-value folder. Stored as &lt;key&gt;.json in the folder, so backups and change events
+    /// work like for any other file.
+    /// </summary>
+    public class KeyValueEntry
+    {
+        /// <summary>
+        /// Key name; not stored, taken from the file name.
+        /// </summary>
+        [JsonIgnore]
+        public string Key { get; set; } = string.Empty;
+
+        public JToken? Value { get; set; }
+
+        /// <summary>
+        /// Starts at 1 and increases by one on every set; used for compare-and-swap.
+        /// </summary>
+        public long Version { get; set; }
+
+        public DateTime CreatedUtc { get; set; }
+
+        public DateTime UpdatedUtc { get; set; }
+
+        /// <summary>
+        /// When set, the key is treated as missing from this time on and removed on the next access.
+        /// </summary>
+        public DateTime? ExpiresUtc { get; set; }
+
+        public bool IsExpired(DateTime nowUtc)
+        {
+            return ExpiresUtc.HasValue && ExpiresUtc.Value <= nowUtc;
+        }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/KeyValueEntry.cs
@@ -7,6 +7,9 @@ using System.Reflection;
 using System.Text.RegularExpressions;
 using MediaBrowser.Common.Configuration;
 using MediaBrowser.Common.Plugins;
+using MediaBrowser.Controller.Library;
+using MediaBrowser.Controller.Net;
+using MediaBrowser.Controller.Session;
 using MediaBrowser.Model.Plugins;
 using MediaBrowser.Model.Serialization;
 using Microsoft.Extensions.DependencyInjection;
@@ -235,13 +238,21 @@ namespace Jellyfin.Plugin.EndpointExposer
             // Add the background service wrapper so the host starts/stops it.
             services.AddHostedService(sp => sp.GetRequiredService<FileWriteService>());
 
+            // Register JellyfinSessionAuth for in-process token validation through Jellyfin's own managers
+            services.AddSingleton<JellyfinSessionAuth>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<JellyfinSessionAuth>>();
+                return new JellyfinSessionAuth(logger, sp.GetService<IAuthorizationContext>(), sp.GetService<IUserManager>(), sp.GetService<ISessionManager>());
+            });
+
             // Register AuthService for centralized token/auth logic
             services.AddSingleton<AuthService>(sp =>
             {
                 var logger = sp.GetRequiredService<ILogger<AuthService>>();
                 var jellyfinAuth = sp.GetRequiredService<JellyfinAuth>();
                 var cfg = sp.GetRequiredService<PluginConfiguration>();
-                return new AuthService(logger, jellyfinAuth, cfg);
+                var sessionAuth = sp.GetRequiredService<JellyfinSessionAuth>();
+                return new AuthService(logger, jellyfinAuth, cfg, sessionAuth);
             });
 
             // Register FolderOperationService for folder-based file operations
@@ -261,6 +272,80 @@ namespace Jellyfin.Plugin.EndpointExposer
                 return new ConfigurationHandler(logger, folderOps);
             });
 
+            // Register ApiKeyService for named API key management
+            services.AddSingleton<ApiKeyService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<ApiKeyService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                var configHandler = sp.GetRequiredService<ConfigurationHandler>();
+                return new ApiKeyService(logger, cfg, configHandler);
+            });
+
+            // Register UploadService for chunked, resumable uploads
+            services.AddSingleton<UploadService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<UploadService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                var folderOps = sp.GetRequiredService<FolderOperationService>();
+                return new UploadService(logger, cfg, folderOps);
+            });
+
+            // Register FolderEventService for live change notifications (Events endpoint)
+            services.AddSingleton<FolderEventService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<FolderEventService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                var folderOps = sp.GetRequiredService<FolderOperationService>();
+                return new FolderEventService(logger, cfg, folderOps);
+            });
+
+            // Register AuditService for the audit log of write, delete and configuration operations
+            services.AddSingleton<AuditService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<AuditService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                var folderOps = sp.GetRequiredService<FolderOperationService>();
+                return new AuditService(logger, cfg, folderOps);
+            });
+
+            // Register KeyValueService for the key-value API over KeyValue folders
+            services.AddSingleton<KeyValueService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<KeyValueService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                var folderOps = sp.GetRequiredService<FolderOperationService>();
+                var fileWriter = sp.GetRequiredService<FileWriteService>();
+                return new KeyValueService(logger, cfg, folderOps, fileWriter);
+            });
+
+            // Register RetentionService for retention sweeps (scheduled ones run in RetentionSweeper, which
+            // PluginServiceRegistrator adds to the host)
+            services.AddSingleton<RetentionService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<RetentionService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                var folderOps = sp.GetRequiredService<FolderOperationService>();
+                var audit = sp.GetRequiredService<AuditService>();
+                return new RetentionService(logger, cfg, folderOps, audit);
+            });
+
+            // Register RateLimitService for per-IP, per-key and per-user request limits
+            services.AddSingleton<RateLimitService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<RateLimitService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                return new RateLimitService(logger, cfg);
+            });
+
+            // Register CorsService for the configurable CORS policy on EndpointExposer routes
+            services.AddSingleton<CorsService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<CorsService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                var folderOps = sp.GetRequiredService<FolderOperationService>();
+                return new CorsService(logger, cfg, folderOps);
+            });
+
             // Register FileOperationService for common file I/O utilities
             services.AddSingleton<FileOperationService>(sp =>
             {
@@ -277,6 +362,16 @@ namespace Jellyfin.Plugin.EndpointExposer
                 return new EndpointExposerService(logger, cfg, fileWriter);
             });
 
+            // Register WebhookService for outgoing webhooks on folder and output directory changes
+            services.AddSingleton<WebhookService>(sp =>
+            {
+                var logger = sp.GetRequiredService<ILogger<WebhookService>>();
+                var cfg = sp.GetRequiredService<PluginConfiguration>();
+                var folderOps = sp.GetRequiredService<FolderOperationService>();
+                var exposer = sp.GetRequiredService<EndpointExposerService>();
+                return new WebhookService(logger, cfg, folderOps, exposer.OutputDirectory);
+            });
+
             // Register controller dependencies if your host requires explicit registration.
             // Controllers are usually discovered automatically, but ensure logging is available.
             services.AddLogging();
@@ -23,6 +23,12 @@ namespace Jellyfin.Plugin.EndpointExposer
         /// </summary>
         public bool AllowNonAdmin { get; set; } = false;
 
+        /// <summary>
+        /// How long a validated Jellyfin token is reused without asking Jellyfin again, in seconds. Logouts and user
+        /// changes evict entries early. 0 = validate every request. Default 60.
+        /// </summary>
+        public int TokenCacheSeconds { get; set; } = 60;
+
         /// <summary>
         /// Maximum payload size in bytes for incoming writes. Default 2 MiB.
         /// </summary>
@@ -33,6 +39,132 @@ namespace Jellyfin.Plugin.EndpointExposer
         /// </summary>
         public int MaxBackups { get; set; } = 3;
 
+        /// <summary>
+        /// Chunk size in bytes for chunked uploads (UploadStart / UploadChunk). Default 8 MiB.
+        /// </summary>
+        public int UploadChunkBytes { get; set; } = 8 * 1024 * 1024;
+
+        /// <summary>
+        /// Maximum size in bytes of a file stored by chunked upload or moved between folders, for folders without
+        /// their own MaxFileBytes. These files are never held in memory, so the limit may exceed MaxPayloadBytes.
+        /// Default 4 GiB.
+        /// </summary>
+        public long MaxUploadBytes { get; set; } = 4L * 1024 * 1024 * 1024;
+
+        /// <summary>
+        /// Minutes an upload session may sit idle before its staged data is deleted. Default 24 hours.
+        /// </summary>
+        public int UploadSessionTimeoutMinutes { get; set; } = 24 * 60;
+
+        /// <summary>
+        /// Maximum number of open upload sessions per user, API key or (for anonymous uploads) client IP.
+        /// 0 = no limit. Default 4.
+        /// </summary>
+        public int MaxOpenUploads { get; set; } = 4;
+
+        /// <summary>
+        /// Maximum number of open upload sessions per folder, across all clients. 0 = no limit. Default 16.
+        /// </summary>
+        public int MaxOpenUploadsPerFolder { get; set; } = 16;
+
+        /// <summary>
+        /// Minutes between background sweeps applying the folders' RetentionRules. 0 = no scheduled sweeps
+        /// (RetentionRun still works). Default 60.
+        /// </summary>
+        public int RetentionSweepMinutes { get; set; } = 60;
+
+        /// <summary>
+        /// If true, a filesystem watcher reports files changed outside the plugin to Events subscribers.
+        /// Writes through the plugin are always reported.
+        /// </summary>
+        public bool EnableFileWatcher { get; set; } = false;
+
+        /// <summary>
+        /// If true, write, delete and configuration operations are recorded in the audit log (see AuditLog endpoint).
+        /// </summary>
+        public bool AuditEnabled { get; set; } = true;
+
+        /// <summary>
+        /// Size in bytes at which the audit log file is rotated. Default 5 MiB.
+        /// </summary>
+        public long AuditMaxFileBytes { get; set; } = 5 * 1024 * 1024;
+
+        /// <summary>
+        /// Number of audit log files kept, including the current one. Default 5.
+        /// </summary>
+        public int AuditMaxFiles { get; set; } = 5;
+
+        /// <summary>
+        /// Origins (scheme://host[:port]) allowed to call the EndpointExposer routes from a browser; "*" allows any.
+        /// Empty = no CORS headers are sent. FolderEntry.CorsAllowedOrigins adds origins for single folders.
+        /// </summary>
+        public List<string> CorsAllowedOrigins { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Methods allowed in cross-origin requests. Empty = CorsService.DefaultAllowedMethods.
+        /// </summary>
+        public List<string> CorsAllowedMethods { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Request headers allowed in cross-origin requests; "*" allows whatever the browser asks for.
+        /// Empty = CorsService.DefaultAllowedHeaders (auth, content type and precondition headers).
+        /// </summary>
+        public List<string> CorsAllowedHeaders { get; set; } = new List<string>();
+
+        /// <summary>
+        /// How long browsers may cache a preflight response, in seconds. Default 10 minutes.
+        /// </summary>
+        public int CorsMaxAgeSeconds { get; set; } = 600;
+
+        /// <summary>
+        /// If true, requests are limited per client IP, API key and user (token buckets, see RateLimitPer*).
+        /// Limited requests get 429 with Retry-After.
+        /// </summary>
+        public bool RateLimitEnabled { get; set; } = false;
+
+        /// <summary>
+        /// Requests per minute per client IP. 0 = unlimited.
+        /// </summary>
+        public int RateLimitPerIp { get; set; } = 600;
+
+        /// <summary>
+        /// Requests per minute per named API key (or the legacy key). 0 = unlimited.
+        /// </summary>
+        public int RateLimitPerApiKey { get; set; } = 300;
+
+        /// <summary>
+        /// Requests per minute per signed-in user. 0 = unlimited.
+        /// </summary>
+        public int RateLimitPerUser { get; set; } = 120;
+
+        /// <summary>
+        /// Requests a caller may make in a burst before the per-minute rate applies. 0 = one minute's worth.
+        /// </summary>
+        public int RateLimitBurst { get; set; } = 0;
+
+        /// <summary>
+        /// Failed authentications from one client IP within AuthLockoutWindowMinutes that lock it out. 0 = no lockout.
+        /// Applies whether or not RateLimitEnabled is on.
+        /// </summary>
+        public int AuthLockoutThreshold { get; set; } = 10;
+
+        public int AuthLockoutWindowMinutes { get; set; } = 5;
+
+        /// <summary>
+        /// How long a locked out client IP gets 429 for every request.
+        /// </summary>
+        public int AuthLockoutMinutes { get; set; } = 15;
+
+        /// <summary>
+        /// Attempts per webhook delivery before it is marked failed (retries back off exponentially).
+        /// </summary>
+        public int WebhookMaxAttempts { get; set; } = 5;
+
+        /// <summary>
+        /// Webhooks for files written or deleted in the default output directory (Write / Delete endpoints).
+        /// </summary>
+        public List<WebhookEntry> OutputWebhooks { get; set; } = new List<WebhookEntry>();
+
         /// <summary>
         /// Optional list of registered logical files exposed by the plugin.
         /// Kept for backward compatibility and fine-grained control.
@@ -47,9 +179,23 @@ namespace Jellyfin.Plugin.EndpointExposer
 
         /// <summary>
         /// Public reads (legacy/optional).
+        /// File names in the default output directory, or exposed folder names, that stay readable
+        /// anonymously regardless of DefaultReadPolicy / FolderEntry.ReadPolicy.
         /// </summary>
         public List<string> PublicReads { get; set; } = new List<string>();
 
+        /// <summary>
+        /// Read policy for the default output directory (List / File endpoints). Default Public.
+        /// </summary>
+        public FolderReadPolicy DefaultReadPolicy { get; set; } = FolderReadPolicy.Public;
+
+        /// <summary>
+        /// Cache-Control max-age in seconds for File / FolderFile reads from the output directory and from folders
+        /// without their own CacheMaxAgeSeconds. 0 = clients revalidate on every use (cheap 304s while the file is
+        /// unchanged). Default 0.
+        /// </summary>
+        public int CacheMaxAgeSeconds { get; set; } = 0;
+
         /// <summary>
         /// Listen prefix used by the optional HttpListener service (if used).
         /// Example: "http://localhost:8096/".
@@ -57,10 +203,17 @@ namespace Jellyfin.Plugin.EndpointExposer
         public string ListenPrefix { get; set; } = "http://localhost:8096/";
 
         /// <summary>
-        /// Optional API key that allows header-based writes when provided in X-EndpointExposer-Key.
+        /// Legacy single API key that allows header-based writes when provided in X-EndpointExposer-Key.
+        /// Grants access to every folder; prefer scoped entries in ApiKeys.
         /// If null/empty, header-based writes are ignored and normal auth is required.
         /// </summary>
         public string? ApiKey { get; set; }
+
+        /// <summary>
+        /// Named API keys with per-folder read/write scopes and optional expiry.
+        /// Managed through the ApiKeys endpoints; only hashes are stored.
+        /// </summary>
+        public List<ApiKeyEntry> ApiKeys { get; set; } = new List<ApiKeyEntry>();
     }
 
     /// <summary>
@@ -89,6 +242,110 @@ namespace Jellyfin.Plugin.EndpointExposer
         /// Optional description shown in the UI.
         /// </summary>
         public string? Description { get; set; }
+
+        /// <summary>
+        /// Who may list and read files in this folder. Default Public (previous behavior).
+        /// </summary>
+        public FolderReadPolicy ReadPolicy { get; set; } = FolderReadPolicy.Public;
+
+        /// <summary>
+        /// If true, each Jellyfin user gets a private namespace (users/&lt;userId&gt;) inside this folder.
+        /// Requests only see the caller's files; admins may browse other users via the user query parameter.
+        /// </summary>
+        public bool UserScoped { get; set; } = false;
+
+        /// <summary>
+        /// JSON Schemas enforced on writes, each applying to the files matching its FilePattern.
+        /// Empty = no content validation (previous behavior).
+        /// </summary>
+        public List<FolderSchemaRule> Schemas { get; set; } = new List<FolderSchemaRule>();
+
+        /// <summary>
+        /// Maximum total size in bytes of the files in this folder (per user for user-scoped folders). 0 = unlimited.
+        /// </summary>
+        public long MaxTotalBytes { get; set; } = 0;
+
+        /// <summary>
+        /// Maximum number of files in this folder (per user for user-scoped folders). 0 = unlimited.
+        /// </summary>
+        public int MaxFileCount { get; set; } = 0;
+
+        /// <summary>
+        /// Per-file size limit in bytes for this folder, overriding the global MaxPayloadBytes. 0 = use the global limit.
+        /// </summary>
+        public long MaxFileBytes { get; set; } = 0;
+
+        /// <summary>
+        /// Allowed file types: extensions (".json") and/or MIME types ("application/json", "image/*").
+        /// Empty = any type.
+        /// </summary>
+        public List<string> AllowedTypes { get; set; } = new List<string>();
+
+        /// <summary>
+        /// How many subdirectory levels file paths may use (e.g. 2 allows "posters/2024/abc.jpg").
+        /// 0 = plain file names only (previous behavior).
+        /// </summary>
+        public int MaxDepth { get; set; } = 0;
+
+        /// <summary>
+        /// If true, the folder also serves the key-value routes (KvGet, KvSet, KvDelete, KvList).
+        /// Each key is stored as &lt;key&gt;.json at the folder root (per user for user-scoped folders).
+        /// </summary>
+        public bool KeyValue { get; set; } = false;
+
+        /// <summary>
+        /// Extra CORS origins allowed for requests to this folder only (in addition to the global CorsAllowedOrigins).
+        /// </summary>
+        public List<string> CorsAllowedOrigins { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Requests per minute each caller (user, API key or IP) may make against this folder, on top of the global
+        /// limits. Only applies when RateLimitEnabled is on. 0 = no folder limit.
+        /// </summary>
+        public int RateLimitPerMinute { get; set; } = 0;
+
+        /// <summary>
+        /// Cache-Control max-age in seconds for files read from this folder. -1 = use the global CacheMaxAgeSeconds,
+        /// 0 = revalidate on every use.
+        /// </summary>
+        public int CacheMaxAgeSeconds { get; set; } = -1;
+
+        /// <summary>
+        /// Webhooks notified when files in this folder are created, updated or deleted.
+        /// </summary>
+        public List<WebhookEntry> Webhooks { get; set; } = new List<WebhookEntry>();
+
+        /// <summary>
+        /// Age and count limits the retention sweep enforces, each on the files matching its FilePattern.
+        /// Empty = files are kept until deleted.
+        /// </summary>
+        public List<RetentionRule> RetentionRules { get; set; } = new List<RetentionRule>();
+    }
+
+    /// <summary>
+    /// Read access levels for exposed folders and the default output directory.
+    /// </summary>
+    public enum FolderReadPolicy
+    {
+        /// <summary>
+        /// Anyone, no authentication.
+        /// </summary>
+        Public = 0,
+
+        /// <summary>
+        /// Any authenticated Jellyfin user.
+        /// </summary>
+        Authenticated = 1,
+
+        /// <summary>
+        /// Jellyfin administrators only.
+        /// </summary>
+        Admin = 2,
+
+        /// <summary>
+        /// Requests carrying a valid plugin API key (administrators are always allowed).
+        /// </summary>
+        ApiKey = 3
     }
 }
 // END - src/Jellyfin.Plugin.EndpointExposer/PluginConfiguration.cs
\ No newline at end of file
@@ -0,0 +1,35 @@
+// PluginServiceRegistrator.cs
+using System.Net.Http;
+using Jellyfin.Plugin.EndpointExposer.Services;
+using MediaBrowser.Controller;
+using MediaBrowser.Controller.Plugins;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// Called by Jellyfin at startup to add the plugin's background work to the host, so it starts and stops with
+    /// the server. Request handling still builds its services in the controller (see EndpointExposerController).
+    /// </summary>
+    public class PluginServiceRegistrator : IPluginServiceRegistrator
+    {
+        public void RegisterServices(IServiceCollection serviceCollection, IServerApplicationHost applicationHost)
+        {
+            // Scheduled retention sweeps. The services read Plugin.Instance.Configuration on every call, so the
+            // configuration they are built with only matters until the plugin is loaded.
+            serviceCollection.AddHostedService(sp =>
+            {
+                var loggers = sp.GetRequiredService<ILoggerFactory>();
+                var cfg = Plugin.Instance?.Configuration ?? new PluginConfiguration();
+                var auth = new JellyfinAuth(cfg.ServerBaseUrl ?? string.Empty, new HttpClient(), loggers.CreateLogger<JellyfinAuth>());
+                var fileWriter = new FileWriteService(cfg, auth, loggers.CreateLogger<FileWriteService>());
+                var folderOps = new FolderOperationService(loggers.CreateLogger<FolderOperationService>(), cfg, fileWriter);
+                var audit = new AuditService(loggers.CreateLogger<AuditService>(), cfg, folderOps);
+                var retention = new RetentionService(loggers.CreateLogger<RetentionService>(), cfg, folderOps, audit);
+                return new RetentionSweeper(loggers.CreateLogger<RetentionSweeper>(), retention);
+            });
+        }
+    }
+}
+// END - PluginServiceRegistrator.cs
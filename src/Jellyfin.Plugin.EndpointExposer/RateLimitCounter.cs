@@ -0,0 +1,55 @@
+// src/Jellyfin.Plugin.EndpointExposer/RateLimitCounter.cs
+using System;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing the current state of one rate limit bucket (RateLimits endpoint).
+    /// </summary>
+    public class RateLimitCounter
+    {
+        /// <summary>
+        /// ip, key, user, or folder:&lt;name&gt; for per-folder buckets.
+        /// </summary>
+        public string Scope { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Client IP, API key name or user Id.
+        /// </summary>
+        public string Subject { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Requests per minute the bucket refills at.
+        /// </summary>
+        public int PerMinute { get; set; }
+
+        public int Capacity { get; set; }
+
+        /// <summary>
+        /// Requests that could be made right now.
+        /// </summary>
+        public int Available { get; set; }
+
+        public long Allowed { get; set; }
+
+        public long Limited { get; set; }
+
+        public DateTime LastSeenUtc { get; set; }
+    }
+
+    /// <summary>
+    /// DTO describing a client IP with recent authentication failures.
+    /// </summary>
+    public class AuthLockoutInfo
+    {
+        public string ClientIp { get; set; } = string.Empty;
+
+        public int Failures { get; set; }
+
+        /// <summary>
+        /// Set while the IP is locked out.
+        /// </summary>
+        public DateTime? LockedUntilUtc { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/RateLimitCounter.cs
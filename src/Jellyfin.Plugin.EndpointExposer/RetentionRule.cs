@@ -0,0 +1,33 @@
+// src/Jellyfin.Plugin.EndpointExposer/RetentionRule.cs
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// A retention rule on an exposed folder (FolderEntry.RetentionRules). Files matching FilePattern that are older
+    /// than MaxAgeHours, or beyond the newest MaxFiles, are deleted by the retention sweep (see RetentionService).
+    /// </summary>
+    public class RetentionRule
+    {
+        /// <summary>
+        /// Glob matched against the path relative to the folder, as for schema rules. Empty or "*" = every file.
+        /// </summary>
+        public string FilePattern { get; set; } = "*";
+
+        /// <summary>
+        /// Delete matching files not modified for this many hours. 0 = no age limit.
+        /// </summary>
+        public int MaxAgeHours { get; set; } = 0;
+
+        /// <summary>
+        /// Keep only the newest MaxFiles matching files (per user for user-scoped folders), deleting the oldest first.
+        /// 0 = no count limit.
+        /// </summary>
+        public int MaxFiles { get; set; } = 0;
+
+        /// <summary>
+        /// Keep a backup of each deleted file, as other deletes do. Turn off for scratch data nobody restores, so the
+        /// backups do not pile up in place of the deleted files.
+        /// </summary>
+        public bool KeepBackup { get; set; } = true;
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/RetentionRule.cs
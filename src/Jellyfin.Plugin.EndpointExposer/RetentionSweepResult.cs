@@ -0,0 +1,104 @@
+// src/Jellyfin.Plugin.EndpointExposer/RetentionSweepResult.cs
+using System;
+using System.Collections.Generic;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing one retention sweep (RetentionRun and RetentionLog endpoints), or its preview when DryRun is set.
+    /// </summary>
+    public class RetentionSweepResult
+    {
+        public const string Scheduled = "scheduled";
+        public const string Manual = "manual";
+
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// scheduled or manual.
+        /// </summary>
+        public string Trigger { get; set; } = Manual;
+
+        /// <summary>
+        /// True for a preview: Files lists what would be deleted and nothing was removed.
+        /// </summary>
+        public bool DryRun { get; set; }
+
+        /// <summary>
+        /// Folder the sweep was limited to; null for every folder.
+        /// </summary>
+        public string? Folder { get; set; }
+
+        public DateTime StartedUtc { get; set; }
+
+        public DateTime FinishedUtc { get; set; }
+
+        /// <summary>
+        /// Files deleted (or, for a preview, due for deletion).
+        /// </summary>
+        public int FileCount { get; set; }
+
+        public long TotalBytes { get; set; }
+
+        /// <summary>
+        /// Files the rules selected. RetentionLog keeps at most the first RetentionService.MaxLoggedFiles of each sweep.
+        /// </summary>
+        public List<RetentionFile> Files { get; set; } = new List<RetentionFile>();
+
+        internal RetentionSweepResult Clone() => (RetentionSweepResult)MemberwiseClone();
+    }
+
+    /// <summary>
+    /// A file selected by a retention rule.
+    /// </summary>
+    public class RetentionFile
+    {
+        public const string ReasonAge = "age";
+        public const string ReasonCount = "count";
+
+        /// <summary>
+        /// Logical folder name.
+        /// </summary>
+        public string Folder { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Namespace owner in user-scoped folders; null for the folder root.
+        /// </summary>
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Path relative to the folder (or user namespace).
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        public long Size { get; set; }
+
+        public DateTime LastModifiedUtc { get; set; }
+
+        /// <summary>
+        /// age (older than MaxAgeHours) or count (beyond the newest MaxFiles).
+        /// </summary>
+        public string Reason { get; set; } = ReasonAge;
+
+        /// <summary>
+        /// FilePattern of the rule that selected the file.
+        /// </summary>
+        public string FilePattern { get; set; } = "*";
+
+        /// <summary>
+        /// Whether deleting the file keeps a backup (the rule's KeepBackup).
+        /// </summary>
+        public bool KeepBackup { get; set; } = true;
+
+        /// <summary>
+        /// True once the file was removed; false in previews and when it was kept.
+        /// </summary>
+        public bool Deleted { get; set; }
+
+        /// <summary>
+        /// Why a selected file was kept (changed since it was selected, I/O error).
+        /// </summary>
+        public string? Error { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/RetentionSweepResult.cs
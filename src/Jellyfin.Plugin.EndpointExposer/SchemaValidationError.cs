@@ -0,0 +1,30 @@
+// src/Jellyfin.Plugin.EndpointExposer/SchemaValidationError.cs
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing one JSON Schema violation.
+    /// </summary>
+    public class SchemaValidationError
+    {
+        /// <summary>
+        /// JSON Pointer to the failing value ("" = document root).
+        /// </summary>
+        public string Path { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Human readable reason.
+        /// </summary>
+        public string Message { get; set; } = string.Empty;
+
+        public SchemaValidationError()
+        {
+        }
+
+        public SchemaValidationError(string path, string message)
+        {
+            Path = path;
+            Message = message;
+        }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/SchemaValidationError.cs
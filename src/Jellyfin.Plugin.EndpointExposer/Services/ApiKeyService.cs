@@ -0,0 +1,169 @@
+// Services/ApiKeyService.cs
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Manages named API keys stored in PluginConfiguration.ApiKeys (create, revoke, rotate).
+    /// Plain keys are returned once and never persisted.
+    /// </summary>
+    public class ApiKeyService
+    {
+        private readonly ILogger<ApiKeyService> _logger;
+        private readonly PluginConfiguration _config;
+        private readonly ConfigurationHandler _configHandler;
+
+        // Controllers are transient; serialize key mutations across instances.
+        private static readonly SemaphoreSlim MutationLock = new SemaphoreSlim(1, 1);
+
+        private static readonly Regex ScopeRegex = new Regex("^[a-z0-9_-]+$", RegexOptions.Compiled | RegexOptions.IgnoreCase);
+        private const int MaxNameLength = 64;
+
+        public ApiKeyService(ILogger<ApiKeyService> logger, PluginConfiguration config, ConfigurationHandler configHandler)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+            _configHandler = configHandler ?? throw new ArgumentNullException(nameof(configHandler));
+        }
+
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
+        /// <summary>
+        /// All configured keys (hashes included; callers must not return them as-is).
+        /// </summary>
+        public List<ApiKeyEntry> ListKeys()
+        {
+            return (GetCurrentConfig().ApiKeys ?? new List<ApiKeyEntry>()).Where(k => k != null).ToList();
+        }
+
+        /// <summary>
+        /// Create a new key. Throws ArgumentException for an invalid name or scope.
+        /// Returns the stored entry and the plain key.
+        /// </summary>
+        public async Task<(ApiKeyEntry Entry, string Key)> CreateKeyAsync(string name, IEnumerable<string>? readFolders, IEnumerable<string>? writeFolders, DateTime? expiresUtc)
+        {
+            var trimmedName = (name ?? string.Empty).Trim();
+            if (trimmedName.Length == 0 || trimmedName.Length > MaxNameLength)
+                throw new ArgumentException($"Name is required (max {MaxNameLength} characters)", nameof(name));
+
+            var entry = new ApiKeyEntry
+            {
+                Id = ApiKeyHasher.GenerateId(),
+                Name = trimmedName,
+                ReadFolders = NormalizeScopes(readFolders, nameof(readFolders)),
+                WriteFolders = NormalizeScopes(writeFolders, nameof(writeFolders)),
+                ExpiresUtc = expiresUtc?.ToUniversalTime()
+            };
+            var key = AssignNewKey(entry);
+
+            await MutationLock.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                var config = GetCurrentConfig();
+                config.ApiKeys ??= new List<ApiKeyEntry>();
+                config.ApiKeys.Add(entry);
+                await _configHandler.SaveConfigurationAsync(config).ConfigureAwait(false);
+            }
+            finally
+            {
+                MutationLock.Release();
+            }
+
+            _logger.LogInformation("ApiKeyService: created key {Name} ({Id})", entry.Name, entry.Id);
+            return (entry, key);
+        }
+
+        /// <summary>
+        /// Remove a key. Returns false when the id is unknown.
+        /// </summary>
+        public async Task<bool> RevokeKeyAsync(string id)
+        {
+            await MutationLock.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                var config = GetCurrentConfig();
+                var removed = config.ApiKeys?.RemoveAll(k => k != null && string.Equals(k.Id, id, StringComparison.OrdinalIgnoreCase)) ?? 0;
+                if (removed == 0)
+                    return false;
+
+                await _configHandler.SaveConfigurationAsync(config).ConfigureAwait(false);
+            }
+            finally
+            {
+                MutationLock.Release();
+            }
+
+            _logger.LogInformation("ApiKeyService: revoked key {Id}", id);
+            return true;
+        }
+
+        /// <summary>
+        /// Replace the secret of an existing key, keeping its name, scopes and expiry.
+        /// Returns (null, null) when the id is unknown.
+        /// </summary>
+        public async Task<(ApiKeyEntry? Entry, string? Key)> RotateKeyAsync(string id)
+        {
+            ApiKeyEntry? entry;
+            string key;
+
+            await MutationLock.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                var config = GetCurrentConfig();
+                entry = config.ApiKeys?.Find(k => k != null && string.Equals(k.Id, id, StringComparison.OrdinalIgnoreCase));
+                if (entry == null)
+                    return (null, null);
+
+                key = AssignNewKey(entry);
+                await _configHandler.SaveConfigurationAsync(config).ConfigureAwait(false);
+            }
+            finally
+            {
+                MutationLock.Release();
+            }
+
+            _logger.LogInformation("ApiKeyService: rotated key {Name} ({Id})", entry.Name, entry.Id);
+            return (entry, key);
+        }
+
+        private static string AssignNewKey(ApiKeyEntry entry)
+        {
+            var key = ApiKeyHasher.GenerateKey();
+            entry.Hash = ApiKeyHasher.Hash(key);
+            entry.Prefix = ApiKeyHasher.GetDisplayPrefix(key);
+            entry.CreatedUtc = DateTime.UtcNow;
+            return key;
+        }
+
+        private static List<string> NormalizeScopes(IEnumerable<string>? scopes, string paramName)
+        {
+            var result = new List<string>();
+            if (scopes == null)
+                return result;
+
+            foreach (var raw in scopes)
+            {
+                var scope = raw?.Trim();
+                if (string.IsNullOrEmpty(scope))
+                    continue;
+                if (scope != ApiKeyEntry.AllScope && !ScopeRegex.IsMatch(scope))
+                    throw new ArgumentException($"Invalid folder scope '{scope}'", paramName);
+                if (!result.Contains(scope, StringComparer.OrdinalIgnoreCase))
+                    result.Add(scope);
+            }
+
+            return result;
+        }
+    }
+}
+// END - Services/ApiKeyService.cs
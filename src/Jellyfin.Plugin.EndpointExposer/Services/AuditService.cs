@@ -0,0 +1,207 @@
+// Services/AuditService.cs
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Append-only audit log of write, delete and configuration operations, kept apart from the Jellyfin log.
+    /// Entries are JSON lines in &lt;plugin data&gt;/.audit/audit.jsonl; when the file reaches AuditMaxFileBytes it is
+    /// rotated to audit.1.jsonl, audit.2.jsonl, ... and only AuditMaxFiles files are kept.
+    /// </summary>
+    public class AuditService
+    {
+        private readonly ILogger<AuditService> _logger;
+        private readonly PluginConfiguration _config;
+        private readonly FolderOperationService _folderService;
+
+        /// <summary>
+        /// Directory under the plugin data directory holding the audit files. Dot-prefixed so it is never exposed.
+        /// </summary>
+        public const string AuditDirName = ".audit";
+        private const string CurrentFileName = "audit.jsonl";
+
+        /// <summary>
+        /// Upper bound for Query results.
+        /// </summary>
+        public const int MaxQueryLimit = 1000;
+
+        // Controllers are transient; appends and rotation from every instance go through one lock.
+        private static readonly object FileLock = new object();
+
+        public AuditService(ILogger<AuditService> logger, PluginConfiguration config, FolderOperationService folderService)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+            _folderService = folderService ?? throw new ArgumentNullException(nameof(folderService));
+        }
+
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
+        /// <summary>
+        /// Append an entry. Does nothing when AuditEnabled is off. Failures are logged, never thrown,
+        /// so auditing cannot break the operation being audited.
+        /// </summary>
+        public void Record(AuditEntry entry)
+        {
+            var config = GetCurrentConfig();
+            if (entry == null || !config.AuditEnabled)
+                return;
+
+            try
+            {
+                var line = JsonConvert.SerializeObject(entry, Formatting.None) + Environment.NewLine;
+                lock (FileLock)
+                {
+                    var dir = GetAuditDir();
+                    Directory.CreateDirectory(dir);
+                    var path = Path.Combine(dir, CurrentFileName);
+                    var current = new FileInfo(path);
+                    if (current.Exists && current.Length > 0 && current.Length + line.Length > GetMaxFileBytes(config))
+                        Rotate(dir, config);
+                    File.AppendAllText(path, line);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Record: failed to write audit entry for {Operation} on {Folder}/{File}", entry.Operation, entry.Folder, entry.File);
+            }
+        }
+
+        /// <summary>
+        /// Newest-first audit entries matching every given filter. user matches the user Id, user name or API key
+        /// name; operation, folder and file match case-insensitively (file as a substring).
+        /// failedOnly keeps non-2xx results. limit is capped at MaxQueryLimit.
+        /// </summary>
+        public List<AuditEntry> Query(DateTime? fromUtc = null, DateTime? toUtc = null, string? user = null, string? operation = null,
+            string? folder = null, string? file = null, bool failedOnly = false, int limit = 200)
+        {
+            limit = Math.Clamp(limit, 1, MaxQueryLimit);
+            var results = new List<AuditEntry>();
+
+            foreach (var path in GetAuditFilesNewestFirst())
+            {
+                string[] lines;
+                lock (FileLock)
+                {
+                    if (!File.Exists(path))
+                        continue;
+                    lines = File.ReadAllLines(path);
+                }
+
+                for (var i = lines.Length - 1; i >= 0; i--)
+                {
+                    var entry = ParseLine(lines[i]);
+                    if (entry == null || !Matches(entry, fromUtc, toUtc, user, operation, folder, file, failedOnly))
+                        continue;
+
+                    results.Add(entry);
+                    if (results.Count >= limit)
+                        return results;
+                }
+            }
+
+            return results;
+        }
+
+        private static bool Matches(AuditEntry entry, DateTime? fromUtc, DateTime? toUtc, string? user, string? operation,
+            string? folder, string? file, bool failedOnly)
+        {
+            if (fromUtc.HasValue && entry.TimestampUtc < fromUtc.Value)
+                return false;
+            if (toUtc.HasValue && entry.TimestampUtc > toUtc.Value)
+                return false;
+            if (failedOnly && entry.Success)
+                return false;
+            if (!string.IsNullOrWhiteSpace(operation) && !string.Equals(entry.Operation, operation, StringComparison.OrdinalIgnoreCase))
+                return false;
+            if (!string.IsNullOrWhiteSpace(folder) && !string.Equals(entry.Folder, folder, StringComparison.OrdinalIgnoreCase))
+                return false;
+            if (!string.IsNullOrWhiteSpace(file) && (entry.File == null || entry.File.IndexOf(file, StringComparison.OrdinalIgnoreCase) < 0))
+                return false;
+            if (!string.IsNullOrWhiteSpace(user)
+                && !string.Equals(entry.UserId, user, StringComparison.OrdinalIgnoreCase)
+                && !string.Equals(entry.UserName, user, StringComparison.OrdinalIgnoreCase)
+                && !string.Equals(entry.ApiKeyName, user, StringComparison.OrdinalIgnoreCase))
+                return false;
+            return true;
+        }
+
+        private AuditEntry? ParseLine(string line)
+        {
+            if (string.IsNullOrWhiteSpace(line))
+                return null;
+
+            try
+            {
+                return JsonConvert.DeserializeObject<AuditEntry>(line);
+            }
+            catch (JsonException)
+            {
+                // A torn line from a crash mid-append; skip it
+                return null;
+            }
+        }
+
+        // audit.jsonl, then audit.1.jsonl (older), audit.2.jsonl, ...
+        private IEnumerable<string> GetAuditFilesNewestFirst()
+        {
+            var dir = GetAuditDir();
+            yield return Path.Combine(dir, CurrentFileName);
+            for (var i = 1; i < GetMaxFiles(GetCurrentConfig()); i++)
+                yield return Path.Combine(dir, GetRotatedFileName(i));
+        }
+
+        // Shift audit.(n).jsonl to audit.(n+1).jsonl, dropping the oldest, then audit.jsonl to audit.1.jsonl.
+        private void Rotate(string dir, PluginConfiguration config)
+        {
+            var maxFiles = GetMaxFiles(config);
+            var oldest = Path.Combine(dir, GetRotatedFileName(maxFiles - 1));
+            if (File.Exists(oldest))
+                File.Delete(oldest);
+
+            for (var i = maxFiles - 2; i >= 1; i--)
+            {
+                var source = Path.Combine(dir, GetRotatedFileName(i));
+                if (File.Exists(source))
+                    File.Move(source, Path.Combine(dir, GetRotatedFileName(i + 1)), overwrite: true);
+            }
+
+            var current = Path.Combine(dir, CurrentFileName);
+            if (maxFiles > 1)
+                File.Move(current, Path.Combine(dir, GetRotatedFileName(1)), overwrite: true);
+            else
+                File.Delete(current);
+
+            _logger.LogInformation("Rotate: audit log rotated in {Dir}", dir);
+        }
+
+        private static string GetRotatedFileName(int index)
+        {
+            return $"audit.{index}.jsonl";
+        }
+
+        private static long GetMaxFileBytes(PluginConfiguration config)
+        {
+            return config.AuditMaxFileBytes > 0 ? config.AuditMaxFileBytes : 5 * 1024 * 1024;
+        }
+
+        private static int GetMaxFiles(PluginConfiguration config)
+        {
+            return config.AuditMaxFiles > 0 ? config.AuditMaxFiles : 5;
+        }
+
+        private string GetAuditDir()
+        {
+            return Path.Combine(_folderService.GetPluginDataDir(), AuditDirName);
+        }
+    }
+}
+// END - Services/AuditService.cs
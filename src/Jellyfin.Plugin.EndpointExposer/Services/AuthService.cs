@@ -1,8 +1,13 @@
 // Services/AuthService.cs
 using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
 using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
 using Newtonsoft.Json.Linq;
 
 namespace Jellyfin.Plugin.EndpointExposer.Services
@@ -16,6 +21,17 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         private readonly ILogger<AuthService> _logger;
         private readonly JellyfinAuth _jellyfinAuth;
         private readonly PluginConfiguration _config;
+        private readonly JellyfinSessionAuth? _sessionAuth;
+
+        // Last-used times of named API keys by key Id, shared by every instance. They are kept out of the plugin
+        // configuration so accepting a key never rewrites it, and saved to <plugin data>/.apikeys/lastused.json at
+        // most once per LastUsedPersistInterval.
+        private const string UsageDirName = ".apikeys";
+        private const string UsageFileName = "lastused.json";
+        private static readonly TimeSpan LastUsedPersistInterval = TimeSpan.FromMinutes(5);
+        private static readonly object UsageLock = new object();
+        private static Dictionary<string, DateTime>? _lastUsed;
+        private static DateTime _usageSavedUtc = DateTime.MinValue;
 
         /// <summary>
         /// Get the current configuration, preferring Plugin.Instance.Configuration if available.
@@ -32,11 +48,12 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
             return _config;
         }
 
-        public AuthService(ILogger<AuthService> logger, JellyfinAuth jellyfinAuth, PluginConfiguration config)
+        public AuthService(ILogger<AuthService> logger, JellyfinAuth jellyfinAuth, PluginConfiguration config, JellyfinSessionAuth? sessionAuth = null)
         {
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
             _jellyfinAuth = jellyfinAuth ?? throw new ArgumentNullException(nameof(jellyfinAuth));
             _config = config ?? new PluginConfiguration();
+            _sessionAuth = sessionAuth;
         }
 
         /// <summary>
@@ -116,14 +133,49 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         }
 
         /// <summary>
-        /// Validate a token against the Jellyfin server with automatic fallback to derived base URL.
-        /// Returns user object (JObject) on success, null on failure.
+        /// Validate a token: from the token cache, then in-process through Jellyfin's session and user managers,
+        /// and only when that is unavailable over HTTP against the Jellyfin server (with fallback to a derived base URL).
+        /// Returns user object (JObject) on success, null on failure. Valid tokens are cached for TokenCacheSeconds.
         /// </summary>
         public async Task<JObject?> ValidateTokenAsync(string token, HttpRequest? request)
         {
             if (string.IsNullOrWhiteSpace(token))
                 return null;
 
+            var cached = TokenCache.Get(token);
+            if (cached != null)
+                return cached;
+
+            var ttl = GetCurrentConfig()?.TokenCacheSeconds ?? 0;
+            if (_sessionAuth?.IsAvailable == true && request != null)
+            {
+                try
+                {
+                    var (resolved, sessionUser, deviceId) = await _sessionAuth.ResolveAsync(token, request).ConfigureAwait(false);
+                    if (resolved)
+                    {
+                        if (sessionUser != null)
+                            TokenCache.Set(token, sessionUser, deviceId, ttl);
+                        else
+                            _logger.LogDebug("ValidateTokenAsync: token rejected by in-process validation");
+                        return sessionUser;
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "ValidateTokenAsync: in-process validation failed, falling back to HTTP");
+                }
+            }
+
+            var user = await ValidateTokenOverHttpAsync(token, request).ConfigureAwait(false);
+            if (user != null)
+                TokenCache.Set(token, user, null, ttl);
+            return user;
+        }
+
+        // Round-trip to /Users/Me: primary base first, then ServerBaseUrl / request-derived / default base.
+        private async Task<JObject?> ValidateTokenOverHttpAsync(string token, HttpRequest? request)
+        {
             // 1. Try primary auth using the base the JellyfinAuth was constructed with
             try
             {
@@ -316,12 +368,16 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
             var globalAllowNonAdmin = config?.AllowNonAdmin ?? false;
             var apiKeyConfigured = !string.IsNullOrWhiteSpace(config?.ApiKey);
             var providedApiKey = ExtractApiKeyFromRequest(request);
-            var apiKeyValid = !string.IsNullOrWhiteSpace(providedApiKey) && string.Equals(providedApiKey, config?.ApiKey, StringComparison.Ordinal);
+            var apiKeyValid = ApiKeyHasher.SecretEquals(providedApiKey, config?.ApiKey);
 
             // Admin always authorized
             if (isAdmin)
                 return (true, null);
 
+            // Named key with a write scope covering the output directory ("*")
+            if (MatchNamedApiKey(config, providedApiKey)?.CanWrite(null) == true)
+                return (true, null);
+
             // Non-admin: check API key if global allowNonAdmin is true
             if (globalAllowNonAdmin && apiKeyConfigured)
             {
@@ -355,15 +411,14 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
             }
 
             // Get folder-specific settings
-            var folderEntry = config?.ExposedFolders?.Find(f =>
-                string.Equals(f.Name, folderName, StringComparison.OrdinalIgnoreCase) ||
-                string.Equals(f.RelativePath, folderName, StringComparison.OrdinalIgnoreCase));
+            var folderEntry = FindFolderEntry(config, folderName);
 
             var folderAllowsNonAdmin = folderEntry?.AllowNonAdmin ?? false;
             var globalAllowNonAdmin = config?.AllowNonAdmin ?? false;
             var apiKeyConfigured = !string.IsNullOrWhiteSpace(config?.ApiKey);
             var providedApiKey = ExtractApiKeyFromRequest(request);
-            var apiKeyValid = !string.IsNullOrWhiteSpace(providedApiKey) && string.Equals(providedApiKey, config?.ApiKey, StringComparison.Ordinal);
+            var apiKeyValid = ApiKeyHasher.SecretEquals(providedApiKey, config?.ApiKey)
+                || MatchNamedApiKey(config, providedApiKey)?.CanWrite(folderName) == true;
 
             _logger.LogDebug("CheckFolderWriteAuthorization: folder={Folder}, isAdmin={IsAdmin}, folderAllowsNonAdmin={FolderAllows}, globalAllowNonAdmin={GlobalAllows}, apiKeyConfigured={ApiKeySet}, apiKeyValid={ApiKeyValid}, folderEntryFound={FolderFound}",
                 folderName, isAdmin, folderAllowsNonAdmin, globalAllowNonAdmin, apiKeyConfigured, apiKeyValid, folderEntry != null);
@@ -389,6 +444,216 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
             _logger.LogDebug("CheckFolderWriteAuthorization: authorized for folder={Folder}", folderName);
             return (true, null);
         }
+
+        /// <summary>
+        /// Effective read policy for a configured folder. Folders listed in PublicReads are always public.
+        /// Unknown folders report Public; the folder service treats them as not found.
+        /// </summary>
+        public FolderReadPolicy GetFolderReadPolicy(string folderName)
+        {
+            var config = GetCurrentConfig();
+            if (IsListedInPublicReads(config, folderName))
+                return FolderReadPolicy.Public;
+
+            return FindFolderEntry(config, folderName)?.ReadPolicy ?? FolderReadPolicy.Public;
+        }
+
+        /// <summary>
+        /// Effective read policy for a file in the default output directory (null name = directory listing).
+        /// Files listed in PublicReads are always public.
+        /// </summary>
+        public FolderReadPolicy GetOutputReadPolicy(string? fileName = null)
+        {
+            var config = GetCurrentConfig();
+            if (!string.IsNullOrWhiteSpace(fileName) && IsListedInPublicReads(config, fileName))
+                return FolderReadPolicy.Public;
+
+            return config?.DefaultReadPolicy ?? FolderReadPolicy.Public;
+        }
+
+        /// <summary>
+        /// Authorization check for read operations under a given policy.
+        /// folderName scopes named API keys; null means the default output directory.
+        /// Returns (isAuthorized, reason).
+        /// </summary>
+        public (bool IsAuthorized, string? Reason) CheckReadAuthorization(HttpRequest request, FolderReadPolicy policy, JObject? validatedUser = null, string? folderName = null)
+        {
+            if (policy == FolderReadPolicy.Public)
+                return (true, null);
+
+            if (request == null)
+                return (false, "No request context");
+
+            // Admin can always read
+            if (validatedUser != null && IsUserAdmin(validatedUser))
+                return (true, null);
+
+            switch (policy)
+            {
+                case FolderReadPolicy.Authenticated:
+                    return validatedUser != null
+                        ? (true, null)
+                        : (false, "Unauthorized: requires an authenticated Jellyfin user");
+                case FolderReadPolicy.ApiKey:
+                    return IsApiKeyValidForRead(GetCurrentConfig(), ExtractApiKeyFromRequest(request), folderName)
+                        ? (true, null)
+                        : (false, "Unauthorized: requires admin or valid API key");
+                default:
+                    return (false, "Unauthorized: requires admin");
+            }
+        }
+
+        private static FolderEntry? FindFolderEntry(PluginConfiguration? config, string folderName)
+        {
+            return config?.ExposedFolders?.Find(f =>
+                string.Equals(f.Name, folderName, StringComparison.OrdinalIgnoreCase) ||
+                string.Equals(f.RelativePath, folderName, StringComparison.OrdinalIgnoreCase));
+        }
+
+        private static bool IsListedInPublicReads(PluginConfiguration? config, string name)
+        {
+            return config?.PublicReads?.Exists(p => string.Equals(p?.Trim(), name, StringComparison.OrdinalIgnoreCase)) ?? false;
+        }
+
+        private bool IsApiKeyValidForRead(PluginConfiguration? config, string? providedApiKey, string? folderName)
+        {
+            return ApiKeyHasher.SecretEquals(providedApiKey, config?.ApiKey)
+                || MatchNamedApiKey(config, providedApiKey)?.CanRead(folderName) == true;
+        }
+
+        /// <summary>
+        /// Name of the API key sent with the request, for attribution in the audit log:
+        /// "legacy" for the single ApiKey, the entry name for a named key, or null when no valid key was sent.
+        /// </summary>
+        public string? GetApiKeyName(HttpRequest request)
+        {
+            var providedApiKey = ExtractApiKeyFromRequest(request);
+            if (string.IsNullOrWhiteSpace(providedApiKey))
+                return null;
+
+            var config = GetCurrentConfig();
+            if (ApiKeyHasher.SecretEquals(providedApiKey, config?.ApiKey))
+                return "legacy";
+
+            return MatchNamedApiKey(config, providedApiKey)?.Name;
+        }
+
+        /// <summary>
+        /// Find the named key matching the provided secret. Expired keys never match.
+        /// Every stored hash is compared so timing does not reveal which entry matched.
+        /// </summary>
+        private ApiKeyEntry? MatchNamedApiKey(PluginConfiguration? config, string? providedApiKey)
+        {
+            if (string.IsNullOrWhiteSpace(providedApiKey) || config?.ApiKeys == null || config.ApiKeys.Count == 0)
+                return null;
+
+            var hash = ApiKeyHasher.Hash(providedApiKey);
+            ApiKeyEntry? match = null;
+            foreach (var entry in config.ApiKeys)
+            {
+                if (entry != null && ApiKeyHasher.HashEquals(hash, entry.Hash))
+                    match = entry;
+            }
+
+            if (match == null)
+                return null;
+
+            var now = DateTime.UtcNow;
+            if (match.IsExpired(now))
+            {
+                _logger.LogWarning("MatchNamedApiKey: rejected expired API key {Name} ({Id})", match.Name, match.Id);
+                return null;
+            }
+
+            MarkApiKeyUsed(match, now);
+            return match;
+        }
+
+        /// <summary>
+        /// UTC time the named key was last accepted, or null if it was not used since it was created or rotated.
+        /// </summary>
+        public DateTime? GetApiKeyLastUsed(ApiKeyEntry entry)
+        {
+            if (entry == null)
+                return null;
+
+            lock (UsageLock)
+            {
+                // Rotation resets CreatedUtc, so uses of the previous secret no longer count
+                return LoadUsage().TryGetValue(entry.Id, out var used) && used >= entry.CreatedUtc ? used : (DateTime?)null;
+            }
+        }
+
+        private void MarkApiKeyUsed(ApiKeyEntry entry, DateTime now)
+        {
+            lock (UsageLock)
+            {
+                LoadUsage()[entry.Id] = now;
+                if (now - _usageSavedUtc < LastUsedPersistInterval)
+                    return;
+
+                _usageSavedUtc = now;
+                SaveUsage();
+            }
+        }
+
+        // Callers hold UsageLock.
+        private Dictionary<string, DateTime> LoadUsage()
+        {
+            if (_lastUsed != null)
+                return _lastUsed;
+
+            _lastUsed = new Dictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
+            var path = GetUsagePath();
+            if (path == null || !File.Exists(path))
+                return _lastUsed;
+
+            try
+            {
+                var saved = JsonConvert.DeserializeObject<Dictionary<string, DateTime>>(File.ReadAllText(path));
+                if (saved != null)
+                {
+                    foreach (var kv in saved)
+                        _lastUsed[kv.Key] = kv.Value;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "LoadUsage: failed to read {Path} (non-fatal)", path);
+            }
+
+            return _lastUsed;
+        }
+
+        // Callers hold UsageLock. Keys deleted from the configuration are dropped from the file.
+        private void SaveUsage()
+        {
+            var path = GetUsagePath();
+            if (path == null || _lastUsed == null)
+                return;
+
+            try
+            {
+                var ids = new HashSet<string>((GetCurrentConfig().ApiKeys ?? new List<ApiKeyEntry>()).Where(k => k != null).Select(k => k.Id), StringComparer.OrdinalIgnoreCase);
+                foreach (var id in _lastUsed.Keys.Where(id => !ids.Contains(id)).ToList())
+                    _lastUsed.Remove(id);
+
+                Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+                var temp = path + ".tmp";
+                File.WriteAllText(temp, JsonConvert.SerializeObject(_lastUsed, Formatting.Indented));
+                File.Move(temp, path, overwrite: true);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "SaveUsage: failed to write {Path} (non-fatal)", path);
+            }
+        }
+
+        private static string? GetUsagePath()
+        {
+            var dataDir = Plugin.Instance?.GetPluginDataDir();
+            return string.IsNullOrWhiteSpace(dataDir) ? null : Path.Combine(dataDir, UsageDirName, UsageFileName);
+        }
     }
 }
 // END - Services/AuthService.cs
\ No newline at end of file
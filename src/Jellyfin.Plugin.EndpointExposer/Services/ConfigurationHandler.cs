@@ -1,10 +1,13 @@
 // Services/ConfigurationHandler.cs
 using System;
+using System.Collections.Generic;
 using System.IO;
+using System.Linq;
 using System.Xml.Serialization;
 using System.Threading.Tasks;
 using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
 using Newtonsoft.Json.Linq;
 
 namespace Jellyfin.Plugin.EndpointExposer.Services
@@ -18,6 +21,24 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         private readonly ILogger<ConfigurationHandler> _logger;
         private readonly FolderOperationService _folderOperationService;
 
+        /// <summary>
+        /// Format marker and version written to configuration exports.
+        /// </summary>
+        public const string ExportFormat = "EndpointExposer.Configuration";
+        public const int ExportVersion = 1;
+
+        // One year, the longest max-age worth sending
+        private const int MaxCacheAgeSeconds = 365 * 24 * 60 * 60;
+
+        private static readonly System.Text.RegularExpressions.Regex WebhookIdRegex = new System.Text.RegularExpressions.Regex("^[A-Za-z0-9_-]{1,64}$");
+
+        // Settings tied to one server (its URLs, output directory and keys): never imported, never diffed.
+        private static readonly HashSet<string> ServerSpecificSettings = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            nameof(PluginConfiguration.ServerBaseUrl), nameof(PluginConfiguration.ListenPrefix), nameof(PluginConfiguration.OutputDirectory),
+            nameof(PluginConfiguration.ApiKey), nameof(PluginConfiguration.ApiKeys)
+        };
+
         public ConfigurationHandler(ILogger<ConfigurationHandler> logger, FolderOperationService folderOperationService)
         {
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
@@ -26,9 +47,10 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
 
         /// <summary>
         /// Save configuration to XML file and plugin instance.
-        /// Also ensures all ExposedFolders exist on disk.
+        /// Also ensures all ExposedFolders exist on disk unless ensureFolders is false
+        /// (folders are then created on first use).
         /// </summary>
-        public async Task SaveConfigurationAsync(PluginConfiguration config)
+        public async Task SaveConfigurationAsync(PluginConfiguration config, bool ensureFolders = true)
         {
             if (config == null)
                 throw new ArgumentNullException(nameof(config));
@@ -44,7 +66,8 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
                 await PersistConfigurationToXmlAsync(config).ConfigureAwait(false);
 
                 // Ensure all configured folders exist
-                await EnsureConfiguredFoldersExistAsync(config).ConfigureAwait(false);
+                if (ensureFolders)
+                    await EnsureConfiguredFoldersExistAsync(config).ConfigureAwait(false);
 
                 _logger.LogInformation("ConfigurationHandler: configuration saved successfully");
             }
@@ -188,6 +211,186 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
             }).ConfigureAwait(false);
         }
 
+        /// <summary>
+        /// Build a configuration export: the configuration wrapped with format, version and timestamp, without
+        /// secrets (see BuildRedacted).
+        /// </summary>
+        public JObject BuildExport(PluginConfiguration config)
+        {
+            return new JObject
+            {
+                ["Format"] = ExportFormat,
+                ["Version"] = ExportVersion,
+                ["ExportedUtc"] = DateTime.UtcNow,
+                ["Configuration"] = BuildRedacted(config)
+            };
+        }
+
+        /// <summary>
+        /// A copy of the configuration that is safe to hand out: the legacy API key removed and named keys and
+        /// webhooks stripped of their hashes and signing secrets.
+        /// </summary>
+        public JObject BuildRedacted(PluginConfiguration config)
+        {
+            var configuration = JObject.FromObject(config ?? new PluginConfiguration());
+            configuration[nameof(PluginConfiguration.ApiKey)] = JValue.CreateNull();
+            foreach (var key in (configuration[nameof(PluginConfiguration.ApiKeys)] as JArray ?? new JArray()).OfType<JObject>())
+                key.Remove(nameof(ApiKeyEntry.Hash));
+            foreach (var hook in configuration.SelectTokens("$.OutputWebhooks[*]").Concat(configuration.SelectTokens("$.ExposedFolders[*].Webhooks[*]")).OfType<JObject>())
+                hook.Remove(nameof(WebhookEntry.Secret));
+            return configuration;
+        }
+
+        /// <summary>
+        /// Build the configuration an import would save: the imported settings and folders over the current
+        /// configuration, keeping this server's URLs, output directory and API keys. Webhooks imported without a
+        /// secret keep the secret of the current webhook with the same Id.
+        /// Accepts an export or a bare configuration object; throws ArgumentException for anything else.
+        /// </summary>
+        public PluginConfiguration PrepareImport(PluginConfiguration current, JObject document)
+        {
+            if (document == null)
+                throw new ArgumentNullException(nameof(document));
+
+            var imported = document;
+            if (document["Configuration"] is JObject wrapped)
+            {
+                var format = document["Format"]?.ToString();
+                if (!string.IsNullOrEmpty(format) && format != ExportFormat)
+                    throw new ArgumentException($"Unknown export format '{format}'");
+
+                var version = document["Version"]?.Type == JTokenType.Integer ? document.Value<int>("Version") : ExportVersion;
+                if (version > ExportVersion)
+                    throw new ArgumentException($"Export version {version} is newer than this plugin supports ({ExportVersion})");
+
+                imported = wrapped;
+            }
+            else if (imported.Property(nameof(PluginConfiguration.ExposedFolders), StringComparison.OrdinalIgnoreCase) == null)
+            {
+                throw new ArgumentException("Not a configuration export: expected Configuration or ExposedFolders");
+            }
+
+            var merged = JObject.FromObject(current ?? new PluginConfiguration());
+            foreach (var property in imported.Properties())
+            {
+                if (ServerSpecificSettings.Contains(property.Name))
+                    continue;
+
+                var existing = merged.Property(property.Name, StringComparison.OrdinalIgnoreCase);
+                if (existing != null)
+                    existing.Value = property.Value.DeepClone();
+                else
+                    merged[property.Name] = property.Value.DeepClone();
+            }
+
+            var result = merged.ToObject<PluginConfiguration>() ?? new PluginConfiguration();
+            RestoreWebhookSecrets(current, result);
+            return result;
+        }
+
+        private static void RestoreWebhookSecrets(PluginConfiguration? current, PluginConfiguration incoming)
+        {
+            static IEnumerable<WebhookEntry> AllWebhooks(PluginConfiguration? config) =>
+                (config?.OutputWebhooks ?? new List<WebhookEntry>())
+                    .Concat((config?.ExposedFolders ?? new List<FolderEntry>()).Where(f => f != null).SelectMany(f => f.Webhooks ?? new List<WebhookEntry>()))
+                    .Where(h => h != null);
+
+            var secrets = AllWebhooks(current)
+                .Where(h => !string.IsNullOrEmpty(h.Id) && !string.IsNullOrEmpty(h.Secret))
+                .GroupBy(h => h.Id, StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(g => g.Key, g => g.First().Secret, StringComparer.OrdinalIgnoreCase);
+
+            foreach (var hook in AllWebhooks(incoming).Where(h => string.IsNullOrEmpty(h.Secret) && !string.IsNullOrEmpty(h.Id)))
+            {
+                if (secrets.TryGetValue(hook.Id, out var secret))
+                    hook.Secret = secret;
+            }
+        }
+
+        /// <summary>
+        /// Compare two configurations: exposed folders matched by name (added, removed, changed properties)
+        /// and global settings, leaving out server-specific settings.
+        /// </summary>
+        public ConfigurationDiff Diff(PluginConfiguration current, PluginConfiguration incoming)
+        {
+            var diff = new ConfigurationDiff();
+
+            var skipped = new HashSet<string>(ServerSpecificSettings, StringComparer.OrdinalIgnoreCase) { nameof(PluginConfiguration.ExposedFolders) };
+            diff.Settings = DiffProperties(JObject.FromObject(current ?? new PluginConfiguration()), JObject.FromObject(incoming ?? new PluginConfiguration()), skipped);
+
+            var currentFolders = (current?.ExposedFolders ?? new List<FolderEntry>()).Where(f => f != null).ToList();
+            var incomingFolders = (incoming?.ExposedFolders ?? new List<FolderEntry>()).Where(f => f != null).ToList();
+
+            foreach (var folder in incomingFolders)
+            {
+                var match = currentFolders.FirstOrDefault(f => IsSameFolder(f, folder));
+                if (match == null)
+                {
+                    diff.Added.Add(ToFolderDiff(folder));
+                    continue;
+                }
+
+                var changes = DiffProperties(JObject.FromObject(match), JObject.FromObject(folder), new HashSet<string>());
+                if (changes.Count > 0)
+                {
+                    var changed = ToFolderDiff(folder);
+                    changed.Changes = changes;
+                    diff.Changed.Add(changed);
+                }
+            }
+
+            diff.Removed = currentFolders
+                .Where(f => !incomingFolders.Any(i => IsSameFolder(i, f)))
+                .Select(ToFolderDiff)
+                .ToList();
+
+            return diff;
+        }
+
+        private static List<SettingChange> DiffProperties(JObject before, JObject after, HashSet<string> skipped)
+        {
+            return after.Properties()
+                .Where(p => !skipped.Contains(p.Name) && !JToken.DeepEquals(before[p.Name], p.Value))
+                .Select(p => new SettingChange
+                {
+                    Field = p.Name,
+                    From = before[p.Name]?.ToString(Formatting.None),
+                    To = p.Value.ToString(Formatting.None)
+                })
+                .ToList();
+        }
+
+        // Folders are matched by logical name, or by RelativePath for entries without one
+        private static bool IsSameFolder(FolderEntry a, FolderEntry b)
+        {
+            var keyA = !string.IsNullOrWhiteSpace(a.Name) ? a.Name : a.RelativePath;
+            var keyB = !string.IsNullOrWhiteSpace(b.Name) ? b.Name : b.RelativePath;
+            return string.Equals(keyA, keyB, StringComparison.OrdinalIgnoreCase);
+        }
+
+        private FolderDiff ToFolderDiff(FolderEntry folder)
+        {
+            var exists = false;
+            if (_folderOperationService.IsFolderTokenValid(folder.RelativePath))
+            {
+                try
+                {
+                    exists = Directory.Exists(Path.Combine(_folderOperationService.GetPluginDataDir(), folder.RelativePath));
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogDebug(ex, "ConfigurationHandler: could not check folder {Folder} on disk", folder.RelativePath);
+                }
+            }
+
+            return new FolderDiff
+            {
+                Name = !string.IsNullOrWhiteSpace(folder.Name) ? folder.Name : folder.RelativePath,
+                RelativePath = folder.RelativePath,
+                ExistsOnDisk = exists
+            };
+        }
+
         /// <summary>
         /// Apply effective server base URL to configuration if not explicitly set.
         /// </summary>
@@ -226,14 +429,141 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
                 }
             }
 
+            if (config.TokenCacheSeconds < 0 || config.TokenCacheSeconds > 3600)
+                return (false, "TokenCacheSeconds must be between 0 and 3600");
+
             if (config.MaxPayloadBytes < 1024)
                 return (false, "MaxPayloadBytes must be at least 1024 bytes");
 
             if (config.MaxBackups < 0)
                 return (false, "MaxBackups cannot be negative");
 
+            if (config.UploadChunkBytes < 64 * 1024)
+                return (false, "UploadChunkBytes must be at least 65536 bytes");
+
+            if (config.MaxUploadBytes < 1024)
+                return (false, "MaxUploadBytes must be at least 1024 bytes");
+
+            if (config.UploadSessionTimeoutMinutes < 1)
+                return (false, "UploadSessionTimeoutMinutes must be at least 1 minute");
+
+            if (config.MaxOpenUploads < 0)
+                return (false, "MaxOpenUploads cannot be negative");
+
+            if (config.MaxOpenUploadsPerFolder < 0)
+                return (false, "MaxOpenUploadsPerFolder cannot be negative");
+
+            if (config.RetentionSweepMinutes < 0)
+                return (false, "RetentionSweepMinutes cannot be negative");
+
+            if (config.AuditMaxFileBytes < 64 * 1024)
+                return (false, "AuditMaxFileBytes must be at least 65536 bytes");
+
+            if (config.AuditMaxFiles < 1 || config.AuditMaxFiles > 100)
+                return (false, "AuditMaxFiles must be between 1 and 100");
+
+            var invalidOrigin = (config.CorsAllowedOrigins ?? new List<string>()).FirstOrDefault(o => !CorsService.IsOriginValid(o));
+            if (invalidOrigin != null)
+                return (false, $"CORS origin '{invalidOrigin}' must be \"*\" or scheme://host[:port]");
+
+            if (config.CorsMaxAgeSeconds < 0)
+                return (false, "CorsMaxAgeSeconds cannot be negative");
+
+            if (config.RateLimitPerIp < 0 || config.RateLimitPerApiKey < 0 || config.RateLimitPerUser < 0 || config.RateLimitBurst < 0)
+                return (false, "Rate limits cannot be negative");
+
+            if (config.AuthLockoutThreshold < 0)
+                return (false, "AuthLockoutThreshold cannot be negative");
+
+            if (config.AuthLockoutThreshold > 0 && (config.AuthLockoutWindowMinutes < 1 || config.AuthLockoutMinutes < 1))
+                return (false, "AuthLockoutWindowMinutes and AuthLockoutMinutes must be at least 1 minute");
+
+            if (config.WebhookMaxAttempts < 1 || config.WebhookMaxAttempts > 10)
+                return (false, "WebhookMaxAttempts must be between 1 and 10");
+
+            if (config.CacheMaxAgeSeconds < 0 || config.CacheMaxAgeSeconds > MaxCacheAgeSeconds)
+                return (false, $"CacheMaxAgeSeconds must be between 0 and {MaxCacheAgeSeconds}");
+
+            var webhookError = ValidateWebhooks(config);
+            if (webhookError != null)
+                return (false, webhookError);
+
+            foreach (var folder in config.ExposedFolders ?? new List<FolderEntry>())
+            {
+                if (folder != null && (folder.MaxTotalBytes < 0 || folder.MaxFileCount < 0 || folder.MaxFileBytes < 0))
+                    return (false, $"Quota limits for folder '{folder.Name}' cannot be negative");
+
+                if (folder != null && folder.RateLimitPerMinute < 0)
+                    return (false, $"Rate limit for folder '{folder.Name}' cannot be negative");
+
+                if (folder != null && (folder.CacheMaxAgeSeconds < -1 || folder.CacheMaxAgeSeconds > MaxCacheAgeSeconds))
+                    return (false, $"CacheMaxAgeSeconds for folder '{folder.Name}' must be between -1 (use the global setting) and {MaxCacheAgeSeconds}");
+
+                if (folder != null && (folder.MaxDepth < 0 || folder.MaxDepth > FolderOperationService.MaxDepthLimit))
+                    return (false, $"MaxDepth for folder '{folder.Name}' must be between 0 and {FolderOperationService.MaxDepthLimit}");
+
+                var invalidFolderOrigin = (folder?.CorsAllowedOrigins ?? new List<string>()).FirstOrDefault(o => !CorsService.IsOriginValid(o));
+                if (invalidFolderOrigin != null)
+                    return (false, $"CORS origin '{invalidFolderOrigin}' for folder '{folder!.Name}' must be \"*\" or scheme://host[:port]");
+
+                foreach (var rule in folder?.RetentionRules ?? new List<RetentionRule>())
+                {
+                    if (rule == null)
+                        continue;
+                    if (rule.MaxAgeHours < 0 || rule.MaxFiles < 0)
+                        return (false, $"Retention limits for '{rule.FilePattern}' in folder '{folder!.Name}' cannot be negative");
+                    if (rule.MaxAgeHours == 0 && rule.MaxFiles == 0)
+                        return (false, $"Retention rule for '{rule.FilePattern}' in folder '{folder!.Name}' needs a maximum age or a maximum file count");
+                }
+
+                foreach (var rule in folder?.Schemas ?? new List<FolderSchemaRule>())
+                {
+                    if (rule == null || string.IsNullOrWhiteSpace(rule.Schema))
+                        continue;
+
+                    try
+                    {
+                        var schema = JToken.Parse(rule.Schema);
+                        if (schema.Type != JTokenType.Object && schema.Type != JTokenType.Boolean)
+                            return (false, $"Schema for '{rule.FilePattern}' in folder '{folder!.Name}' must be a JSON object");
+                    }
+                    catch (JsonException)
+                    {
+                        return (false, $"Schema for '{rule.FilePattern}' in folder '{folder!.Name}' is not valid JSON");
+                    }
+                }
+            }
+
             return (true, null);
         }
+
+        // Webhook Ids must be unique across the configuration (the delivery log refers to them).
+        private static string? ValidateWebhooks(PluginConfiguration config)
+        {
+            var ids = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            var owners = (config.OutputWebhooks ?? new List<WebhookEntry>()).Select(h => (Owner: "the output directory", Hook: h))
+                .Concat((config.ExposedFolders ?? new List<FolderEntry>())
+                    .Where(f => f != null)
+                    .SelectMany(f => (f.Webhooks ?? new List<WebhookEntry>()).Select(h => (Owner: $"folder '{f.Name}'", Hook: h))));
+
+            foreach (var (owner, hook) in owners)
+            {
+                if (hook == null)
+                    continue;
+                if (string.IsNullOrWhiteSpace(hook.Id) || !WebhookIdRegex.IsMatch(hook.Id))
+                    return $"Webhook Id '{hook.Id}' for {owner} must be 1-64 letters, digits, '-' or '_'";
+                if (!ids.Add(hook.Id))
+                    return $"Webhook Id '{hook.Id}' is used more than once";
+                if (!WebhookService.IsUrlValid(hook.Url))
+                    return $"Webhook URL '{hook.Url}' for {owner} must be an absolute http(s) URL";
+
+                var unknownEvent = (hook.Events ?? new List<string>()).FirstOrDefault(e => !WebhookEntry.EventTypes.Contains(e, StringComparer.OrdinalIgnoreCase));
+                if (unknownEvent != null)
+                    return $"Webhook event '{unknownEvent}' for {owner} must be one of {string.Join(", ", WebhookEntry.EventTypes)}";
+            }
+
+            return null;
+        }
     }
 }
 // END - Services/ConfigurationHandler.cs
\ No newline at end of file
@@ -0,0 +1,132 @@
+// Services/CorsService.cs
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// CORS for the EndpointExposer routes, driven by the plugin configuration: global allowed origins, methods and
+    /// headers, plus per-folder origins for requests naming that folder (folder / targetFolder query parameters).
+    /// </summary>
+    public class CorsService
+    {
+        private readonly ILogger<CorsService> _logger;
+        private readonly PluginConfiguration _config;
+        private readonly FolderOperationService _folderService;
+
+        public static readonly string[] DefaultAllowedMethods = { "GET", "HEAD", "POST", "PUT", "PATCH", "DELETE" };
+
+        public static readonly string[] DefaultAllowedHeaders =
+        {
+            "Authorization", "Content-Type", "If-Match", "If-None-Match", "Last-Event-ID",
+            "X-Emby-Token", "X-Jellyfin-Token", "X-EndpointExposer-Key"
+        };
+
+        /// <summary>
+        /// Response headers scripts on other origins may read (ETags for conditional writes, Retry-After, ranges).
+        /// </summary>
+        public static readonly string[] ExposedHeaders =
+        {
+            "ETag", "Location", "Retry-After", "Content-Range", "Accept-Ranges", "Content-Disposition"
+        };
+
+        public CorsService(ILogger<CorsService> logger, PluginConfiguration config, FolderOperationService folderService)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+            _folderService = folderService ?? throw new ArgumentNullException(nameof(folderService));
+        }
+
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
+        /// <summary>
+        /// "*" or an absolute http(s) origin without path, query or trailing slash.
+        /// </summary>
+        public static bool IsOriginValid(string? origin)
+        {
+            if (string.IsNullOrWhiteSpace(origin))
+                return false;
+            if (origin == "*")
+                return true;
+
+            return Uri.TryCreate(origin, UriKind.Absolute, out var uri)
+                && (uri.Scheme == Uri.UriSchemeHttp || uri.Scheme == Uri.UriSchemeHttps)
+                && string.Equals(uri.GetLeftPart(UriPartial.Authority), origin.TrimEnd('/'), StringComparison.OrdinalIgnoreCase)
+                && !origin.EndsWith("/", StringComparison.Ordinal);
+        }
+
+        /// <summary>
+        /// True when origin may call a route touching the given folders: it is listed globally, or by every named folder.
+        /// </summary>
+        public bool IsOriginAllowed(string origin, IEnumerable<string?> folderNames)
+        {
+            if (ContainsOrigin(GetCurrentConfig().CorsAllowedOrigins, origin))
+                return true;
+
+            var folders = folderNames.Where(f => !string.IsNullOrWhiteSpace(f)).ToList();
+            return folders.Count > 0 && folders.All(f => ContainsOrigin(_folderService.GetFolderEntry(f!)?.CorsAllowedOrigins, origin));
+        }
+
+        /// <summary>
+        /// Add CORS headers for a request carrying an Origin header. Preflights also get the allowed methods, headers
+        /// and max age, and are only answered when the requested method is allowed.
+        /// Returns false when no CORS headers were added (no Origin, origin not allowed, method not allowed).
+        /// </summary>
+        public bool ApplyHeaders(HttpRequest request, HttpResponse response, bool preflight)
+        {
+            var origin = request.Headers["Origin"].ToString();
+            if (string.IsNullOrEmpty(origin))
+                return false;
+
+            // The answer depends on Origin, so shared caches must not reuse it across origins
+            response.Headers.Append("Vary", "Origin");
+
+            var folders = new[] { request.Query["folder"].ToString(), request.Query["targetFolder"].ToString() };
+            if (!IsOriginAllowed(origin, folders))
+            {
+                _logger.LogDebug("ApplyHeaders: origin {Origin} not allowed for {Path}", origin, request.Path);
+                return false;
+            }
+
+            var config = GetCurrentConfig();
+            if (preflight)
+            {
+                var methods = config.CorsAllowedMethods?.Count > 0 ? config.CorsAllowedMethods : DefaultAllowedMethods.ToList();
+                var requestedMethod = request.Headers["Access-Control-Request-Method"].ToString();
+                if (!string.IsNullOrEmpty(requestedMethod) && !methods.Contains(requestedMethod, StringComparer.OrdinalIgnoreCase))
+                {
+                    _logger.LogDebug("ApplyHeaders: method {Method} not allowed for origin {Origin}", requestedMethod, origin);
+                    return false;
+                }
+
+                var headers = config.CorsAllowedHeaders?.Count > 0 ? config.CorsAllowedHeaders : DefaultAllowedHeaders.ToList();
+                var requestedHeaders = request.Headers["Access-Control-Request-Headers"].ToString();
+                response.Headers["Access-Control-Allow-Methods"] = string.Join(", ", methods);
+                response.Headers["Access-Control-Allow-Headers"] = headers.Contains("*") && !string.IsNullOrEmpty(requestedHeaders)
+                    ? requestedHeaders
+                    : string.Join(", ", headers);
+                if (config.CorsMaxAgeSeconds > 0)
+                    response.Headers["Access-Control-Max-Age"] = config.CorsMaxAgeSeconds.ToString(System.Globalization.CultureInfo.InvariantCulture);
+            }
+            else
+            {
+                response.Headers["Access-Control-Expose-Headers"] = string.Join(", ", ExposedHeaders);
+            }
+
+            response.Headers["Access-Control-Allow-Origin"] = origin;
+            return true;
+        }
+
+        private static bool ContainsOrigin(List<string>? origins, string origin)
+        {
+            return origins != null && origins.Any(o => o == "*" || string.Equals(o?.TrimEnd('/'), origin, StringComparison.OrdinalIgnoreCase));
+        }
+    }
+}
+// END - Services/CorsService.cs
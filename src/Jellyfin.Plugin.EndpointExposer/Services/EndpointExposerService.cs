@@ -6,6 +6,7 @@ using System.Linq;
 using System.Text;
 using System.Text.Json;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
 using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.Logging;
 using Newtonsoft.Json.Linq;
@@ -74,6 +75,11 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         /// </summary>
         public PluginConfiguration GetConfiguration() => _config;
 
+        /// <summary>
+        /// Directory the Write / File / Delete endpoints operate on.
+        /// </summary>
+        public string OutputDirectory => _outDir;
+
         /// <summary>
         /// List all files in the default output directory with optional extension filter.
         /// </summary>
@@ -97,32 +103,54 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         }
 
         /// <summary>
-        /// Read a file from the default output directory.
-        /// Returns (Exists, Bytes, ContentType, FileName).
+        /// List files in the default output directory with size, last write time and ETag.
         /// </summary>
-        public (bool Exists, byte[] Bytes, string? ContentType, string FileName) GetFile(string name)
+        public List<FileDetails> ListFileDetails()
+        {
+            if (!Directory.Exists(_outDir))
+                return new List<FileDetails>();
+
+            try
+            {
+                return new DirectoryInfo(_outDir).EnumerateFiles("*", SearchOption.TopDirectoryOnly)
+                    .Select(FileDetails.FromFileInfo)
+                    .ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to list file details in output directory");
+                return new List<FileDetails>();
+            }
+        }
+
+        /// <summary>
+        /// Open a file in the default output directory for streaming (see FileWriteService.OpenRead).
+        /// The caller disposes Stream. Returns (Exists, Stream, ContentType, FileName, ETag, LastModifiedUtc).
+        /// </summary>
+        public (bool Exists, Stream? Stream, string? ContentType, string FileName, string? ETag, DateTime LastModifiedUtc) OpenFile(string name)
         {
             try
             {
                 var safeName = Path.GetFileName(name ?? string.Empty) ?? string.Empty;
                 var path = Path.Combine(_outDir, safeName);
 
-                if (!File.Exists(path))
-                    return (false, Array.Empty<byte>(), null, safeName);
+                var opened = string.IsNullOrEmpty(safeName) ? null : FileWriteService.OpenRead(path);
+                if (opened == null)
+                    return (false, null, null, safeName, null, default);
 
-                var bytes = File.ReadAllBytes(path);
-                var contentType = GetContentTypeByExtension(Path.GetExtension(path));
-                return (true, bytes, contentType, safeName);
+                var (stream, etag, lastWriteUtc) = opened.Value;
+                return (true, stream, GetContentTypeByExtension(Path.GetExtension(path)), safeName, etag, lastWriteUtc);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Failed to read file {Name}", name);
-                return (false, Array.Empty<byte>(), null, name ?? string.Empty);
+                _logger.LogError(ex, "Failed to open file {Name}", name);
+                return (false, null, null, name ?? string.Empty, null, default);
             }
         }
 
         /// <summary>
         /// Handle write request: parse JSON from HTTP request and save to file.
+        /// Honors If-Match / If-None-Match request headers (412 stale, 409 create-only conflict).
         /// Returns WriteOutcome with result details.
         /// NOTE: Authorization must be checked by caller before calling this method.
         /// </summary>
@@ -190,11 +218,19 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
                 try
                 {
                     var content = parsed.ToString(Newtonsoft.Json.Formatting.Indented);
-                    await _fileWriteService.WriteAllTextAsync(safePath, content, Encoding.UTF8).ConfigureAwait(false);
+                    var contentBytes = Encoding.UTF8.GetBytes(content);
+                    var ifMatch = request.Headers["If-Match"].ToString();
+                    var ifNoneMatch = request.Headers["If-None-Match"].ToString();
+                    var (written, status, etag) = await _fileWriteService.WriteAllBytesConditionalAsync(safePath, contentBytes, ifMatch, ifNoneMatch).ConfigureAwait(false);
+                    if (!written)
+                    {
+                        _logger.LogInformation("HandleWriteAsync: precondition failed ({Status}) for {Name}", status, name);
+                        return WriteOutcome.CreatePreconditionFail(status ?? 412, etag);
+                    }
 
-                    _logger.LogInformation("HandleWriteAsync: saved {Name} ({Bytes} bytes)", name, Encoding.UTF8.GetByteCount(content));
+                    _logger.LogInformation("HandleWriteAsync: saved {Name} ({Bytes} bytes)", name, contentBytes.Length);
 
-                    return WriteOutcome.CreateSuccess(name, safePath);
+                    return WriteOutcome.CreateSuccess(name, safePath, etag);
                 }
                 catch (Exception ex)
                 {
@@ -210,20 +246,22 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         }
 
         /// <summary>
-        /// Delete a file from the default output directory.
+        /// Delete a file from the default output directory, optionally keeping a backup.
         /// </summary>
-        public bool DeleteFile(string name)
+        public async Task<bool> DeleteFileAsync(string name, bool keepBackup = false)
         {
             try
             {
                 var safeName = Path.GetFileName(name ?? string.Empty) ?? string.Empty;
+                if (string.IsNullOrWhiteSpace(safeName))
+                    return false;
+
                 var path = Path.Combine(_outDir, safeName);
 
-                if (!File.Exists(path))
+                if (!await _fileWriteService.DeleteFileAsync(path, keepBackup).ConfigureAwait(false))
                     return false;
 
-                File.Delete(path);
-                _logger.LogInformation("DeleteFile: deleted {Name}", safeName);
+                _logger.LogInformation("DeleteFile: deleted {Name} (backup={Backup})", safeName, keepBackup);
                 return true;
             }
             catch (Exception ex)
@@ -272,7 +310,17 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         public string? Error { get; set; }
         public int? StatusCode { get; set; }
 
-        public static WriteOutcome CreateSuccess(string name, string path)
+        /// <summary>
+        /// ETag of the file after a successful write, or of the current file after a failed precondition.
+        /// </summary>
+        public string? ETag { get; set; }
+
+        /// <summary>
+        /// Schema violations when a write was rejected with 422.
+        /// </summary>
+        public List<SchemaValidationError>? ValidationErrors { get; set; }
+
+        public static WriteOutcome CreateSuccess(string name, string path, string? etag = null)
         {
             return new WriteOutcome
             {
@@ -280,10 +328,31 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
                 Name = name,
                 Path = path,
                 Error = null,
-                StatusCode = null
+                StatusCode = null,
+                ETag = etag
             };
         }
 
+        /// <summary>
+        /// Failed If-Match (412) or create-only If-None-Match: * (409). currentETag is null if the file is missing.
+        /// </summary>
+        public static WriteOutcome CreatePreconditionFail(int statusCode, string? currentETag)
+        {
+            var outcome = CreateFail(statusCode, statusCode == 409 ? "File already exists" : "Precondition failed: file has changed");
+            outcome.ETag = currentETag;
+            return outcome;
+        }
+
+        /// <summary>
+        /// Content rejected by the folder's JSON Schema (422).
+        /// </summary>
+        public static WriteOutcome CreateValidationFail(List<SchemaValidationError> errors)
+        {
+            var outcome = CreateFail(422, "Content does not match the folder schema");
+            outcome.ValidationErrors = errors;
+            return outcome;
+        }
+
         public static WriteOutcome CreateFail(int statusCode, string error)
         {
             return new WriteOutcome
@@ -0,0 +1,283 @@
+// Services/FolderEventService.cs
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Channels;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// In-process change feed for exposed folders, consumed by the Events (Server-Sent Events) endpoint.
+    /// Changes come from FileWriteService.FileChanged and, when EnableFileWatcher is on, from a FileSystemWatcher
+    /// on the plugin data directory for edits made outside the plugin.
+    /// </summary>
+    public class FolderEventService
+    {
+        private readonly ILogger<FolderEventService> _logger;
+        private readonly PluginConfiguration _config;
+        private readonly FolderOperationService _folderService;
+
+        private const int SubscriberBufferSize = 256;
+        private const int ReplayBufferSize = 256;
+
+        // Watcher events for a path the plugin itself wrote within this window are duplicates and dropped.
+        private static readonly TimeSpan WatcherDedupeWindow = TimeSpan.FromSeconds(2);
+
+        // Controllers are transient: subscribers, the replay buffer and the watcher are shared across instances,
+        // and only the first instance listens to FileWriteService so every change is published once.
+        private static readonly object SyncRoot = new object();
+        private static readonly List<FolderEventSubscription> Subscribers = new List<FolderEventSubscription>();
+        private static readonly Queue<(string RelativePath, FolderChangeEvent Event)> Recent = new Queue<(string RelativePath, FolderChangeEvent Event)>();
+        private static readonly ConcurrentDictionary<string, DateTime> RecentWrites = new ConcurrentDictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
+        private static readonly AsyncLocal<(string? Id, string? Name)> CurrentActor = new AsyncLocal<(string? Id, string? Name)>();
+        private static long _sequence;
+        private static int _hooked;
+        private static FileSystemWatcher? _watcher;
+
+        public FolderEventService(ILogger<FolderEventService> logger, PluginConfiguration config, FolderOperationService folderService)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+            _folderService = folderService ?? throw new ArgumentNullException(nameof(folderService));
+
+            if (Interlocked.Exchange(ref _hooked, 1) == 0)
+                FileWriteService.FileChanged += OnPluginWrite;
+        }
+
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
+        /// <summary>
+        /// Attribute file changes made on the current async flow (the rest of a request) to a writer.
+        /// Dispose to restore the previous writer.
+        /// </summary>
+        public static IDisposable BeginActor(string? userId, string? userName)
+        {
+            var previous = CurrentActor.Value;
+            CurrentActor.Value = (userId, userName);
+            return new ActorScope(previous);
+        }
+
+        /// <summary>
+        /// Writer attributed to changes on the current async flow (see BeginActor); both null outside a request.
+        /// </summary>
+        public static (string? Id, string? Name) GetCurrentActor()
+        {
+            return CurrentActor.Value;
+        }
+
+        /// <summary>
+        /// Subscribe to changes in a folder (and, for user-scoped folders, one user's namespace).
+        /// Events newer than lastEventId still in the replay buffer are delivered first, so reconnecting
+        /// EventSource clients do not miss changes. Dispose the subscription to stop receiving events.
+        /// Throws ArgumentException if the folder is not configured.
+        /// </summary>
+        public FolderEventSubscription Subscribe(string folderName, string? userId = null, long? lastEventId = null)
+        {
+            var entry = _folderService.GetFolderEntry(folderName)
+                ?? throw new ArgumentException($"Folder '{folderName}' not configured", nameof(folderName));
+
+            UpdateWatcher();
+
+            var subscription = new FolderEventSubscription(entry.RelativePath, userId, SubscriberBufferSize, Unsubscribe);
+            lock (SyncRoot)
+            {
+                if (lastEventId.HasValue)
+                {
+                    foreach (var (relativePath, evt) in Recent.Where(r => r.Event.Id > lastEventId.Value))
+                        subscription.TryDeliver(relativePath, evt);
+                }
+                Subscribers.Add(subscription);
+            }
+
+            _logger.LogDebug("Subscribe: listener added for folder {Folder} (user={UserId}, total={Count})", folderName, userId, Subscribers.Count);
+            return subscription;
+        }
+
+        private static void Unsubscribe(FolderEventSubscription subscription)
+        {
+            lock (SyncRoot)
+            {
+                Subscribers.Remove(subscription);
+            }
+        }
+
+        private void OnPluginWrite(string path, WatcherChangeTypes change)
+        {
+            RecentWrites[Path.GetFullPath(path)] = DateTime.UtcNow;
+            var actor = CurrentActor.Value;
+            Publish(path, change, actor.Id, actor.Name);
+        }
+
+        private void Publish(string path, WatcherChangeTypes change, string? changedBy, string? changedByName)
+        {
+            var mapped = _folderService.MapFolderFilePath(path);
+            if (mapped == null)
+                return;
+
+            var (entry, name, userId) = mapped.Value;
+            var info = new FileInfo(path);
+            var deleted = change == WatcherChangeTypes.Deleted || !info.Exists;
+            var evt = new FolderChangeEvent
+            {
+                Type = deleted ? FolderChangeEvent.Deleted : change == WatcherChangeTypes.Created ? FolderChangeEvent.Created : FolderChangeEvent.Updated,
+                Folder = string.IsNullOrWhiteSpace(entry.Name) ? entry.RelativePath : entry.Name,
+                Name = name,
+                UserId = userId,
+                Size = deleted ? null : info.Length,
+                ETag = deleted ? null : Utilities.ETagHelper.Compute(info.LastWriteTimeUtc, info.Length),
+                ChangedBy = changedBy,
+                ChangedByName = changedByName,
+                TimestampUtc = DateTime.UtcNow
+            };
+
+            // Deliver under the lock so every subscriber sees events in Id order (TryDeliver never blocks)
+            lock (SyncRoot)
+            {
+                evt.Id = ++_sequence;
+                Recent.Enqueue((entry.RelativePath, evt));
+                while (Recent.Count > ReplayBufferSize)
+                    Recent.Dequeue();
+                foreach (var subscription in Subscribers)
+                    subscription.TryDeliver(entry.RelativePath, evt);
+            }
+
+            _logger.LogDebug("Publish: {Type} {Folder}/{Name} (user={UserId}, by={ChangedBy})",
+                evt.Type, evt.Folder, evt.Name, userId, changedBy);
+        }
+
+        /// <summary>
+        /// Start or stop the filesystem watcher to match EnableFileWatcher.
+        /// </summary>
+        private void UpdateWatcher()
+        {
+            var enabled = GetCurrentConfig().EnableFileWatcher;
+            lock (SyncRoot)
+            {
+                if (enabled == (_watcher != null))
+                    return;
+
+                if (!enabled)
+                {
+                    _watcher!.Dispose();
+                    _watcher = null;
+                    _logger.LogInformation("UpdateWatcher: filesystem watcher stopped");
+                    return;
+                }
+
+                try
+                {
+                    var root = _folderService.GetPluginDataDir();
+                    Directory.CreateDirectory(root);
+                    var watcher = new FileSystemWatcher(root)
+                    {
+                        IncludeSubdirectories = true,
+                        NotifyFilter = NotifyFilters.FileName | NotifyFilters.LastWrite | NotifyFilters.Size
+                    };
+                    watcher.Created += (_, e) => OnWatcherEvent(e.FullPath, WatcherChangeTypes.Created);
+                    watcher.Changed += (_, e) => OnWatcherEvent(e.FullPath, WatcherChangeTypes.Changed);
+                    watcher.Deleted += (_, e) => OnWatcherEvent(e.FullPath, WatcherChangeTypes.Deleted);
+                    watcher.Renamed += (_, e) =>
+                    {
+                        OnWatcherEvent(e.OldFullPath, WatcherChangeTypes.Deleted);
+                        OnWatcherEvent(e.FullPath, WatcherChangeTypes.Created);
+                    };
+                    watcher.Error += (_, e) => _logger.LogWarning(e.GetException(), "FileSystemWatcher error; some out-of-band changes may be missed");
+                    watcher.EnableRaisingEvents = true;
+                    _watcher = watcher;
+                    _logger.LogInformation("UpdateWatcher: watching {Root} for out-of-band changes", root);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "UpdateWatcher: failed to start filesystem watcher");
+                }
+            }
+        }
+
+        private void OnWatcherEvent(string path, WatcherChangeTypes change)
+        {
+            try
+            {
+                // Temp files of atomic writes and directories are not folder content
+                if (path.EndsWith(".tmp", StringComparison.OrdinalIgnoreCase) || Directory.Exists(path))
+                    return;
+
+                var fullPath = Path.GetFullPath(path);
+                var now = DateTime.UtcNow;
+                if (RecentWrites.TryGetValue(fullPath, out var written) && now - written < WatcherDedupeWindow)
+                    return;
+                RecentWrites[fullPath] = now;
+
+                foreach (var stale in RecentWrites.Where(kv => now - kv.Value > WatcherDedupeWindow).Select(kv => kv.Key).ToList())
+                    RecentWrites.TryRemove(stale, out _);
+
+                Publish(path, change, null, null);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "OnWatcherEvent: ignored event for {Path}", path);
+            }
+        }
+
+        private sealed class ActorScope : IDisposable
+        {
+            private readonly (string? Id, string? Name) _previous;
+
+            public ActorScope((string? Id, string? Name) previous)
+            {
+                _previous = previous;
+            }
+
+            public void Dispose()
+            {
+                CurrentActor.Value = _previous;
+            }
+        }
+    }
+
+    /// <summary>
+    /// One Events listener. Events are buffered per subscriber; when a slow client falls behind,
+    /// the oldest undelivered events are dropped.
+    /// </summary>
+    public sealed class FolderEventSubscription : IDisposable
+    {
+        private readonly Channel<FolderChangeEvent> _channel;
+        private readonly Action<FolderEventSubscription> _unsubscribe;
+        private readonly string _relativePath;
+        private readonly string? _userId;
+
+        internal FolderEventSubscription(string relativePath, string? userId, int capacity, Action<FolderEventSubscription> unsubscribe)
+        {
+            _relativePath = relativePath;
+            _userId = userId;
+            _unsubscribe = unsubscribe;
+            _channel = Channel.CreateBounded<FolderChangeEvent>(new BoundedChannelOptions(capacity)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true
+            });
+        }
+
+        public ChannelReader<FolderChangeEvent> Reader => _channel.Reader;
+
+        // Deliver evt if it happened in this subscriber's folder (matched on RelativePath) and namespace
+        internal void TryDeliver(string relativePath, FolderChangeEvent evt)
+        {
+            if (evt.UserId == _userId && string.Equals(relativePath, _relativePath, StringComparison.OrdinalIgnoreCase))
+                _channel.Writer.TryWrite(evt);
+        }
+
+        public void Dispose()
+        {
+            _unsubscribe(this);
+            _channel.Writer.TryComplete();
+        }
+    }
+}
+// END - Services/FolderEventService.cs
@@ -2,11 +2,16 @@
 using System;
 using System.Collections.Generic;
 using System.IO;
+using System.IO.Compression;
 using System.Linq;
+using System.Text;
 using System.Text.RegularExpressions;
 using System.Threading;
 using System.Threading.Tasks;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
 using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
 
 namespace Jellyfin.Plugin.EndpointExposer.Services
 {
@@ -23,11 +28,49 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         private static readonly Regex FolderTokenRegex = new Regex("^[a-z0-9_-]+$", RegexOptions.Compiled | RegexOptions.IgnoreCase);
         private static readonly Regex FileNameRegex = new Regex(@"^[\w\-.]+$", RegexOptions.Compiled);
 
+        /// <summary>
+        /// Subdirectory of a user-scoped folder that holds one directory per Jellyfin user Id.
+        /// </summary>
+        public const string UserScopeDirName = "users";
+
+        /// <summary>
+        /// Upper bound for FolderEntry.MaxDepth.
+        /// </summary>
+        public const int MaxDepthLimit = 16;
+
+        /// <summary>
+        /// ImportFolderArchiveAsync modes: merge keeps files missing from the archive, replace deletes them.
+        /// </summary>
+        public const string ImportModeMerge = "merge";
+        public const string ImportModeReplace = "replace";
+
+        /// <summary>
+        /// Upper bound for the uncompressed content of an imported folder archive, which is held in memory until committed.
+        /// </summary>
+        public const long MaxArchiveImportBytes = 64 * 1024 * 1024;
+
+        // Quota usage per namespace root (folder or user namespace directory), walked once and then kept current from
+        // FileWriteService.FileChanged so quota checks don't walk the folder on every write. Entries are rebuilt after
+        // UsageCacheLifetime to pick up changes made outside the plugin. Static because controllers are transient.
+        private static readonly TimeSpan UsageCacheLifetime = TimeSpan.FromMinutes(5);
+        private static readonly Dictionary<string, FolderUsageCache> UsageCache = new Dictionary<string, FolderUsageCache>(StringComparer.OrdinalIgnoreCase);
+        private static int _usageHooked;
+
         public FolderOperationService(ILogger<FolderOperationService> logger, PluginConfiguration config, FileWriteService fileWriteService)
         {
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
             _config = config ?? new PluginConfiguration();
             _fileWriteService = fileWriteService ?? throw new ArgumentNullException(nameof(fileWriteService));
+
+            if (Interlocked.Exchange(ref _usageHooked, 1) == 0)
+                FileWriteService.FileChanged += OnFileChangedForUsage;
+        }
+
+        // Saving the configuration replaces Plugin.Instance.Configuration, so long-lived instances (the ones listening
+        // to FileWriteService) must not keep the object they were built with.
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
         }
 
         /// <summary>
@@ -46,20 +89,64 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
             return !string.IsNullOrWhiteSpace(fileName) && FileNameRegex.IsMatch(fileName);
         }
 
+        /// <summary>
+        /// Normalize a file path relative to a configured folder. Segments may be separated by "/" or "\",
+        /// each must be a valid file name, and at most FolderEntry.MaxDepth directories are allowed.
+        /// "." / "..", hidden (dot-prefixed) directories, backup directories and the users directory of a
+        /// user-scoped folder are rejected. Returns the path with "/" separators, or null if it is not allowed.
+        /// </summary>
+        public string? NormalizeFilePath(string folderName, string? filePath)
+        {
+            if (string.IsNullOrWhiteSpace(filePath))
+                return null;
+
+            var segments = filePath.Split('/', '\\');
+            if (segments.Any(seg => !IsFileNameValid(seg) || seg == "." || seg == ".."))
+                return null;
+
+            var entry = FindFolderEntry(folderName);
+            if (segments.Length - 1 > GetMaxDepth(entry))
+                return null;
+
+            for (var i = 0; i < segments.Length - 1; i++)
+            {
+                if (IsReservedDirectory(segments[i], i == 0 && (entry?.UserScoped ?? false)))
+                    return null;
+            }
+
+            return string.Join("/", segments);
+        }
+
+        /// <summary>
+        /// Normalize a Jellyfin user Id to the 32-char lowercase form used for directory names.
+        /// Returns null if the value is not a Guid.
+        /// </summary>
+        public static string? NormalizeUserId(string? userId)
+        {
+            return Guid.TryParse(userId, out var id) ? id.ToString("N") : null;
+        }
+
+        /// <summary>
+        /// True when the configured folder stores files per Jellyfin user.
+        /// </summary>
+        public bool IsUserScoped(string folderName)
+        {
+            return FindFolderEntry(folderName)?.UserScoped ?? false;
+        }
+
         /// <summary>
         /// Resolve a configured folder entry by logical name and return the absolute folder path.
-        /// Throws ArgumentException if folder is invalid or not configured.
+        /// For user-scoped folders a userId selects that user's private subdirectory;
+        /// without one the shared folder root is returned.
+        /// Throws ArgumentException if folder or userId is invalid or the folder is not configured.
         /// Creates the folder if it doesn't exist.
         /// </summary>
-        public string ResolveFolderPath(string folderName)
+        public string ResolveFolderPath(string folderName, string? userId = null)
         {
             if (!IsFolderTokenValid(folderName))
                 throw new ArgumentException("Invalid folder name format", nameof(folderName));
 
-            // Find matching FolderEntry in configuration (case-insensitive match on Name or RelativePath)
-            var entry = _config?.ExposedFolders?.FirstOrDefault(f =>
-                string.Equals(f.Name, folderName, StringComparison.OrdinalIgnoreCase) ||
-                string.Equals(f.RelativePath, folderName, StringComparison.OrdinalIgnoreCase));
+            var entry = FindFolderEntry(folderName);
 
             if (entry == null)
                 throw new ArgumentException($"Folder '{folderName}' not configured", nameof(folderName));
@@ -73,6 +160,14 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
             string baseDir = GetPluginDataDir();
 
             var folderDir = Path.Combine(baseDir, rel);
+            if (entry.UserScoped && userId != null)
+            {
+                var normalized = NormalizeUserId(userId);
+                if (normalized == null)
+                    throw new ArgumentException("Invalid user id", nameof(userId));
+                folderDir = Path.Combine(folderDir, UserScopeDirName, normalized);
+            }
+
             try
             {
                 Directory.CreateDirectory(folderDir);
@@ -87,24 +182,52 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         }
 
         /// <summary>
-        /// List all files in a configured folder (top-level only, no subdirectories).
+        /// List the user Ids that have a private directory in a user-scoped folder.
         /// </summary>
-        public List<string> ListFolderFiles(string folderName)
+        public List<string> ListFolderUsers(string folderName)
         {
             try
             {
-                var folderDir = ResolveFolderPath(folderName);
-
-                if (!Directory.Exists(folderDir))
+                var usersDir = Path.Combine(ResolveFolderPath(folderName), UserScopeDirName);
+                if (!Directory.Exists(usersDir))
                     return new List<string>();
 
-                return Directory.EnumerateFiles(folderDir, "*", SearchOption.TopDirectoryOnly)
+                return Directory.EnumerateDirectories(usersDir)
                     .Select(Path.GetFileName)
-                    .Where(n => !string.IsNullOrEmpty(n))
+                    .Where(n => NormalizeUserId(n) != null)
                     .Cast<string>()
                     .ToList();
             }
             catch (ArgumentException)
+            {
+                _logger.LogInformation("ListFolderUsers: folder '{FolderName}' not configured", folderName);
+                return new List<string>();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ListFolderUsers: failed to list users in folder {FolderName}", folderName);
+                return new List<string>();
+            }
+        }
+
+        /// <summary>
+        /// List files in a configured folder. depth = how many subdirectory levels to include
+        /// (0 = top-level only, capped at the folder's MaxDepth); nested files are returned as "dir/name".
+        /// </summary>
+        public List<string> ListFolderFiles(string folderName, string? userId = null, int depth = 0)
+        {
+            try
+            {
+                var folderDir = ResolveFolderPath(folderName, userId);
+
+                if (!Directory.Exists(folderDir))
+                    return new List<string>();
+
+                return EnumerateFolderFiles(folderName, folderDir, depth)
+                    .Select(f => f.RelativePath)
+                    .ToList();
+            }
+            catch (ArgumentException)
             {
                 // Folder is not configured or invalid — treat as empty result rather than an error.
                 _logger.LogInformation("ListFolderFiles: folder '{FolderName}' not configured", folderName);
@@ -118,116 +241,1344 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         }
 
         /// <summary>
-        /// Read a file from a configured folder.
-        /// Returns (Exists, Bytes, ContentType, FileName).
+        /// List files in a configured folder with size, last write time and ETag. depth works as in ListFolderFiles.
+        /// </summary>
+        public List<FileDetails> ListFolderFileDetails(string folderName, string? userId = null, int depth = 0)
+        {
+            try
+            {
+                var folderDir = ResolveFolderPath(folderName, userId);
+
+                if (!Directory.Exists(folderDir))
+                    return new List<FileDetails>();
+
+                return EnumerateFolderFiles(folderName, folderDir, depth)
+                    .Select(f =>
+                    {
+                        var details = FileDetails.FromFileInfo(f.Info);
+                        details.Name = f.RelativePath;
+                        return details;
+                    })
+                    .ToList();
+            }
+            catch (ArgumentException)
+            {
+                _logger.LogInformation("ListFolderFileDetails: folder '{FolderName}' not configured", folderName);
+                return new List<FileDetails>();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to list file details in folder {FolderName}", folderName);
+                return new List<FileDetails>();
+            }
+        }
+
+        /// <summary>
+        /// Open a file in a configured folder for streaming (see FileWriteService.OpenRead).
+        /// The caller disposes Stream. Returns (Exists, Stream, ContentType, FileName, ETag, LastModifiedUtc).
         /// </summary>
-        public (bool Exists, byte[] Bytes, string? ContentType, string FileName) ReadFolderFile(string folderName, string fileName)
+        public (bool Exists, Stream? Stream, string? ContentType, string FileName, string? ETag, DateTime LastModifiedUtc) OpenFolderFile(string folderName, string fileName, string? userId = null)
         {
-            if (!IsFileNameValid(fileName))
-                return (false, Array.Empty<byte>(), null, fileName ?? string.Empty);
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return (false, null, null, fileName ?? string.Empty, null, default);
 
             try
             {
-                var folderDir = ResolveFolderPath(folderName);
-                var safeName = Path.GetFileName(fileName);
-                var path = Path.Combine(folderDir, safeName);
+                var path = GetFolderFilePath(folderName, safeName, userId);
 
-                if (!File.Exists(path))
-                    return (false, Array.Empty<byte>(), null, safeName);
+                var opened = FileWriteService.OpenRead(path);
+                if (opened == null)
+                    return (false, null, null, safeName, null, default);
 
-                var bytes = File.ReadAllBytes(path);
-                var contentType = GetContentTypeByExtension(Path.GetExtension(path));
-                return (true, bytes, contentType, safeName);
+                var (stream, etag, lastWriteUtc) = opened.Value;
+                return (true, stream, GetContentTypeByExtension(Path.GetExtension(path)), safeName, etag, lastWriteUtc);
             }
             catch (ArgumentException)
             {
                 // Folder not configured — not an error for callers; report as not found.
-                _logger.LogInformation("ReadFolderFile: folder '{FolderName}' not configured", folderName);
-                return (false, Array.Empty<byte>(), null, fileName ?? string.Empty);
+                _logger.LogInformation("OpenFolderFile: folder '{FolderName}' not configured", folderName);
+                return (false, null, null, fileName ?? string.Empty, null, default);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Failed to read file {FileName} from folder {FolderName}", fileName, folderName);
-                return (false, Array.Empty<byte>(), null, fileName ?? string.Empty);
+                _logger.LogError(ex, "Failed to open file {FileName} in folder {FolderName}", fileName, folderName);
+                return (false, null, null, fileName ?? string.Empty, null, default);
             }
         }
 
+        /// <summary>
+        /// Cache-Control max-age in seconds for reads from a configured folder: its CacheMaxAgeSeconds, or the global
+        /// CacheMaxAgeSeconds when it has none (-1). 0 = clients must revalidate.
+        /// </summary>
+        public int GetCacheMaxAgeSeconds(string folderName)
+        {
+            var folderMaxAge = FindFolderEntry(folderName)?.CacheMaxAgeSeconds ?? -1;
+            return folderMaxAge >= 0 ? folderMaxAge : Math.Max(0, GetCurrentConfig().CacheMaxAgeSeconds);
+        }
+
         /// <summary>
         /// Write bytes to a file in a configured folder using atomic writes and backups.
-        /// Returns (Success, Path, Error).
+        /// ifMatch / ifNoneMatch are optional HTTP precondition values (412 stale, 409 create-only conflict).
         /// </summary>
-        public async Task<(bool Success, string? Path, string? Error)> WriteFolderFileAsync(string folderName, string fileName, byte[] bytes, CancellationToken ct = default)
+        public async Task<WriteOutcome> WriteFolderFileAsync(string folderName, string fileName, byte[] bytes, string? userId = null, string? ifMatch = null, string? ifNoneMatch = null, CancellationToken ct = default)
         {
             if (bytes == null)
                 bytes = Array.Empty<byte>();
 
-            if (!IsFileNameValid(fileName))
-                return (false, null, "Invalid file name");
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return WriteOutcome.CreateFail(400, "Invalid file name");
 
             try
             {
-                var folderDir = ResolveFolderPath(folderName);
-                var safeName = Path.GetFileName(fileName);
-                var path = Path.Combine(folderDir, safeName);
+                var folderDir = ResolveFolderPath(folderName, userId);
+                var path = CombineFolderFilePath(folderDir, safeName);
+
+                // Enforce the folder's allowed types, per-file limit and quota
+                var quotaFailure = CheckQuota(FindFolderEntry(folderName), folderName, folderDir, safeName, bytes.Length);
+                if (quotaFailure != null)
+                {
+                    _logger.LogWarning("WriteFolderFileAsync: rejected {File} ({Len} bytes) in {Folder} - {Error}",
+                        safeName, bytes.Length, folderName, quotaFailure.Error);
+                    return quotaFailure;
+                }
 
-                // Enforce MaxPayloadBytes
-                var maxBytes = _config?.MaxPayloadBytes ?? 2 * 1024 * 1024;
-                if (bytes.Length > maxBytes)
+                var validationErrors = ValidateFolderContent(folderName, safeName, bytes);
+                if (validationErrors.Count > 0)
                 {
-                    _logger.LogWarning("WriteFolderFileAsync: payload too large ({Len} > {Max}) for {File} in {Folder}",
-                        bytes.Length, maxBytes, safeName, folderName);
-                    return (false, null, "Payload too large");
+                    _logger.LogInformation("WriteFolderFileAsync: {File} in folder {Folder} failed schema validation ({Count} errors)",
+                        safeName, folderName, validationErrors.Count);
+                    return WriteOutcome.CreateValidationFail(validationErrors);
+                }
+
+                var (written, status, etag) = await _fileWriteService.WriteAllBytesConditionalAsync(path, bytes, ifMatch, ifNoneMatch).ConfigureAwait(false);
+                if (!written)
+                {
+                    _logger.LogInformation("WriteFolderFileAsync: precondition failed ({Status}) for {File} in folder {Folder}", status, safeName, folderName);
+                    return WriteOutcome.CreatePreconditionFail(status ?? 412, etag);
                 }
 
-                await _fileWriteService.WriteAllBytesAsync(path, bytes).ConfigureAwait(false);
                 _logger.LogInformation("WriteFolderFileAsync: saved {File} ({Bytes} bytes) in folder {Folder}",
                     safeName, bytes.Length, folderName);
-                return (true, path, null);
+                return WriteOutcome.CreateSuccess(safeName, path, etag);
             }
             catch (ArgumentException)
             {
                 _logger.LogInformation("WriteFolderFileAsync: folder '{FolderName}' not configured", folderName);
-                return (false, null, "Folder not configured");
+                return WriteOutcome.CreateFail(404, "Folder not configured");
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "WriteFolderFileAsync: failed to write {File} in folder {FolderName}", fileName, folderName);
-                return (false, null, "Failed to write file");
+                return WriteOutcome.CreateFail(500, "Failed to write file");
             }
         }
 
         /// <summary>
-        /// Delete a file from a configured folder.
-        /// Returns true if successful, false if file doesn't exist or error occurs.
+        /// Check, before any bytes are sent, whether a file of length bytes may be written to fileName:
+        /// name (400), folder (404), allowed type (415) and quota (413). Returns null when the write is allowed.
+        /// Used to reject chunked uploads up front; the final commit checks again. reservedBytes counts toward the
+        /// folder's total size on top of the files on disk (the declared size of other open uploads).
         /// </summary>
-        public bool DeleteFolderFile(string folderName, string fileName)
+        public WriteOutcome? CheckFolderWrite(string folderName, string fileName, long length, string? userId = null, long reservedBytes = 0)
         {
-            if (!IsFileNameValid(fileName))
-                return false;
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return WriteOutcome.CreateFail(400, "Invalid file name");
 
             try
             {
-                var folderDir = ResolveFolderPath(folderName);
-                var safeName = Path.GetFileName(fileName);
-                var path = Path.Combine(folderDir, safeName);
+                var folderDir = ResolveFolderPath(folderName, userId);
+                return CheckQuota(FindFolderEntry(folderName), folderName, folderDir, safeName, length, bytesDelta: reservedBytes, streamed: true);
+            }
+            catch (ArgumentException)
+            {
+                return WriteOutcome.CreateFail(404, "Folder not configured");
+            }
+        }
 
-                if (!File.Exists(path))
-                    return false;
+        /// <summary>
+        /// Commit a fully received staging file (chunked upload) to a configured folder. Applies the same quota,
+        /// schema and If-Match / If-None-Match checks as WriteFolderFileAsync; only files matched by a schema
+        /// are read into memory. The staging file is moved into place on success.
+        /// </summary>
+        public async Task<WriteOutcome> CommitStagedFolderFileAsync(string folderName, string fileName, string stagedPath, string? userId = null, string? ifMatch = null, string? ifNoneMatch = null)
+        {
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return WriteOutcome.CreateFail(400, "Invalid file name");
 
-                File.Delete(path);
-                _logger.LogInformation("DeleteFolderFile: deleted {File} from folder {Folder}", safeName, folderName);
-                return true;
+            try
+            {
+                var folderDir = ResolveFolderPath(folderName, userId);
+                var path = CombineFolderFilePath(folderDir, safeName);
+                var entry = FindFolderEntry(folderName);
+                var length = new FileInfo(stagedPath).Length;
+
+                var quotaFailure = CheckQuota(entry, folderName, folderDir, safeName, length, streamed: true);
+                if (quotaFailure != null)
+                {
+                    _logger.LogWarning("CommitStagedFolderFileAsync: rejected {File} ({Len} bytes) in {Folder} - {Error}",
+                        safeName, length, folderName, quotaFailure.Error);
+                    return quotaFailure;
+                }
+
+                if (GetMatchingRules(entry?.Schemas, safeName).Any())
+                {
+                    var bytes = await File.ReadAllBytesAsync(stagedPath).ConfigureAwait(false);
+                    var validationErrors = ValidateContent(entry?.Schemas, safeName, bytes);
+                    if (validationErrors.Count > 0)
+                    {
+                        _logger.LogInformation("CommitStagedFolderFileAsync: {File} in folder {Folder} failed schema validation ({Count} errors)",
+                            safeName, folderName, validationErrors.Count);
+                        return WriteOutcome.CreateValidationFail(validationErrors);
+                    }
+                }
+
+                var (written, status, etag) = await _fileWriteService.CommitStagedFileAsync(path, stagedPath, ifMatch, ifNoneMatch).ConfigureAwait(false);
+                if (!written)
+                {
+                    _logger.LogInformation("CommitStagedFolderFileAsync: precondition failed ({Status}) for {File} in folder {Folder}", status, safeName, folderName);
+                    return WriteOutcome.CreatePreconditionFail(status ?? 412, etag);
+                }
+
+                _logger.LogInformation("CommitStagedFolderFileAsync: saved {File} ({Bytes} bytes) in folder {Folder}",
+                    safeName, length, folderName);
+                return WriteOutcome.CreateSuccess(safeName, path, etag);
             }
             catch (ArgumentException)
             {
-                _logger.LogInformation("DeleteFolderFile: folder '{FolderName}' not configured", folderName);
-                return false;
+                _logger.LogInformation("CommitStagedFolderFileAsync: folder '{FolderName}' not configured", folderName);
+                return WriteOutcome.CreateFail(404, "Folder not configured");
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "DeleteFolderFile: failed to delete {File} from folder {FolderName}", fileName, folderName);
-                return false;
+                _logger.LogError(ex, "CommitStagedFolderFileAsync: failed to commit {File} in folder {FolderName}", fileName, folderName);
+                return WriteOutcome.CreateFail(500, "Failed to write file");
+            }
+        }
+
+        /// <summary>
+        /// Apply a batch of writes and deletes across configured folders as one unit (see FileWriteService.CommitBatchAsync).
+        /// Operations must already be authorized and carry their resolved user namespace in UserId.
+        /// Every operation is checked first (name, folder, quota including the batch's earlier operations, schema);
+        /// the first failure stops the batch before anything is written.
+        /// Returns whether the batch was committed and one result per operation, in order.
+        /// </summary>
+        public async Task<(bool Committed, List<BatchOperationResult> Results)> ExecuteBatchAsync(IReadOnlyList<BatchOperation> operations)
+        {
+            var results = operations.Select((op, i) => new BatchOperationResult
+            {
+                Index = i,
+                Op = op.Op,
+                Folder = op.Folder,
+                Name = op.Name,
+                StatusCode = 424,
+                Error = "Not applied: another operation in the batch failed"
+            }).ToList();
+
+            try
+            {
+                var changes = new List<BatchFileChange>();
+                var usageDeltas = new Dictionary<string, (long Count, long Bytes)>(StringComparer.OrdinalIgnoreCase);
+                var paths = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+                for (var i = 0; i < operations.Count; i++)
+                {
+                    var (change, failure) = PrepareBatchChange(operations[i], usageDeltas, paths);
+                    if (failure != null)
+                    {
+                        _logger.LogInformation("ExecuteBatchAsync: operation {Index} ({Op} {File} in {Folder}) rejected - {Error}",
+                            i, operations[i].Op, operations[i].Name, operations[i].Folder, failure.Error);
+                        ApplyBatchFailure(results[i], failure);
+                        return (false, results);
+                    }
+                    changes.Add(change!);
+                }
+
+                var (committed, failedIndex, status, etags) = await _fileWriteService.CommitBatchAsync(changes).ConfigureAwait(false);
+                if (!committed)
+                {
+                    var failure = status switch
+                    {
+                        404 => WriteOutcome.CreateFail(404, "File not found"),
+                        500 => WriteOutcome.CreateFail(500, "Failed to write file; the batch was rolled back"),
+                        _ => WriteOutcome.CreatePreconditionFail(status ?? 412, etags[failedIndex])
+                    };
+                    _logger.LogInformation("ExecuteBatchAsync: batch not committed, operation {Index} failed ({Status})", failedIndex, failure.StatusCode);
+                    ApplyBatchFailure(results[failedIndex], failure);
+                    return (false, results);
+                }
+
+                for (var i = 0; i < results.Count; i++)
+                {
+                    results[i].StatusCode = 200;
+                    results[i].Error = null;
+                    results[i].ETag = etags[i];
+                }
+
+                _logger.LogInformation("ExecuteBatchAsync: committed {Count} operation(s)", operations.Count);
+                return (true, results);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ExecuteBatchAsync: batch of {Count} operation(s) failed", operations.Count);
+                ApplyBatchFailure(results[0], WriteOutcome.CreateFail(500, "Failed to apply batch"));
+                return (false, results);
+            }
+        }
+
+        // Validate one batch operation and turn it into a file change. usageDeltas tracks, per folder (or user
+        // namespace) directory, how earlier operations in the batch change the file count and size.
+        private (BatchFileChange? Change, WriteOutcome? Failure) PrepareBatchChange(BatchOperation op, Dictionary<string, (long Count, long Bytes)> usageDeltas, HashSet<string> paths)
+        {
+            var isDelete = string.Equals(op.Op, BatchOperation.Delete, StringComparison.OrdinalIgnoreCase);
+            if (!isDelete && !string.Equals(op.Op, BatchOperation.Write, StringComparison.OrdinalIgnoreCase))
+                return (null, WriteOutcome.CreateFail(400, $"Unknown operation '{op.Op}'"));
+
+            var safeName = NormalizeFilePath(op.Folder, op.Name);
+            if (safeName == null)
+                return (null, WriteOutcome.CreateFail(400, "Invalid file name"));
+
+            string folderDir;
+            try
+            {
+                folderDir = ResolveFolderPath(op.Folder, op.UserId);
+            }
+            catch (ArgumentException)
+            {
+                return (null, WriteOutcome.CreateFail(404, "Folder not configured"));
+            }
+
+            var path = CombineFolderFilePath(folderDir, safeName);
+            if (!paths.Add(Path.GetFullPath(path)))
+                return (null, WriteOutcome.CreateFail(400, "The same file appears more than once in the batch"));
+
+            var existing = new FileInfo(path);
+            usageDeltas.TryGetValue(folderDir, out var delta);
+
+            if (isDelete)
+            {
+                if (existing.Exists)
+                    usageDeltas[folderDir] = (delta.Count - 1, delta.Bytes - existing.Length);
+                return (new BatchFileChange { Path = path, IfMatch = op.IfMatch, IfNoneMatch = op.IfNoneMatch, KeepBackup = op.Backup }, null);
+            }
+
+            var (bytes, contentError) = DecodeBatchContent(op);
+            if (bytes == null)
+                return (null, WriteOutcome.CreateFail(400, contentError ?? "Missing content"));
+
+            var quotaFailure = CheckQuota(FindFolderEntry(op.Folder), op.Folder, folderDir, safeName, bytes.Length, delta.Count, delta.Bytes);
+            if (quotaFailure != null)
+                return (null, quotaFailure);
+
+            var validationErrors = ValidateFolderContent(op.Folder, safeName, bytes);
+            if (validationErrors.Count > 0)
+                return (null, WriteOutcome.CreateValidationFail(validationErrors));
+
+            usageDeltas[folderDir] = (delta.Count + (existing.Exists ? 0 : 1), delta.Bytes + bytes.Length - (existing.Exists ? existing.Length : 0));
+            return (new BatchFileChange { Path = path, Bytes = bytes, IfMatch = op.IfMatch, IfNoneMatch = op.IfNoneMatch }, null);
+        }
+
+        // Json wins over Content; Content is utf8 unless Encoding is base64
+        private static (byte[]? Bytes, string? Error) DecodeBatchContent(BatchOperation op)
+        {
+            if (op.Json != null && op.Json.Type != JTokenType.Null)
+                return (Encoding.UTF8.GetBytes(op.Json.ToString(Formatting.None)), null);
+
+            if (op.Content == null)
+                return (null, "Write operations need 'content' or 'json'");
+
+            if (string.Equals(op.Encoding, "base64", StringComparison.OrdinalIgnoreCase))
+            {
+                try
+                {
+                    return (Convert.FromBase64String(op.Content), null);
+                }
+                catch (FormatException)
+                {
+                    return (null, "Content is not valid base64");
+                }
+            }
+
+            if (!string.IsNullOrWhiteSpace(op.Encoding) && !string.Equals(op.Encoding, "utf8", StringComparison.OrdinalIgnoreCase)
+                && !string.Equals(op.Encoding, "utf-8", StringComparison.OrdinalIgnoreCase))
+                return (null, $"Unknown encoding '{op.Encoding}' (use utf8 or base64)");
+
+            return (Encoding.UTF8.GetBytes(op.Content), null);
+        }
+
+        private static void ApplyBatchFailure(BatchOperationResult result, WriteOutcome failure)
+        {
+            result.StatusCode = failure.StatusCode ?? 500;
+            result.Error = failure.Error;
+            result.ETag = failure.ETag;
+            result.ValidationErrors = failure.ValidationErrors;
+        }
+
+        /// <summary>
+        /// Apply a JSON Patch (RFC 6902) or merge patch (RFC 7386) to a JSON file in a configured folder.
+        /// The read, patch and write happen under the file's write lock, so concurrent patches never lose updates.
+        /// A merge patch on a missing file creates it; a JSON Patch requires the file to exist.
+        /// Returns the outcome and, on success, the patched document.
+        /// </summary>
+        public async Task<(WriteOutcome Outcome, JToken? Document)> PatchFolderFileAsync(string folderName, string fileName, JToken patch, bool mergePatch, string? userId = null, string? ifMatch = null)
+        {
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return (WriteOutcome.CreateFail(400, "Invalid file name"), null);
+            if (patch == null)
+                return (WriteOutcome.CreateFail(400, "Missing patch document"), null);
+            if (!mergePatch && patch is not JArray)
+                return (WriteOutcome.CreateFail(400, "JSON Patch document must be an array of operations"), null);
+
+            string folderDir, path;
+            try
+            {
+                folderDir = ResolveFolderPath(folderName, userId);
+                path = CombineFolderFilePath(folderDir, safeName);
+            }
+            catch (ArgumentException)
+            {
+                _logger.LogInformation("PatchFolderFileAsync: folder '{FolderName}' not configured", folderName);
+                return (WriteOutcome.CreateFail(404, "Folder not configured"), null);
+            }
+
+            var entry = FindFolderEntry(folderName);
+            JToken? document = null;
+
+            try
+            {
+                var (written, status, etag) = await _fileWriteService.UpdateAllBytesAsync(path, existing =>
+                {
+                    document = ApplyPatch(existing, patch, mergePatch);
+                    var validationErrors = ValidateDocument(entry?.Schemas, safeName, document);
+                    if (validationErrors.Count > 0)
+                        throw new PatchRejectedException(422, "Content does not match the folder schema") { ValidationErrors = validationErrors };
+                    var bytes = Encoding.UTF8.GetBytes(document.ToString(Formatting.None));
+                    var quotaFailure = CheckQuota(entry, folderName, folderDir, safeName, bytes.Length);
+                    if (quotaFailure != null)
+                        throw new PatchRejectedException(quotaFailure.StatusCode ?? 413, quotaFailure.Error ?? "Payload too large");
+                    return bytes;
+                }, ifMatch).ConfigureAwait(false);
+
+                if (!written)
+                {
+                    _logger.LogInformation("PatchFolderFileAsync: precondition failed ({Status}) for {File} in folder {Folder}", status, safeName, folderName);
+                    return (WriteOutcome.CreatePreconditionFail(status ?? 412, etag), null);
+                }
+
+                _logger.LogInformation("PatchFolderFileAsync: applied {Kind} to {File} in folder {Folder}",
+                    mergePatch ? "merge patch" : "JSON Patch", safeName, folderName);
+                return (WriteOutcome.CreateSuccess(safeName, path, etag), document);
+            }
+            catch (PatchRejectedException ex)
+            {
+                _logger.LogInformation("PatchFolderFileAsync: rejected patch for {File} in folder {Folder} ({Status}): {Error}", safeName, folderName, ex.StatusCode, ex.Message);
+                return (ex.ValidationErrors != null ? WriteOutcome.CreateValidationFail(ex.ValidationErrors) : WriteOutcome.CreateFail(ex.StatusCode, ex.Message), null);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "PatchFolderFileAsync: failed to patch {File} in folder {FolderName}", fileName, folderName);
+                return (WriteOutcome.CreateFail(500, "Failed to write file"), null);
+            }
+        }
+
+        // Runs inside the write lock; maps patch failures to HTTP status codes.
+        private static JToken ApplyPatch(byte[]? existing, JToken patch, bool mergePatch)
+        {
+            JToken? current = null;
+            if (existing != null)
+            {
+                try
+                {
+                    current = JToken.Parse(Encoding.UTF8.GetString(existing));
+                }
+                catch (JsonException)
+                {
+                    throw new PatchRejectedException(422, "Stored file is not valid JSON");
+                }
+            }
+
+            if (mergePatch)
+                return JsonPatchHelper.ApplyMergePatch(current, patch);
+
+            if (current == null)
+                throw new PatchRejectedException(404, "File not found");
+
+            try
+            {
+                return JsonPatchHelper.ApplyJsonPatch(current, (JArray)patch);
+            }
+            catch (ArgumentException ex)
+            {
+                throw new PatchRejectedException(400, ex.Message);
+            }
+            catch (InvalidOperationException ex)
+            {
+                throw new PatchRejectedException(409, ex.Message);
+            }
+        }
+
+        private sealed class PatchRejectedException : Exception
+        {
+            public PatchRejectedException(int statusCode, string message) : base(message)
+            {
+                StatusCode = statusCode;
+            }
+
+            public int StatusCode { get; }
+
+            public List<SchemaValidationError>? ValidationErrors { get; init; }
+        }
+
+        /// <summary>
+        /// Validate content destined for a folder file against the folder's schema rules.
+        /// Returns an empty list when no rule matches the file name or the content is valid.
+        /// </summary>
+        public List<SchemaValidationError> ValidateFolderContent(string folderName, string fileName, byte[] bytes)
+        {
+            return ValidateContent(FindFolderEntry(folderName)?.Schemas, fileName, bytes);
+        }
+
+        /// <summary>
+        /// Validate raw content against every rule whose FilePattern matches fileName.
+        /// Content covered by a rule must be valid JSON.
+        /// </summary>
+        public static List<SchemaValidationError> ValidateContent(IEnumerable<FolderSchemaRule>? rules, string fileName, byte[] bytes)
+        {
+            if (!GetMatchingRules(rules, fileName).Any())
+                return new List<SchemaValidationError>();
+
+            JToken? document = null;
+            try
+            {
+                document = JToken.Parse(Encoding.UTF8.GetString(bytes ?? Array.Empty<byte>()));
+            }
+            catch (JsonException)
+            {
+                // reported below
             }
+
+            return ValidateDocument(rules, fileName, document);
+        }
+
+        /// <summary>
+        /// Validate every file covered by a schema rule in a configured folder (including per-user namespaces).
+        /// rules overrides the configured schemas, so unsaved edits can be checked. Names of per-user files
+        /// are prefixed with users/&lt;userId&gt;/. Throws ArgumentException if the folder is not configured.
+        /// </summary>
+        public List<(string Name, List<SchemaValidationError> Errors)> ValidateFolderFiles(string folderName, List<FolderSchemaRule>? rules = null)
+        {
+            rules ??= FindFolderEntry(folderName)?.Schemas ?? new List<FolderSchemaRule>();
+            var results = new List<(string Name, List<SchemaValidationError> Errors)>();
+            if (rules.Count == 0)
+                return results;
+
+            var folderDir = ResolveFolderPath(folderName);
+            var directories = new List<(string Prefix, string Dir)> { (string.Empty, folderDir) };
+            if (IsUserScoped(folderName))
+            {
+                foreach (var user in ListFolderUsers(folderName))
+                    directories.Add(($"{UserScopeDirName}/{user}/", Path.Combine(folderDir, UserScopeDirName, user)));
+            }
+
+            foreach (var (prefix, dir) in directories)
+            {
+                foreach (var (name, info) in EnumerateFolderFiles(folderName, dir, null).OrderBy(f => f.RelativePath, StringComparer.OrdinalIgnoreCase))
+                {
+                    if (!GetMatchingRules(rules, name).Any())
+                        continue;
+
+                    results.Add((prefix + name, ValidateContent(rules, name, File.ReadAllBytes(info.FullName))));
+                }
+            }
+
+            return results;
+        }
+
+        private static IEnumerable<FolderSchemaRule> GetMatchingRules(IEnumerable<FolderSchemaRule>? rules, string fileName)
+        {
+            return (rules ?? Enumerable.Empty<FolderSchemaRule>())
+                .Where(r => r != null && !string.IsNullOrWhiteSpace(r.Schema) && GlobMatcher.IsMatch(r.FilePattern, fileName));
+        }
+
+        // document == null means the content did not parse as JSON
+        private static List<SchemaValidationError> ValidateDocument(IEnumerable<FolderSchemaRule>? rules, string fileName, JToken? document)
+        {
+            var errors = new List<SchemaValidationError>();
+            foreach (var rule in GetMatchingRules(rules, fileName))
+            {
+                if (document == null)
+                {
+                    errors.Add(new SchemaValidationError(string.Empty, "Content is not valid JSON"));
+                    break;
+                }
+
+                JToken schema;
+                try
+                {
+                    schema = JToken.Parse(rule.Schema);
+                }
+                catch (JsonException)
+                {
+                    errors.Add(new SchemaValidationError(string.Empty, $"Schema for '{rule.FilePattern}' is not valid JSON"));
+                    continue;
+                }
+
+                errors.AddRange(JsonSchemaValidator.Validate(document, schema));
+            }
+
+            return errors;
+        }
+
+        /// <summary>
+        /// Effective per-file size limit for a folder: FolderEntry.MaxFileBytes, or else the global MaxPayloadBytes
+        /// for writes that arrive in one request body and MaxUploadBytes for streamed files (chunked uploads, moves).
+        /// </summary>
+        public long GetMaxFileBytes(string folderName, bool streamed = false)
+        {
+            return GetMaxFileBytes(FindFolderEntry(folderName), streamed);
+        }
+
+        private long GetMaxFileBytes(FolderEntry? entry, bool streamed)
+        {
+            if (entry != null && entry.MaxFileBytes > 0)
+                return entry.MaxFileBytes;
+            var config = GetCurrentConfig();
+            return streamed ? config.MaxUploadBytes : config.MaxPayloadBytes;
+        }
+
+        /// <summary>
+        /// Current usage of a configured folder (or a user's namespace in a user-scoped folder) against its quota.
+        /// Throws ArgumentException if the folder is not configured.
+        /// </summary>
+        public FolderUsage GetFolderUsage(string folderName, string? userId = null)
+        {
+            var entry = FindFolderEntry(folderName);
+            var (count, total) = ComputeUsage(folderName, ResolveFolderPath(folderName, userId));
+            return new FolderUsage
+            {
+                FileCount = count,
+                TotalBytes = total,
+                MaxFileCount = entry?.MaxFileCount ?? 0,
+                MaxTotalBytes = entry?.MaxTotalBytes ?? 0,
+                MaxFileBytes = GetMaxFileBytes(entry, streamed: false),
+                MaxUploadBytes = GetMaxFileBytes(entry, streamed: true)
+            };
+        }
+
+        // Files counted towards a folder quota: everything in the namespace except backups and user namespaces.
+        // Served from UsageCache; the walk runs under the cache lock so no change is missed while it is built.
+        private (int Count, long TotalBytes) ComputeUsage(string folderName, string folderDir)
+        {
+            var root = Path.TrimEndingDirectorySeparator(Path.GetFullPath(folderDir));
+            var now = DateTime.UtcNow;
+            lock (UsageCache)
+            {
+                if (UsageCache.TryGetValue(root, out var cached) && now - cached.BuiltUtc < UsageCacheLifetime)
+                    return (cached.Sizes.Count, cached.TotalBytes);
+
+                foreach (var expired in UsageCache.Where(kv => now - kv.Value.BuiltUtc >= UsageCacheLifetime).Select(kv => kv.Key).ToList())
+                    UsageCache.Remove(expired);
+
+                var usage = new FolderUsageCache(FindFolderEntry(folderName)?.UserScoped ?? false, now);
+                foreach (var (relativePath, info) in EnumerateFolderFiles(folderName, folderDir, null))
+                {
+                    usage.Sizes[relativePath] = info.Length;
+                    usage.TotalBytes += info.Length;
+                }
+
+                UsageCache[root] = usage;
+                return (usage.Sizes.Count, usage.TotalBytes);
+            }
+        }
+
+        // Apply a change reported by FileWriteService to every cached namespace that counts the file.
+        private static void OnFileChangedForUsage(string path, WatcherChangeTypes change)
+        {
+            var fullPath = Path.GetFullPath(path);
+            lock (UsageCache)
+            {
+                foreach (var (root, usage) in UsageCache)
+                {
+                    if (fullPath.Length <= root.Length + 1
+                        || !fullPath.StartsWith(root, StringComparison.OrdinalIgnoreCase)
+                        || fullPath[root.Length] != Path.DirectorySeparatorChar)
+                        continue;
+
+                    var relativePath = fullPath.Substring(root.Length + 1).Replace(Path.DirectorySeparatorChar, '/');
+                    if (!IsCountedPath(relativePath, usage.UserScoped))
+                        continue;
+
+                    if (usage.Sizes.Remove(relativePath, out var oldLength))
+                        usage.TotalBytes -= oldLength;
+
+                    var info = new FileInfo(fullPath);
+                    if (change != WatcherChangeTypes.Deleted && info.Exists)
+                    {
+                        usage.Sizes[relativePath] = info.Length;
+                        usage.TotalBytes += info.Length;
+                    }
+                }
+            }
+        }
+
+        // Whether EnumerateFolderFiles walks a file at relativePath ("/" separators) when counting usage.
+        private static bool IsCountedPath(string relativePath, bool userScoped)
+        {
+            var segments = relativePath.Split('/');
+            if (segments.Length - 1 > MaxDepthLimit)
+                return false;
+
+            for (var i = 0; i < segments.Length - 1; i++)
+            {
+                if (IsReservedDirectory(segments[i], i == 0 && userScoped))
+                    return false;
+            }
+
+            return true;
+        }
+
+        private sealed class FolderUsageCache
+        {
+            public FolderUsageCache(bool userScoped, DateTime builtUtc)
+            {
+                UserScoped = userScoped;
+                BuiltUtc = builtUtc;
+            }
+
+            public bool UserScoped { get; }
+
+            public DateTime BuiltUtc { get; }
+
+            // Counted files by path relative to the namespace root
+            public Dictionary<string, long> Sizes { get; } = new Dictionary<string, long>(StringComparer.OrdinalIgnoreCase);
+
+            public long TotalBytes { get; set; }
+        }
+
+        /// <summary>
+        /// Walk a folder (or user namespace) directory up to depth subdirectory levels, skipping reserved directories.
+        /// Requested depths are capped at the folder's MaxDepth; null walks every level (usage, validation).
+        /// includeBackups also yields the files of each walked directory's backups subfolder (archive export).
+        /// Yields paths relative to folderDir with "/" separators.
+        /// </summary>
+        private IEnumerable<(string RelativePath, FileInfo Info)> EnumerateFolderFiles(string folderName, string folderDir, int? depth, bool includeBackups = false)
+        {
+            var entry = FindFolderEntry(folderName);
+            var maxLevel = depth.HasValue ? Math.Clamp(depth.Value, 0, GetMaxDepth(entry)) : MaxDepthLimit;
+
+            var root = new DirectoryInfo(folderDir);
+            if (!root.Exists)
+                yield break;
+
+            var pending = new Stack<(DirectoryInfo Dir, string Prefix, int Level)>();
+            pending.Push((root, string.Empty, 0));
+            while (pending.Count > 0)
+            {
+                var (dir, prefix, level) = pending.Pop();
+                foreach (var file in dir.EnumerateFiles("*", SearchOption.TopDirectoryOnly))
+                    yield return (prefix + file.Name, file);
+
+                var backups = new DirectoryInfo(Path.Combine(dir.FullName, FileWriteService.BackupDirName));
+                if (includeBackups && backups.Exists && backups.LinkTarget == null)
+                {
+                    foreach (var file in backups.EnumerateFiles("*", SearchOption.TopDirectoryOnly))
+                        yield return (prefix + backups.Name + "/" + file.Name, file);
+                }
+
+                if (level >= maxLevel)
+                    continue;
+
+                foreach (var sub in dir.EnumerateDirectories())
+                {
+                    // Symlinked directories could point outside the folder
+                    if (sub.LinkTarget != null || IsReservedDirectory(sub.Name, level == 0 && (entry?.UserScoped ?? false)))
+                        continue;
+                    pending.Push((sub, prefix + sub.Name + "/", level + 1));
+                }
+            }
+        }
+
+        private static int GetMaxDepth(FolderEntry? entry)
+        {
+            return Math.Clamp(entry?.MaxDepth ?? 0, 0, MaxDepthLimit);
+        }
+
+        // Directories the plugin manages itself: backups, hidden work directories and (at the root of a
+        // user-scoped folder) the per-user namespaces.
+        private static bool IsReservedDirectory(string name, bool isUserScopedRoot)
+        {
+            return name.StartsWith(".", StringComparison.Ordinal)
+                || string.Equals(name, FileWriteService.BackupDirName, StringComparison.OrdinalIgnoreCase)
+                || (isUserScopedRoot && string.Equals(name, UserScopeDirName, StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// Check a write of newLength bytes to relativePath in folderDir (the folder or user namespace root) against
+        /// the folder's allowed types (415), per-file limit, file count and total size (413).
+        /// Returns null when the write is within quota. Replacing an existing file only counts the size difference.
+        /// countDelta / bytesDelta adjust the measured usage for changes not yet on disk (earlier operations of a batch).
+        /// streamed selects the per-file limit of files that are not held in memory (see GetMaxFileBytes).
+        /// </summary>
+        private WriteOutcome? CheckQuota(FolderEntry? entry, string folderName, string folderDir, string relativePath, long newLength, long countDelta = 0, long bytesDelta = 0, bool streamed = false)
+        {
+            if (!ContentTypeHelper.IsTypeAllowed(relativePath, entry?.AllowedTypes))
+                return CreateTypeNotAllowed(relativePath);
+
+            var maxFileBytes = GetMaxFileBytes(entry, streamed);
+            if (newLength > maxFileBytes)
+                return WriteOutcome.CreateFail(413, $"File exceeds the per-file limit of {maxFileBytes} bytes");
+
+            if (entry == null || (entry.MaxFileCount <= 0 && entry.MaxTotalBytes <= 0))
+                return null;
+
+            var existing = new FileInfo(CombineFolderFilePath(folderDir, relativePath));
+            var existingLength = existing.Exists ? existing.Length : 0;
+            var (usedCount, usedBytes) = ComputeUsage(folderName, folderDir);
+            var count = usedCount + countDelta;
+            var total = usedBytes + bytesDelta;
+
+            if (entry.MaxFileCount > 0 && !existing.Exists && count + 1 > entry.MaxFileCount)
+                return WriteOutcome.CreateFail(413, $"Folder file limit reached ({entry.MaxFileCount} files)");
+
+            if (entry.MaxTotalBytes > 0 && total - existingLength + newLength > entry.MaxTotalBytes)
+                return WriteOutcome.CreateFail(413, $"Folder quota exceeded ({total - existingLength + newLength} of {entry.MaxTotalBytes} bytes)");
+
+            return null;
+        }
+
+        private static WriteOutcome CreateTypeNotAllowed(string fileName)
+        {
+            var extension = Path.GetExtension(fileName);
+            return WriteOutcome.CreateFail(415, string.IsNullOrEmpty(extension)
+                ? "Files without an extension are not allowed in this folder"
+                : $"File type '{extension}' is not allowed in this folder");
+        }
+
+        /// <summary>
+        /// Delete a file from a configured folder, optionally keeping a backup in the backups subfolder.
+        /// Returns true if successful, false if file doesn't exist or error occurs.
+        /// </summary>
+        public async Task<bool> DeleteFolderFileAsync(string folderName, string fileName, bool keepBackup = false, string? userId = null)
+        {
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return false;
+
+            try
+            {
+                var path = GetFolderFilePath(folderName, safeName, userId);
+
+                if (!await _fileWriteService.DeleteFileAsync(path, keepBackup).ConfigureAwait(false))
+                    return false;
+
+                _logger.LogInformation("DeleteFolderFile: deleted {File} from folder {Folder} (backup={Backup})", safeName, folderName, keepBackup);
+                return true;
+            }
+            catch (ArgumentException)
+            {
+                _logger.LogInformation("DeleteFolderFile: folder '{FolderName}' not configured", folderName);
+                return false;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "DeleteFolderFile: failed to delete {File} from folder {FolderName}", fileName, folderName);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Every file of a configured folder grouped by namespace: the folder root (UserId null) and, for a user-scoped
+        /// folder, each user's namespace. Names are relative to the namespace; backups and hidden directories are skipped.
+        /// Throws ArgumentException if the folder is not configured.
+        /// </summary>
+        public List<(string? UserId, List<(string Name, FileInfo Info)> Files)> ListNamespaceFiles(string folderName)
+        {
+            var namespaces = new List<(string? UserId, List<(string Name, FileInfo Info)> Files)>
+            {
+                (null, EnumerateFolderFiles(folderName, ResolveFolderPath(folderName), null).ToList())
+            };
+
+            if (IsUserScoped(folderName))
+            {
+                foreach (var userId in ListFolderUsers(folderName).Select(NormalizeUserId).Where(id => id != null).Distinct())
+                    namespaces.Add((userId, EnumerateFolderFiles(folderName, ResolveFolderPath(folderName, userId), null).ToList()));
+            }
+
+            return namespaces;
+        }
+
+        /// <summary>
+        /// Delete a file listed by ListNamespaceFiles unless it changed since it was listed (its ETag no longer matches),
+        /// keeping a backup when keepBackup is true. Returns (Deleted, StatusCode): 404 when the file is gone, 412 when
+        /// it changed.
+        /// </summary>
+        public async Task<(bool Deleted, int? StatusCode)> DeleteListedFileAsync(string folderName, string name, string? userId, string etag, bool keepBackup = true)
+        {
+            var path = CombineFolderFilePath(ResolveFolderPath(folderName, userId), name);
+            var (deleted, status) = await _fileWriteService.DeleteFileIfMatchAsync(path, etag, keepBackup).ConfigureAwait(false);
+            if (deleted)
+                _logger.LogInformation("DeleteListedFileAsync: deleted {File} from folder {Folder}", name, folderName);
+            return (deleted, status);
+        }
+
+        /// <summary>
+        /// Rename a file inside a configured folder.
+        /// </summary>
+        public Task<WriteOutcome> RenameFolderFileAsync(string folderName, string fileName, string newName, bool overwrite = false, string? userId = null)
+        {
+            return MoveFolderFileAsync(folderName, fileName, folderName, newName, overwrite, userId);
+        }
+
+        /// <summary>
+        /// Move a file to another configured folder (or the same folder under a new name).
+        /// If <paramref name="newName"/> is empty the file keeps its name.
+        /// Returns 404 if the source is missing and 409 if the destination exists and overwrite is false.
+        /// userId applies to whichever of the two folders is user-scoped. The checks run under the locks of both paths.
+        /// </summary>
+        public async Task<WriteOutcome> MoveFolderFileAsync(string folderName, string fileName, string targetFolderName, string? newName = null, bool overwrite = false, string? userId = null)
+        {
+            if (string.IsNullOrWhiteSpace(newName))
+                newName = fileName;
+
+            var sourceName = NormalizeFilePath(folderName, fileName);
+            if (sourceName == null)
+                return WriteOutcome.CreateFail(400, "Invalid file name");
+            var targetName = NormalizeFilePath(targetFolderName, newName);
+            if (targetName == null)
+                return WriteOutcome.CreateFail(400, "Invalid new file name");
+
+            try
+            {
+                var sourceDir = ResolveFolderPath(folderName, userId);
+                var targetDir = ResolveFolderPath(targetFolderName, userId);
+                var sourcePath = CombineFolderFilePath(sourceDir, sourceName);
+                var targetPath = CombineFolderFilePath(targetDir, targetName);
+
+                if (string.Equals(Path.GetFullPath(sourcePath), Path.GetFullPath(targetPath), StringComparison.Ordinal))
+                {
+                    return File.Exists(sourcePath)
+                        ? WriteOutcome.CreateFail(400, "Source and destination are the same")
+                        : WriteOutcome.CreateFail(404, "File not found");
+                }
+
+                var failure = await _fileWriteService.MoveFileAsync(sourcePath, targetPath, overwrite, () =>
+                {
+                    if (!File.Exists(sourcePath))
+                        return WriteOutcome.CreateFail(404, "File not found");
+                    if (File.Exists(targetPath) && !overwrite)
+                        return WriteOutcome.CreateFail(409, "Destination file already exists");
+
+                    // Moving into another folder (or namespace) counts against its quota; a rename only needs an allowed type
+                    var targetEntry = FindFolderEntry(targetFolderName);
+                    return string.Equals(Path.GetFullPath(sourceDir), Path.GetFullPath(targetDir), StringComparison.Ordinal)
+                        ? (ContentTypeHelper.IsTypeAllowed(targetName, targetEntry?.AllowedTypes) ? null : CreateTypeNotAllowed(targetName))
+                        : CheckQuota(targetEntry, targetFolderName, targetDir, targetName, new FileInfo(sourcePath).Length, streamed: true);
+                }).ConfigureAwait(false);
+                if (failure != null)
+                    return failure;
+
+                _logger.LogInformation("MoveFolderFile: moved {File} in folder {Folder} to {NewName} in folder {TargetFolder}",
+                    sourceName, folderName, targetName, targetFolderName);
+                return WriteOutcome.CreateSuccess(targetName, targetPath);
+            }
+            catch (ArgumentException)
+            {
+                _logger.LogInformation("MoveFolderFile: folder '{FolderName}' or '{TargetFolder}' not configured", folderName, targetFolderName);
+                return WriteOutcome.CreateFail(404, "Folder not configured");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "MoveFolderFile: failed to move {File} from folder {FolderName} to {TargetFolder}", fileName, folderName, targetFolderName);
+                return WriteOutcome.CreateFail(500, "Failed to move file");
+            }
+        }
+
+        /// <summary>
+        /// List the backups kept for a file in a configured folder, newest first.
+        /// Returns an empty list if the folder is not configured or the name is invalid.
+        /// </summary>
+        public List<BackupInfo> ListFolderFileBackups(string folderName, string fileName, string? userId = null)
+        {
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return new List<BackupInfo>();
+
+            try
+            {
+                return _fileWriteService.ListBackups(GetFolderFilePath(folderName, safeName, userId));
+            }
+            catch (ArgumentException)
+            {
+                _logger.LogInformation("ListFolderFileBackups: folder '{FolderName}' not configured", folderName);
+                return new List<BackupInfo>();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ListFolderFileBackups: failed to list backups of {File} in folder {FolderName}", fileName, folderName);
+                return new List<BackupInfo>();
+            }
+        }
+
+        /// <summary>
+        /// Read one backup of a file in a configured folder.
+        /// ContentType is derived from the original file name so text backups can be shown inline.
+        /// Returns (Exists, Bytes, ContentType, FileName).
+        /// </summary>
+        public (bool Exists, byte[] Bytes, string? ContentType, string FileName) ReadFolderFileBackup(string folderName, string fileName, string backupName, string? userId = null)
+        {
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null || !IsFileNameValid(backupName))
+                return (false, Array.Empty<byte>(), null, backupName ?? string.Empty);
+
+            try
+            {
+                var path = GetFolderFilePath(folderName, safeName, userId);
+                var backupPath = _fileWriteService.GetBackupPath(path, backupName);
+                if (backupPath == null)
+                    return (false, Array.Empty<byte>(), null, backupName);
+
+                var bytes = File.ReadAllBytes(backupPath);
+                return (true, bytes, GetContentTypeByExtension(Path.GetExtension(path)), backupName);
+            }
+            catch (ArgumentException)
+            {
+                _logger.LogInformation("ReadFolderFileBackup: folder '{FolderName}' not configured", folderName);
+                return (false, Array.Empty<byte>(), null, backupName ?? string.Empty);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ReadFolderFileBackup: failed to read backup {Backup} of {File} in folder {FolderName}", backupName, fileName, folderName);
+                return (false, Array.Empty<byte>(), null, backupName ?? string.Empty);
+            }
+        }
+
+        /// <summary>
+        /// Restore a backup over a file in a configured folder (the current version is backed up first).
+        /// </summary>
+        public async Task<WriteOutcome> RestoreFolderFileBackupAsync(string folderName, string fileName, string backupName, string? userId = null)
+        {
+            var safeName = NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return WriteOutcome.CreateFail(400, "Invalid file name");
+            if (!IsFileNameValid(backupName))
+                return WriteOutcome.CreateFail(400, "Invalid backup name");
+
+            try
+            {
+                var path = GetFolderFilePath(folderName, safeName, userId);
+                if (!await _fileWriteService.RestoreBackupAsync(path, backupName).ConfigureAwait(false))
+                    return WriteOutcome.CreateFail(404, "Backup not found");
+
+                _logger.LogInformation("RestoreFolderFileBackupAsync: restored {File} in folder {Folder} from {Backup}", safeName, folderName, backupName);
+                return WriteOutcome.CreateSuccess(safeName, path);
+            }
+            catch (ArgumentException)
+            {
+                _logger.LogInformation("RestoreFolderFileBackupAsync: folder '{FolderName}' not configured", folderName);
+                return WriteOutcome.CreateFail(404, "Folder not configured");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "RestoreFolderFileBackupAsync: failed to restore {Backup} of {File} in folder {FolderName}", backupName, fileName, folderName);
+                return WriteOutcome.CreateFail(500, "Failed to restore backup");
+            }
+        }
+
+        /// <summary>
+        /// Write a ZIP of a configured folder to output: every file the API can address, each user namespace of a
+        /// user-scoped folder under "users/{id}/" and, when includeBackups, the backups subfolders.
+        /// Returns the number of files written. Throws ArgumentException if the folder is not configured.
+        /// </summary>
+        public int WriteFolderArchive(string folderName, Stream output, bool includeBackups = false)
+        {
+            var count = 0;
+            using (var zip = new ZipArchive(output, ZipArchiveMode.Create, leaveOpen: true))
+            {
+                foreach (var (prefix, folderDir) in GetArchiveNamespaces(folderName))
+                {
+                    foreach (var (relativePath, info) in EnumerateFolderFiles(folderName, folderDir, MaxDepthLimit, includeBackups))
+                    {
+                        try
+                        {
+                            zip.CreateEntryFromFile(info.FullName, prefix + relativePath, CompressionLevel.Optimal);
+                            count++;
+                        }
+                        catch (FileNotFoundException)
+                        {
+                            // Deleted while the archive was being built
+                        }
+                    }
+                }
+            }
+
+            _logger.LogInformation("WriteFolderArchive: archived {Count} file(s) of folder {Folder} (backups={Backups})", count, folderName, includeBackups);
+            return count;
+        }
+
+        /// <summary>
+        /// Import a ZIP made by WriteFolderArchive into a configured folder. Merge writes the archive's files over the
+        /// folder; replace also deletes the files the archive does not contain. Entries under a backups directory are
+        /// skipped and files identical to the archive's copy are left alone. Every entry is checked first (name, type,
+        /// size limits and quota, schema) and the first failure stops the import before anything is written; the rest
+        /// is committed as one batch through FileWriteService, so replaced and deleted files keep a backup.
+        /// A failed outcome carries the offending entry in Name.
+        /// </summary>
+        public async Task<(WriteOutcome Outcome, FolderImportResult Result)> ImportFolderArchiveAsync(string folderName, Stream archive, bool replace)
+        {
+            var result = new FolderImportResult { Folder = folderName, Mode = replace ? ImportModeReplace : ImportModeMerge };
+
+            try
+            {
+                var namespaces = GetArchiveNamespaces(folderName);
+                var rootDir = namespaces[0].FolderDir;
+                var entry = FindFolderEntry(folderName);
+                var maxFileBytes = GetMaxFileBytes(folderName);
+
+                // 1. Read and check the name and size of every entry
+                var files = new List<(string Name, string FolderDir, string RelativePath, string Path, byte[] Bytes)>();
+                var paths = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+                long totalBytes = 0;
+                using (var zip = new ZipArchive(archive, ZipArchiveMode.Read, leaveOpen: true))
+                {
+                    foreach (var zipEntry in zip.Entries)
+                    {
+                        var name = zipEntry.FullName.Replace('\\', '/');
+                        if (name.EndsWith("/", StringComparison.Ordinal))
+                            continue;
+
+                        var segments = name.Split('/');
+                        if (segments.Take(segments.Length - 1).Any(seg => string.Equals(seg, FileWriteService.BackupDirName, StringComparison.OrdinalIgnoreCase)))
+                        {
+                            result.Skipped.Add(name);
+                            continue;
+                        }
+
+                        var (folderDir, relativePath) = MapArchiveEntry(folderName, entry, rootDir, segments);
+                        if (relativePath == null || !segments.All(PathSanitizer.IsFileNameValid)
+                            || !PathSanitizer.IsPathSafe(folderDir, relativePath.Replace('/', Path.DirectorySeparatorChar)))
+                            return (CreateArchiveEntryFail(name, 400, "Invalid entry name"), result);
+
+                        var path = CombineFolderFilePath(folderDir, relativePath);
+                        if (!paths.Add(Path.GetFullPath(path)))
+                            return (CreateArchiveEntryFail(name, 400, "The same file appears more than once in the archive"), result);
+
+                        if (zipEntry.Length > maxFileBytes)
+                            return (CreateArchiveEntryFail(name, 413, $"File exceeds the per-file limit of {maxFileBytes} bytes"), result);
+
+                        totalBytes += zipEntry.Length;
+                        if (totalBytes > MaxArchiveImportBytes)
+                            return (WriteOutcome.CreateFail(413, $"Archive content exceeds {MaxArchiveImportBytes} bytes"), result);
+
+                        var bytes = await ReadArchiveEntryAsync(zipEntry).ConfigureAwait(false);
+                        if (bytes == null)
+                            return (CreateArchiveEntryFail(name, 400, "Entry size does not match its header"), result);
+
+                        files.Add((name, folderDir, relativePath, path, bytes));
+                    }
+                }
+
+                // 2. Replace mode: files the archive does not contain are deleted, which frees quota for the writes
+                var changes = new List<BatchFileChange>();
+                var usageDeltas = new Dictionary<string, (long Count, long Bytes)>(StringComparer.OrdinalIgnoreCase);
+                if (replace)
+                {
+                    foreach (var (prefix, folderDir) in namespaces)
+                    {
+                        foreach (var (relativePath, info) in EnumerateFolderFiles(folderName, folderDir, MaxDepthLimit))
+                        {
+                            if (paths.Contains(Path.GetFullPath(info.FullName)))
+                                continue;
+
+                            usageDeltas.TryGetValue(folderDir, out var delta);
+                            usageDeltas[folderDir] = (delta.Count - 1, delta.Bytes - info.Length);
+                            changes.Add(new BatchFileChange { Path = info.FullName, KeepBackup = true });
+                            result.Deleted.Add(prefix + relativePath);
+                        }
+                    }
+                }
+
+                // 3. Type, quota and schema of each changed file
+                foreach (var file in files)
+                {
+                    var existing = new FileInfo(file.Path);
+                    if (existing.Exists && existing.Length == file.Bytes.Length
+                        && (await File.ReadAllBytesAsync(file.Path).ConfigureAwait(false)).AsSpan().SequenceEqual(file.Bytes))
+                    {
+                        result.Unchanged.Add(file.Name);
+                        continue;
+                    }
+
+                    usageDeltas.TryGetValue(file.FolderDir, out var delta);
+                    var quotaFailure = CheckQuota(entry, folderName, file.FolderDir, file.RelativePath, file.Bytes.Length, delta.Count, delta.Bytes);
+                    if (quotaFailure != null)
+                    {
+                        quotaFailure.Name = file.Name;
+                        return (quotaFailure, result);
+                    }
+
+                    var validationErrors = ValidateFolderContent(folderName, file.RelativePath, file.Bytes);
+                    if (validationErrors.Count > 0)
+                    {
+                        var validationFailure = WriteOutcome.CreateValidationFail(validationErrors);
+                        validationFailure.Name = file.Name;
+                        return (validationFailure, result);
+                    }
+
+                    usageDeltas[file.FolderDir] = (delta.Count + (existing.Exists ? 0 : 1), delta.Bytes + file.Bytes.Length - (existing.Exists ? existing.Length : 0));
+                    changes.Add(new BatchFileChange { Path = file.Path, Bytes = file.Bytes });
+                    result.Written.Add(file.Name);
+                }
+
+                // 4. All or nothing
+                if (changes.Count > 0)
+                {
+                    var (committed, failedIndex, status, _) = await _fileWriteService.CommitBatchAsync(changes).ConfigureAwait(false);
+                    if (!committed)
+                    {
+                        _logger.LogWarning("ImportFolderArchiveAsync: import into folder {Folder} not committed, {Path} failed ({Status})", folderName, changes[failedIndex].Path, status);
+                        result.Written.Clear();
+                        result.Deleted.Clear();
+                        return (status == 404
+                            ? WriteOutcome.CreateFail(409, "The folder changed during the import; nothing was applied")
+                            : WriteOutcome.CreateFail(500, "Failed to write files; the import was rolled back"), result);
+                    }
+                }
+
+                _logger.LogInformation("ImportFolderArchiveAsync: {Mode} into folder {Folder} wrote {Written}, deleted {Deleted}, left {Unchanged} unchanged, skipped {Skipped}",
+                    result.Mode, folderName, result.Written.Count, result.Deleted.Count, result.Unchanged.Count, result.Skipped.Count);
+                return (WriteOutcome.CreateSuccess(folderName, rootDir), result);
+            }
+            catch (ArgumentException)
+            {
+                _logger.LogInformation("ImportFolderArchiveAsync: folder '{FolderName}' not configured", folderName);
+                return (WriteOutcome.CreateFail(404, "Folder not configured"), result);
+            }
+            catch (InvalidDataException ex)
+            {
+                _logger.LogInformation("ImportFolderArchiveAsync: invalid archive for folder {FolderName} - {Error}", folderName, ex.Message);
+                return (WriteOutcome.CreateFail(400, "Invalid ZIP archive"), result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "ImportFolderArchiveAsync: failed to import into folder {FolderName}", folderName);
+                return (WriteOutcome.CreateFail(500, "Failed to import archive"), result);
+            }
+        }
+
+        // Namespaces of a folder archive: the folder root ("") and, for a user-scoped folder, each "users/{id}/".
+        private List<(string Prefix, string FolderDir)> GetArchiveNamespaces(string folderName)
+        {
+            var namespaces = new List<(string Prefix, string FolderDir)> { (string.Empty, ResolveFolderPath(folderName)) };
+            if (IsUserScoped(folderName))
+            {
+                foreach (var userId in ListFolderUsers(folderName).Select(NormalizeUserId).Where(id => id != null).Distinct())
+                    namespaces.Add(($"{UserScopeDirName}/{userId}/", ResolveFolderPath(folderName, userId)));
+            }
+            return namespaces;
+        }
+
+        // Namespace directory and normalized path of an archive entry; the path is null when the name is not allowed.
+        // The user namespace directory is not created here: CommitBatchAsync creates directories for what it writes.
+        private (string FolderDir, string? RelativePath) MapArchiveEntry(string folderName, FolderEntry? entry, string rootDir, string[] segments)
+        {
+            if ((entry?.UserScoped ?? false) && segments.Length > 2 && string.Equals(segments[0], UserScopeDirName, StringComparison.OrdinalIgnoreCase))
+            {
+                var userId = NormalizeUserId(segments[1]);
+                if (userId == null || !string.Equals(userId, segments[1], StringComparison.OrdinalIgnoreCase))
+                    return (rootDir, null);
+                return (Path.Combine(rootDir, UserScopeDirName, userId), NormalizeFilePath(folderName, string.Join("/", segments.Skip(2))));
+            }
+
+            return (rootDir, NormalizeFilePath(folderName, string.Join("/", segments)));
+        }
+
+        // Entry content, or null when it does not match the size in the entry header.
+        private static async Task<byte[]?> ReadArchiveEntryAsync(ZipArchiveEntry zipEntry)
+        {
+            var bytes = new byte[zipEntry.Length];
+            using var stream = zipEntry.Open();
+            var read = 0;
+            int n;
+            while (read < bytes.Length && (n = await stream.ReadAsync(bytes.AsMemory(read)).ConfigureAwait(false)) > 0)
+                read += n;
+
+            if (read != bytes.Length || await stream.ReadAsync(new byte[1]).ConfigureAwait(false) != 0)
+                return null;
+            return bytes;
+        }
+
+        private static WriteOutcome CreateArchiveEntryFail(string entryName, int statusCode, string error)
+        {
+            var outcome = WriteOutcome.CreateFail(statusCode, error);
+            outcome.Name = entryName;
+            return outcome;
+        }
+
+        /// <summary>
+        /// Resolve the absolute path of a file inside a configured folder. relativePath must come from NormalizeFilePath.
+        /// Throws ArgumentException if the folder is invalid or not configured.
+        /// </summary>
+        private string GetFolderFilePath(string folderName, string relativePath, string? userId = null)
+        {
+            return CombineFolderFilePath(ResolveFolderPath(folderName, userId), relativePath);
+        }
+
+        // Defence in depth on top of NormalizeFilePath: the combined path must stay inside folderDir.
+        private static string CombineFolderFilePath(string folderDir, string relativePath)
+        {
+            var relative = relativePath.Replace('/', Path.DirectorySeparatorChar);
+            if (!PathSanitizer.IsPathSafe(folderDir, relative))
+                throw new InvalidOperationException($"Path '{relativePath}' escapes the folder");
+            return Path.Combine(folderDir, relative);
+        }
+
+        /// <summary>
+        /// Configured entry for a folder, matched case-insensitively on Name or RelativePath; null if not configured.
+        /// </summary>
+        public FolderEntry? GetFolderEntry(string folderName)
+        {
+            return FindFolderEntry(folderName);
+        }
+
+        /// <summary>
+        /// Map an absolute path under the plugin data directory back to its folder entry, path relative to the folder
+        /// (or user namespace) and namespace owner. Returns null for paths outside exposed folders and for files the
+        /// API cannot address (backups, hidden directories, levels beyond MaxDepth).
+        /// </summary>
+        public (FolderEntry Entry, string Name, string? UserId)? MapFolderFilePath(string fullPath)
+        {
+            var relative = Path.GetRelativePath(Path.GetFullPath(GetPluginDataDir()), Path.GetFullPath(fullPath));
+            if (relative.StartsWith("..", StringComparison.Ordinal) || Path.IsPathRooted(relative))
+                return null;
+
+            var segments = relative.Split(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar);
+            var entry = segments.Length > 1 ? GetCurrentConfig().ExposedFolders?.FirstOrDefault(f => string.Equals(f.RelativePath, segments[0], StringComparison.OrdinalIgnoreCase)) : null;
+            if (entry == null)
+                return null;
+
+            string? userId = null;
+            var skip = 1;
+            if (entry.UserScoped && segments.Length > 3 && string.Equals(segments[1], UserScopeDirName, StringComparison.OrdinalIgnoreCase))
+            {
+                userId = NormalizeUserId(segments[2]);
+                if (userId == null)
+                    return null;
+                skip = 3;
+            }
+
+            var name = NormalizeFilePath(entry.RelativePath, string.Join("/", segments.Skip(skip)));
+            return name != null ? (entry, name, userId) : null;
+        }
+
+        private FolderEntry? FindFolderEntry(string folderName)
+        {
+            // Case-insensitive match on Name or RelativePath
+            return GetCurrentConfig().ExposedFolders?.FirstOrDefault(f =>
+                string.Equals(f.Name, folderName, StringComparison.OrdinalIgnoreCase) ||
+                string.Equals(f.RelativePath, folderName, StringComparison.OrdinalIgnoreCase));
         }
 
         /// <summary>
@@ -258,9 +1609,9 @@ namespace Jellyfin.Plugin.EndpointExposer.Services
         }
 
         /// <summary>
-        /// Get the plugin data directory.
+        /// Get the plugin data directory (the parent of every exposed folder).
         /// </summary>
-        private string GetPluginDataDir()
+        public string GetPluginDataDir()
         {
             try
             {
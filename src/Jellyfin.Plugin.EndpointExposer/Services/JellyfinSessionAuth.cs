@@ -0,0 +1,96 @@
+// Services/JellyfinSessionAuth.cs
+using System;
+using System.Threading.Tasks;
+using MediaBrowser.Controller.Library;
+using MediaBrowser.Controller.Net;
+using MediaBrowser.Controller.Session;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Resolves request tokens through Jellyfin's own authorization context and user manager, in-process,
+    /// instead of calling back into the server over HTTP. Also evicts TokenCache entries when Jellyfin ends a
+    /// session (logout, revoked device) or updates a user.
+    /// </summary>
+    public class JellyfinSessionAuth
+    {
+        private readonly ILogger<JellyfinSessionAuth> _logger;
+        private readonly IAuthorizationContext? _authContext;
+        private readonly IUserManager? _userManager;
+
+        // Controllers are transient and may build their own instance; subscribe to Jellyfin's events only once.
+        private static readonly object SubscribeLock = new object();
+        private static ISessionManager? _subscribedSessionManager;
+        private static IUserManager? _subscribedUserManager;
+
+        public JellyfinSessionAuth(ILogger<JellyfinSessionAuth> logger, IAuthorizationContext? authContext, IUserManager? userManager, ISessionManager? sessionManager)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _authContext = authContext;
+            _userManager = userManager;
+            SubscribeToInvalidation(sessionManager, userManager);
+        }
+
+        /// <summary>
+        /// True when Jellyfin's authorization services were available to the plugin.
+        /// </summary>
+        public bool IsAvailable => _authContext != null && _userManager != null;
+
+        /// <summary>
+        /// Resolve the user for token from the request. Resolved is false when the lookup could not be made in-process
+        /// (services missing, token read from a header Jellyfin does not use); the caller should then fall back to HTTP.
+        /// When Resolved is true, a null User means the token is invalid, belongs to an API key or a disabled user.
+        /// User has the /Users/Me shape the rest of the plugin reads: Id (32 hex), Name, Policy.IsAdministrator.
+        /// </summary>
+        public async Task<(bool Resolved, JObject? User, string? DeviceId)> ResolveAsync(string token, HttpRequest request)
+        {
+            if (!IsAvailable || request == null || string.IsNullOrWhiteSpace(token))
+                return (false, null, null);
+
+            var info = await _authContext!.GetAuthorizationInfo(request).ConfigureAwait(false);
+            if (!string.Equals(info.Token, token, StringComparison.Ordinal))
+            {
+                _logger.LogDebug("ResolveAsync: Jellyfin read a different token from the request; falling back");
+                return (false, null, null);
+            }
+
+            if (!info.IsAuthenticated || info.User == null)
+                return (true, null, null);
+
+            var dto = _userManager!.GetUserDto(info.User, request.HttpContext?.Connection?.RemoteIpAddress?.ToString());
+            if (dto.Policy?.IsDisabled == true)
+                return (true, null, null);
+
+            var user = new JObject
+            {
+                ["Id"] = dto.Id.ToString("N"),
+                ["Name"] = dto.Name,
+                ["Policy"] = new JObject { ["IsAdministrator"] = dto.Policy?.IsAdministrator ?? false }
+            };
+            return (true, user, info.DeviceId);
+        }
+
+        private void SubscribeToInvalidation(ISessionManager? sessionManager, IUserManager? userManager)
+        {
+            lock (SubscribeLock)
+            {
+                if (sessionManager != null && !ReferenceEquals(sessionManager, _subscribedSessionManager))
+                {
+                    sessionManager.SessionEnded += (sender, e) => TokenCache.RemoveDevice(e.SessionInfo.UserId, e.SessionInfo.DeviceId);
+                    _subscribedSessionManager = sessionManager;
+                    _logger.LogDebug("SubscribeToInvalidation: evicting cached tokens when sessions end");
+                }
+
+                if (userManager != null && !ReferenceEquals(userManager, _subscribedUserManager))
+                {
+                    userManager.OnUserUpdated += (sender, e) => TokenCache.RemoveUser(e.Argument.Id);
+                    _subscribedUserManager = userManager;
+                }
+            }
+        }
+    }
+}
+// END - Services/JellyfinSessionAuth.cs
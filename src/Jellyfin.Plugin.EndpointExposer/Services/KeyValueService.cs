@@ -0,0 +1,328 @@
+// Services/KeyValueService.cs
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text;
+using System.Text.RegularExpressions;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Key-value API over folders with KeyValue enabled. Each key is one &lt;key&gt;.json file at the folder root
+    /// (per user for user-scoped folders) holding the JSON value, a version number and an optional expiry.
+    /// Writes go through FileWriteService, so path locking, backups and change events apply as for FolderWrite.
+    /// </summary>
+    public class KeyValueService
+    {
+        private readonly ILogger<KeyValueService> _logger;
+        private readonly PluginConfiguration _config;
+        private readonly FolderOperationService _folderService;
+        private readonly FileWriteService _fileWriteService;
+
+        public const string FileExtension = ".json";
+
+        /// <summary>
+        /// Upper bound for TTLs (one year).
+        /// </summary>
+        public const int MaxTtlSeconds = 365 * 24 * 60 * 60;
+
+        private static readonly Regex KeyRegex = new Regex(@"^[A-Za-z0-9_\-][A-Za-z0-9_\-.]{0,127}$", RegexOptions.Compiled);
+
+        public KeyValueService(ILogger<KeyValueService> logger, PluginConfiguration config, FolderOperationService folderService, FileWriteService fileWriteService)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+            _folderService = folderService ?? throw new ArgumentNullException(nameof(folderService));
+            _fileWriteService = fileWriteService ?? throw new ArgumentNullException(nameof(fileWriteService));
+        }
+
+        /// <summary>
+        /// Keys: 1-128 characters of letters, digits, '_', '-' and '.', not starting with '.'.
+        /// </summary>
+        public static bool IsKeyValid(string? key)
+        {
+            return !string.IsNullOrEmpty(key) && KeyRegex.IsMatch(key) && !key.EndsWith(".", StringComparison.Ordinal);
+        }
+
+        /// <summary>
+        /// Current entry for key, or (null, null) when it is missing or expired. Expired keys are removed.
+        /// On failure Error carries 400 (bad key / not a key-value folder) or 404 (folder not configured).
+        /// </summary>
+        public async Task<(KeyValueEntry? Entry, WriteOutcome? Error)> GetAsync(string folderName, string key, string? userId = null)
+        {
+            var (path, error) = ResolveKeyPath(folderName, key, userId);
+            if (path == null)
+                return (null, error);
+
+            try
+            {
+                if (!File.Exists(path))
+                    return (null, null);
+
+                var entry = ParseEntry(await File.ReadAllBytesAsync(path).ConfigureAwait(false), key);
+                if (entry == null)
+                    return (null, WriteOutcome.CreateFail(422, "Stored value is not a valid key-value entry"));
+
+                if (entry.IsExpired(DateTime.UtcNow))
+                {
+                    await RemoveExpiredAsync(path, folderName, key).ConfigureAwait(false);
+                    return (null, null);
+                }
+
+                return (entry, null);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "GetAsync: failed to read key {Key} in folder {FolderName}", key, folderName);
+                return (null, WriteOutcome.CreateFail(500, "Failed to read key"));
+            }
+        }
+
+        /// <summary>
+        /// Set key to value. With expectedVersion the write only happens when the stored version matches
+        /// (0 = key must not exist); otherwise it fails with 412 and the current version. ttlSeconds sets a new
+        /// expiry; null clears it. The value is checked against the folder schema and quota.
+        /// </summary>
+        public async Task<(KeyValueEntry? Entry, WriteOutcome Outcome)> SetAsync(string folderName, string key, JToken value, long? expectedVersion = null,
+            int? ttlSeconds = null, string? userId = null)
+        {
+            var (path, error) = ResolveKeyPath(folderName, key, userId);
+            if (path == null)
+                return (null, error!);
+            if (value == null)
+                return (null, WriteOutcome.CreateFail(400, "Missing value"));
+            if (expectedVersion < 0)
+                return (null, WriteOutcome.CreateFail(400, "Version must be zero or greater"));
+            if (ttlSeconds.HasValue && (ttlSeconds.Value <= 0 || ttlSeconds.Value > MaxTtlSeconds))
+                return (null, WriteOutcome.CreateFail(400, $"TTL must be between 1 and {MaxTtlSeconds} seconds"));
+
+            var fileName = key + FileExtension;
+            KeyValueEntry? written = null;
+
+            try
+            {
+                var (success, status, etag) = await _fileWriteService.UpdateAllBytesAsync(path, existing =>
+                {
+                    var now = DateTime.UtcNow;
+                    var current = existing != null ? ParseEntry(existing, key) : null;
+                    if (existing != null && current == null)
+                        throw new KeyValueRejectedException(422, "Stored value is not a valid key-value entry");
+                    if (current != null && current.IsExpired(now))
+                        current = null;
+
+                    var currentVersion = current?.Version ?? 0;
+                    if (expectedVersion.HasValue && expectedVersion.Value != currentVersion)
+                        throw new KeyValueRejectedException(412, "Version mismatch") { CurrentVersion = currentVersion };
+
+                    var validationErrors = _folderService.ValidateFolderContent(folderName, fileName, Encoding.UTF8.GetBytes(value.ToString(Formatting.None)));
+                    if (validationErrors.Count > 0)
+                        throw new KeyValueRejectedException(422, "Value does not match the folder schema") { ValidationErrors = validationErrors };
+
+                    written = new KeyValueEntry
+                    {
+                        Key = key,
+                        Value = value,
+                        Version = currentVersion + 1,
+                        CreatedUtc = current?.CreatedUtc ?? now,
+                        UpdatedUtc = now,
+                        ExpiresUtc = ttlSeconds.HasValue ? now.AddSeconds(ttlSeconds.Value) : null
+                    };
+
+                    var bytes = Encoding.UTF8.GetBytes(JsonConvert.SerializeObject(written, Formatting.None));
+                    var quotaFailure = _folderService.CheckFolderWrite(folderName, fileName, bytes.Length, userId);
+                    if (quotaFailure != null)
+                        throw new KeyValueRejectedException(quotaFailure.StatusCode ?? 413, quotaFailure.Error ?? "Payload too large");
+                    return bytes;
+                }).ConfigureAwait(false);
+
+                if (!success)
+                    return (null, WriteOutcome.CreatePreconditionFail(status ?? 412, etag));
+
+                _logger.LogInformation("SetAsync: set key {Key} in folder {Folder} to version {Version}", key, folderName, written!.Version);
+                return (written, WriteOutcome.CreateSuccess(fileName, path, etag));
+            }
+            catch (KeyValueRejectedException ex)
+            {
+                _logger.LogInformation("SetAsync: rejected key {Key} in folder {Folder} ({Status}): {Error}", key, folderName, ex.StatusCode, ex.Message);
+                if (ex.ValidationErrors != null)
+                    return (null, WriteOutcome.CreateValidationFail(ex.ValidationErrors));
+                var outcome = WriteOutcome.CreateFail(ex.StatusCode, ex.Message);
+                return (ex.CurrentVersion.HasValue ? new KeyValueEntry { Key = key, Version = ex.CurrentVersion.Value } : null, outcome);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "SetAsync: failed to set key {Key} in folder {FolderName}", key, folderName);
+                return (null, WriteOutcome.CreateFail(500, "Failed to write key"));
+            }
+        }
+
+        /// <summary>
+        /// Delete key, keeping a backup like other overwrites. With expectedVersion the delete only happens when the
+        /// stored version matches (412 otherwise). Missing and expired keys give 404.
+        /// </summary>
+        public async Task<WriteOutcome> DeleteAsync(string folderName, string key, long? expectedVersion = null, string? userId = null)
+        {
+            var (path, error) = ResolveKeyPath(folderName, key, userId);
+            if (path == null)
+                return error!;
+
+            try
+            {
+                var expired = false;
+                var (deleted, status) = await _fileWriteService.DeleteFileWhenAsync(path, existing =>
+                {
+                    var current = ParseEntry(existing, key);
+                    if (current != null && current.IsExpired(DateTime.UtcNow))
+                    {
+                        expired = true;
+                        return true;
+                    }
+
+                    return !expectedVersion.HasValue || (current?.Version ?? 0) == expectedVersion.Value;
+                }, keepBackup: true).ConfigureAwait(false);
+
+                if (!deleted || expired)
+                    return status == 412 ? WriteOutcome.CreateFail(412, "Version mismatch") : WriteOutcome.CreateFail(404, "Key not found");
+
+                _logger.LogInformation("DeleteAsync: deleted key {Key} from folder {Folder}", key, folderName);
+                return WriteOutcome.CreateSuccess(key + FileExtension, path, null);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "DeleteAsync: failed to delete key {Key} in folder {FolderName}", key, folderName);
+                return WriteOutcome.CreateFail(500, "Failed to delete key");
+            }
+        }
+
+        /// <summary>
+        /// Live keys in a key-value folder, sorted by key, optionally limited to keys starting with prefix.
+        /// Values are left out unless includeValues is set. Expired and unreadable entries are skipped.
+        /// </summary>
+        public (List<KeyValueEntry>? Entries, WriteOutcome? Error) List(string folderName, string? prefix = null, bool includeValues = false, string? userId = null)
+        {
+            var error = CheckKeyValueFolder(folderName);
+            if (error != null)
+                return (null, error);
+
+            try
+            {
+                var folderDir = _folderService.ResolveFolderPath(folderName, userId);
+                var results = new List<KeyValueEntry>();
+                if (!Directory.Exists(folderDir))
+                    return (results, null);
+
+                var now = DateTime.UtcNow;
+                foreach (var path in Directory.EnumerateFiles(folderDir, "*" + FileExtension, SearchOption.TopDirectoryOnly))
+                {
+                    var key = Path.GetFileNameWithoutExtension(path);
+                    if (!IsKeyValid(key))
+                        continue;
+                    if (!string.IsNullOrEmpty(prefix) && !key.StartsWith(prefix, StringComparison.Ordinal))
+                        continue;
+
+                    KeyValueEntry? entry;
+                    try
+                    {
+                        entry = ParseEntry(File.ReadAllBytes(path), key);
+                    }
+                    catch (IOException)
+                    {
+                        // Deleted or replaced while listing
+                        continue;
+                    }
+
+                    if (entry == null || entry.IsExpired(now))
+                        continue;
+                    if (!includeValues)
+                        entry.Value = null;
+                    results.Add(entry);
+                }
+
+                return (results.OrderBy(e => e.Key, StringComparer.Ordinal).ToList(), null);
+            }
+            catch (ArgumentException)
+            {
+                return (null, WriteOutcome.CreateFail(404, "Folder not configured"));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "List: failed to list keys in folder {FolderName}", folderName);
+                return (null, WriteOutcome.CreateFail(500, "Failed to list keys"));
+            }
+        }
+
+        private WriteOutcome? CheckKeyValueFolder(string folderName)
+        {
+            var entry = _folderService.GetFolderEntry(folderName);
+            if (entry == null)
+                return WriteOutcome.CreateFail(404, "Folder not configured");
+            if (!entry.KeyValue)
+                return WriteOutcome.CreateFail(400, "Folder is not a key-value folder");
+            return null;
+        }
+
+        private (string? Path, WriteOutcome? Error) ResolveKeyPath(string folderName, string key, string? userId)
+        {
+            if (!IsKeyValid(key))
+                return (null, WriteOutcome.CreateFail(400, "Invalid key"));
+
+            var error = CheckKeyValueFolder(folderName);
+            if (error != null)
+                return (null, error);
+
+            try
+            {
+                return (Path.Combine(_folderService.ResolveFolderPath(folderName, userId), key + FileExtension), null);
+            }
+            catch (ArgumentException)
+            {
+                return (null, WriteOutcome.CreateFail(404, "Folder not configured"));
+            }
+        }
+
+        private async Task RemoveExpiredAsync(string path, string folderName, string key)
+        {
+            // Re-checked under the path lock so a concurrent set is never removed
+            var (deleted, _) = await _fileWriteService.DeleteFileWhenAsync(path,
+                existing => ParseEntry(existing, key)?.IsExpired(DateTime.UtcNow) ?? false).ConfigureAwait(false);
+            if (deleted)
+                _logger.LogDebug("RemoveExpiredAsync: removed expired key {Key} from folder {Folder}", key, folderName);
+        }
+
+        private static KeyValueEntry? ParseEntry(byte[] bytes, string key)
+        {
+            try
+            {
+                var entry = JsonConvert.DeserializeObject<KeyValueEntry>(Encoding.UTF8.GetString(bytes));
+                if (entry == null || entry.Version <= 0)
+                    return null;
+                entry.Key = key;
+                return entry;
+            }
+            catch (JsonException)
+            {
+                return null;
+            }
+        }
+
+        private sealed class KeyValueRejectedException : Exception
+        {
+            public KeyValueRejectedException(int statusCode, string message) : base(message)
+            {
+                StatusCode = statusCode;
+            }
+
+            public int StatusCode { get; }
+
+            public long? CurrentVersion { get; init; }
+
+            public List<SchemaValidationError>? ValidationErrors { get; init; }
+        }
+    }
+}
+// END - Services/KeyValueService.cs
@@ -0,0 +1,270 @@
+// Services/RateLimitService.cs
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// In-memory token buckets per client IP, API key, user and (optionally) folder, plus a temporary lockout for
+    /// client IPs that keep failing authentication. State is process-wide and resets when Jellyfin restarts.
+    /// </summary>
+    public class RateLimitService
+    {
+        private readonly ILogger<RateLimitService> _logger;
+        private readonly PluginConfiguration _config;
+
+        public const string ScopeIp = "ip";
+        public const string ScopeApiKey = "key";
+        public const string ScopeUser = "user";
+        public const string FolderScopePrefix = "folder:";
+
+        private static readonly TimeSpan SweepInterval = TimeSpan.FromMinutes(1);
+        private static readonly TimeSpan IdleBucketLifetime = TimeSpan.FromMinutes(10);
+
+        // Controllers are transient; buckets and failure counters are shared across instances.
+        private static readonly ConcurrentDictionary<string, TokenBucket> Buckets = new ConcurrentDictionary<string, TokenBucket>(StringComparer.OrdinalIgnoreCase);
+        private static readonly ConcurrentDictionary<string, AuthFailureState> AuthFailures = new ConcurrentDictionary<string, AuthFailureState>(StringComparer.OrdinalIgnoreCase);
+        private static DateTime _lastSweepUtc = DateTime.MinValue;
+
+        public RateLimitService(ILogger<RateLimitService> logger, PluginConfiguration config)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+        }
+
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
+        public bool IsEnabled => GetCurrentConfig().RateLimitEnabled;
+
+        /// <summary>
+        /// Take one request from the scope/subject bucket refilling at perMinute. Returns null when allowed, otherwise
+        /// how long until a request would be. perMinute &lt;= 0 means unlimited.
+        /// </summary>
+        public TimeSpan? TryAcquire(string scope, string subject, int perMinute)
+        {
+            if (perMinute <= 0 || string.IsNullOrEmpty(subject))
+                return null;
+
+            SweepIfDue();
+
+            var config = GetCurrentConfig();
+            var capacity = config.RateLimitBurst > 0 ? config.RateLimitBurst : perMinute;
+            var bucket = Buckets.GetOrAdd(scope + "|" + subject, _ => new TokenBucket(scope, subject));
+            var retryAfter = bucket.TryTake(perMinute, capacity, DateTime.UtcNow);
+            if (retryAfter.HasValue)
+                _logger.LogInformation("TryAcquire: {Scope} {Subject} rate limited ({PerMinute}/min), retry in {Seconds:0.#}s", scope, subject, perMinute, retryAfter.Value.TotalSeconds);
+            return retryAfter;
+        }
+
+        /// <summary>
+        /// Remaining lockout for a client IP, or null when it is not locked out.
+        /// </summary>
+        public TimeSpan? GetLockout(string clientIp)
+        {
+            if (!AuthFailures.TryGetValue(clientIp, out var state))
+                return null;
+
+            lock (state)
+            {
+                var remaining = state.LockedUntilUtc - DateTime.UtcNow;
+                return remaining > TimeSpan.Zero ? remaining : null;
+            }
+        }
+
+        /// <summary>
+        /// Count an authentication failure for a client IP; reaching AuthLockoutThreshold failures within
+        /// AuthLockoutWindowMinutes locks the IP out for AuthLockoutMinutes.
+        /// </summary>
+        public void RecordAuthFailure(string clientIp)
+        {
+            var config = GetCurrentConfig();
+            if (config.AuthLockoutThreshold <= 0)
+                return;
+
+            var now = DateTime.UtcNow;
+            var state = AuthFailures.GetOrAdd(clientIp, _ => new AuthFailureState());
+            lock (state)
+            {
+                if (now - state.WindowStartUtc > TimeSpan.FromMinutes(Math.Max(1, config.AuthLockoutWindowMinutes)))
+                {
+                    state.WindowStartUtc = now;
+                    state.Failures = 0;
+                }
+
+                state.Failures++;
+                if (state.Failures >= config.AuthLockoutThreshold && state.LockedUntilUtc <= now)
+                {
+                    state.LockedUntilUtc = now.AddMinutes(Math.Max(1, config.AuthLockoutMinutes));
+                    _logger.LogWarning("RecordAuthFailure: {ClientIp} locked out until {Until:u} after {Failures} failed attempts", clientIp, state.LockedUntilUtc, state.Failures);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Clear the failure count of a client IP after a successful authentication (does not lift an active lockout).
+        /// </summary>
+        public void RecordAuthSuccess(string clientIp)
+        {
+            if (AuthFailures.TryGetValue(clientIp, out var state) && state.LockedUntilUtc <= DateTime.UtcNow)
+                AuthFailures.TryRemove(clientIp, out _);
+        }
+
+        /// <summary>
+        /// Lift the lockout and failure count of a client IP. Returns false if it had none.
+        /// </summary>
+        public bool Unlock(string clientIp)
+        {
+            var removed = AuthFailures.TryRemove(clientIp, out _);
+            if (removed)
+                _logger.LogInformation("Unlock: cleared authentication failures for {ClientIp}", clientIp);
+            return removed;
+        }
+
+        /// <summary>
+        /// Current buckets (most limited first, then most recent) and IPs with recent authentication failures.
+        /// </summary>
+        public (List<RateLimitCounter> Counters, List<AuthLockoutInfo> Lockouts) GetSnapshot()
+        {
+            SweepIfDue();
+
+            var now = DateTime.UtcNow;
+            var config = GetCurrentConfig();
+            var counters = Buckets.Values
+                .Select(b => b.ToCounter(now, config.RateLimitBurst))
+                .OrderByDescending(c => c.Limited)
+                .ThenByDescending(c => c.LastSeenUtc)
+                .ToList();
+
+            var lockouts = AuthFailures
+                .Select(kv =>
+                {
+                    lock (kv.Value)
+                    {
+                        return new AuthLockoutInfo
+                        {
+                            ClientIp = kv.Key,
+                            Failures = kv.Value.Failures,
+                            LockedUntilUtc = kv.Value.LockedUntilUtc > now ? kv.Value.LockedUntilUtc : null
+                        };
+                    }
+                })
+                .OrderByDescending(l => l.LockedUntilUtc.HasValue)
+                .ThenByDescending(l => l.Failures)
+                .ToList();
+
+            return (counters, lockouts);
+        }
+
+        // Drop buckets that have been idle long enough to be full again, and expired failure windows.
+        private void SweepIfDue()
+        {
+            var now = DateTime.UtcNow;
+            if (now - _lastSweepUtc < SweepInterval)
+                return;
+            _lastSweepUtc = now;
+
+            foreach (var pair in Buckets)
+            {
+                if (now - pair.Value.LastSeenUtc > IdleBucketLifetime)
+                    Buckets.TryRemove(pair.Key, out _);
+            }
+
+            var window = TimeSpan.FromMinutes(Math.Max(1, GetCurrentConfig().AuthLockoutWindowMinutes));
+            foreach (var pair in AuthFailures)
+            {
+                if (pair.Value.LockedUntilUtc <= now && now - pair.Value.WindowStartUtc > window)
+                    AuthFailures.TryRemove(pair.Key, out _);
+            }
+        }
+
+        private sealed class TokenBucket
+        {
+            private readonly string _scope;
+            private readonly string _subject;
+            private double _tokens = -1;
+            private DateTime _refilledUtc;
+            private int _perMinute;
+            private long _allowed;
+            private long _limited;
+
+            public TokenBucket(string scope, string subject)
+            {
+                _scope = scope;
+                _subject = subject;
+            }
+
+            public DateTime LastSeenUtc { get; private set; }
+
+            public TimeSpan? TryTake(int perMinute, int capacity, DateTime now)
+            {
+                lock (this)
+                {
+                    Refill(perMinute, capacity, now);
+                    _perMinute = perMinute;
+                    LastSeenUtc = now;
+
+                    if (_tokens >= 1)
+                    {
+                        _tokens -= 1;
+                        _allowed++;
+                        return null;
+                    }
+
+                    _limited++;
+                    return TimeSpan.FromSeconds((1 - _tokens) * 60.0 / perMinute);
+                }
+            }
+
+            public RateLimitCounter ToCounter(DateTime now, int burst)
+            {
+                lock (this)
+                {
+                    var capacity = burst > 0 ? burst : _perMinute;
+                    Refill(_perMinute, capacity, now);
+                    return new RateLimitCounter
+                    {
+                        Scope = _scope,
+                        Subject = _subject,
+                        PerMinute = _perMinute,
+                        Capacity = capacity,
+                        Available = (int)Math.Floor(_tokens),
+                        Allowed = _allowed,
+                        Limited = _limited,
+                        LastSeenUtc = LastSeenUtc
+                    };
+                }
+            }
+
+            private void Refill(int perMinute, int capacity, DateTime now)
+            {
+                if (_tokens < 0)
+                {
+                    // New bucket starts full
+                    _tokens = capacity;
+                }
+                else if (perMinute > 0)
+                {
+                    _tokens = Math.Min(capacity, _tokens + (now - _refilledUtc).TotalMinutes * perMinute);
+                }
+
+                _refilledUtc = now;
+            }
+        }
+
+        private sealed class AuthFailureState
+        {
+            public DateTime WindowStartUtc { get; set; } = DateTime.UtcNow;
+
+            public int Failures { get; set; }
+
+            public DateTime LockedUntilUtc { get; set; } = DateTime.MinValue;
+        }
+    }
+}
+// END - Services/RateLimitService.cs
@@ -0,0 +1,281 @@
+// Services/RetentionService.cs
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Retention sweeps: deletes the files of exposed folders that their RetentionRules no longer keep (too old, or
+    /// beyond the newest MaxFiles). Sweeps run every RetentionSweepMinutes from the RetentionSweeper hosted service or
+    /// on demand (RetentionRun). Every deletion is written to the audit log as RetentionDelete and the recent sweeps
+    /// are kept in an in-memory log that resets on restart.
+    /// </summary>
+    public class RetentionService
+    {
+        private readonly ILogger<RetentionService> _logger;
+        private readonly PluginConfiguration _config;
+        private readonly FolderOperationService _folderService;
+        private readonly AuditService _auditService;
+
+        /// <summary>
+        /// Audit log operation of each file a sweep deletes.
+        /// </summary>
+        public const string AuditOperation = "RetentionDelete";
+
+        /// <summary>
+        /// Files kept per sweep in the sweep log; results returned by RunAsync are complete.
+        /// </summary>
+        public const int MaxLoggedFiles = 500;
+
+        private const int SweepLogSize = 50;
+
+        // Controllers are transient: sweeps from every instance take turns, and the sweep log is shared.
+        private static readonly SemaphoreSlim SweepLock = new SemaphoreSlim(1, 1);
+        private static readonly object LogLock = new object();
+        private static readonly LinkedList<RetentionSweepResult> SweepLog = new LinkedList<RetentionSweepResult>();
+        private static DateTime _lastScheduledUtc = DateTime.MinValue;
+
+        public RetentionService(ILogger<RetentionService> logger, PluginConfiguration config, FolderOperationService folderService, AuditService auditService)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+            _folderService = folderService ?? throw new ArgumentNullException(nameof(folderService));
+            _auditService = auditService ?? throw new ArgumentNullException(nameof(auditService));
+        }
+
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
+        /// <summary>
+        /// Apply the retention rules of one folder (or of every folder when folderName is null). A dry run only lists
+        /// the files that would be deleted and is not logged. A file changed after it was selected is kept. Once
+        /// cancellationToken is cancelled no further files are deleted; the result lists those deleted until then.
+        /// Throws ArgumentException if folderName is not a configured folder.
+        /// </summary>
+        public async Task<RetentionSweepResult> RunAsync(string? folderName, bool dryRun, string trigger = RetentionSweepResult.Manual, CancellationToken cancellationToken = default)
+        {
+            var folders = GetFolders(folderName);
+            var result = new RetentionSweepResult
+            {
+                Id = Guid.NewGuid().ToString("N"),
+                Trigger = trigger,
+                DryRun = dryRun,
+                Folder = folderName != null ? GetFolderName(folders[0]) : null,
+                StartedUtc = DateTime.UtcNow
+            };
+
+            if (dryRun)
+            {
+                foreach (var entry in folders)
+                    result.Files.AddRange(SelectFiles(entry, result.StartedUtc).Select(s => s.File));
+                Complete(result);
+                return result;
+            }
+
+            await SweepLock.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                // Scheduled sweeps have no request to attribute the deletions to
+                using var actor = trigger == RetentionSweepResult.Scheduled ? FolderEventService.BeginActor(null, "retention") : null;
+                foreach (var entry in folders)
+                {
+                    foreach (var (file, etag) in SelectFiles(entry, DateTime.UtcNow))
+                    {
+                        if (cancellationToken.IsCancellationRequested)
+                            break;
+                        await DeleteAsync(entry, file, etag, trigger).ConfigureAwait(false);
+                        result.Files.Add(file);
+                    }
+                }
+            }
+            finally
+            {
+                SweepLock.Release();
+            }
+
+            Complete(result);
+            if (result.FileCount > 0 || trigger == RetentionSweepResult.Manual)
+                AddToLog(result);
+            if (result.FileCount > 0)
+                _logger.LogInformation("Retention: {Trigger} sweep deleted {Count} file(s), {Bytes} bytes", trigger, result.FileCount, result.TotalBytes);
+            return result;
+        }
+
+        /// <summary>
+        /// Run a scheduled sweep of every folder when RetentionSweepMinutes have passed since the last one.
+        /// Returns null when no sweep was due.
+        /// </summary>
+        public async Task<RetentionSweepResult?> RunIfDueAsync(CancellationToken cancellationToken = default)
+        {
+            var minutes = GetCurrentConfig().RetentionSweepMinutes;
+            var now = DateTime.UtcNow;
+            if (minutes <= 0 || now - _lastScheduledUtc < TimeSpan.FromMinutes(minutes))
+                return null;
+            _lastScheduledUtc = now;
+
+            return await RunAsync(null, dryRun: false, RetentionSweepResult.Scheduled, cancellationToken).ConfigureAwait(false);
+        }
+
+        /// <summary>
+        /// Logged sweeps, newest first, optionally for one folder. Scheduled sweeps that deleted nothing are not logged.
+        /// </summary>
+        public List<RetentionSweepResult> GetLog(string? folder = null, int limit = 20)
+        {
+            lock (LogLock)
+            {
+                return SweepLog
+                    .Where(r => folder == null
+                        || string.Equals(r.Folder, folder, StringComparison.OrdinalIgnoreCase)
+                        || (r.Folder == null && r.Files.Any(f => string.Equals(f.Folder, folder, StringComparison.OrdinalIgnoreCase))))
+                    .Take(Math.Max(1, limit))
+                    .Select(r => r.Clone())
+                    .ToList();
+            }
+        }
+
+        // Folders a sweep covers: the named one, or every folder with retention rules.
+        private List<FolderEntry> GetFolders(string? folderName)
+        {
+            if (folderName != null)
+            {
+                var entry = _folderService.GetFolderEntry(folderName)
+                    ?? throw new ArgumentException($"Folder '{folderName}' not configured", nameof(folderName));
+                return new List<FolderEntry> { entry };
+            }
+
+            return (GetCurrentConfig().ExposedFolders ?? new List<FolderEntry>())
+                .Where(f => f != null && f.RetentionRules != null && f.RetentionRules.Count > 0)
+                .ToList();
+        }
+
+        // Files the folder's rules select, with the ETag they had when selected. Within each namespace a file belongs
+        // to the first rule that matches it; MaxFiles keeps that rule's newest files and selects the rest.
+        private List<(RetentionFile File, string ETag)> SelectFiles(FolderEntry entry, DateTime nowUtc)
+        {
+            var selected = new List<(RetentionFile File, string ETag)>();
+            var rules = (entry.RetentionRules ?? new List<RetentionRule>()).Where(r => r != null && (r.MaxAgeHours > 0 || r.MaxFiles > 0)).ToList();
+            if (rules.Count == 0)
+                return selected;
+
+            var folderName = GetFolderName(entry);
+            List<(string? UserId, List<(string Name, FileInfo Info)> Files)> namespaces;
+            try
+            {
+                namespaces = _folderService.ListNamespaceFiles(entry.RelativePath);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Retention: failed to list folder {Folder}", folderName);
+                return selected;
+            }
+
+            foreach (var (userId, files) in namespaces)
+            {
+                var taken = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+                foreach (var rule in rules)
+                {
+                    var matching = files
+                        .Where(f => !taken.Contains(f.Name) && GlobMatcher.IsMatch(rule.FilePattern, f.Name))
+                        .OrderByDescending(f => f.Info.LastWriteTimeUtc)
+                        .ToList();
+
+                    for (var i = 0; i < matching.Count; i++)
+                    {
+                        var (name, info) = matching[i];
+                        string? reason = null;
+                        if (rule.MaxAgeHours > 0 && nowUtc - info.LastWriteTimeUtc > TimeSpan.FromHours(rule.MaxAgeHours))
+                            reason = RetentionFile.ReasonAge;
+                        else if (rule.MaxFiles > 0 && i >= rule.MaxFiles)
+                            reason = RetentionFile.ReasonCount;
+
+                        taken.Add(name);
+                        if (reason == null)
+                            continue;
+
+                        selected.Add((new RetentionFile
+                        {
+                            Folder = folderName,
+                            UserId = userId,
+                            Name = name,
+                            Size = info.Length,
+                            LastModifiedUtc = info.LastWriteTimeUtc,
+                            Reason = reason,
+                            FilePattern = string.IsNullOrWhiteSpace(rule.FilePattern) ? "*" : rule.FilePattern,
+                            KeepBackup = rule.KeepBackup
+                        }, ETagHelper.Compute(info.LastWriteTimeUtc, info.Length)));
+                    }
+                }
+            }
+
+            return selected;
+        }
+
+        private static string GetFolderName(FolderEntry entry)
+        {
+            return string.IsNullOrWhiteSpace(entry.Name) ? entry.RelativePath : entry.Name;
+        }
+
+        private async Task DeleteAsync(FolderEntry entry, RetentionFile file, string etag, string trigger)
+        {
+            try
+            {
+                var (deleted, status) = await _folderService.DeleteListedFileAsync(entry.RelativePath, file.Name, file.UserId, etag, file.KeepBackup).ConfigureAwait(false);
+                file.Deleted = deleted;
+                if (!deleted)
+                    file.Error = status == 412 ? "Changed since the sweep started; kept" : "Already deleted";
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Retention: failed to delete {File} from folder {Folder}", file.Name, file.Folder);
+                file.Error = ex.Message;
+            }
+
+            if (!file.Deleted)
+                return;
+
+            var actor = FolderEventService.GetCurrentActor();
+            _auditService.Record(new AuditEntry
+            {
+                TimestampUtc = DateTime.UtcNow,
+                Operation = AuditOperation,
+                UserId = actor.Id,
+                UserName = actor.Name,
+                Folder = file.Folder,
+                File = file.UserId == null ? file.Name : $"{FolderOperationService.UserScopeDirName}/{file.UserId}/{file.Name}",
+                Target = $"{trigger} sweep, {file.Reason} ({file.FilePattern})",
+                Bytes = file.Size,
+                StatusCode = 200
+            });
+        }
+
+        private static void Complete(RetentionSweepResult result)
+        {
+            var counted = result.DryRun ? result.Files : result.Files.Where(f => f.Deleted).ToList();
+            result.FileCount = counted.Count;
+            result.TotalBytes = counted.Sum(f => f.Size);
+            result.FinishedUtc = DateTime.UtcNow;
+        }
+
+        private static void AddToLog(RetentionSweepResult result)
+        {
+            var logged = result.Clone();
+            logged.Files = result.Files.Take(MaxLoggedFiles).ToList();
+
+            lock (LogLock)
+            {
+                SweepLog.AddFirst(logged);
+                while (SweepLog.Count > SweepLogSize)
+                    SweepLog.RemoveLast();
+            }
+        }
+    }
+}
+// END - Services/RetentionService.cs
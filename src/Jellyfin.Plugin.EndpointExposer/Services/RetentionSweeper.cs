@@ -0,0 +1,62 @@
+// Services/RetentionSweeper.cs
+using System;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Hosted service that runs the scheduled retention sweeps: every minute it asks the RetentionService whether a
+    /// sweep is due (RetentionSweepMinutes). Registered by PluginServiceRegistrator; when Jellyfin stops, a running
+    /// sweep deletes no further files. Only one loop runs per process.
+    /// </summary>
+    public class RetentionSweeper : BackgroundService
+    {
+        private readonly ILogger<RetentionSweeper> _logger;
+        private readonly RetentionService _retentionService;
+
+        // How often the loop checks whether a sweep is due.
+        private static readonly TimeSpan CheckInterval = TimeSpan.FromMinutes(1);
+
+        private static int _running;
+
+        public RetentionSweeper(ILogger<RetentionSweeper> logger, RetentionService retentionService)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _retentionService = retentionService ?? throw new ArgumentNullException(nameof(retentionService));
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            if (Interlocked.Exchange(ref _running, 1) == 1)
+                return;
+
+            try
+            {
+                while (!stoppingToken.IsCancellationRequested)
+                {
+                    await Task.Delay(CheckInterval, stoppingToken).ConfigureAwait(false);
+                    try
+                    {
+                        await _retentionService.RunIfDueAsync(stoppingToken).ConfigureAwait(false);
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogWarning(ex, "ExecuteAsync: retention sweep failed");
+                    }
+                }
+            }
+            catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+            {
+                // Host shutting down
+            }
+            finally
+            {
+                Interlocked.Exchange(ref _running, 0);
+            }
+        }
+    }
+}
+// END - Services/RetentionSweeper.cs
@@ -0,0 +1,106 @@
+// Services/TokenCache.cs
+using System;
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
+using Newtonsoft.Json.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Short-lived cache of validated Jellyfin tokens, keyed by a SHA-256 of the token so raw tokens are not kept.
+    /// Entries expire after TokenCacheSeconds and are dropped early when Jellyfin ends the session or updates the user.
+    /// </summary>
+    public static class TokenCache
+    {
+        private static readonly ConcurrentDictionary<string, Entry> Entries = new ConcurrentDictionary<string, Entry>(StringComparer.Ordinal);
+
+        // Sweep expired entries at most this often, on writes.
+        private static readonly TimeSpan SweepInterval = TimeSpan.FromMinutes(5);
+        private static DateTime _lastSweepUtc = DateTime.MinValue;
+
+        /// <summary>
+        /// Cached user for token, or null when missing or expired.
+        /// </summary>
+        public static JObject? Get(string token)
+        {
+            if (string.IsNullOrEmpty(token) || !Entries.TryGetValue(Hash(token), out var entry))
+                return null;
+
+            if (entry.ExpiresUtc > DateTime.UtcNow)
+                return entry.User;
+
+            Entries.TryRemove(Hash(token), out _);
+            return null;
+        }
+
+        /// <summary>
+        /// Cache user for token for ttlSeconds (nothing is cached when ttlSeconds &lt;= 0). deviceId, when known,
+        /// lets a session end for that device evict the entry.
+        /// </summary>
+        public static void Set(string token, JObject user, string? deviceId, int ttlSeconds)
+        {
+            if (string.IsNullOrEmpty(token) || user == null || ttlSeconds <= 0)
+                return;
+
+            SweepIfDue();
+            Entries[Hash(token)] = new Entry(user, FolderOperationService.NormalizeUserId(user["Id"]?.ToString()), deviceId, DateTime.UtcNow.AddSeconds(ttlSeconds));
+        }
+
+        /// <summary>
+        /// Drop every entry of a user (policy changed, password reset, user deleted).
+        /// </summary>
+        public static void RemoveUser(Guid userId)
+        {
+            var id = userId.ToString("N");
+            foreach (var pair in Entries)
+            {
+                if (pair.Value.UserId == id)
+                    Entries.TryRemove(pair.Key, out _);
+            }
+        }
+
+        /// <summary>
+        /// Drop the entries of one user's device (logout). Entries without a device Id only expire.
+        /// </summary>
+        public static void RemoveDevice(Guid userId, string? deviceId)
+        {
+            if (string.IsNullOrEmpty(deviceId))
+                return;
+
+            var id = userId.ToString("N");
+            foreach (var pair in Entries)
+            {
+                if (pair.Value.UserId == id && string.Equals(pair.Value.DeviceId, deviceId, StringComparison.Ordinal))
+                    Entries.TryRemove(pair.Key, out _);
+            }
+        }
+
+        public static void Clear()
+        {
+            Entries.Clear();
+        }
+
+        private static void SweepIfDue()
+        {
+            var now = DateTime.UtcNow;
+            if (now - _lastSweepUtc < SweepInterval)
+                return;
+            _lastSweepUtc = now;
+
+            foreach (var pair in Entries)
+            {
+                if (pair.Value.ExpiresUtc <= now)
+                    Entries.TryRemove(pair.Key, out _);
+            }
+        }
+
+        private static string Hash(string token)
+        {
+            return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token)));
+        }
+
+        private sealed record Entry(JObject User, string? UserId, string? DeviceId, DateTime ExpiresUtc);
+    }
+}
+// END - Services/TokenCache.cs
@@ -0,0 +1,404 @@
+// Services/UploadService.cs
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Chunked, resumable uploads into exposed folders. A session stages the file under
+    /// &lt;plugin data&gt;/.uploads as &lt;id&gt;.part (grows as chunks arrive) plus &lt;id&gt;.json (state);
+    /// committing moves the finished file into place through FileWriteService. Idle sessions are swept.
+    /// Open sessions are capped per client (MaxOpenUploads) and per folder (MaxOpenUploadsPerFolder), and their
+    /// declared sizes count toward the folder's MaxTotalBytes when another session starts.
+    /// </summary>
+    public class UploadService
+    {
+        private readonly ILogger<UploadService> _logger;
+        private readonly PluginConfiguration _config;
+        private readonly FolderOperationService _folderService;
+
+        /// <summary>
+        /// Staging directory name under the plugin data directory. Dot-prefixed so it can never be an exposed folder.
+        /// </summary>
+        public const string StagingDirName = ".uploads";
+
+        private static readonly Regex SessionIdRegex = new Regex("^[0-9a-f]{32}$", RegexOptions.Compiled);
+        private static readonly TimeSpan SweepInterval = TimeSpan.FromMinutes(10);
+
+        // Controllers are transient; session locks and the sweep timestamp are shared across instances.
+        private static readonly ConcurrentDictionary<string, SemaphoreSlim> SessionLocks = new ConcurrentDictionary<string, SemaphoreSlim>(StringComparer.Ordinal);
+        private static DateTime _lastSweepUtc = DateTime.MinValue;
+
+        // Serializes session creation so concurrent starts cannot all pass the open-session and quota checks.
+        private static readonly object CreateLock = new object();
+
+        public UploadService(ILogger<UploadService> logger, PluginConfiguration config, FolderOperationService folderService)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+            _folderService = folderService ?? throw new ArgumentNullException(nameof(folderService));
+        }
+
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
+        /// <summary>
+        /// Start an upload of totalBytes bytes to fileName in a configured folder for owner (see UploadSession.Owner).
+        /// The name, type and quota are checked up front so clients do not send data that would be refused; the
+        /// declared sizes of the folder's other open uploads count as used. Returns 429 when the owner or the
+        /// folder already has the maximum number of open uploads.
+        /// </summary>
+        public (UploadSession? Session, WriteOutcome? Error) CreateSession(string folderName, string fileName, long totalBytes, string? userId = null, string? owner = null)
+        {
+            SweepIfDue();
+
+            if (totalBytes <= 0)
+                return (null, WriteOutcome.CreateFail(400, "Upload size must be greater than zero"));
+
+            var safeName = _folderService.NormalizeFilePath(folderName, fileName);
+            if (safeName == null)
+                return (null, WriteOutcome.CreateFail(400, "Invalid file name"));
+
+            var config = GetCurrentConfig();
+            var folderEntry = _folderService.GetFolderEntry(folderName);
+            UploadSession session;
+            lock (CreateLock)
+            {
+                var open = ListOpenSessions();
+                var inFolder = folderEntry == null
+                    ? new List<UploadSession>()
+                    : open.Where(s => string.Equals(_folderService.GetFolderEntry(s.Folder)?.Name, folderEntry.Name, StringComparison.OrdinalIgnoreCase)).ToList();
+
+                if (owner != null && config.MaxOpenUploads > 0 && open.Count(s => s.Owner == owner) >= config.MaxOpenUploads)
+                    return (null, WriteOutcome.CreateFail(429, $"Too many open uploads ({config.MaxOpenUploads}); commit or cancel one first"));
+                if (config.MaxOpenUploadsPerFolder > 0 && inFolder.Count >= config.MaxOpenUploadsPerFolder)
+                    return (null, WriteOutcome.CreateFail(429, $"Too many open uploads in this folder ({config.MaxOpenUploadsPerFolder})"));
+
+                // Quota usage is per namespace, so only uploads into the same namespace reserve space
+                var reservedBytes = inFolder.Where(s => s.UserId == userId).Sum(s => s.TotalBytes);
+                var rejected = _folderService.CheckFolderWrite(folderName, fileName, totalBytes, userId, reservedBytes);
+                if (rejected != null)
+                    return (null, rejected);
+
+                var now = DateTime.UtcNow;
+                session = new UploadSession
+                {
+                    Id = Guid.NewGuid().ToString("N"),
+                    Folder = folderName,
+                    Name = safeName,
+                    UserId = userId,
+                    Owner = owner,
+                    TotalBytes = totalBytes,
+                    ChunkBytes = GetChunkBytes(),
+                    CreatedUtc = now,
+                    UpdatedUtc = now
+                };
+
+                // The part file starts empty and grows as chunks are written at their offsets
+                Directory.CreateDirectory(GetStagingDir());
+                new FileStream(GetPartPath(session.Id), FileMode.CreateNew, FileAccess.Write, FileShare.None).Dispose();
+                SaveSession(session);
+            }
+
+            _logger.LogInformation("CreateSession: upload {Id} started for {File} ({Bytes} bytes) in folder {Folder}",
+                session.Id, safeName, totalBytes, folderName);
+            return (session, null);
+        }
+
+        /// <summary>
+        /// Load a session by id. Returns null for unknown, malformed or expired ids.
+        /// </summary>
+        public UploadSession? GetSession(string? id)
+        {
+            SweepIfDue();
+
+            if (id == null || !SessionIdRegex.IsMatch(id))
+                return null;
+
+            var session = LoadSession(id);
+            return session != null && !IsExpired(session, DateTime.UtcNow) ? session : null;
+        }
+
+        /// <summary>
+        /// Store one chunk at offset. Offsets must be multiples of the session's ChunkBytes and every chunk but
+        /// the last must be exactly ChunkBytes long, so re-sending a chunk is idempotent.
+        /// Returns the updated session, or an error (404 unknown session, 400 bad offset, 413 chunk too large).
+        /// </summary>
+        public async Task<(UploadSession? Session, WriteOutcome? Error)> WriteChunkAsync(string id, long offset, Stream body, CancellationToken ct = default)
+        {
+            if (GetSession(id) is not { } initial)
+                return (null, WriteOutcome.CreateFail(404, "Upload session not found"));
+
+            // Read at most one chunk (plus one byte to detect oversize bodies) before taking the lock
+            var buffer = new byte[initial.ChunkBytes + 1];
+            var length = 0;
+            int read;
+            while (length < buffer.Length && (read = await body.ReadAsync(buffer.AsMemory(length, buffer.Length - length), ct).ConfigureAwait(false)) > 0)
+                length += read;
+
+            if (length > initial.ChunkBytes)
+                return (null, WriteOutcome.CreateFail(413, $"Chunk exceeds {initial.ChunkBytes} bytes"));
+            if (length == 0)
+                return (null, WriteOutcome.CreateFail(400, "Missing body"));
+            if (offset < 0 || offset % initial.ChunkBytes != 0 || offset + length > initial.TotalBytes)
+                return (null, WriteOutcome.CreateFail(400, $"Offset must be a multiple of {initial.ChunkBytes} inside the declared size"));
+            if (length != initial.ChunkBytes && offset + length != initial.TotalBytes)
+                return (null, WriteOutcome.CreateFail(400, $"Only the last chunk may be shorter than {initial.ChunkBytes} bytes"));
+
+            var sessionLock = GetSessionLock(id);
+            await sessionLock.WaitAsync(ct).ConfigureAwait(false);
+            try
+            {
+                // Reload under the lock: the session may have been committed or cancelled meanwhile
+                var session = LoadSession(id);
+                if (session == null)
+                    return (null, WriteOutcome.CreateFail(404, "Upload session not found"));
+
+                using (var part = new FileStream(GetPartPath(id), FileMode.Open, FileAccess.Write, FileShare.None))
+                {
+                    part.Seek(offset, SeekOrigin.Begin);
+                    await part.WriteAsync(buffer.AsMemory(0, length), ct).ConfigureAwait(false);
+                    await part.FlushAsync(ct).ConfigureAwait(false);
+                }
+
+                session.Ranges = MergeRange(session.Ranges, offset, offset + length);
+                session.UpdatedUtc = DateTime.UtcNow;
+                SaveSession(session);
+
+                _logger.LogDebug("WriteChunkAsync: upload {Id} received {Len} bytes at {Offset} ({Received}/{Total})",
+                    id, length, offset, session.ReceivedBytes, session.TotalBytes);
+                return (session, null);
+            }
+            finally
+            {
+                sessionLock.Release();
+            }
+        }
+
+        /// <summary>
+        /// Commit a complete upload to its folder (quota, schema and If-Match / If-None-Match checks apply).
+        /// Returns 404 for an unknown session and 409 while bytes are missing. The session is removed on success
+        /// and kept on failure so the client can retry the commit or cancel.
+        /// </summary>
+        public async Task<(UploadSession? Session, WriteOutcome Outcome)> CommitAsync(string id, string? ifMatch = null, string? ifNoneMatch = null)
+        {
+            if (GetSession(id) == null)
+                return (null, WriteOutcome.CreateFail(404, "Upload session not found"));
+
+            var sessionLock = GetSessionLock(id);
+            await sessionLock.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                var session = LoadSession(id);
+                if (session == null)
+                    return (null, WriteOutcome.CreateFail(404, "Upload session not found"));
+                if (!session.Complete)
+                    return (session, WriteOutcome.CreateFail(409, $"Upload incomplete ({session.ReceivedBytes} of {session.TotalBytes} bytes received)"));
+
+                var outcome = await _folderService.CommitStagedFolderFileAsync(session.Folder, session.Name, GetPartPath(id), session.UserId, ifMatch, ifNoneMatch).ConfigureAwait(false);
+                if (outcome.Success)
+                {
+                    DeleteSessionFiles(id);
+                    _logger.LogInformation("CommitAsync: upload {Id} committed as {File} in folder {Folder}", id, session.Name, session.Folder);
+                }
+                return (session, outcome);
+            }
+            finally
+            {
+                sessionLock.Release();
+                if (LoadSession(id) == null)
+                    SessionLocks.TryRemove(id, out _);
+            }
+        }
+
+        /// <summary>
+        /// Abort an upload and delete its staged data. Returns false if the session does not exist.
+        /// </summary>
+        public async Task<bool> CancelAsync(string id)
+        {
+            if (GetSession(id) == null)
+                return false;
+
+            var sessionLock = GetSessionLock(id);
+            await sessionLock.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                DeleteSessionFiles(id);
+            }
+            finally
+            {
+                sessionLock.Release();
+                SessionLocks.TryRemove(id, out _);
+            }
+
+            _logger.LogInformation("CancelAsync: upload {Id} cancelled", id);
+            return true;
+        }
+
+        /// <summary>
+        /// Delete sessions idle for longer than UploadSessionTimeoutMinutes and staging files without a session.
+        /// Returns the number of sessions removed.
+        /// </summary>
+        public int CleanupExpiredSessions()
+        {
+            var stagingDir = GetStagingDir();
+            if (!Directory.Exists(stagingDir))
+                return 0;
+
+            var now = DateTime.UtcNow;
+            var removed = 0;
+            foreach (var file in new DirectoryInfo(stagingDir).EnumerateFiles())
+            {
+                try
+                {
+                    var id = Path.GetFileNameWithoutExtension(file.Name);
+                    if (file.Extension == ".json")
+                    {
+                        var session = LoadSession(id);
+                        if (session != null && !IsExpired(session, now))
+                            continue;
+
+                        DeleteSessionFiles(id);
+                        removed++;
+                        _logger.LogInformation("CleanupExpiredSessions: removed abandoned upload {Id} ({File} in {Folder})", id, session?.Name, session?.Folder);
+                    }
+                    else if (!File.Exists(Path.Combine(stagingDir, id + ".json")) && now - file.LastWriteTimeUtc > GetSessionTimeout())
+                    {
+                        // Orphaned staging data (e.g. a crash between writing the part and the state file)
+                        file.Delete();
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "CleanupExpiredSessions: failed to clean up {File}", file.FullName);
+                }
+            }
+
+            return removed;
+        }
+
+        // Sweep at most every SweepInterval, piggybacking on upload requests.
+        private void SweepIfDue()
+        {
+            var now = DateTime.UtcNow;
+            if (now - _lastSweepUtc < SweepInterval)
+                return;
+            _lastSweepUtc = now;
+
+            try
+            {
+                CleanupExpiredSessions();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "SweepIfDue: upload cleanup failed");
+            }
+        }
+
+        private static List<UploadRange> MergeRange(List<UploadRange> ranges, long start, long end)
+        {
+            var merged = new List<UploadRange>();
+            foreach (var range in ranges.Append(new UploadRange { Start = start, End = end }).OrderBy(r => r.Start))
+            {
+                var last = merged.LastOrDefault();
+                if (last != null && range.Start <= last.End)
+                    last.End = Math.Max(last.End, range.End);
+                else
+                    merged.Add(new UploadRange { Start = range.Start, End = range.End });
+            }
+            return merged;
+        }
+
+        // Sessions that are neither committed, cancelled nor expired.
+        private List<UploadSession> ListOpenSessions()
+        {
+            var stagingDir = GetStagingDir();
+            if (!Directory.Exists(stagingDir))
+                return new List<UploadSession>();
+
+            var now = DateTime.UtcNow;
+            return Directory.EnumerateFiles(stagingDir, "*.json")
+                .Select(path => LoadSession(Path.GetFileNameWithoutExtension(path)))
+                .Where(session => session != null && !IsExpired(session, now))
+                .Select(session => session!)
+                .ToList();
+        }
+
+        private bool IsExpired(UploadSession session, DateTime now)
+        {
+            return now - session.UpdatedUtc > GetSessionTimeout();
+        }
+
+        private TimeSpan GetSessionTimeout()
+        {
+            var minutes = GetCurrentConfig().UploadSessionTimeoutMinutes;
+            return TimeSpan.FromMinutes(minutes > 0 ? minutes : 24 * 60);
+        }
+
+        private int GetChunkBytes()
+        {
+            var chunk = GetCurrentConfig().UploadChunkBytes;
+            return chunk > 0 ? chunk : 8 * 1024 * 1024;
+        }
+
+        private UploadSession? LoadSession(string id)
+        {
+            var path = Path.Combine(GetStagingDir(), id + ".json");
+            if (!File.Exists(path) || !File.Exists(GetPartPath(id)))
+                return null;
+
+            try
+            {
+                return JsonConvert.DeserializeObject<UploadSession>(File.ReadAllText(path));
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning(ex, "LoadSession: corrupt state file for upload {Id}", id);
+                return null;
+            }
+        }
+
+        private void SaveSession(UploadSession session)
+        {
+            var path = Path.Combine(GetStagingDir(), session.Id + ".json");
+            var temp = path + ".tmp";
+            File.WriteAllText(temp, JsonConvert.SerializeObject(session));
+            File.Move(temp, path, overwrite: true);
+        }
+
+        private void DeleteSessionFiles(string id)
+        {
+            foreach (var path in new[] { GetPartPath(id), Path.Combine(GetStagingDir(), id + ".json") })
+            {
+                if (File.Exists(path))
+                    File.Delete(path);
+            }
+        }
+
+        private string GetPartPath(string id)
+        {
+            return Path.Combine(GetStagingDir(), id + ".part");
+        }
+
+        private string GetStagingDir()
+        {
+            return Path.Combine(_folderService.GetPluginDataDir(), StagingDirName);
+        }
+
+        private static SemaphoreSlim GetSessionLock(string id)
+        {
+            return SessionLocks.GetOrAdd(id, _ => new SemaphoreSlim(1, 1));
+        }
+    }
+}
+// END - Services/UploadService.cs
@@ -0,0 +1,350 @@
+// Services/WebhookService.cs
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Net.Http;
+using System.Security.Cryptography;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer.Services
+{
+    /// <summary>
+    /// Outgoing webhooks: file changes written through the plugin (FileWriteService.FileChanged) are POSTed to the
+    /// webhooks of their folder, or to OutputWebhooks for the output directory. Deliveries run in the background,
+    /// are retried with exponential backoff and are kept in an in-memory delivery log that resets on restart.
+    /// When Jellyfin stops, deliveries waiting for a retry make their last attempt at once and shutdown waits up to
+    /// DrainTimeout for them; whatever is still running after that is dropped.
+    /// </summary>
+    public class WebhookService
+    {
+        private readonly ILogger<WebhookService> _logger;
+        private readonly PluginConfiguration _config;
+        private readonly FolderOperationService _folderService;
+        private readonly string _outputDirectory;
+
+        public const string SignatureHeader = "X-EndpointExposer-Signature";
+        public const string EventHeader = "X-EndpointExposer-Event";
+        public const string DeliveryHeader = "X-EndpointExposer-Delivery";
+
+        private const int DeliveryLogSize = 200;
+        private static readonly TimeSpan RequestTimeout = TimeSpan.FromSeconds(10);
+        private static readonly TimeSpan MaxRetryDelay = TimeSpan.FromMinutes(5);
+        private static readonly TimeSpan DrainTimeout = TimeSpan.FromSeconds(15);
+
+        // Controllers are transient: the HTTP client, delivery slots and log are shared, and only the first
+        // instance listens to FileWriteService so every change is delivered once.
+        private static readonly HttpClient Http = new HttpClient { Timeout = RequestTimeout };
+        private static readonly SemaphoreSlim DeliverySlots = new SemaphoreSlim(4);
+        private static readonly object LogLock = new object();
+        private static readonly LinkedList<WebhookDelivery> DeliveryLog = new LinkedList<WebhookDelivery>();
+        private static readonly ConcurrentDictionary<string, Task> Running = new ConcurrentDictionary<string, Task>(StringComparer.Ordinal);
+        private static CancellationTokenSource _stopping = new CancellationTokenSource();
+        private static int _hooked;
+
+        // Wait before the first retry; it doubles for every further one (2s, 4s, 8s, ...). Tests shorten it.
+        internal static TimeSpan RetryBaseDelay { get; set; } = TimeSpan.FromSeconds(2);
+
+        // Sleeps between attempts; tests replace it to record the delays instead of waiting on the clock.
+        internal static Func<TimeSpan, CancellationToken, Task> RetryDelay { get; set; } = Task.Delay;
+
+        public WebhookService(ILogger<WebhookService> logger, PluginConfiguration config, FolderOperationService folderService, string outputDirectory)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _config = config ?? new PluginConfiguration();
+            _folderService = folderService ?? throw new ArgumentNullException(nameof(folderService));
+            _outputDirectory = outputDirectory ?? string.Empty;
+
+            if (Interlocked.Exchange(ref _hooked, 1) == 0)
+            {
+                FileWriteService.FileChanged += OnFileChanged;
+                Plugin.Instance?.ServiceProvider?.GetService<IHostApplicationLifetime>()?.ApplicationStopping
+                    .Register(() => DrainAsync(DrainTimeout).GetAwaiter().GetResult());
+            }
+        }
+
+        private PluginConfiguration GetCurrentConfig()
+        {
+            return Plugin.Instance?.Configuration ?? _config;
+        }
+
+        /// <summary>
+        /// Absolute http(s) URL.
+        /// </summary>
+        public static bool IsUrlValid(string? url)
+        {
+            return Uri.TryCreate(url, UriKind.Absolute, out var uri) && (uri.Scheme == Uri.UriSchemeHttp || uri.Scheme == Uri.UriSchemeHttps);
+        }
+
+        /// <summary>
+        /// "sha256=" + lowercase hex HMAC-SHA256 of body with secret, the X-EndpointExposer-Signature value.
+        /// </summary>
+        public static string ComputeSignature(string secret, byte[] body)
+        {
+            using var hmac = new HMACSHA256(Encoding.UTF8.GetBytes(secret));
+            return "sha256=" + Convert.ToHexString(hmac.ComputeHash(body)).ToLowerInvariant();
+        }
+
+        /// <summary>
+        /// Deliveries, newest first, optionally for one folder ("" = the output directory) or webhook.
+        /// </summary>
+        public List<WebhookDelivery> GetDeliveries(string? folder = null, string? webhookId = null, int limit = 100)
+        {
+            lock (LogLock)
+            {
+                return DeliveryLog
+                    .Where(d => folder == null || string.Equals(d.Folder ?? string.Empty, folder, StringComparison.OrdinalIgnoreCase))
+                    .Where(d => webhookId == null || string.Equals(d.WebhookId, webhookId, StringComparison.OrdinalIgnoreCase))
+                    .Take(Math.Max(1, limit))
+                    .Select(d => d.Clone())
+                    .ToList();
+            }
+        }
+
+        /// <summary>
+        /// Stop retrying: deliveries waiting for a retry make their last attempt now, later ones get a single attempt.
+        /// Waits up to timeout for running deliveries and returns how many were still running.
+        /// </summary>
+        public async Task<int> DrainAsync(TimeSpan timeout)
+        {
+            _stopping.Cancel();
+            var running = Running.Values.ToArray();
+            if (running.Length > 0)
+            {
+                _logger.LogInformation("DrainAsync: waiting for {Count} webhook delivery(ies)", running.Length);
+                await Task.WhenAny(Task.WhenAll(running), Task.Delay(timeout)).ConfigureAwait(false);
+            }
+
+            var left = Running.Values.Count(t => !t.IsCompleted);
+            if (left > 0)
+                _logger.LogWarning("DrainAsync: dropped {Count} webhook delivery(ies) still running after {Seconds:0}s", left, timeout.TotalSeconds);
+            return left;
+        }
+
+        // Undo DrainAsync, so tests can drain more than once in a process.
+        internal static void ResetStopping()
+        {
+            Interlocked.Exchange(ref _stopping, new CancellationTokenSource());
+        }
+
+        /// <summary>
+        /// Send one "test" event to hook now (no retries) and return the logged delivery.
+        /// </summary>
+        public async Task<WebhookDelivery> TestAsync(WebhookEntry hook, string? folder)
+        {
+            var payload = BuildPayload(WebhookEntry.TestEvent, folder, string.Empty, null, null, null, null, null);
+            var delivery = CreateDelivery(hook, folder, WebhookEntry.TestEvent, null);
+            await AttemptAsync(hook, delivery, payload).ConfigureAwait(false);
+            lock (LogLock)
+            {
+                if (delivery.State == WebhookDelivery.Pending)
+                    delivery.State = WebhookDelivery.Failed;
+                return delivery.Clone();
+            }
+        }
+
+        private void OnFileChanged(string path, WatcherChangeTypes change)
+        {
+            try
+            {
+                var (hooks, folder, name, userId) = ResolveWebhooks(path);
+                if (hooks.Count == 0)
+                    return;
+
+                var info = new FileInfo(path);
+                var deleted = change == WatcherChangeTypes.Deleted || !info.Exists;
+                var eventType = deleted ? FolderChangeEvent.Deleted : change == WatcherChangeTypes.Created ? FolderChangeEvent.Created : FolderChangeEvent.Updated;
+
+                var matching = hooks.Where(h => h != null && h.Matches(eventType, name) && IsUrlValid(h.Url)).ToList();
+                if (matching.Count == 0)
+                    return;
+
+                var actor = FolderEventService.GetCurrentActor();
+                var payload = BuildPayload(eventType, folder, name, userId,
+                    deleted ? null : info.Length,
+                    deleted ? null : Utilities.ETagHelper.Compute(info.LastWriteTimeUtc, info.Length),
+                    actor.Id, actor.Name);
+
+                foreach (var hook in matching)
+                {
+                    var delivery = CreateDelivery(hook, folder, eventType, name);
+                    var task = Task.Run(() => DeliverWithRetriesAsync(hook, delivery, payload));
+                    Running[delivery.Id] = task;
+                    _ = task.ContinueWith(_ => Running.TryRemove(delivery.Id, out Task? _), TaskScheduler.Default);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "OnFileChanged: failed to queue webhooks for {Path}", path);
+            }
+        }
+
+        // Webhooks for a changed path: its folder's, or OutputWebhooks for a file directly in the output directory.
+        private (List<WebhookEntry> Hooks, string? Folder, string Name, string? UserId) ResolveWebhooks(string path)
+        {
+            var config = GetCurrentConfig();
+            var mapped = _folderService.MapFolderFilePath(path);
+            if (mapped != null)
+            {
+                // The entry comes from the live configuration, so folder and webhook edits apply without a restart
+                var (entry, name, userId) = mapped.Value;
+                var folderName = string.IsNullOrWhiteSpace(entry.Name) ? entry.RelativePath : entry.Name;
+                return (entry.Webhooks ?? new List<WebhookEntry>(), folderName, name, userId);
+            }
+
+            if (!string.IsNullOrEmpty(_outputDirectory)
+                && string.Equals(
+                    Path.GetFullPath(Path.GetDirectoryName(path) ?? string.Empty).TrimEnd(Path.DirectorySeparatorChar),
+                    Path.GetFullPath(_outputDirectory).TrimEnd(Path.DirectorySeparatorChar),
+                    StringComparison.Ordinal))
+            {
+                return (config.OutputWebhooks ?? new List<WebhookEntry>(), null, Path.GetFileName(path), null);
+            }
+
+            return (new List<WebhookEntry>(), null, string.Empty, null);
+        }
+
+        private static string BuildPayload(string eventType, string? folder, string name, string? userId, long? size, string? etag, string? changedBy, string? changedByName)
+        {
+            var payload = new JObject
+            {
+                ["Event"] = eventType,
+                ["Folder"] = folder,
+                ["Name"] = name,
+                ["UserId"] = userId,
+                ["Size"] = size,
+                ["ETag"] = etag,
+                ["ChangedBy"] = changedBy,
+                ["ChangedByName"] = changedByName,
+                ["TimestampUtc"] = DateTime.UtcNow
+            };
+            return payload.ToString(Formatting.None);
+        }
+
+        private static WebhookDelivery CreateDelivery(WebhookEntry hook, string? folder, string eventType, string? name)
+        {
+            var delivery = new WebhookDelivery
+            {
+                Id = Guid.NewGuid().ToString("N"),
+                WebhookId = hook.Id,
+                Url = hook.Url,
+                Folder = folder,
+                Event = eventType,
+                Name = name,
+                CreatedUtc = DateTime.UtcNow
+            };
+
+            lock (LogLock)
+            {
+                DeliveryLog.AddFirst(delivery);
+                while (DeliveryLog.Count > DeliveryLogSize)
+                    DeliveryLog.RemoveLast();
+            }
+
+            return delivery;
+        }
+
+        private async Task DeliverWithRetriesAsync(WebhookEntry hook, WebhookDelivery delivery, string payload)
+        {
+            var maxAttempts = Math.Max(1, GetCurrentConfig().WebhookMaxAttempts);
+            for (var attempt = 1; ; attempt++)
+            {
+                var retryable = await AttemptAsync(hook, delivery, payload).ConfigureAwait(false);
+                if (delivery.State == WebhookDelivery.Delivered)
+                    return;
+
+                if (!retryable || attempt >= maxAttempts || _stopping.IsCancellationRequested)
+                {
+                    lock (LogLock)
+                    {
+                        delivery.State = WebhookDelivery.Failed;
+                        delivery.NextAttemptUtc = null;
+                    }
+                    _logger.LogWarning("Webhook {WebhookId}: delivery {DeliveryId} to {Url} failed after {Attempts} attempt(s): {Error}",
+                        hook.Id, delivery.Id, hook.Url, delivery.Attempts, delivery.Error);
+                    return;
+                }
+
+                var delay = TimeSpan.FromTicks((long)Math.Min(MaxRetryDelay.Ticks, RetryBaseDelay.Ticks * Math.Pow(2, attempt - 1)));
+                lock (LogLock)
+                {
+                    delivery.NextAttemptUtc = DateTime.UtcNow + delay;
+                }
+
+                try
+                {
+                    await RetryDelay(delay, _stopping.Token).ConfigureAwait(false);
+                }
+                catch (OperationCanceledException)
+                {
+                    // Shutting down: make the last attempt now
+                }
+            }
+        }
+
+        // One POST. Returns whether a failure is worth retrying (network errors, timeouts, 408, 429 and 5xx).
+        private async Task<bool> AttemptAsync(WebhookEntry hook, WebhookDelivery delivery, string payload)
+        {
+            var body = Encoding.UTF8.GetBytes(payload);
+            int? status = null;
+            string? error = null;
+
+            await DeliverySlots.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                using var request = new HttpRequestMessage(HttpMethod.Post, hook.Url)
+                {
+                    Content = new ByteArrayContent(body)
+                };
+                request.Content.Headers.ContentType = new System.Net.Http.Headers.MediaTypeHeaderValue("application/json") { CharSet = "utf-8" };
+                request.Headers.TryAddWithoutValidation("User-Agent", "Jellyfin-EndpointExposer-Webhook");
+                request.Headers.TryAddWithoutValidation(EventHeader, delivery.Event);
+                request.Headers.TryAddWithoutValidation(DeliveryHeader, delivery.Id);
+                if (!string.IsNullOrEmpty(hook.Secret))
+                    request.Headers.TryAddWithoutValidation(SignatureHeader, ComputeSignature(hook.Secret, body));
+
+                using var response = await Http.SendAsync(request).ConfigureAwait(false);
+                status = (int)response.StatusCode;
+                if (!response.IsSuccessStatusCode)
+                    error = $"HTTP {status} {response.ReasonPhrase}";
+            }
+            catch (TaskCanceledException)
+            {
+                error = $"Timed out after {RequestTimeout.TotalSeconds:0}s";
+            }
+            catch (Exception ex)
+            {
+                error = ex.Message;
+            }
+            finally
+            {
+                DeliverySlots.Release();
+            }
+
+            lock (LogLock)
+            {
+                delivery.Attempts++;
+                delivery.LastAttemptUtc = DateTime.UtcNow;
+                delivery.StatusCode = status;
+                delivery.Error = error;
+                delivery.NextAttemptUtc = null;
+                if (error == null)
+                    delivery.State = WebhookDelivery.Delivered;
+            }
+
+            if (error == null)
+                _logger.LogDebug("Webhook {WebhookId}: delivered {Event} {DeliveryId} to {Url}", hook.Id, delivery.Event, delivery.Id, hook.Url);
+
+            return status == null || status == 408 || status == 429 || status >= 500;
+        }
+    }
+}
+// END - Services/WebhookService.cs
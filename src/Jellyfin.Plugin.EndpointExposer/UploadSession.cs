@@ -0,0 +1,81 @@
+// src/Jellyfin.Plugin.EndpointExposer/UploadSession.cs
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// State of a chunked upload, persisted next to its staging file so uploads survive restarts.
+    /// </summary>
+    public class UploadSession
+    {
+        /// <summary>
+        /// Opaque session id (32 hex characters).
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Target folder (logical name as given when the session was created).
+        /// </summary>
+        public string Folder { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Target file path relative to the folder.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Owner namespace for user-scoped folders; null for shared folders.
+        /// </summary>
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Client that started the upload ("user:&lt;id&gt;", "key:&lt;name&gt;" or "ip:&lt;address&gt;"), for MaxOpenUploads.
+        /// </summary>
+        public string? Owner { get; set; }
+
+        /// <summary>
+        /// Final file size in bytes, declared when the session was created.
+        /// </summary>
+        public long TotalBytes { get; set; }
+
+        /// <summary>
+        /// Chunk size for this session. Chunk n starts at n * ChunkBytes; only the last chunk may be shorter.
+        /// </summary>
+        public int ChunkBytes { get; set; }
+
+        /// <summary>
+        /// Byte ranges received so far, sorted and merged.
+        /// </summary>
+        public List<UploadRange> Ranges { get; set; } = new List<UploadRange>();
+
+        public DateTime CreatedUtc { get; set; }
+
+        /// <summary>
+        /// Last time a chunk arrived; sessions idle past UploadSessionTimeoutMinutes are removed.
+        /// </summary>
+        public DateTime UpdatedUtc { get; set; }
+
+        /// <summary>
+        /// Number of bytes received so far.
+        /// </summary>
+        public long ReceivedBytes => Ranges.Sum(r => r.End - r.Start);
+
+        /// <summary>
+        /// True once every byte of the file has been received.
+        /// </summary>
+        public bool Complete => ReceivedBytes >= TotalBytes;
+    }
+
+    /// <summary>
+    /// Half-open byte range [Start, End) of an upload.
+    /// </summary>
+    public class UploadRange
+    {
+        public long Start { get; set; }
+
+        public long End { get; set; }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/UploadSession.cs
@@ -0,0 +1,81 @@
+// Utilities/ApiKeyHasher.cs
+using System;
+using System.Security.Cryptography;
+using System.Text;
+
+namespace Jellyfin.Plugin.EndpointExposer.Utilities
+{
+    /// <summary>
+    /// Generation, hashing and constant-time comparison of plugin API keys.
+    /// </summary>
+    public static class ApiKeyHasher
+    {
+        private const string KeyPrefix = "ee_";
+        private const int KeyBytes = 32;
+        private const int DisplayPrefixLength = 10;
+
+        /// <summary>
+        /// Generate a new random key (URL-safe, prefixed with "ee_").
+        /// </summary>
+        public static string GenerateKey()
+        {
+            var bytes = RandomNumberGenerator.GetBytes(KeyBytes);
+            var encoded = Convert.ToBase64String(bytes).TrimEnd('=').Replace('+', '-').Replace('/', '_');
+            return KeyPrefix + encoded;
+        }
+
+        /// <summary>
+        /// Generate a short random identifier for a key entry.
+        /// </summary>
+        public static string GenerateId()
+        {
+            return Convert.ToHexString(RandomNumberGenerator.GetBytes(8)).ToLowerInvariant();
+        }
+
+        /// <summary>
+        /// Lowercase hex SHA-256 of the key. Keys are random, so a plain hash is sufficient.
+        /// </summary>
+        public static string Hash(string key)
+        {
+            if (key == null) throw new ArgumentNullException(nameof(key));
+            return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(key))).ToLowerInvariant();
+        }
+
+        /// <summary>
+        /// Part of the key shown in the UI.
+        /// </summary>
+        public static string GetDisplayPrefix(string key)
+        {
+            if (string.IsNullOrEmpty(key))
+                return string.Empty;
+            return key.Length <= DisplayPrefixLength ? key : key.Substring(0, DisplayPrefixLength);
+        }
+
+        /// <summary>
+        /// Constant-time comparison of a computed hash against a stored hash.
+        /// </summary>
+        public static bool HashEquals(string? computedHash, string? storedHash)
+        {
+            if (string.IsNullOrEmpty(computedHash) || string.IsNullOrEmpty(storedHash))
+                return false;
+
+            return CryptographicOperations.FixedTimeEquals(
+                Encoding.ASCII.GetBytes(computedHash),
+                Encoding.ASCII.GetBytes(storedHash.ToLowerInvariant()));
+        }
+
+        /// <summary>
+        /// Constant-time comparison of two plain secrets (used for the legacy single ApiKey).
+        /// </summary>
+        public static bool SecretEquals(string? provided, string? expected)
+        {
+            if (string.IsNullOrEmpty(provided) || string.IsNullOrEmpty(expected))
+                return false;
+
+            return CryptographicOperations.FixedTimeEquals(
+                SHA256.HashData(Encoding.UTF8.GetBytes(provided)),
+                SHA256.HashData(Encoding.UTF8.GetBytes(expected)));
+        }
+    }
+}
+// END - Utilities/ApiKeyHasher.cs
@@ -100,6 +100,48 @@ namespace Jellyfin.Plugin.EndpointExposer.Utilities
             return GetContentTypeByExtension(extension) ?? defaultContentType;
         }
 
+        /// <summary>
+        /// Check a file name against an allow-list of extensions (".json" or "json") and MIME types
+        /// ("application/json", "image/*"). An empty allow-list allows everything.
+        /// </summary>
+        public static bool IsTypeAllowed(string? fileName, System.Collections.Generic.IEnumerable<string>? allowedTypes)
+        {
+            if (allowedTypes == null)
+                return true;
+
+            var extension = System.IO.Path.GetExtension(fileName ?? string.Empty);
+            var contentType = GetContentTypeByExtension(extension);
+            var any = false;
+
+            foreach (var raw in allowedTypes)
+            {
+                var allowed = raw?.Trim();
+                if (string.IsNullOrEmpty(allowed))
+                    continue;
+                any = true;
+
+                if (allowed.Contains('/'))
+                {
+                    if (allowed == "*/*")
+                        return true;
+                    if (contentType == null)
+                        continue;
+                    if (allowed.EndsWith("/*", System.StringComparison.Ordinal)
+                        ? contentType.StartsWith(allowed.Substring(0, allowed.Length - 1), System.StringComparison.OrdinalIgnoreCase)
+                        : string.Equals(contentType, allowed, System.StringComparison.OrdinalIgnoreCase))
+                        return true;
+                }
+                else
+                {
+                    var allowedExtension = allowed.StartsWith(".", System.StringComparison.Ordinal) ? allowed : "." + allowed;
+                    if (string.Equals(extension, allowedExtension, System.StringComparison.OrdinalIgnoreCase))
+                        return true;
+                }
+            }
+
+            return !any;
+        }
+
         /// <summary>
         /// Determine if the given extension represents a text-based file type.
         /// </summary>
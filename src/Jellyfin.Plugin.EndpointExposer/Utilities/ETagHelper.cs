@@ -0,0 +1,76 @@
+// Utilities/ETagHelper.cs
+using System;
+using System.IO;
+
+namespace Jellyfin.Plugin.EndpointExposer.Utilities
+{
+    /// <summary>
+    /// ETag computation and If-Match / If-None-Match evaluation for plugin files.
+    /// ETags are derived from last-write time and length, so they are cheap enough for listings.
+    /// </summary>
+    public static class ETagHelper
+    {
+        /// <summary>
+        /// Quoted ETag for a file, or null if it does not exist.
+        /// </summary>
+        public static string? ComputeForFile(string path)
+        {
+            if (string.IsNullOrWhiteSpace(path))
+                return null;
+
+            var info = new FileInfo(path);
+            if (!info.Exists)
+                return null;
+
+            return Compute(info.LastWriteTimeUtc, info.Length);
+        }
+
+        /// <summary>
+        /// Quoted ETag for the given last-write time and length.
+        /// </summary>
+        public static string Compute(DateTime lastWriteUtc, long length)
+        {
+            return $"\"{lastWriteUtc.Ticks:x}-{length:x}\"";
+        }
+
+        /// <summary>
+        /// True when an If-Match / If-None-Match header value matches the current ETag.
+        /// Handles "*", comma-separated lists and weak (W/) validators. A missing file never matches.
+        /// </summary>
+        public static bool Matches(string? headerValue, string? currentETag)
+        {
+            if (string.IsNullOrWhiteSpace(headerValue) || currentETag == null)
+                return false;
+
+            foreach (var raw in headerValue.Split(','))
+            {
+                var candidate = raw.Trim();
+                if (candidate == "*")
+                    return true;
+                if (candidate.StartsWith("W/", StringComparison.Ordinal))
+                    candidate = candidate.Substring(2);
+                if (string.Equals(candidate, currentETag, StringComparison.Ordinal))
+                    return true;
+            }
+
+            return false;
+        }
+
+        /// <summary>
+        /// Evaluate write preconditions against the current ETag (null = file missing).
+        /// Returns null if the write may proceed, 412 for a stale If-Match / matching If-None-Match,
+        /// or 409 when If-None-Match: * (create-only) targets an existing file.
+        /// </summary>
+        public static int? EvaluateWritePreconditions(string? ifMatch, string? ifNoneMatch, string? currentETag)
+        {
+            if (!string.IsNullOrWhiteSpace(ifMatch) && !Matches(ifMatch, currentETag))
+                return 412;
+
+            if (!string.IsNullOrWhiteSpace(ifNoneMatch) && Matches(ifNoneMatch, currentETag))
+                return ifNoneMatch.Trim() == "*" ? 409 : 412;
+
+            return null;
+        }
+    }
+}
+// END - Utilities/ETagHelper.cs
@@ -0,0 +1,59 @@
+// Utilities/GlobMatcher.cs
+using System;
+
+namespace Jellyfin.Plugin.EndpointExposer.Utilities
+{
+    /// <summary>
+    /// Minimal file name glob matching: * = any run of characters, ? = one character. Case-insensitive.
+    /// </summary>
+    public static class GlobMatcher
+    {
+        /// <summary>
+        /// True when name matches pattern. An empty pattern matches everything.
+        /// </summary>
+        public static bool IsMatch(string? pattern, string? name)
+        {
+            if (string.IsNullOrWhiteSpace(pattern))
+                return true;
+            if (name == null)
+                return false;
+
+            pattern = pattern.Trim();
+            int p = 0, n = 0, star = -1, mark = 0;
+            while (n < name.Length)
+            {
+                if (p < pattern.Length && (pattern[p] == '?' || CharEquals(pattern[p], name[n])))
+                {
+                    p++;
+                    n++;
+                }
+                else if (p < pattern.Length && pattern[p] == '*')
+                {
+                    star = p++;
+                    mark = n;
+                }
+                else if (star >= 0)
+                {
+                    // Backtrack: let the last * absorb one more character
+                    p = star + 1;
+                    n = ++mark;
+                }
+                else
+                {
+                    return false;
+                }
+            }
+
+            while (p < pattern.Length && pattern[p] == '*')
+                p++;
+
+            return p == pattern.Length;
+        }
+
+        private static bool CharEquals(char a, char b)
+        {
+            return char.ToUpperInvariant(a) == char.ToUpperInvariant(b);
+        }
+    }
+}
+// END - Utilities/GlobMatcher.cs
@@ -0,0 +1,215 @@
+// Utilities/JsonPatchHelper.cs
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using Newtonsoft.Json.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer.Utilities
+{
+    /// <summary>
+    /// Applies RFC 6902 JSON Patch and RFC 7386 JSON Merge Patch documents to Newtonsoft JTokens.
+    /// Malformed patch documents throw ArgumentException; patches that cannot be applied
+    /// (missing path, failed "test") throw InvalidOperationException.
+    /// </summary>
+    public static class JsonPatchHelper
+    {
+        public const string JsonPatchMediaType = "application/json-patch+json";
+        public const string MergePatchMediaType = "application/merge-patch+json";
+
+        /// <summary>
+        /// RFC 7386 merge patch. target may be null (missing document). Returns the patched document.
+        /// </summary>
+        public static JToken ApplyMergePatch(JToken? target, JToken patch)
+        {
+            if (patch == null) throw new ArgumentNullException(nameof(patch));
+
+            if (patch is not JObject patchObject)
+                return patch.DeepClone();
+
+            var result = target is JObject targetObject ? (JObject)targetObject.DeepClone() : new JObject();
+            foreach (var property in patchObject.Properties())
+            {
+                if (property.Value.Type == JTokenType.Null)
+                {
+                    result.Remove(property.Name);
+                    continue;
+                }
+
+                result[property.Name] = ApplyMergePatch(result[property.Name], property.Value);
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// RFC 6902 JSON Patch. Operations are applied in order to a copy of document; the copy is returned
+        /// only if every operation succeeds.
+        /// </summary>
+        public static JToken ApplyJsonPatch(JToken document, JArray operations)
+        {
+            if (document == null) throw new ArgumentNullException(nameof(document));
+            if (operations == null) throw new ArgumentNullException(nameof(operations));
+
+            var root = document.DeepClone();
+            for (var i = 0; i < operations.Count; i++)
+            {
+                if (operations[i] is not JObject op)
+                    throw new ArgumentException($"Operation {i} is not an object");
+
+                var name = (string?)op["op"];
+                var path = RequireString(op, "path", i);
+                switch (name)
+                {
+                    case "add":
+                        root = Add(root, ParsePointer(path), RequireValue(op, i));
+                        break;
+                    case "remove":
+                        root = Remove(root, ParsePointer(path), path);
+                        break;
+                    case "replace":
+                        if (path.Length == 0)
+                        {
+                            root = RequireValue(op, i);
+                            break;
+                        }
+                        root = Remove(root, ParsePointer(path), path);
+                        root = Add(root, ParsePointer(path), RequireValue(op, i));
+                        break;
+                    case "move":
+                    {
+                        var from = RequireString(op, "from", i);
+                        if (path.StartsWith(from + "/", StringComparison.Ordinal))
+                            throw new InvalidOperationException($"Cannot move '{from}' into its own child '{path}'");
+                        var value = Resolve(root, ParsePointer(from), from).DeepClone();
+                        root = Remove(root, ParsePointer(from), from);
+                        root = Add(root, ParsePointer(path), value);
+                        break;
+                    }
+                    case "copy":
+                    {
+                        var from = RequireString(op, "from", i);
+                        var value = Resolve(root, ParsePointer(from), from).DeepClone();
+                        root = Add(root, ParsePointer(path), value);
+                        break;
+                    }
+                    case "test":
+                    {
+                        var actual = Resolve(root, ParsePointer(path), path);
+                        if (!JToken.DeepEquals(actual, RequireValue(op, i)))
+                            throw new InvalidOperationException($"Test failed at '{path}'");
+                        break;
+                    }
+                    default:
+                        throw new ArgumentException($"Operation {i} has unknown op '{name}'");
+                }
+            }
+
+            return root;
+        }
+
+        /// <summary>
+        /// Split an RFC 6901 JSON Pointer into unescaped reference tokens ("" = whole document).
+        /// </summary>
+        public static List<string> ParsePointer(string pointer)
+        {
+            var tokens = new List<string>();
+            if (string.IsNullOrEmpty(pointer))
+                return tokens;
+            if (pointer[0] != '/')
+                throw new ArgumentException($"Invalid JSON pointer '{pointer}'");
+
+            foreach (var part in pointer.Substring(1).Split('/'))
+                tokens.Add(part.Replace("~1", "/").Replace("~0", "~"));
+            return tokens;
+        }
+
+        private static string RequireString(JObject op, string property, int index)
+        {
+            var token = op[property];
+            if (token == null || token.Type != JTokenType.String)
+                throw new ArgumentException($"Operation {index} is missing '{property}'");
+            return (string)token!;
+        }
+
+        private static JToken RequireValue(JObject op, int index)
+        {
+            if (!op.TryGetValue("value", out var value))
+                throw new ArgumentException($"Operation {index} is missing 'value'");
+            return value.DeepClone();
+        }
+
+        private static JToken Resolve(JToken root, List<string> tokens, string pointer)
+        {
+            var current = root;
+            foreach (var token in tokens)
+            {
+                current = Child(current, token)
+                    ?? throw new InvalidOperationException($"Path '{pointer}' does not exist");
+            }
+            return current;
+        }
+
+        private static JToken? Child(JToken parent, string token)
+        {
+            switch (parent)
+            {
+                case JObject obj:
+                    return obj.TryGetValue(token, out var value) ? value : null;
+                case JArray array:
+                    return TryParseIndex(token, array.Count - 1, out var index) ? array[index] : null;
+                default:
+                    return null;
+            }
+        }
+
+        private static JToken Add(JToken root, List<string> tokens, JToken value)
+        {
+            if (tokens.Count == 0)
+                return value;
+
+            var parent = Resolve(root, tokens.GetRange(0, tokens.Count - 1), "/" + string.Join("/", tokens.GetRange(0, tokens.Count - 1)));
+            var last = tokens[tokens.Count - 1];
+            switch (parent)
+            {
+                case JObject obj:
+                    obj[last] = value;
+                    break;
+                case JArray array:
+                    if (last == "-")
+                        array.Add(value);
+                    else if (TryParseIndex(last, array.Count, out var index))
+                        array.Insert(index, value);
+                    else
+                        throw new InvalidOperationException($"Array index '{last}' is out of range");
+                    break;
+                default:
+                    throw new InvalidOperationException($"Cannot add a member to a {parent.Type} value");
+            }
+
+            return root;
+        }
+
+        private static JToken Remove(JToken root, List<string> tokens, string pointer)
+        {
+            if (tokens.Count == 0)
+                throw new InvalidOperationException("Cannot remove the whole document");
+
+            var target = Resolve(root, tokens, pointer);
+            if (target.Parent is JProperty property)
+                property.Remove();
+            else
+                target.Remove();
+            return root;
+        }
+
+        // Array indexes are decimal without leading zeros, 0..max inclusive
+        private static bool TryParseIndex(string token, int max, out int index)
+        {
+            index = -1;
+            if (token.Length == 0 || (token.Length > 1 && token[0] == '0'))
+                return false;
+            return int.TryParse(token, NumberStyles.None, CultureInfo.InvariantCulture, out index) && index >= 0 && index <= max;
+        }
+    }
+}
+// END - Utilities/JsonPatchHelper.cs
@@ -0,0 +1,401 @@
+// Utilities/JsonSchemaValidator.cs
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+using Newtonsoft.Json.Linq;
+
+namespace Jellyfin.Plugin.EndpointExposer.Utilities
+{
+    /// <summary>
+    /// Validates JSON documents against the commonly used subset of JSON Schema (draft 7 / 2019-09):
+    /// type, enum, const, properties, required, additionalProperties, patternProperties,
+    /// min/maxProperties, items, min/maxItems, uniqueItems, min/maxLength, pattern,
+    /// minimum, maximum, exclusiveMinimum/Maximum, multipleOf, allOf, anyOf, oneOf, not,
+    /// if/then/else and local $ref ("#/..."). Unknown keywords (format, $schema, ...) are ignored.
+    /// </summary>
+    public static class JsonSchemaValidator
+    {
+        private const int MaxErrors = 50;
+        private const int MaxRefDepth = 32;
+
+        /// <summary>
+        /// Validate instance against schema. Returns an empty list when the document is valid.
+        /// </summary>
+        public static List<SchemaValidationError> Validate(JToken instance, JToken schema)
+        {
+            if (instance == null) throw new ArgumentNullException(nameof(instance));
+            if (schema == null) throw new ArgumentNullException(nameof(schema));
+
+            var errors = new List<SchemaValidationError>();
+            ValidateNode(instance, schema, schema, string.Empty, errors, 0);
+            return errors;
+        }
+
+        private static void ValidateNode(JToken instance, JToken schema, JToken root, string path, List<SchemaValidationError> errors, int refDepth)
+        {
+            if (errors.Count >= MaxErrors)
+                return;
+
+            // Boolean schemas: true accepts everything, false nothing
+            if (schema.Type == JTokenType.Boolean)
+            {
+                if (!(bool)schema)
+                    errors.Add(new SchemaValidationError(path, "Value is not allowed"));
+                return;
+            }
+
+            if (schema is not JObject s)
+                return;
+
+            if (s["$ref"] is JValue refValue && refValue.Type == JTokenType.String)
+            {
+                if (refDepth >= MaxRefDepth)
+                {
+                    errors.Add(new SchemaValidationError(path, "Schema $ref nesting is too deep"));
+                    return;
+                }
+
+                var target = ResolveRef(root, (string)refValue!);
+                if (target == null)
+                {
+                    errors.Add(new SchemaValidationError(path, $"Unresolvable schema $ref '{refValue}'"));
+                    return;
+                }
+
+                ValidateNode(instance, target, root, path, errors, refDepth + 1);
+            }
+
+            ValidateType(instance, s, path, errors);
+            ValidateEnumConst(instance, s, path, errors);
+
+            switch (instance.Type)
+            {
+                case JTokenType.Object:
+                    ValidateObject((JObject)instance, s, root, path, errors, refDepth);
+                    break;
+                case JTokenType.Array:
+                    ValidateArray((JArray)instance, s, root, path, errors, refDepth);
+                    break;
+                case JTokenType.String:
+                    ValidateString((string)instance!, s, path, errors);
+                    break;
+                case JTokenType.Integer:
+                case JTokenType.Float:
+                    ValidateNumber((double)instance, s, path, errors);
+                    break;
+            }
+
+            ValidateCombinators(instance, s, root, path, errors, refDepth);
+        }
+
+        private static void ValidateType(JToken instance, JObject s, string path, List<SchemaValidationError> errors)
+        {
+            var typeToken = s["type"];
+            if (typeToken == null)
+                return;
+
+            var allowed = typeToken.Type == JTokenType.Array
+                ? typeToken.Values<string>().Where(t => t != null).Cast<string>().ToList()
+                : new List<string> { (string?)typeToken ?? string.Empty };
+
+            if (!allowed.Any(t => IsOfType(instance, t)))
+                errors.Add(new SchemaValidationError(path, $"Expected {string.Join(" or ", allowed)} but found {TypeName(instance)}"));
+        }
+
+        private static void ValidateEnumConst(JToken instance, JObject s, string path, List<SchemaValidationError> errors)
+        {
+            if (s["enum"] is JArray options && !options.Any(o => JsonEquals(o, instance)))
+                errors.Add(new SchemaValidationError(path, "Value is not one of the allowed values"));
+
+            if (s.TryGetValue("const", out var constant) && !JsonEquals(constant, instance))
+                errors.Add(new SchemaValidationError(path, $"Value must be {constant.ToString(Newtonsoft.Json.Formatting.None)}"));
+        }
+
+        private static void ValidateObject(JObject obj, JObject s, JToken root, string path, List<SchemaValidationError> errors, int refDepth)
+        {
+            if (s["required"] is JArray required)
+            {
+                foreach (var name in required.Values<string>())
+                {
+                    if (name != null && !obj.ContainsKey(name))
+                        errors.Add(new SchemaValidationError(path, $"Missing required property '{name}'"));
+                }
+            }
+
+            var count = obj.Count;
+            if (TryGetInt(s, "minProperties", out var minProps) && count < minProps)
+                errors.Add(new SchemaValidationError(path, $"Expected at least {minProps} properties"));
+            if (TryGetInt(s, "maxProperties", out var maxProps) && count > maxProps)
+                errors.Add(new SchemaValidationError(path, $"Expected at most {maxProps} properties"));
+
+            var properties = s["properties"] as JObject;
+            var patternProperties = s["patternProperties"] as JObject;
+            var additional = s["additionalProperties"];
+
+            foreach (var property in obj.Properties())
+            {
+                var childPath = path + "/" + EscapePointer(property.Name);
+                var matched = false;
+
+                if (properties != null && properties.TryGetValue(property.Name, out var propertySchema))
+                {
+                    matched = true;
+                    ValidateNode(property.Value, propertySchema, root, childPath, errors, refDepth);
+                }
+
+                if (patternProperties != null)
+                {
+                    foreach (var pattern in patternProperties.Properties())
+                    {
+                        if (SafeRegexMatch(pattern.Name, property.Name))
+                        {
+                            matched = true;
+                            ValidateNode(property.Value, pattern.Value, root, childPath, errors, refDepth);
+                        }
+                    }
+                }
+
+                if (!matched && additional != null)
+                {
+                    if (additional.Type == JTokenType.Boolean && !(bool)additional)
+                        errors.Add(new SchemaValidationError(childPath, $"Property '{property.Name}' is not allowed"));
+                    else if (additional.Type == JTokenType.Object)
+                        ValidateNode(property.Value, additional, root, childPath, errors, refDepth);
+                }
+            }
+        }
+
+        private static void ValidateArray(JArray array, JObject s, JToken root, string path, List<SchemaValidationError> errors, int refDepth)
+        {
+            if (TryGetInt(s, "minItems", out var minItems) && array.Count < minItems)
+                errors.Add(new SchemaValidationError(path, $"Expected at least {minItems} items"));
+            if (TryGetInt(s, "maxItems", out var maxItems) && array.Count > maxItems)
+                errors.Add(new SchemaValidationError(path, $"Expected at most {maxItems} items"));
+
+            if (s["uniqueItems"]?.Type == JTokenType.Boolean && (bool)s["uniqueItems"]!)
+            {
+                for (var i = 1; i < array.Count; i++)
+                {
+                    for (var j = 0; j < i; j++)
+                    {
+                        if (JsonEquals(array[i], array[j]))
+                        {
+                            errors.Add(new SchemaValidationError(path + "/" + i, $"Duplicate of item {j}"));
+                            break;
+                        }
+                    }
+                }
+            }
+
+            var items = s["items"];
+            if (items is JArray tuple)
+            {
+                // Tuple form: one schema per position, additionalItems for the rest
+                var additionalItems = s["additionalItems"];
+                for (var i = 0; i < array.Count; i++)
+                {
+                    if (i < tuple.Count)
+                        ValidateNode(array[i], tuple[i], root, path + "/" + i, errors, refDepth);
+                    else if (additionalItems != null)
+                        ValidateNode(array[i], additionalItems, root, path + "/" + i, errors, refDepth);
+                }
+            }
+            else if (items != null)
+            {
+                for (var i = 0; i < array.Count; i++)
+                    ValidateNode(array[i], items, root, path + "/" + i, errors, refDepth);
+            }
+        }
+
+        private static void ValidateString(string value, JObject s, string path, List<SchemaValidationError> errors)
+        {
+            // Length counts code points, not UTF-16 units
+            var length = value.Length - value.Count(char.IsLowSurrogate);
+            if (TryGetInt(s, "minLength", out var minLength) && length < minLength)
+                errors.Add(new SchemaValidationError(path, $"Expected at least {minLength} characters"));
+            if (TryGetInt(s, "maxLength", out var maxLength) && length > maxLength)
+                errors.Add(new SchemaValidationError(path, $"Expected at most {maxLength} characters"));
+
+            if (s["pattern"] is JValue pattern && pattern.Type == JTokenType.String && !SafeRegexMatch((string)pattern!, value))
+                errors.Add(new SchemaValidationError(path, $"Value does not match pattern '{pattern}'"));
+        }
+
+        private static void ValidateNumber(double value, JObject s, string path, List<SchemaValidationError> errors)
+        {
+            var exclusiveMin = s["exclusiveMinimum"];
+            var exclusiveMax = s["exclusiveMaximum"];
+
+            if (TryGetDouble(s, "minimum", out var minimum))
+            {
+                // Draft 4 boolean form of exclusiveMinimum
+                var exclusive = exclusiveMin?.Type == JTokenType.Boolean && (bool)exclusiveMin;
+                if (exclusive ? value <= minimum : value < minimum)
+                    errors.Add(new SchemaValidationError(path, $"Expected a value {(exclusive ? ">" : ">=")} {minimum}"));
+            }
+
+            if (TryGetDouble(s, "maximum", out var maximum))
+            {
+                var exclusive = exclusiveMax?.Type == JTokenType.Boolean && (bool)exclusiveMax;
+                if (exclusive ? value >= maximum : value > maximum)
+                    errors.Add(new SchemaValidationError(path, $"Expected a value {(exclusive ? "<" : "<=")} {maximum}"));
+            }
+
+            if (TryGetDouble(s, "exclusiveMinimum", out var exMin) && value <= exMin)
+                errors.Add(new SchemaValidationError(path, $"Expected a value > {exMin}"));
+            if (TryGetDouble(s, "exclusiveMaximum", out var exMax) && value >= exMax)
+                errors.Add(new SchemaValidationError(path, $"Expected a value < {exMax}"));
+
+            if (TryGetDouble(s, "multipleOf", out var multipleOf) && multipleOf > 0)
+            {
+                var quotient = value / multipleOf;
+                if (Math.Abs(quotient - Math.Round(quotient)) > 1e-9)
+                    errors.Add(new SchemaValidationError(path, $"Expected a multiple of {multipleOf}"));
+            }
+        }
+
+        private static void ValidateCombinators(JToken instance, JObject s, JToken root, string path, List<SchemaValidationError> errors, int refDepth)
+        {
+            if (s["allOf"] is JArray allOf)
+            {
+                foreach (var sub in allOf)
+                    ValidateNode(instance, sub, root, path, errors, refDepth);
+            }
+
+            if (s["anyOf"] is JArray anyOf && !anyOf.Any(sub => IsValid(instance, sub, root, path, refDepth)))
+                errors.Add(new SchemaValidationError(path, "Value does not match any of the allowed schemas (anyOf)"));
+
+            if (s["oneOf"] is JArray oneOf)
+            {
+                var matches = oneOf.Count(sub => IsValid(instance, sub, root, path, refDepth));
+                if (matches != 1)
+                    errors.Add(new SchemaValidationError(path, $"Value must match exactly one schema (oneOf), matched {matches}"));
+            }
+
+            if (s["not"] is JToken not && IsValid(instance, not, root, path, refDepth))
+                errors.Add(new SchemaValidationError(path, "Value matches a schema it must not match (not)"));
+
+            if (s["if"] is JToken condition)
+            {
+                var branch = IsValid(instance, condition, root, path, refDepth) ? s["then"] : s["else"];
+                if (branch != null)
+                    ValidateNode(instance, branch, root, path, errors, refDepth);
+            }
+        }
+
+        private static bool IsValid(JToken instance, JToken schema, JToken root, string path, int refDepth)
+        {
+            var scratch = new List<SchemaValidationError>();
+            ValidateNode(instance, schema, root, path, scratch, refDepth);
+            return scratch.Count == 0;
+        }
+
+        private static JToken? ResolveRef(JToken root, string reference)
+        {
+            if (reference == "#")
+                return root;
+            if (!reference.StartsWith("#/", StringComparison.Ordinal))
+                return null;
+
+            JToken? current = root;
+            foreach (var part in JsonPatchHelper.ParsePointer(Uri.UnescapeDataString(reference.Substring(1))))
+            {
+                current = current switch
+                {
+                    JObject obj => obj[part],
+                    JArray arr when int.TryParse(part, out var i) && i >= 0 && i < arr.Count => arr[i],
+                    _ => null
+                };
+                if (current == null)
+                    return null;
+            }
+
+            return current;
+        }
+
+        private static bool IsOfType(JToken instance, string type)
+        {
+            switch (type)
+            {
+                case "object": return instance.Type == JTokenType.Object;
+                case "array": return instance.Type == JTokenType.Array;
+                case "string": return instance.Type == JTokenType.String;
+                case "boolean": return instance.Type == JTokenType.Boolean;
+                case "null": return instance.Type == JTokenType.Null;
+                case "number": return instance.Type == JTokenType.Integer || instance.Type == JTokenType.Float;
+                case "integer":
+                    return instance.Type == JTokenType.Integer
+                        || (instance.Type == JTokenType.Float && Math.Floor((double)instance) == (double)instance);
+                default: return false;
+            }
+        }
+
+        private static string TypeName(JToken instance)
+        {
+            switch (instance.Type)
+            {
+                case JTokenType.Object: return "object";
+                case JTokenType.Array: return "array";
+                case JTokenType.String: return "string";
+                case JTokenType.Boolean: return "boolean";
+                case JTokenType.Null: return "null";
+                case JTokenType.Integer: return "integer";
+                case JTokenType.Float: return "number";
+                default: return instance.Type.ToString().ToLowerInvariant();
+            }
+        }
+
+        // JSON Schema equality: 1 and 1.0 are equal, everything else structural
+        private static bool JsonEquals(JToken a, JToken b)
+        {
+            var aNumber = a.Type == JTokenType.Integer || a.Type == JTokenType.Float;
+            var bNumber = b.Type == JTokenType.Integer || b.Type == JTokenType.Float;
+            if (aNumber && bNumber)
+                return (double)a == (double)b;
+            return JToken.DeepEquals(a, b);
+        }
+
+        private static bool TryGetInt(JObject s, string keyword, out long value)
+        {
+            value = 0;
+            var token = s[keyword];
+            if (token == null || (token.Type != JTokenType.Integer && token.Type != JTokenType.Float))
+                return false;
+            value = (long)(double)token;
+            return true;
+        }
+
+        private static bool TryGetDouble(JObject s, string keyword, out double value)
+        {
+            value = 0;
+            var token = s[keyword];
+            if (token == null || (token.Type != JTokenType.Integer && token.Type != JTokenType.Float))
+                return false;
+            value = (double)token;
+            return true;
+        }
+
+        // Schemas come from the admin, but guard against pathological patterns anyway
+        private static bool SafeRegexMatch(string pattern, string input)
+        {
+            try
+            {
+                return Regex.IsMatch(input, pattern, RegexOptions.None, TimeSpan.FromMilliseconds(100));
+            }
+            catch (ArgumentException)
+            {
+                return false;
+            }
+            catch (RegexMatchTimeoutException)
+            {
+                return false;
+            }
+        }
+
+        private static string EscapePointer(string token)
+        {
+            return token.Replace("~", "~0").Replace("/", "~1");
+        }
+    }
+}
+// END - Utilities/JsonSchemaValidator.cs
@@ -0,0 +1,68 @@
+// src/Jellyfin.Plugin.EndpointExposer/WebhookDelivery.cs
+using System;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// DTO describing one webhook delivery and its attempts (WebhookDeliveries endpoint).
+    /// </summary>
+    public class WebhookDelivery
+    {
+        public const string Pending = "pending";
+        public const string Delivered = "delivered";
+        public const string Failed = "failed";
+
+        /// <summary>
+        /// Delivery identifier, also sent as the X-EndpointExposer-Delivery header.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        public string WebhookId { get; set; } = string.Empty;
+
+        public string Url { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Logical folder name; null for the output directory.
+        /// </summary>
+        public string? Folder { get; set; }
+
+        /// <summary>
+        /// created, updated, deleted or test.
+        /// </summary>
+        public string Event { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Changed file, relative to the folder.
+        /// </summary>
+        public string? Name { get; set; }
+
+        /// <summary>
+        /// pending (waiting for a retry), delivered or failed.
+        /// </summary>
+        public string State { get; set; } = Pending;
+
+        public int Attempts { get; set; }
+
+        /// <summary>
+        /// HTTP status of the last attempt; null when it got no response.
+        /// </summary>
+        public int? StatusCode { get; set; }
+
+        /// <summary>
+        /// Error of the last failed attempt.
+        /// </summary>
+        public string? Error { get; set; }
+
+        public DateTime CreatedUtc { get; set; }
+
+        public DateTime? LastAttemptUtc { get; set; }
+
+        /// <summary>
+        /// When the next retry is due, while pending.
+        /// </summary>
+        public DateTime? NextAttemptUtc { get; set; }
+
+        internal WebhookDelivery Clone() => (WebhookDelivery)MemberwiseClone();
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/WebhookDelivery.cs
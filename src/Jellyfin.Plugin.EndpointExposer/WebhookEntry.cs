@@ -0,0 +1,63 @@
+// src/Jellyfin.Plugin.EndpointExposer/WebhookEntry.cs
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
+
+namespace Jellyfin.Plugin.EndpointExposer
+{
+    /// <summary>
+    /// An outgoing webhook on an exposed folder (FolderEntry.Webhooks) or on the output directory
+    /// (PluginConfiguration.OutputWebhooks). Matching file changes are POSTed to Url as JSON.
+    /// </summary>
+    public class WebhookEntry
+    {
+        /// <summary>
+        /// Event types a webhook can subscribe to (FolderChangeEvent types).
+        /// </summary>
+        public static readonly string[] EventTypes = { FolderChangeEvent.Created, FolderChangeEvent.Updated, FolderChangeEvent.Deleted };
+
+        /// <summary>
+        /// Event type of deliveries sent by the WebhookTest endpoint.
+        /// </summary>
+        public const string TestEvent = "test";
+
+        /// <summary>
+        /// Stable identifier, shown in the delivery log.
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Absolute http(s) URL the events are POSTed to.
+        /// </summary>
+        public string Url { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Event types to send (created, updated, deleted). Empty = all.
+        /// </summary>
+        public List<string> Events { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Glob matched against the file path relative to the folder, as for schema rules. Empty or "*" = every file.
+        /// </summary>
+        public string FilePattern { get; set; } = "*";
+
+        /// <summary>
+        /// HMAC-SHA256 signing secret. When set, every delivery carries an X-EndpointExposer-Signature header.
+        /// </summary>
+        public string? Secret { get; set; }
+
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// True when an event of eventType on fileName should be sent to this webhook.
+        /// </summary>
+        public bool Matches(string eventType, string fileName)
+        {
+            return Enabled
+                && (Events == null || Events.Count == 0 || Events.Contains(eventType, StringComparer.OrdinalIgnoreCase))
+                && GlobMatcher.IsMatch(FilePattern, fileName);
+        }
+    }
+}
+// END - src/Jellyfin.Plugin.EndpointExposer/WebhookEntry.cs
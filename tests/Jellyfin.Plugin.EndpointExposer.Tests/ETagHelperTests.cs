@@ -0,0 +1,69 @@
+// ETagHelperTests.cs
+using System;
+using System.IO;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
+using Xunit;
+
+namespace Jellyfin.Plugin.EndpointExposer.Tests
+{
+    public class ETagHelperTests
+    {
+        [Fact]
+        public void Compute_IsQuotedHexOfTicksAndLength()
+        {
+            Assert.Equal("\"10-ff\"", ETagHelper.Compute(new DateTime(16, DateTimeKind.Utc), 255));
+        }
+
+        [Fact]
+        public void ComputeForFile_FollowsTheFile()
+        {
+            var path = Path.Combine(Path.GetTempPath(), "endpointexposer-etag-" + Guid.NewGuid().ToString("N") + ".txt");
+            try
+            {
+                Assert.Null(ETagHelper.ComputeForFile(path));
+
+                File.WriteAllText(path, "one");
+                var first = ETagHelper.ComputeForFile(path);
+                var info = new FileInfo(path);
+                Assert.Equal(ETagHelper.Compute(info.LastWriteTimeUtc, info.Length), first);
+
+                File.WriteAllText(path, "three");
+                Assert.NotEqual(first, ETagHelper.ComputeForFile(path));
+            }
+            finally
+            {
+                File.Delete(path);
+            }
+        }
+
+        [Theory]
+        [InlineData("\"a\"", "\"a\"", true)]
+        [InlineData("\"b\"", "\"a\"", false)]
+        [InlineData("W/\"a\"", "\"a\"", true)]
+        [InlineData("\"b\", \"a\"", "\"a\"", true)]
+        [InlineData("*", "\"a\"", true)]
+        [InlineData("*", null, false)]
+        [InlineData("", "\"a\"", false)]
+        [InlineData(null, "\"a\"", false)]
+        public void Matches(string? headerValue, string? currentETag, bool expected)
+        {
+            Assert.Equal(expected, ETagHelper.Matches(headerValue, currentETag));
+        }
+
+        [Theory]
+        [InlineData(null, null, "\"a\"", null)]
+        [InlineData("\"a\"", null, "\"a\"", null)]
+        [InlineData("\"b\"", null, "\"a\"", 412)]
+        [InlineData("\"a\"", null, null, 412)]
+        [InlineData("*", null, null, 412)]
+        [InlineData(null, "*", null, null)]
+        [InlineData(null, "*", "\"a\"", 409)]
+        [InlineData(null, "\"a\"", "\"a\"", 412)]
+        [InlineData(null, "\"b\"", "\"a\"", null)]
+        public void EvaluateWritePreconditions(string? ifMatch, string? ifNoneMatch, string? currentETag, int? expected)
+        {
+            Assert.Equal(expected, ETagHelper.EvaluateWritePreconditions(ifMatch, ifNoneMatch, currentETag));
+        }
+    }
+}
+// END - ETagHelperTests.cs
@@ -0,0 +1,114 @@
+// FileWriteServiceBatchTests.cs
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Net.Http;
+using System.Text;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.EndpointExposer.Services;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
+using Microsoft.Extensions.Logging.Abstractions;
+using Xunit;
+
+namespace Jellyfin.Plugin.EndpointExposer.Tests
+{
+    public sealed class FileWriteServiceBatchTests : IDisposable
+    {
+        private readonly string _directory;
+        private readonly FileWriteService _fileWriter;
+
+        public FileWriteServiceBatchTests()
+        {
+            _directory = Path.Combine(Path.GetTempPath(), "endpointexposer-batch-" + Guid.NewGuid().ToString("N"));
+            Directory.CreateDirectory(_directory);
+            _fileWriter = new FileWriteService(new PluginConfiguration(), new JellyfinAuth(string.Empty, new HttpClient(), null), NullLogger<FileWriteService>.Instance);
+        }
+
+        public void Dispose()
+        {
+            Directory.Delete(_directory, recursive: true);
+        }
+
+        [Fact]
+        public async Task CommitBatch_WhenAChangeFails_PutsEveryFileBack()
+        {
+            File.WriteAllText(PathOf("replaced.json"), "old");
+            File.WriteAllText(PathOf("deleted.json"), "keep me");
+            // A directory where the last change wants a file: its swap fails after the others have landed
+            Directory.CreateDirectory(PathOf("blocker"));
+
+            var result = await _fileWriter.CommitBatchAsync(new List<BatchFileChange>
+            {
+                Write("replaced.json", "new"),
+                new BatchFileChange { Path = PathOf("deleted.json") },
+                Write("created.json", "new"),
+                Write("blocker", "new")
+            });
+
+            Assert.False(result.Success);
+            Assert.Equal(3, result.FailedIndex);
+            Assert.Equal(500, result.StatusCode);
+            Assert.Equal("old", File.ReadAllText(PathOf("replaced.json")));
+            Assert.Equal("keep me", File.ReadAllText(PathOf("deleted.json")));
+            Assert.False(File.Exists(PathOf("created.json")));
+            Assert.True(Directory.Exists(PathOf("blocker")));
+            Assert.Empty(Directory.GetFiles(_directory, "*.tmp"));
+            Assert.False(Directory.Exists(PathOf(FileWriteService.BackupDirName)));
+        }
+
+        [Fact]
+        public async Task CommitBatch_FailedPrecondition_WritesNothing()
+        {
+            File.WriteAllText(PathOf("a.json"), "a");
+            File.WriteAllText(PathOf("b.json"), "b");
+            var currentB = ETagHelper.ComputeForFile(PathOf("b.json"));
+
+            var result = await _fileWriter.CommitBatchAsync(new List<BatchFileChange>
+            {
+                Write("a.json", "a2"),
+                new BatchFileChange { Path = PathOf("b.json"), Bytes = Encoding.UTF8.GetBytes("b2"), IfMatch = "\"stale\"" }
+            });
+
+            Assert.False(result.Success);
+            Assert.Equal(1, result.FailedIndex);
+            Assert.Equal(412, result.StatusCode);
+            Assert.Equal(currentB, result.ETags[1]);
+            Assert.Equal("a", File.ReadAllText(PathOf("a.json")));
+            Assert.Equal("b", File.ReadAllText(PathOf("b.json")));
+            Assert.Empty(Directory.GetFiles(_directory, "*.tmp"));
+        }
+
+        [Fact]
+        public async Task CommitBatch_Success_AppliesEveryChange()
+        {
+            File.WriteAllText(PathOf("replaced.json"), "old");
+            File.WriteAllText(PathOf("deleted.json"), "gone");
+
+            var result = await _fileWriter.CommitBatchAsync(new List<BatchFileChange>
+            {
+                Write("replaced.json", "new"),
+                new BatchFileChange { Path = PathOf("deleted.json") },
+                Write("created.json", "created")
+            });
+
+            Assert.True(result.Success);
+            Assert.Equal("new", File.ReadAllText(PathOf("replaced.json")));
+            Assert.False(File.Exists(PathOf("deleted.json")));
+            Assert.Equal("created", File.ReadAllText(PathOf("created.json")));
+            Assert.Equal(ETagHelper.ComputeForFile(PathOf("created.json")), result.ETags[2]);
+            Assert.Null(result.ETags[1]);
+            Assert.Single(Directory.GetFiles(PathOf(FileWriteService.BackupDirName)));
+        }
+
+        private string PathOf(string name)
+        {
+            return Path.Combine(_directory, name);
+        }
+
+        private BatchFileChange Write(string name, string content)
+        {
+            return new BatchFileChange { Path = PathOf(name), Bytes = Encoding.UTF8.GetBytes(content) };
+        }
+    }
+}
+// END - FileWriteServiceBatchTests.cs
@@ -0,0 +1,30 @@
+// GlobMatcherTests.cs
+using Jellyfin.Plugin.EndpointExposer.Utilities;
+using Xunit;
+
+namespace Jellyfin.Plugin.EndpointExposer.Tests
+{
+    public class GlobMatcherTests
+    {
+        [Theory]
+        [InlineData("*.json", "a.json", true)]
+        [InlineData("*.JSON", "a.json", true)]
+        [InlineData("*.json", "a.jsonl", false)]
+        [InlineData("*.json", "", false)]
+        [InlineData("a?c", "abc", true)]
+        [InlineData("a?c", "ac", false)]
+        [InlineData("*a*b", "xaxxb", true)]
+        [InlineData("*a*b", "xaxxbc", false)]
+        [InlineData("log-*-2024.*", "log-app-2024.txt", true)]
+        [InlineData("  *.txt ", "b.txt", true)]
+        [InlineData("**", "", true)]
+        [InlineData("", "anything", true)]
+        [InlineData(null, "anything", true)]
+        [InlineData("*", null, false)]
+        public void IsMatch(string? pattern, string? name, bool expected)
+        {
+            Assert.Equal(expected, GlobMatcher.IsMatch(pattern, name));
+        }
+    }
+}
+// END - GlobMatcherTests.cs
@@ -0,0 +1,94 @@
+// JsonPatchHelperTests.cs
+using System;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
+using Newtonsoft.Json.Linq;
+using Xunit;
+
+namespace Jellyfin.Plugin.EndpointExposer.Tests
+{
+    public class JsonPatchHelperTests
+    {
+        [Fact]
+        public void MergePatch_MergesObjectsAndRemovesNulls()
+        {
+            var target = JObject.Parse("{\"a\":1,\"b\":{\"c\":2,\"d\":3},\"e\":[1,2]}");
+            var patch = JObject.Parse("{\"a\":null,\"b\":{\"c\":5},\"e\":[3],\"f\":\"new\"}");
+
+            var result = JsonPatchHelper.ApplyMergePatch(target, patch);
+
+            AssertJson("{\"b\":{\"c\":5,\"d\":3},\"e\":[3],\"f\":\"new\"}", result);
+            AssertJson("{\"a\":1,\"b\":{\"c\":2,\"d\":3},\"e\":[1,2]}", target);
+        }
+
+        [Fact]
+        public void MergePatch_NonObjectPatchReplacesTheDocument()
+        {
+            AssertJson("[1]", JsonPatchHelper.ApplyMergePatch(JObject.Parse("{\"a\":1}"), JArray.Parse("[1]")));
+            AssertJson("{\"a\":1}", JsonPatchHelper.ApplyMergePatch(null, JObject.Parse("{\"a\":1,\"b\":null}")));
+        }
+
+        [Fact]
+        public void JsonPatch_AppliesOperationsInOrder()
+        {
+            var document = JObject.Parse("{\"name\":\"x\",\"tags\":[\"a\",\"c\"],\"old\":1,\"meta\":{\"v\":1}}");
+            var operations = JArray.Parse(@"[
+                { ""op"": ""test"", ""path"": ""/name"", ""value"": ""x"" },
+                { ""op"": ""add"", ""path"": ""/tags/1"", ""value"": ""b"" },
+                { ""op"": ""add"", ""path"": ""/tags/-"", ""value"": ""d"" },
+                { ""op"": ""replace"", ""path"": ""/name"", ""value"": ""y"" },
+                { ""op"": ""move"", ""from"": ""/old"", ""path"": ""/meta/old"" },
+                { ""op"": ""copy"", ""from"": ""/meta/v"", ""path"": ""/version"" },
+                { ""op"": ""remove"", ""path"": ""/meta/v"" }
+            ]");
+
+            var result = JsonPatchHelper.ApplyJsonPatch(document, operations);
+
+            AssertJson("{\"name\":\"y\",\"tags\":[\"a\",\"b\",\"c\",\"d\"],\"meta\":{\"old\":1},\"version\":1}", result);
+        }
+
+        [Fact]
+        public void JsonPatch_FailingOperationLeavesTheDocumentUnchanged()
+        {
+            var document = JObject.Parse("{\"a\":1}");
+            var operations = JArray.Parse("[{\"op\":\"add\",\"path\":\"/b\",\"value\":2},{\"op\":\"test\",\"path\":\"/a\",\"value\":2}]");
+
+            Assert.Throws<InvalidOperationException>(() => JsonPatchHelper.ApplyJsonPatch(document, operations));
+            AssertJson("{\"a\":1}", document);
+        }
+
+        [Theory]
+        [InlineData("[{\"op\":\"remove\",\"path\":\"/missing\"}]")]
+        [InlineData("[{\"op\":\"add\",\"path\":\"/list/5\",\"value\":1}]")]
+        [InlineData("[{\"op\":\"move\",\"from\":\"/list\",\"path\":\"/list/0\"}]")]
+        [InlineData("[{\"op\":\"remove\",\"path\":\"\"}]")]
+        public void JsonPatch_InapplicableOperation_ThrowsInvalidOperation(string operations)
+        {
+            var document = JObject.Parse("{\"list\":[1]}");
+            Assert.Throws<InvalidOperationException>(() => JsonPatchHelper.ApplyJsonPatch(document, JArray.Parse(operations)));
+        }
+
+        [Theory]
+        [InlineData("[{\"op\":\"frobnicate\",\"path\":\"/a\"}]")]
+        [InlineData("[{\"op\":\"add\",\"path\":\"/a\"}]")]
+        [InlineData("[{\"op\":\"add\",\"value\":1}]")]
+        [InlineData("[{\"op\":\"add\",\"path\":\"a\",\"value\":1}]")]
+        [InlineData("[1]")]
+        public void JsonPatch_MalformedOperation_ThrowsArgument(string operations)
+        {
+            Assert.Throws<ArgumentException>(() => JsonPatchHelper.ApplyJsonPatch(new JObject(), JArray.Parse(operations)));
+        }
+
+        [Fact]
+        public void ParsePointer_UnescapesTokens()
+        {
+            Assert.Equal(new[] { "a/b", "c~d", "" }, JsonPatchHelper.ParsePointer("/a~1b/c~0d/").ToArray());
+            Assert.Empty(JsonPatchHelper.ParsePointer(string.Empty));
+        }
+
+        private static void AssertJson(string expected, JToken actual)
+        {
+            Assert.True(JToken.DeepEquals(JToken.Parse(expected), actual), actual.ToString(Newtonsoft.Json.Formatting.None));
+        }
+    }
+}
+// END - JsonPatchHelperTests.cs
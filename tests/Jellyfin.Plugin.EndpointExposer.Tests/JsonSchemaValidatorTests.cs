@@ -0,0 +1,75 @@
+// JsonSchemaValidatorTests.cs
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Jellyfin.Plugin.EndpointExposer.Utilities;
+using Newtonsoft.Json.Linq;
+using Xunit;
+
+namespace Jellyfin.Plugin.EndpointExposer.Tests
+{
+    public class JsonSchemaValidatorTests
+    {
+        private const string PersonSchema = @"{
+            ""type"": ""object"",
+            ""required"": [""name""],
+            ""additionalProperties"": false,
+            ""properties"": {
+                ""name"": { ""type"": ""string"", ""minLength"": 1 },
+                ""age"": { ""type"": ""integer"", ""minimum"": 0 },
+                ""role"": { ""enum"": [""admin"", ""user""] },
+                ""tags"": { ""type"": ""array"", ""items"": { ""type"": ""string"" }, ""uniqueItems"": true }
+            }
+        }";
+
+        [Fact]
+        public void ValidDocument_HasNoErrors()
+        {
+            Assert.Empty(Validate("{\"name\":\"a\",\"age\":3,\"role\":\"user\",\"tags\":[\"x\",\"y\"]}", PersonSchema));
+        }
+
+        [Fact]
+        public void Errors_PointAtTheFailingValues()
+        {
+            var errors = Validate("{\"age\":-1,\"role\":\"guest\",\"tags\":[\"x\",1,\"x\"],\"extra\":true}", PersonSchema);
+
+            Assert.Equal(new[] { "", "/age", "/extra", "/role", "/tags/1", "/tags/2" }, errors.Select(e => e.Path).Distinct().OrderBy(p => p, StringComparer.Ordinal).ToArray());
+            Assert.Contains("Missing required property 'name'", errors.Select(e => e.Message));
+            Assert.Contains("Property 'extra' is not allowed", errors.Select(e => e.Message));
+        }
+
+        [Fact]
+        public void Ref_ResolvesLocalDefinitions()
+        {
+            const string schema = "{\"definitions\":{\"positive\":{\"type\":\"integer\",\"minimum\":1}},\"type\":\"array\",\"items\":{\"$ref\":\"#/definitions/positive\"}}";
+
+            Assert.Empty(Validate("[1,2]", schema));
+            Assert.Equal("/1", Assert.Single(Validate("[1,0,2]", schema)).Path);
+            Assert.Contains("Unresolvable", Assert.Single(Validate("1", "{\"$ref\":\"#/definitions/missing\"}")).Message);
+        }
+
+        [Theory]
+        [InlineData("{\"oneOf\":[{\"type\":\"integer\"},{\"minimum\":0}]}", "5", false)]
+        [InlineData("{\"oneOf\":[{\"type\":\"integer\"},{\"minimum\":0}]}", "-5", true)]
+        [InlineData("{\"anyOf\":[{\"type\":\"string\"},{\"type\":\"null\"}]}", "null", true)]
+        [InlineData("{\"anyOf\":[{\"type\":\"string\"},{\"type\":\"null\"}]}", "1", false)]
+        [InlineData("{\"not\":{\"type\":\"string\"}}", "\"a\"", false)]
+        [InlineData("{\"if\":{\"properties\":{\"kind\":{\"const\":\"file\"}}},\"then\":{\"required\":[\"path\"]}}", "{\"kind\":\"file\"}", false)]
+        [InlineData("{\"if\":{\"properties\":{\"kind\":{\"const\":\"file\"}}},\"then\":{\"required\":[\"path\"]}}", "{\"kind\":\"dir\"}", true)]
+        [InlineData("{\"type\":\"string\",\"pattern\":\"^[a-z]+$\"}", "\"Abc\"", false)]
+        [InlineData("{\"type\":\"number\",\"multipleOf\":0.5}", "1.5", true)]
+        [InlineData("{\"type\":\"number\",\"exclusiveMaximum\":10}", "10", false)]
+        [InlineData("true", "{\"any\":1}", true)]
+        [InlineData("false", "{}", false)]
+        public void Keywords(string schema, string instance, bool valid)
+        {
+            Assert.Equal(valid, Validate(instance, schema).Count == 0);
+        }
+
+        private static List<SchemaValidationError> Validate(string instance, string schema)
+        {
+            return JsonSchemaValidator.Validate(JToken.Parse(instance), JToken.Parse(schema));
+        }
+    }
+}
+// END - JsonSchemaValidatorTests.cs
@@ -0,0 +1,100 @@
+// WebhookReceiver.cs
+using System;
+using System.Collections.Generic;
+using System.Collections.Specialized;
+using System.IO;
+using System.Linq;
+using System.Net;
+using System.Net.Sockets;
+using System.Threading.Tasks;
+
+namespace Jellyfin.Plugin.EndpointExposer.Tests
+{
+    /// <summary>
+    /// Local webhook endpoint: an HttpListener on a free localhost port that records every request and answers with
+    /// the given statuses in turn, repeating the last one.
+    /// </summary>
+    internal sealed class WebhookReceiver : IDisposable
+    {
+        private readonly HttpListener _listener = new HttpListener();
+        private readonly List<ReceivedRequest> _requests = new List<ReceivedRequest>();
+        private readonly int[] _statuses;
+
+        public WebhookReceiver(params int[] statuses)
+        {
+            _statuses = statuses.Length > 0 ? statuses : new[] { 200 };
+            Url = $"http://127.0.0.1:{GetFreePort()}/hook/";
+            _listener.Prefixes.Add(Url);
+            _listener.Start();
+            _ = Task.Run(ListenAsync);
+        }
+
+        public string Url { get; }
+
+        /// <summary>
+        /// Requests received so far, oldest first.
+        /// </summary>
+        public IReadOnlyList<ReceivedRequest> Requests
+        {
+            get
+            {
+                lock (_requests)
+                {
+                    return _requests.ToList();
+                }
+            }
+        }
+
+        public void Dispose()
+        {
+            _listener.Close();
+        }
+
+        private async Task ListenAsync()
+        {
+            while (_listener.IsListening)
+            {
+                HttpListenerContext context;
+                try
+                {
+                    context = await _listener.GetContextAsync().ConfigureAwait(false);
+                }
+                catch (Exception) when (!_listener.IsListening)
+                {
+                    return;
+                }
+
+                var receivedUtc = DateTime.UtcNow;
+                using var body = new MemoryStream();
+                await context.Request.InputStream.CopyToAsync(body).ConfigureAwait(false);
+
+                int status;
+                lock (_requests)
+                {
+                    status = _statuses[Math.Min(_requests.Count, _statuses.Length - 1)];
+                    _requests.Add(new ReceivedRequest(receivedUtc, new NameValueCollection(context.Request.Headers), body.ToArray()));
+                }
+
+                context.Response.StatusCode = status;
+                context.Response.Close();
+            }
+        }
+
+        private static int GetFreePort()
+        {
+            var probe = new TcpListener(IPAddress.Loopback, 0);
+            probe.Start();
+            try
+            {
+                return ((IPEndPoint)probe.LocalEndpoint).Port;
+            }
+            finally
+            {
+                probe.Stop();
+            }
+        }
+    }
+
+    internal sealed record ReceivedRequest(DateTime ReceivedUtc, NameValueCollection Headers, byte[] Body);
+}
+// END - WebhookReceiver.cs
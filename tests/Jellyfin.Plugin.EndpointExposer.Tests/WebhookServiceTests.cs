@@ -0,0 +1,285 @@
+// WebhookServiceTests.cs
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Net.Http;
+using System.Security.Cryptography;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Plugin.EndpointExposer.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+using Newtonsoft.Json.Linq;
+using Xunit;
+
+namespace Jellyfin.Plugin.EndpointExposer.Tests
+{
+    /// <summary>
+    /// One WebhookService for every test: only the first instance in a process listens to FileWriteService, so the
+    /// tests drive that instance by changing the shared configuration's OutputWebhooks. Retry waits are recorded
+    /// and return at once, so no test depends on the clock.
+    /// </summary>
+    public sealed class WebhookFixture : IDisposable
+    {
+        public static readonly TimeSpan RetryBaseDelay = TimeSpan.FromMilliseconds(200);
+
+        public WebhookFixture()
+        {
+            OutputDirectory = Path.Combine(Path.GetTempPath(), "endpointexposer-webhooks-" + Guid.NewGuid().ToString("N"));
+            Directory.CreateDirectory(OutputDirectory);
+
+            Config = new PluginConfiguration { WebhookMaxAttempts = 3 };
+            FileWriter = new FileWriteService(Config, new JellyfinAuth(string.Empty, new HttpClient(), null), NullLogger<FileWriteService>.Instance);
+            Folders = new FolderOperationService(NullLogger<FolderOperationService>.Instance, Config, FileWriter);
+            Webhooks = new WebhookService(NullLogger<WebhookService>.Instance, Config, Folders, OutputDirectory);
+            WebhookService.RetryBaseDelay = RetryBaseDelay;
+            WebhookService.RetryDelay = RecordRetryDelayAsync;
+        }
+
+        public string OutputDirectory { get; }
+
+        public PluginConfiguration Config { get; }
+
+        public FileWriteService FileWriter { get; }
+
+        public FolderOperationService Folders { get; }
+
+        public WebhookService Webhooks { get; }
+
+        /// <summary>
+        /// Retry waits the service asked for, oldest first.
+        /// </summary>
+        public ConcurrentQueue<TimeSpan> RetryDelays { get; } = new ConcurrentQueue<TimeSpan>();
+
+        public Task RecordRetryDelayAsync(TimeSpan delay, CancellationToken cancellationToken)
+        {
+            RetryDelays.Enqueue(delay);
+            return Task.CompletedTask;
+        }
+
+        public void Dispose()
+        {
+            WebhookService.RetryDelay = Task.Delay;
+            Directory.Delete(OutputDirectory, recursive: true);
+        }
+    }
+
+    public class WebhookServiceTests : IClassFixture<WebhookFixture>
+    {
+        private static readonly TimeSpan Timeout = TimeSpan.FromSeconds(15);
+
+        private readonly WebhookFixture _fixture;
+
+        public WebhookServiceTests(WebhookFixture fixture)
+        {
+            _fixture = fixture;
+            _fixture.RetryDelays.Clear();
+        }
+
+        [Fact]
+        public async Task Delivery_WithSecret_CarriesHmacOfBody()
+        {
+            using var receiver = new WebhookReceiver(200);
+            var hook = UseHook(receiver, "s3cret");
+
+            await WriteOutputFileAsync("signed.json", "{\"a\":1}");
+            var delivery = await WaitForDeliveryAsync(hook.Id);
+
+            var request = Assert.Single(receiver.Requests);
+            var expected = "sha256=" + Convert.ToHexString(HMACSHA256.HashData(Encoding.UTF8.GetBytes("s3cret"), request.Body)).ToLowerInvariant();
+            Assert.Equal(expected, WebhookService.ComputeSignature("s3cret", request.Body));
+            Assert.Equal(expected, request.Headers[WebhookService.SignatureHeader]);
+            Assert.Equal(delivery.Id, request.Headers[WebhookService.DeliveryHeader]);
+            Assert.Equal(FolderChangeEvent.Created, request.Headers[WebhookService.EventHeader]);
+
+            var payload = JObject.Parse(Encoding.UTF8.GetString(request.Body));
+            Assert.Equal(FolderChangeEvent.Created, (string?)payload["Event"]);
+            Assert.Equal("signed.json", (string?)payload["Name"]);
+            Assert.Equal(WebhookDelivery.Delivered, delivery.State);
+        }
+
+        [Fact]
+        public async Task Delivery_WithoutSecret_IsNotSigned()
+        {
+            using var receiver = new WebhookReceiver(200);
+            var hook = UseHook(receiver);
+
+            await WriteOutputFileAsync("unsigned.json", "{}");
+            await WaitForDeliveryAsync(hook.Id);
+
+            var request = Assert.Single(receiver.Requests);
+            Assert.Null(request.Headers[WebhookService.SignatureHeader]);
+        }
+
+        [Fact]
+        public async Task FolderWebhook_ForFolderAddedLater_IsDelivered()
+        {
+            using var receiver = new WebhookReceiver(200);
+            var hook = new WebhookEntry { Id = Guid.NewGuid().ToString("N"), Url = receiver.Url };
+            var folder = new FolderEntry { Name = "hooked", RelativePath = "webhooktest" + Guid.NewGuid().ToString("N").Substring(0, 8), Webhooks = new List<WebhookEntry> { hook } };
+            _fixture.Config.ExposedFolders = new List<FolderEntry> { folder };
+            var folderPath = _fixture.Folders.ResolveFolderPath("hooked");
+            try
+            {
+                var written = await _fixture.Folders.WriteFolderFileAsync("hooked", "a.json", Encoding.UTF8.GetBytes("{}"));
+                Assert.True(written.Success, written.Error);
+                var delivery = await WaitForDeliveryAsync(hook.Id);
+
+                var payload = JObject.Parse(Encoding.UTF8.GetString(Assert.Single(receiver.Requests).Body));
+                Assert.Equal("hooked", (string?)payload["Folder"]);
+                Assert.Equal("a.json", (string?)payload["Name"]);
+                Assert.Equal(WebhookDelivery.Delivered, delivery.State);
+            }
+            finally
+            {
+                _fixture.Config.ExposedFolders = new List<FolderEntry>();
+                Directory.Delete(folderPath, recursive: true);
+            }
+        }
+
+        [Theory]
+        [InlineData(500)]
+        [InlineData(503)]
+        [InlineData(408)]
+        [InlineData(429)]
+        public async Task RetryableStatus_IsRetriedWithGrowingBackoff(int status)
+        {
+            using var receiver = new WebhookReceiver(status);
+            var hook = UseHook(receiver);
+
+            await WriteOutputFileAsync($"retry-{status}.json", "{}");
+            var delivery = await WaitForDeliveryAsync(hook.Id);
+
+            var requests = receiver.Requests;
+            Assert.Equal(_fixture.Config.WebhookMaxAttempts, requests.Count);
+            Assert.All(requests, r => Assert.Equal(delivery.Id, r.Headers[WebhookService.DeliveryHeader]));
+            Assert.Equal(new[] { WebhookFixture.RetryBaseDelay, WebhookFixture.RetryBaseDelay * 2 }, _fixture.RetryDelays.ToArray());
+
+            Assert.Equal(WebhookDelivery.Failed, delivery.State);
+            Assert.Equal(requests.Count, delivery.Attempts);
+            Assert.Equal(status, delivery.StatusCode);
+        }
+
+        [Theory]
+        [InlineData(400)]
+        [InlineData(401)]
+        [InlineData(404)]
+        [InlineData(410)]
+        [InlineData(422)]
+        public async Task OtherClientError_IsNotRetried(int status)
+        {
+            using var receiver = new WebhookReceiver(status);
+            var hook = UseHook(receiver);
+
+            await WriteOutputFileAsync($"noretry-{status}.json", "{}");
+            var delivery = await WaitForDeliveryAsync(hook.Id);
+
+            Assert.Single(receiver.Requests);
+            Assert.Empty(_fixture.RetryDelays);
+            Assert.Equal(WebhookDelivery.Failed, delivery.State);
+            Assert.Equal(1, delivery.Attempts);
+            Assert.Equal(status, delivery.StatusCode);
+        }
+
+        [Fact]
+        public async Task DeliveryLog_RecordsEveryAttempt()
+        {
+            using var receiver = new WebhookReceiver(503, 502, 200);
+            var hook = UseHook(receiver);
+
+            await WriteOutputFileAsync("attempts.json", "{}");
+            var delivery = await WaitForDeliveryAsync(hook.Id);
+
+            Assert.Equal(3, receiver.Requests.Count);
+            Assert.Equal(2, _fixture.RetryDelays.Count);
+            Assert.Equal(WebhookDelivery.Delivered, delivery.State);
+            Assert.Equal(3, delivery.Attempts);
+            Assert.Equal(200, delivery.StatusCode);
+            Assert.Null(delivery.Error);
+            Assert.Null(delivery.NextAttemptUtc);
+            Assert.True(delivery.LastAttemptUtc >= delivery.CreatedUtc);
+            Assert.All(receiver.Requests, r => Assert.Equal(delivery.Id, r.Headers[WebhookService.DeliveryHeader]));
+        }
+
+        [Fact]
+        public async Task Drain_MakesTheWaitingRetryTheLastAttempt()
+        {
+            using var receiver = new WebhookReceiver(503);
+            var hook = UseHook(receiver);
+
+            // Hold every retry until the drain cancels its wait
+            WebhookService.RetryDelay = (delay, cancellationToken) => Task.Delay(System.Threading.Timeout.InfiniteTimeSpan, cancellationToken);
+            try
+            {
+                await WriteOutputFileAsync("drain.json", "{}");
+                await WaitForDeliveryAsync(hook.Id, d => d.NextAttemptUtc != null);
+
+                Assert.Equal(0, await _fixture.Webhooks.DrainAsync(Timeout));
+                var delivery = await WaitForDeliveryAsync(hook.Id);
+                Assert.Equal(WebhookDelivery.Failed, delivery.State);
+                Assert.Equal(2, delivery.Attempts);
+                Assert.Equal(2, receiver.Requests.Count);
+
+                // Once drained, a new delivery gets a single attempt
+                using var later = new WebhookReceiver(503);
+                var laterHook = UseHook(later);
+                await WriteOutputFileAsync("drained.json", "{}");
+                var laterDelivery = await WaitForDeliveryAsync(laterHook.Id);
+                Assert.Equal(WebhookDelivery.Failed, laterDelivery.State);
+                Assert.Equal(1, laterDelivery.Attempts);
+            }
+            finally
+            {
+                WebhookService.RetryDelay = _fixture.RecordRetryDelayAsync;
+                WebhookService.ResetStopping();
+            }
+        }
+
+        [Fact]
+        public async Task DeliveryLog_KeepsNewest200()
+        {
+            using var receiver = new WebhookReceiver(200);
+            var hook = new WebhookEntry { Id = Guid.NewGuid().ToString("N"), Url = receiver.Url };
+
+            for (var i = 0; i < 210; i++)
+                await _fixture.Webhooks.TestAsync(hook, null);
+
+            Assert.Equal(210, receiver.Requests.Count);
+            var log = _fixture.Webhooks.GetDeliveries(limit: 1000);
+            Assert.Equal(200, log.Count);
+            Assert.All(log, d => Assert.Equal(hook.Id, d.WebhookId));
+            Assert.True(log.Zip(log.Skip(1)).All(p => p.First.CreatedUtc >= p.Second.CreatedUtc), "log is not newest first");
+        }
+
+        private WebhookEntry UseHook(WebhookReceiver receiver, string? secret = null)
+        {
+            var hook = new WebhookEntry { Id = Guid.NewGuid().ToString("N"), Url = receiver.Url, Secret = secret };
+            _fixture.Config.OutputWebhooks = new List<WebhookEntry> { hook };
+            return hook;
+        }
+
+        private Task WriteOutputFileAsync(string name, string content)
+        {
+            return _fixture.FileWriter.WriteAllTextAsync(Path.Combine(_fixture.OutputDirectory, name), content);
+        }
+
+        // The hook's delivery once until holds, by default once it is delivered or has failed for good.
+        private async Task<WebhookDelivery> WaitForDeliveryAsync(string webhookId, Func<WebhookDelivery, bool>? until = null)
+        {
+            until ??= d => d.State != WebhookDelivery.Pending;
+            var deadline = DateTime.UtcNow + Timeout;
+            while (true)
+            {
+                var delivery = _fixture.Webhooks.GetDeliveries(webhookId: webhookId).FirstOrDefault();
+                if (delivery != null && until(delivery))
+                    return delivery;
+                if (DateTime.UtcNow > deadline)
+                    throw new TimeoutException($"Webhook {webhookId} still {delivery?.State ?? "not queued"} after {Timeout.TotalSeconds}s");
+                await Task.Delay(20);
+            }
+        }
+    }
+}
+// END - WebhookServiceTests.cs